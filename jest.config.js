@@ -0,0 +1,9 @@
+/** @type {import('jest').Config} */
+module.exports = {
+    preset: 'ts-jest',
+    testEnvironment: 'node',
+    roots: ['<rootDir>/test'],
+    // The compiled .js files sit next to the sources, test the sources
+    moduleFileExtensions: ['ts', 'js', 'json'],
+    setupFiles: ['<rootDir>/test/setup.ts'],
+};
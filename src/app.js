@@ -1,26 +1,78 @@
 "use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
 var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 const express_1 = __importDefault(require("express"));
+const config_1 = __importDefault(require("./config"));
 const database_1 = require("./database");
+const shutdown_1 = require("./shutdown");
 const swagger_1 = require("./swagger");
+const webhook_service_1 = require("./services/webhook.service");
+const notification_service_1 = require("./services/notification.service");
+const trash_service_1 = require("./services/trash.service");
+const messageStream_service_1 = __importDefault(require("./services/messageStream.service"));
 const cors_1 = __importDefault(require("./middlewares/cors"));
+const requestContext_1 = require("./middlewares/requestContext");
+const errorHandler_1 = require("./middlewares/errorHandler");
 const user_routes_1 = __importDefault(require("./routes/user.routes"));
 const packet_routes_1 = __importDefault(require("./routes/packet.routes"));
 const message_routes_1 = __importDefault(require("./routes/message.routes")); // Import messageRoutes
+const auth_routes_1 = __importDefault(require("./routes/auth.routes"));
+const tracking_routes_1 = __importDefault(require("./routes/tracking.routes"));
+const webhook_routes_1 = __importDefault(require("./routes/webhook.routes"));
+const audit_routes_1 = __importDefault(require("./routes/audit.routes"));
+const trash_routes_1 = __importDefault(require("./routes/trash.routes"));
+const health_routes_1 = __importDefault(require("./routes/health.routes"));
 const app = (0, express_1.default)();
-app.set('port', process.env.PORT || 4000);
+app.set('port', config_1.default.port);
+app.set('trust proxy', config_1.default.trustProxy);
 app.use(cors_1.default);
+// Before the body parser, so its errors are answered in the client's language too
+app.use(requestContext_1.requestContext);
 app.use(express_1.default.json());
-(0, database_1.startConnection)();
-(0, swagger_1.setupSwagger)(app);
+if (config_1.default.features.swaggerDocs) {
+    (0, swagger_1.setupSwagger)(app);
+}
+app.use('/health', health_routes_1.default);
+app.use('/api/auth', auth_routes_1.default);
 app.use('/api/users', user_routes_1.default);
 app.use('/api/packets', packet_routes_1.default);
 app.use('/api/messages', message_routes_1.default); // Assuming you have a messageRoutes file
-app.listen(app.get('port'), () => {
-    console.log(`Server running on port ${app.get('port')}`);
-    console.log(`Swagger disponible a http://localhost:${app.get('port')}/api-docs`);
-});
+app.use('/api/track', tracking_routes_1.default);
+app.use('/api/webhooks', webhook_routes_1.default);
+app.use('/api/audit', audit_routes_1.default);
+app.use('/api/trash', trash_routes_1.default);
+app.use(errorHandler_1.notFoundHandler);
+app.use(errorHandler_1.errorHandler);
+// Requests are only accepted once MongoDB is reachable
+function start() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield (0, database_1.startConnection)();
+        }
+        catch (err) {
+            console.error('Giving up connecting to MongoDB. Error:', err);
+            process.exit(1);
+        }
+        const stopWorkers = [(0, webhook_service_1.startWebhookWorker)(), (0, notification_service_1.startNotificationWorker)(), (0, trash_service_1.startPurgeWorker)()];
+        const server = app.listen(app.get('port'), () => {
+            console.log(`Server running on port ${app.get('port')}`);
+            if (config_1.default.features.swaggerDocs) {
+                console.log(`Swagger disponible a ${config_1.default.swaggerServers[0]}/api-docs`);
+            }
+        });
+        (0, shutdown_1.enableGracefulShutdown)(server, [...stopWorkers, () => messageStream_service_1.default.closeAll()]);
+    });
+}
+start();
 exports.default = app;
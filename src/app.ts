@@ -1,29 +1,73 @@
 import express, { RequestHandler } from 'express';
+import config from './config';
 import { startConnection } from './database';
+import { enableGracefulShutdown } from './shutdown';
 import { setupSwagger } from './swagger'; 
+import { startWebhookWorker } from './services/webhook.service';
+import { startNotificationWorker } from './services/notification.service';
+import { startPurgeWorker } from './services/trash.service';
+import messageStream from './services/messageStream.service';
 import corsOptions from './middlewares/cors';
+import { requestContext } from './middlewares/requestContext';
+import { errorHandler, notFoundHandler } from './middlewares/errorHandler';
 import userRoutes from './routes/user.routes'; 
 import packetRoutes from './routes/packet.routes';
 import messageRoutes from './routes/message.routes'; // Import messageRoutes
+import authRoutes from './routes/auth.routes';
+import trackingRoutes from './routes/tracking.routes';
+import webhookRoutes from './routes/webhook.routes';
+import auditRoutes from './routes/audit.routes';
+import trashRoutes from './routes/trash.routes';
+import healthRoutes from './routes/health.routes';
 
 const app: express.Application = express();
 
-app.set('port', process.env.PORT || 4000);
+app.set('port', config.port);
+app.set('trust proxy', config.trustProxy);
 
 app.use(corsOptions);
+// Before the body parser, so its errors are answered in the client's language too
+app.use(requestContext);
 app.use(express.json() as RequestHandler);
 
-startConnection();
-
-setupSwagger(app);
+if (config.features.swaggerDocs) {
+    setupSwagger(app);
+}
 
+app.use('/health', healthRoutes);
+app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/packets', packetRoutes);
 app.use('/api/messages', messageRoutes); // Assuming you have a messageRoutes file
+app.use('/api/track', trackingRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Requests are only accepted once MongoDB is reachable
+async function start(): Promise<void> {
+    try {
+        await startConnection();
+    } catch (err) {
+        console.error('Giving up connecting to MongoDB. Error:', err);
+        process.exit(1);
+    }
+
+    const stopWorkers = [startWebhookWorker(), startNotificationWorker(), startPurgeWorker()];
+
+    const server = app.listen(app.get('port'), () => {
+        console.log(`Server running on port ${app.get('port')}`);
+        if (config.features.swaggerDocs) {
+            console.log(`Swagger disponible a ${config.swaggerServers[0]}/api-docs`);
+        }
+    });
+
+    enableGracefulShutdown(server, [...stopWorkers, () => messageStream.closeAll()]);
+}
 
-app.listen(app.get('port'), () => {
-    console.log(`Server running on port ${app.get('port')}`);
-    console.log(`Swagger disponible a http://localhost:${app.get('port')}/api-docs`);
-});
+start();
 
 export default app;
\ No newline at end of file
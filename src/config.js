@@ -0,0 +1,251 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ConfigError = exports.SMS_TRANSPORT_DRIVERS = exports.EMAIL_TRANSPORT_DRIVERS = exports.RATE_LIMIT_STORE_DRIVERS = exports.STORAGE_DRIVERS = void 0;
+exports.loadConfig = loadConfig;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const locale_1 = require("./i18n/locale");
+exports.STORAGE_DRIVERS = ['local'];
+exports.RATE_LIMIT_STORE_DRIVERS = ['memory', 'mongo'];
+exports.EMAIL_TRANSPORT_DRIVERS = ['console', 'file', 'smtp'];
+exports.SMS_TRANSPORT_DRIVERS = ['console', 'file', 'gateway'];
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+// Anyone can read it here, so it only signs tokens when NODE_ENV is explicitly development
+const DEVELOPMENT_JWT_SECRET = 'trackit-dev-secret';
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.problems = problems;
+        this.name = 'ConfigError';
+    }
+}
+exports.ConfigError = ConfigError;
+// Parses settings, collecting what is wrong instead of stopping at the first problem
+class SettingsReader {
+    constructor(settings) {
+        this.settings = settings;
+        this.problems = [];
+    }
+    optional(name) {
+        var _a;
+        const value = (_a = this.settings[name]) === null || _a === void 0 ? void 0 : _a.trim();
+        return value ? value : undefined;
+    }
+    string(name, fallback) {
+        var _a;
+        const value = (_a = this.optional(name)) !== null && _a !== void 0 ? _a : fallback;
+        if (value === undefined) {
+            this.problems.push(`${name} is required`);
+            return '';
+        }
+        return value;
+    }
+    integer(name, fallback, min = 1, max = Number.MAX_SAFE_INTEGER) {
+        const value = this.optional(name);
+        if (value === undefined)
+            return fallback;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            this.problems.push(`${name} must be an integer between ${min} and ${max}, got '${value}'`);
+            return fallback;
+        }
+        return number;
+    }
+    boolean(name, fallback) {
+        var _a;
+        const value = (_a = this.optional(name)) === null || _a === void 0 ? void 0 : _a.toLowerCase();
+        if (value === undefined)
+            return fallback;
+        if (value === 'true' || value === '1')
+            return true;
+        if (value === 'false' || value === '0')
+            return false;
+        this.problems.push(`${name} must be true or false, got '${value}'`);
+        return fallback;
+    }
+    oneOf(name, values, fallback) {
+        const value = this.optional(name);
+        if (value === undefined)
+            return fallback;
+        if (values.includes(value))
+            return value;
+        this.problems.push(`${name} must be one of: ${values.join(', ')}, got '${value}'`);
+        return fallback;
+    }
+    // Comma separated list of absolute http(s) URLs
+    urls(name, fallback) {
+        const value = this.optional(name);
+        if (value === undefined)
+            return fallback;
+        const urls = value.split(',').map((url) => url.trim()).filter(Boolean);
+        const invalid = urls.filter((url) => !/^https?:\/\/[^\s/]+/.test(url));
+        if (invalid.length > 0) {
+            this.problems.push(`${name} must be a comma separated list of http(s) URLs, got '${invalid.join("', '")}'`);
+        }
+        return urls.map((url) => url.replace(/\/+$/, ''));
+    }
+    // `<limit>/<window>`, e.g. 10/15m
+    rate(name, fallback) {
+        const value = this.optional(name);
+        if (value === undefined)
+            return fallback;
+        const match = /^(\d+)\s*\/\s*(\d+)\s*(ms|s|m|h|d)$/.exec(value);
+        if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+            this.problems.push(`${name} must look like <limit>/<window>, e.g. 10/15m (units: ms, s, m, h, d), got '${value}'`);
+            return fallback;
+        }
+        return { limit: Number(match[1]), windowMs: Number(match[2]) * DURATION_UNITS_MS[match[3]] };
+    }
+    mongoUri(name) {
+        const value = this.string(name);
+        if (value && !/^mongodb(\+srv)?:\/\//.test(value)) {
+            this.problems.push(`${name} must be a mongodb:// or mongodb+srv:// connection string`);
+        }
+        return value;
+    }
+}
+// Settings from the JSON file of the environment, as strings like the environment variables
+function readConfigFile(env, settings, problems) {
+    const explicit = settings.CONFIG_FILE;
+    const file = explicit
+        ? path_1.default.resolve(explicit)
+        : path_1.default.resolve(__dirname, '..', 'config', `${env}.json`);
+    if (!fs_1.default.existsSync(file)) {
+        if (explicit)
+            problems.push(`CONFIG_FILE '${explicit}' does not exist`);
+        return {};
+    }
+    let content;
+    try {
+        content = JSON.parse(fs_1.default.readFileSync(file, 'utf8'));
+    }
+    catch (error) {
+        problems.push(`${file} is not valid JSON: ${error.message}`);
+        return {};
+    }
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+        problems.push(`${file} must contain an object of settings`);
+        return {};
+    }
+    return Object.fromEntries(Object.entries(content).map(([name, value]) => [name, Array.isArray(value) ? value.join(',') : String(value)]));
+}
+/**
+ * Builds the configuration from `env` and the config file of its NODE_ENV.
+ * @throws ConfigError listing every missing or invalid setting
+ */
+function loadConfig(env) {
+    var _a, _b;
+    const explicitEnv = (_a = env.NODE_ENV) === null || _a === void 0 ? void 0 : _a.trim();
+    const nodeEnv = explicitEnv || 'development';
+    const problems = [];
+    const settings = Object.assign({}, readConfigFile(nodeEnv, env, problems));
+    // Empty variables count as unset, so they don't hide the file
+    for (const [name, value] of Object.entries(env)) {
+        if (value === null || value === void 0 ? void 0 : value.trim())
+            settings[name] = value;
+    }
+    const read = new SettingsReader(settings);
+    const port = read.integer('PORT', 4000, 1, 65535);
+    const config = {
+        env: nodeEnv,
+        port,
+        trustProxy: read.integer('TRUST_PROXY', 0, 0),
+        shutdownTimeoutMs: read.integer('SHUTDOWN_TIMEOUT_MS', 10 * 1000),
+        mongoUri: read.mongoUri('MONGODB_URI'),
+        mongoConnectAttempts: read.integer('MONGODB_CONNECT_ATTEMPTS', 10),
+        corsOrigins: read.urls('CORS_ORIGINS', []),
+        swaggerServers: read.urls('SWAGGER_SERVERS', [`http://localhost:${port}`]),
+        defaultLocale: read.oneOf('DEFAULT_LOCALE', locale_1.SUPPORTED_LOCALES, 'en'),
+        features: {
+            requireDeliveryProof: read.boolean('REQUIRE_DELIVERY_PROOF', false),
+            swaggerDocs: read.boolean('SWAGGER_DOCS', true),
+            rateLimit: read.boolean('RATE_LIMIT', true),
+            spamFilter: read.boolean('SPAM_FILTER', true),
+        },
+        rateLimit: {
+            store: read.oneOf('RATE_LIMIT_STORE', exports.RATE_LIMIT_STORE_DRIVERS, 'memory'),
+            login: read.rate('RATE_LIMIT_LOGIN', { limit: 10, windowMs: 15 * 60 * 1000 }),
+            registration: read.rate('RATE_LIMIT_REGISTRATION', { limit: 5, windowMs: 60 * 60 * 1000 }),
+            api: read.rate('RATE_LIMIT_API', { limit: 300, windowMs: 60 * 1000 }),
+            sendMessage: read.rate('RATE_LIMIT_SEND_MESSAGE', { limit: 30, windowMs: 60 * 1000 }),
+        },
+        spam: {
+            burst: read.rate('SPAM_BURST', { limit: 5, windowMs: 10 * 1000 }),
+            duplicates: read.rate('SPAM_DUPLICATES', { limit: 3, windowMs: 10 * 60 * 1000 }),
+        },
+        auth: {
+            jwtSecret: (_b = read.optional('JWT_SECRET')) !== null && _b !== void 0 ? _b : (explicitEnv === 'development' ? DEVELOPMENT_JWT_SECRET : ''),
+            accessTokenTtl: read.string('ACCESS_TOKEN_TTL', '15m'),
+            refreshTokenTtlDays: read.integer('REFRESH_TOKEN_TTL_DAYS', 7),
+        },
+        storage: {
+            driver: read.oneOf('STORAGE_DRIVER', exports.STORAGE_DRIVERS, 'local'),
+            uploadsDir: read.string('UPLOADS_DIR', 'uploads'),
+            maxProofSizeBytes: read.integer('MAX_PROOF_SIZE_BYTES', 5 * 1024 * 1024),
+        },
+        trash: {
+            retentionDays: read.integer('SOFT_DELETE_RETENTION_DAYS', 30),
+        },
+        systemSender: {
+            email: read.string('SYSTEM_SENDER_EMAIL', 'system@trackit.local'),
+            name: read.string('SYSTEM_SENDER_NAME', 'Trackit'),
+        },
+        notifications: {
+            outboxDir: read.string('NOTIFICATIONS_DIR', 'outbox'),
+            email: {
+                transport: read.oneOf('EMAIL_TRANSPORT', exports.EMAIL_TRANSPORT_DRIVERS, 'console'),
+                from: read.string('EMAIL_FROM', 'Trackit <no-reply@trackit.local>'),
+                smtp: {
+                    host: read.optional('SMTP_HOST'),
+                    port: read.integer('SMTP_PORT', 587, 1, 65535),
+                    secure: read.boolean('SMTP_SECURE', false),
+                    user: read.optional('SMTP_USER'),
+                    password: read.optional('SMTP_PASSWORD'),
+                },
+            },
+            sms: {
+                transport: read.oneOf('SMS_TRANSPORT', exports.SMS_TRANSPORT_DRIVERS, 'console'),
+                from: read.string('SMS_FROM', 'Trackit'),
+                gatewayUrl: read.optional('SMS_GATEWAY_URL'),
+                gatewayApiKey: read.optional('SMS_GATEWAY_API_KEY'),
+            },
+        },
+    };
+    if (!config.auth.jwtSecret) {
+        read.problems.push('JWT_SECRET is required (with NODE_ENV=development a public development secret is used instead)');
+    }
+    if (config.auth.jwtSecret === DEVELOPMENT_JWT_SECRET && explicitEnv !== 'development') {
+        read.problems.push('JWT_SECRET must not be the public development secret outside NODE_ENV=development');
+    }
+    if (config.corsOrigins.length === 0) {
+        read.problems.push('CORS_ORIGINS is required, e.g. http://localhost:4200');
+    }
+    if (config.notifications.email.transport === 'smtp' && !config.notifications.email.smtp.host) {
+        read.problems.push('SMTP_HOST is required when EMAIL_TRANSPORT=smtp');
+    }
+    if (config.notifications.sms.transport === 'gateway' && !config.notifications.sms.gatewayUrl) {
+        read.problems.push('SMS_GATEWAY_URL is required when SMS_TRANSPORT=gateway');
+    }
+    problems.push(...read.problems);
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+function readConfig() {
+    try {
+        return loadConfig(process.env);
+    }
+    catch (error) {
+        if (error instanceof ConfigError) {
+            // Fail fast with the list of problems, a stack trace would only hide it
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
+}
+exports.default = readConfig();
@@ -0,0 +1,351 @@
+import fs from 'fs';
+import path from 'path';
+import { Locale, SUPPORTED_LOCALES } from './i18n/locale';
+
+/**
+ * Application settings, read once at startup. Each setting is named after its
+ * environment variable and can also be set in `config/<NODE_ENV>.json` (or the
+ * file in CONFIG_FILE); the environment wins over the file, which wins over the
+ * defaults below.
+ *
+ * Missing or invalid settings stop the process before it connects to anything,
+ * listing every problem at once.
+ */
+export interface Config {
+    env: string;
+    port: number;
+    // Proxy hops in front of the app, so req.ip is the client's address and not the proxy's
+    trustProxy: number;
+    // Waited for in-flight requests and worker batches on SIGTERM before exiting anyway
+    shutdownTimeoutMs: number;
+    mongoUri: string;
+    // Connection attempts at startup before giving up, with exponential backoff between them
+    mongoConnectAttempts: number;
+    corsOrigins: string[];
+    swaggerServers: string[];
+    defaultLocale: Locale;
+    features: {
+        // Refuse deliveries without a photo or signature
+        requireDeliveryProof: boolean;
+        swaggerDocs: boolean;
+        rateLimit: boolean;
+        spamFilter: boolean;
+    };
+    rateLimit: {
+        store: RateLimitStoreDriver;
+        // Per IP
+        login: Rate;
+        registration: Rate;
+        // Per user, per IP for anonymous requests
+        api: Rate;
+        sendMessage: Rate;
+    };
+    // Refused messages of a single sender, counted from the stored messages
+    spam: {
+        burst: Rate;
+        duplicates: Rate;
+    };
+    auth: {
+        jwtSecret: string;
+        accessTokenTtl: string;
+        refreshTokenTtlDays: number;
+    };
+    storage: {
+        driver: StorageDriver;
+        uploadsDir: string;
+        maxProofSizeBytes: number;
+    };
+    trash: {
+        retentionDays: number;
+    };
+    systemSender: {
+        email: string;
+        name: string;
+    };
+    notifications: {
+        outboxDir: string;
+        email: {
+            transport: EmailTransportDriver;
+            from: string;
+            smtp: {
+                host?: string;
+                port: number;
+                secure: boolean;
+                user?: string;
+                password?: string;
+            };
+        };
+        sms: {
+            transport: SmsTransportDriver;
+            from: string;
+            gatewayUrl?: string;
+            gatewayApiKey?: string;
+        };
+    };
+}
+
+export const STORAGE_DRIVERS = ['local'] as const;
+export const RATE_LIMIT_STORE_DRIVERS = ['memory', 'mongo'] as const;
+export const EMAIL_TRANSPORT_DRIVERS = ['console', 'file', 'smtp'] as const;
+export const SMS_TRANSPORT_DRIVERS = ['console', 'file', 'gateway'] as const;
+
+export type StorageDriver = typeof STORAGE_DRIVERS[number];
+export type RateLimitStoreDriver = typeof RATE_LIMIT_STORE_DRIVERS[number];
+
+// At most `limit` within any `windowMs` long period
+export interface Rate {
+    limit: number;
+    windowMs: number;
+}
+
+const DURATION_UNITS_MS: Record<string, number> = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+export type EmailTransportDriver = typeof EMAIL_TRANSPORT_DRIVERS[number];
+export type SmsTransportDriver = typeof SMS_TRANSPORT_DRIVERS[number];
+
+type Settings = Record<string, string | undefined>;
+
+// Anyone can read it here, so it only signs tokens when NODE_ENV is explicitly development
+const DEVELOPMENT_JWT_SECRET = 'trackit-dev-secret';
+
+export class ConfigError extends Error {
+    constructor(public readonly problems: string[]) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+    }
+}
+
+// Parses settings, collecting what is wrong instead of stopping at the first problem
+class SettingsReader {
+    readonly problems: string[] = [];
+
+    constructor(private settings: Settings) {}
+
+    optional(name: string): string | undefined {
+        const value = this.settings[name]?.trim();
+        return value ? value : undefined;
+    }
+
+    string(name: string, fallback?: string): string {
+        const value = this.optional(name) ?? fallback;
+        if (value === undefined) {
+            this.problems.push(`${name} is required`);
+            return '';
+        }
+        return value;
+    }
+
+    integer(name: string, fallback: number, min = 1, max = Number.MAX_SAFE_INTEGER): number {
+        const value = this.optional(name);
+        if (value === undefined) return fallback;
+
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            this.problems.push(`${name} must be an integer between ${min} and ${max}, got '${value}'`);
+            return fallback;
+        }
+        return number;
+    }
+
+    boolean(name: string, fallback: boolean): boolean {
+        const value = this.optional(name)?.toLowerCase();
+        if (value === undefined) return fallback;
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+
+        this.problems.push(`${name} must be true or false, got '${value}'`);
+        return fallback;
+    }
+
+    oneOf<T extends string>(name: string, values: readonly T[], fallback: T): T {
+        const value = this.optional(name);
+        if (value === undefined) return fallback;
+        if (values.includes(value as T)) return value as T;
+
+        this.problems.push(`${name} must be one of: ${values.join(', ')}, got '${value}'`);
+        return fallback;
+    }
+
+    // Comma separated list of absolute http(s) URLs
+    urls(name: string, fallback: string[]): string[] {
+        const value = this.optional(name);
+        if (value === undefined) return fallback;
+
+        const urls = value.split(',').map((url) => url.trim()).filter(Boolean);
+        const invalid = urls.filter((url) => !/^https?:\/\/[^\s/]+/.test(url));
+        if (invalid.length > 0) {
+            this.problems.push(`${name} must be a comma separated list of http(s) URLs, got '${invalid.join("', '")}'`);
+        }
+        return urls.map((url) => url.replace(/\/+$/, ''));
+    }
+
+    // `<limit>/<window>`, e.g. 10/15m
+    rate(name: string, fallback: Rate): Rate {
+        const value = this.optional(name);
+        if (value === undefined) return fallback;
+
+        const match = /^(\d+)\s*\/\s*(\d+)\s*(ms|s|m|h|d)$/.exec(value);
+        if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+            this.problems.push(`${name} must look like <limit>/<window>, e.g. 10/15m (units: ms, s, m, h, d), got '${value}'`);
+            return fallback;
+        }
+        return { limit: Number(match[1]), windowMs: Number(match[2]) * DURATION_UNITS_MS[match[3]] };
+    }
+
+    mongoUri(name: string): string {
+        const value = this.string(name);
+        if (value && !/^mongodb(\+srv)?:\/\//.test(value)) {
+            this.problems.push(`${name} must be a mongodb:// or mongodb+srv:// connection string`);
+        }
+        return value;
+    }
+}
+
+// Settings from the JSON file of the environment, as strings like the environment variables
+function readConfigFile(env: string, settings: Settings, problems: string[]): Settings {
+    const explicit = settings.CONFIG_FILE;
+    const file = explicit
+        ? path.resolve(explicit)
+        : path.resolve(__dirname, '..', 'config', `${env}.json`);
+
+    if (!fs.existsSync(file)) {
+        if (explicit) problems.push(`CONFIG_FILE '${explicit}' does not exist`);
+        return {};
+    }
+
+    let content: unknown;
+    try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        problems.push(`${file} is not valid JSON: ${(error as Error).message}`);
+        return {};
+    }
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+        problems.push(`${file} must contain an object of settings`);
+        return {};
+    }
+
+    return Object.fromEntries(
+        Object.entries(content).map(([name, value]) => [name, Array.isArray(value) ? value.join(',') : String(value)])
+    );
+}
+
+/**
+ * Builds the configuration from `env` and the config file of its NODE_ENV.
+ * @throws ConfigError listing every missing or invalid setting
+ */
+export function loadConfig(env: Settings): Config {
+    const explicitEnv = env.NODE_ENV?.trim();
+    const nodeEnv = explicitEnv || 'development';
+    const problems: string[] = [];
+    const settings: Settings = { ...readConfigFile(nodeEnv, env, problems) };
+    // Empty variables count as unset, so they don't hide the file
+    for (const [name, value] of Object.entries(env)) {
+        if (value?.trim()) settings[name] = value;
+    }
+
+    const read = new SettingsReader(settings);
+    const port = read.integer('PORT', 4000, 1, 65535);
+
+    const config: Config = {
+        env: nodeEnv,
+        port,
+        trustProxy: read.integer('TRUST_PROXY', 0, 0),
+        shutdownTimeoutMs: read.integer('SHUTDOWN_TIMEOUT_MS', 10 * 1000),
+        mongoUri: read.mongoUri('MONGODB_URI'),
+        mongoConnectAttempts: read.integer('MONGODB_CONNECT_ATTEMPTS', 10),
+        corsOrigins: read.urls('CORS_ORIGINS', []),
+        swaggerServers: read.urls('SWAGGER_SERVERS', [`http://localhost:${port}`]),
+        defaultLocale: read.oneOf('DEFAULT_LOCALE', SUPPORTED_LOCALES, 'en'),
+        features: {
+            requireDeliveryProof: read.boolean('REQUIRE_DELIVERY_PROOF', false),
+            swaggerDocs: read.boolean('SWAGGER_DOCS', true),
+            rateLimit: read.boolean('RATE_LIMIT', true),
+            spamFilter: read.boolean('SPAM_FILTER', true),
+        },
+        rateLimit: {
+            store: read.oneOf('RATE_LIMIT_STORE', RATE_LIMIT_STORE_DRIVERS, 'memory'),
+            login: read.rate('RATE_LIMIT_LOGIN', { limit: 10, windowMs: 15 * 60 * 1000 }),
+            registration: read.rate('RATE_LIMIT_REGISTRATION', { limit: 5, windowMs: 60 * 60 * 1000 }),
+            api: read.rate('RATE_LIMIT_API', { limit: 300, windowMs: 60 * 1000 }),
+            sendMessage: read.rate('RATE_LIMIT_SEND_MESSAGE', { limit: 30, windowMs: 60 * 1000 }),
+        },
+        spam: {
+            burst: read.rate('SPAM_BURST', { limit: 5, windowMs: 10 * 1000 }),
+            duplicates: read.rate('SPAM_DUPLICATES', { limit: 3, windowMs: 10 * 60 * 1000 }),
+        },
+        auth: {
+            jwtSecret: read.optional('JWT_SECRET') ?? (explicitEnv === 'development' ? DEVELOPMENT_JWT_SECRET : ''),
+            accessTokenTtl: read.string('ACCESS_TOKEN_TTL', '15m'),
+            refreshTokenTtlDays: read.integer('REFRESH_TOKEN_TTL_DAYS', 7),
+        },
+        storage: {
+            driver: read.oneOf('STORAGE_DRIVER', STORAGE_DRIVERS, 'local'),
+            uploadsDir: read.string('UPLOADS_DIR', 'uploads'),
+            maxProofSizeBytes: read.integer('MAX_PROOF_SIZE_BYTES', 5 * 1024 * 1024),
+        },
+        trash: {
+            retentionDays: read.integer('SOFT_DELETE_RETENTION_DAYS', 30),
+        },
+        systemSender: {
+            email: read.string('SYSTEM_SENDER_EMAIL', 'system@trackit.local'),
+            name: read.string('SYSTEM_SENDER_NAME', 'Trackit'),
+        },
+        notifications: {
+            outboxDir: read.string('NOTIFICATIONS_DIR', 'outbox'),
+            email: {
+                transport: read.oneOf('EMAIL_TRANSPORT', EMAIL_TRANSPORT_DRIVERS, 'console'),
+                from: read.string('EMAIL_FROM', 'Trackit <no-reply@trackit.local>'),
+                smtp: {
+                    host: read.optional('SMTP_HOST'),
+                    port: read.integer('SMTP_PORT', 587, 1, 65535),
+                    secure: read.boolean('SMTP_SECURE', false),
+                    user: read.optional('SMTP_USER'),
+                    password: read.optional('SMTP_PASSWORD'),
+                },
+            },
+            sms: {
+                transport: read.oneOf('SMS_TRANSPORT', SMS_TRANSPORT_DRIVERS, 'console'),
+                from: read.string('SMS_FROM', 'Trackit'),
+                gatewayUrl: read.optional('SMS_GATEWAY_URL'),
+                gatewayApiKey: read.optional('SMS_GATEWAY_API_KEY'),
+            },
+        },
+    };
+
+    if (!config.auth.jwtSecret) {
+        read.problems.push('JWT_SECRET is required (with NODE_ENV=development a public development secret is used instead)');
+    }
+    if (config.auth.jwtSecret === DEVELOPMENT_JWT_SECRET && explicitEnv !== 'development') {
+        read.problems.push('JWT_SECRET must not be the public development secret outside NODE_ENV=development');
+    }
+    if (config.corsOrigins.length === 0) {
+        read.problems.push('CORS_ORIGINS is required, e.g. http://localhost:4200');
+    }
+    if (config.notifications.email.transport === 'smtp' && !config.notifications.email.smtp.host) {
+        read.problems.push('SMTP_HOST is required when EMAIL_TRANSPORT=smtp');
+    }
+    if (config.notifications.sms.transport === 'gateway' && !config.notifications.sms.gatewayUrl) {
+        read.problems.push('SMS_GATEWAY_URL is required when SMS_TRANSPORT=gateway');
+    }
+
+    problems.push(...read.problems);
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+function readConfig(): Config {
+    try {
+        return loadConfig(process.env);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            // Fail fast with the list of problems, a stack trace would only hide it
+            console.error(error.message);
+            process.exit(1);
+        }
+        throw error;
+    }
+}
+
+export default readConfig();
@@ -0,0 +1,207 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.assignPacket = assignPacket;
+exports.reassignPacket = reassignPacket;
+exports.unassignPacket = unassignPacket;
+exports.autoAssignPacket = autoAssignPacket;
+exports.getCourierWorkloads = getCourierWorkloads;
+const assignment_service_1 = require("../services/assignment.service");
+const assignmentService = new assignment_service_1.AssignmentService();
+function respond(res, next, action) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const packet = yield action();
+            res.status(200).json(packet);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/assign:
+ *   post:
+ *     summary: Assign an unassigned packet to a courier
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               courierId:
+ *                 type: string
+ *             required:
+ *               - courierId
+ *     responses:
+ *       200:
+ *         description: The assigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet already assigned or closed, or courier not available
+ */
+function assignPacket(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield respond(res, next, () => { var _a, _b; return assignmentService.assignPacket(req.params.id, req.body.courierId, (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString()); });
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/reassign:
+ *   post:
+ *     summary: Move an assigned packet to another courier
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               courierId:
+ *                 type: string
+ *             required:
+ *               - courierId
+ *     responses:
+ *       200:
+ *         description: The reassigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet not assigned or closed, or courier not available
+ */
+function reassignPacket(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield respond(res, next, () => { var _a, _b; return assignmentService.reassignPacket(req.params.id, req.body.courierId, (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString()); });
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/unassign:
+ *   post:
+ *     summary: Remove the courier of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: The unassigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet is not assigned
+ */
+function unassignPacket(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield respond(res, next, () => assignmentService.unassignPacket(req.params.id));
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/auto-assign:
+ *   post:
+ *     summary: Assign a packet to the available courier with the fewest open packets
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: The assigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet already assigned or closed, or no courier available
+ */
+function autoAssignPacket(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield respond(res, next, () => { var _a, _b; return assignmentService.autoAssignPacket(req.params.id, (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString()); });
+    });
+}
+/**
+ * @swagger
+ * /api/users/couriers/workload:
+ *   get:
+ *     summary: Get the open packet count of every available courier
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Couriers, least busy first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   openPackets:
+ *                     type: integer
+ */
+function getCourierWorkloads(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const workloads = yield assignmentService.getCourierWorkloads();
+            res.status(200).json(workloads);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
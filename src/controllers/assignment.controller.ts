@@ -0,0 +1,202 @@
+import { NextFunction, Request, Response } from 'express';
+import { AssignmentService } from '../services/assignment.service';
+import { IPacket } from '../models/packet';
+
+const assignmentService = new AssignmentService();
+
+async function respond(res: Response, next: NextFunction, action: () => Promise<IPacket>): Promise<void> {
+    try {
+        const packet = await action();
+        res.status(200).json(packet);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/assign:
+ *   post:
+ *     summary: Assign an unassigned packet to a courier
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               courierId:
+ *                 type: string
+ *             required:
+ *               - courierId
+ *     responses:
+ *       200:
+ *         description: The assigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet already assigned or closed, or courier not available
+ */
+export async function assignPacket(req: Request, res: Response, next: NextFunction): Promise<void> {
+    await respond(
+        res,
+        next,
+        () => assignmentService.assignPacket(req.params.id, req.body.courierId, req.user?._id?.toString())
+    );
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/reassign:
+ *   post:
+ *     summary: Move an assigned packet to another courier
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               courierId:
+ *                 type: string
+ *             required:
+ *               - courierId
+ *     responses:
+ *       200:
+ *         description: The reassigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet not assigned or closed, or courier not available
+ */
+export async function reassignPacket(req: Request, res: Response, next: NextFunction): Promise<void> {
+    await respond(
+        res,
+        next,
+        () => assignmentService.reassignPacket(req.params.id, req.body.courierId, req.user?._id?.toString())
+    );
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/unassign:
+ *   post:
+ *     summary: Remove the courier of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: The unassigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet is not assigned
+ */
+export async function unassignPacket(req: Request, res: Response, next: NextFunction): Promise<void> {
+    await respond(
+        res,
+        next,
+        () => assignmentService.unassignPacket(req.params.id)
+    );
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/auto-assign:
+ *   post:
+ *     summary: Assign a packet to the available courier with the fewest open packets
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: The assigned packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: Packet already assigned or closed, or no courier available
+ */
+export async function autoAssignPacket(req: Request, res: Response, next: NextFunction): Promise<void> {
+    await respond(
+        res,
+        next,
+        () => assignmentService.autoAssignPacket(req.params.id, req.user?._id?.toString())
+    );
+}
+
+/**
+ * @swagger
+ * /api/users/couriers/workload:
+ *   get:
+ *     summary: Get the open packet count of every available courier
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Couriers, least busy first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   openPackets:
+ *                     type: integer
+ */
+export async function getCourierWorkloads(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const workloads = await assignmentService.getCourierWorkloads();
+        res.status(200).json(workloads);
+    } catch (error) {
+        next(error);
+    }
+}
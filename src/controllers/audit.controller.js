@@ -0,0 +1,106 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getAuditLogs = getAuditLogs;
+const audit_service_1 = require("../services/audit.service");
+const auditService = new audit_service_1.AuditService();
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Trail of every change made through the API (admins only)
+ */
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit log entries, newest first
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [users, packets, messages]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: ID of the changed document
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries created at or before this date
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalEntries:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Invalid filter
+ */
+function getAuditLogs(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const { actor, action, targetType, targetId, from, to } = req.query;
+            const entries = yield auditService.getAuditLogs(page, limit, { actor, action, targetType, targetId, from, to });
+            res.status(200).json(entries);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
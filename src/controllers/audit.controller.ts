@@ -0,0 +1,96 @@
+import { NextFunction, Request, Response } from 'express';
+import { AuditService } from '../services/audit.service';
+
+const auditService = new AuditService();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Trail of every change made through the API (admins only)
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit log entries, newest first
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of entries per page
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [users, packets, messages]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: ID of the changed document
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries created at or before this date
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalEntries:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Invalid filter
+ */
+export async function getAuditLogs(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const page = parseInt(req.query.page as string) || 1;
+        const limit = Math.min(parseInt(req.query.limit as string) || 20, 100);
+        const { actor, action, targetType, targetId, from, to } = req.query as Record<string, string | undefined>;
+
+        const entries = await auditService.getAuditLogs(page, limit, { actor, action, targetType, targetId, from, to });
+        res.status(200).json(entries);
+    } catch (error) {
+        next(error);
+    }
+}
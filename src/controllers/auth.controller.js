@@ -0,0 +1,147 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.login = login;
+exports.refresh = refresh;
+exports.logout = logout;
+const auth_service_1 = require("../services/auth.service");
+const authService = new auth_service_1.AuthService();
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Login and token management
+ */
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *             required:
+ *               - email
+ *               - password
+ *     responses:
+ *       200:
+ *         description: Access and refresh tokens for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Email or password missing or not strings
+ *       401:
+ *         description: Invalid email or password
+ *       429:
+ *         description: Too many attempts from this IP, retry after the seconds in the Retry-After header
+ */
+function login(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { email, password } = req.body;
+            const result = yield authService.login(email, password);
+            res.status(200).json(result);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required:
+ *               - refreshToken
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Refresh token missing or not a string
+ *       401:
+ *         description: Invalid, revoked or expired refresh token
+ */
+function refresh(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { refreshToken } = req.body;
+            const tokens = yield authService.refresh(refreshToken);
+            res.status(200).json(tokens);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required:
+ *               - refreshToken
+ *     responses:
+ *       204:
+ *         description: The refresh token was revoked
+ *       400:
+ *         description: Refresh token missing or not a string
+ */
+function logout(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { refreshToken } = req.body;
+            yield authService.logout(refreshToken);
+            res.status(204).send();
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
@@ -0,0 +1,130 @@
+import { NextFunction, Request, Response } from 'express';
+import { AuthService } from '../services/auth.service';
+
+const authService = new AuthService();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Login and token management
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *             required:
+ *               - email
+ *               - password
+ *     responses:
+ *       200:
+ *         description: Access and refresh tokens for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Email or password missing or not strings
+ *       401:
+ *         description: Invalid email or password
+ *       429:
+ *         description: Too many attempts from this IP, retry after the seconds in the Retry-After header
+ */
+export async function login(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { email, password } = req.body;
+        const result = await authService.login(email, password);
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required:
+ *               - refreshToken
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Refresh token missing or not a string
+ *       401:
+ *         description: Invalid, revoked or expired refresh token
+ */
+export async function refresh(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { refreshToken } = req.body;
+        const tokens = await authService.refresh(refreshToken);
+        res.status(200).json(tokens);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required:
+ *               - refreshToken
+ *     responses:
+ *       204:
+ *         description: The refresh token was revoked
+ *       400:
+ *         description: Refresh token missing or not a string
+ */
+export async function logout(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { refreshToken } = req.body;
+        await authService.logout(refreshToken);
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+}
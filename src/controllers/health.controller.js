@@ -0,0 +1,74 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.live = live;
+exports.ready = ready;
+const database_1 = require("../database");
+const shutdown_1 = require("../shutdown");
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Probes for load balancers and orchestrators
+ */
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe, answers while the process can serve requests
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The process is up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+function live(req, res) {
+    res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+}
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe, whether the instance should receive traffic
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: MongoDB answers and the instance is not shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: MongoDB is unreachable or the instance is shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+function ready(req, res) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const shuttingDown = (0, shutdown_1.isShuttingDown)();
+        const mongodb = yield (0, database_1.isDatabaseReady)();
+        const isReady = mongodb && !shuttingDown;
+        res.status(isReady ? 200 : 503).json({
+            status: isReady ? 'ok' : 'unavailable',
+            checks: {
+                mongodb: mongodb ? 'up' : 'down',
+                shuttingDown
+            }
+        });
+    });
+}
@@ -0,0 +1,64 @@
+import { Request, Response } from 'express';
+import { isDatabaseReady } from '../database';
+import { isShuttingDown } from '../shutdown';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Probes for load balancers and orchestrators
+ */
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe, answers while the process can serve requests
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The process is up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+export function live(req: Request, res: Response): void {
+    res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+}
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe, whether the instance should receive traffic
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: MongoDB answers and the instance is not shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: MongoDB is unreachable or the instance is shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+export async function ready(req: Request, res: Response): Promise<void> {
+    const shuttingDown = isShuttingDown();
+    const mongodb = await isDatabaseReady();
+    const isReady = mongodb && !shuttingDown;
+
+    res.status(isReady ? 200 : 503).json({
+        status: isReady ? 'ok' : 'unavailable',
+        checks: {
+            mongodb: mongodb ? 'up' : 'down',
+            shuttingDown
+        }
+    });
+}
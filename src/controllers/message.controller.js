@@ -8,13 +8,26 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.sendMessage = sendMessage;
 exports.getMessagesBetweenUsers = getMessagesBetweenUsers;
+exports.getConversations = getConversations;
 exports.updateMessage = updateMessage;
 exports.deleteMessage = deleteMessage;
+exports.restoreMessage = restoreMessage;
+exports.markAsRead = markAsRead;
+exports.markConversationAsRead = markConversationAsRead;
+exports.streamMessages = streamMessages;
 const message_service_1 = require("../services/message.service");
+const messageStream_service_1 = __importDefault(require("../services/messageStream.service"));
 const messageService = new message_service_1.MessageService();
+function currentUserId(req) {
+    return req.user._id.toString();
+}
+const HEARTBEAT_INTERVAL_MS = 25000;
 /**
  * @swagger
  * tags:
@@ -23,18 +36,12 @@ const messageService = new message_service_1.MessageService();
  */
 /**
  * @swagger
- * /api/messages/{senderId}/{receiverId}:
+ * /api/messages/{receiverId}:
  *   post:
- *     summary: Envía un mensaje entre usuarios
+ *     summary: Envía un mensaje del usuario autenticado a otro usuario
  *     tags: [Messages]
  *     parameters:
  *       - in: path
- *         name: senderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID del usuario remitente
- *       - in: path
  *         name: receiverId
  *         required: true
  *         schema:
@@ -59,93 +66,143 @@ const messageService = new message_service_1.MessageService();
  *         description: Error en los datos proporcionados
  *       404:
  *         description: Usuario no encontrado
+ *       429:
+ *         description: Demasiados mensajes seguidos o el mismo mensaje repetido; la cabecera Retry-After indica cuántos segundos esperar
  */
-function sendMessage(req, res) {
+function sendMessage(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            const { senderId, receiverId } = req.params;
+            const { receiverId } = req.params;
             const { content } = req.body;
-            const message = yield messageService.sendMessage(senderId, receiverId, content);
+            const message = yield messageService.sendMessage(currentUserId(req), receiverId, content);
             res.status(201).json(message);
         }
         catch (error) {
-            if (error instanceof Error) {
-                if (error.message.includes('no encontrado')) {
-                    res.status(404).json({ error: error.message });
-                }
-                else {
-                    res.status(400).json({ error: error.message });
-                }
-            }
-            else {
-                res.status(500).json({ error: 'Error desconocido' });
-            }
+            next(error);
         }
     });
 }
 /**
  * @swagger
- * /api/messages/{userId1}/{userId2}:
+ * /api/messages/{userId}:
  *   get:
- *     summary: Obtiene todos los mensajes entre dos usuarios
+ *     summary: Obtiene la conversación entre el usuario autenticado y otro usuario
  *     tags: [Messages]
  *     parameters:
  *       - in: path
- *         name: userId1
+ *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID del primer usuario
- *       - in: path
- *         name: userId2
- *         required: true
+ *         description: ID del otro usuario de la conversación
+ *       - in: query
+ *         name: before
  *         schema:
  *           type: string
- *         description: ID del segundo usuario
+ *         description: Devuelve mensajes anteriores a este ID de mensaje o fecha ISO
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Devuelve mensajes posteriores a este ID de mensaje o fecha ISO
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Lista de mensajes entre los usuarios
+ *         description: Página de mensajes, más recientes primero
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Message'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 limit:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Valor de `before` para la página de mensajes más antiguos
+ *                 prevCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Valor de `after` para la página de mensajes más recientes
  *       400:
- *         description: IDs de usuario inválidos
- *       404:
- *         description: No se encontraron mensajes
+ *         description: ID de usuario o cursor inválido
  */
-function getMessagesBetweenUsers(req, res) {
+function getMessagesBetweenUsers(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            const { userId1, userId2 } = req.params;
-            const messages = yield messageService.getMessagesBetweenUsers(userId1, userId2);
-            if (messages.length === 0) {
-                res.status(404).json({ message: 'No se encontraron mensajes entre estos usuarios' });
-                return;
-            }
-            res.status(200).json(messages);
+            const { userId } = req.params;
+            const { before, after } = req.query;
+            const limit = parseInt(req.query.limit) || undefined;
+            const page = yield messageService.getMessagesBetweenUsers(currentUserId(req), userId, { before, after, limit });
+            res.status(200).json(page);
         }
         catch (error) {
-            if (error instanceof Error) {
-                if (error.message.includes('inválido')) {
-                    res.status(400).json({ error: error.message });
-                }
-                else {
-                    res.status(500).json({ error: error.message });
-                }
-            }
-            else {
-                res.status(500).json({ error: 'Error desconocido al obtener mensajes' });
-            }
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/messages/conversations:
+ *   get:
+ *     summary: Lista las conversaciones del usuario autenticado
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Conversaciones ordenadas por el mensaje más reciente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalConversations:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ */
+function getConversations(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 10;
+            const conversations = yield messageService.getConversations(currentUserId(req), page, limit);
+            res.status(200).json(conversations);
+        }
+        catch (error) {
+            next(error);
         }
     });
 }
 /**
  * @swagger
  * /api/messages/{messageId}:
- *   patch:
+ *   put:
  *     summary: Actualiza el contenido de un mensaje
  *     tags: [Messages]
  *     parameters:
@@ -165,12 +222,8 @@ function getMessagesBetweenUsers(req, res) {
  *               content:
  *                 type: string
  *                 description: Nuevo contenido del mensaje
- *               senderId:
- *                 type: string
- *                 description: ID del remitente (para validación)
  *             required:
  *               - content
- *               - senderId
  *     responses:
  *       200:
  *         description: Mensaje actualizado correctamente
@@ -185,36 +238,16 @@ function getMessagesBetweenUsers(req, res) {
  *       404:
  *         description: Mensaje no encontrado
  */
-function updateMessage(req, res) {
+function updateMessage(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const { messageId } = req.params;
-            const { content, senderId } = req.body;
-            if (!content || !senderId) {
-                res.status(400).json({ error: 'content y senderId son requeridos' });
-                return;
-            }
-            const updatedMessage = yield messageService.updateMessage(messageId, content, senderId);
+            const { content } = req.body;
+            const updatedMessage = yield messageService.updateMessage(messageId, content, currentUserId(req));
             res.status(200).json(updatedMessage);
         }
         catch (error) {
-            if (error instanceof Error) {
-                if (error.message.includes('inválido')) {
-                    res.status(400).json({ error: error.message });
-                }
-                else if (error.message.includes('no tienes permiso')) {
-                    res.status(403).json({ error: error.message });
-                }
-                else if (error.message.includes('no encontrado')) {
-                    res.status(404).json({ error: error.message });
-                }
-                else {
-                    res.status(500).json({ error: error.message });
-                }
-            }
-            else {
-                res.status(500).json({ error: 'Error desconocido al actualizar mensaje' });
-            }
+            next(error);
         }
     });
 }
@@ -222,7 +255,7 @@ function updateMessage(req, res) {
  * @swagger
  * /api/messages/{messageId}:
  *   delete:
- *     summary: Elimina un mensaje permanentemente
+ *     summary: Envía un mensaje a la papelera; se puede restaurar hasta que se purgue
  *     tags: [Messages]
  *     parameters:
  *       - in: path
@@ -231,18 +264,6 @@ function updateMessage(req, res) {
  *         schema:
  *           type: string
  *         description: ID del mensaje a eliminar
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               senderId:
- *                 type: string
- *                 description: ID del remitente (para validación)
- *             required:
- *               - senderId
  *     responses:
  *       200:
  *         description: Mensaje eliminado correctamente
@@ -257,36 +278,227 @@ function updateMessage(req, res) {
  *       404:
  *         description: Mensaje no encontrado
  */
-function deleteMessage(req, res) {
+function deleteMessage(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const { messageId } = req.params;
-            const { senderId } = req.body;
-            if (!senderId) {
-                res.status(400).json({ error: 'senderId es requerido' });
-                return;
-            }
-            const deletedMessage = yield messageService.deleteMessage(messageId, senderId);
+            const deletedMessage = yield messageService.deleteMessage(messageId, currentUserId(req));
             res.status(200).json(deletedMessage);
         }
         catch (error) {
-            if (error instanceof Error) {
-                if (error.message.includes('inválido')) {
-                    res.status(400).json({ error: error.message });
-                }
-                else if (error.message.includes('no tienes permiso')) {
-                    res.status(403).json({ error: error.message });
-                }
-                else if (error.message.includes('no encontrado')) {
-                    res.status(404).json({ error: error.message });
-                }
-                else {
-                    res.status(500).json({ error: error.message });
-                }
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/messages/{messageId}/restore:
+ *   post:
+ *     summary: Restaura un mensaje eliminado que aún no se ha purgado
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del mensaje a restaurar
+ *     responses:
+ *       200:
+ *         description: Mensaje restaurado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Error en los datos proporcionados
+ *       403:
+ *         description: No tienes permiso para restaurar este mensaje
+ *       404:
+ *         description: Mensaje eliminado no encontrado
+ */
+function restoreMessage(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { messageId } = req.params;
+            const restoredMessage = yield messageService.restoreMessage(messageId, currentUserId(req));
+            res.status(200).json(restoredMessage);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/messages/{messageId}/read:
+ *   put:
+ *     summary: Marca como leído un mensaje recibido
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del mensaje
+ *     responses:
+ *       200:
+ *         description: Mensaje marcado como leído
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: ID de mensaje inválido
+ *       403:
+ *         description: Solo el destinatario puede marcar el mensaje como leído
+ *       404:
+ *         description: Mensaje no encontrado
+ */
+function markAsRead(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { messageId } = req.params;
+            const message = yield messageService.markAsRead(messageId, currentUserId(req));
+            res.status(200).json(message);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/messages/conversations/{userId}/read:
+ *   put:
+ *     summary: Marca como leídos los mensajes recibidos de otro usuario
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del otro usuario de la conversación
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: string
+ *                 description: ID del último mensaje a marcar (incluido). Si no se indica se marcan todos
+ *     responses:
+ *       200:
+ *         description: Mensajes marcados como leídos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated:
+ *                   type: integer
+ *                 readAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: IDs inválidos
+ *       404:
+ *         description: El mensaje no pertenece a la conversación
+ */
+function markConversationAsRead(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { userId } = req.params;
+            const { upTo } = req.body || {};
+            const result = yield messageService.markConversationAsRead(currentUserId(req), userId, upTo);
+            res.status(200).json(result);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/messages/stream:
+ *   get:
+ *     summary: Recibe en tiempo real los mensajes nuevos, editados y eliminados (Server-Sent Events)
+ *     description: |
+ *       Cada evento SSE tiene como `event` el tipo de cambio (`created`, `updated`, `deleted`, `restored` o `read`),
+ *       donde `read` indica que el destinatario ha leído ese mensaje y todos los anteriores de la conversación,
+ *       como `id` el identificador del evento y como `data` el mensaje en JSON.
+ *       Al reconectar, el navegador envía la cabecera `Last-Event-ID` y se reenvían los eventos perdidos.
+ *       EventSource no permite cabeceras, así que el token se puede pasar en `access_token`.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Token de acceso, si no se envía la cabecera Authorization
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Último evento recibido, alternativa a la cabecera Last-Event-ID
+ *     responses:
+ *       200:
+ *         description: Flujo text/event-stream abierto
+ *       401:
+ *         description: Token inválido o ausente
+ */
+function streamMessages(req, res) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const userId = currentUserId(req);
+        const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        const write = (event) => {
+            res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.message)}\n\n`);
+        };
+        // Se escucha antes de leer los eventos perdidos para no perder los que lleguen mientras tanto
+        const pending = [];
+        let replaying = true;
+        const unsubscribe = messageStream_service_1.default.subscribe(userId, (event) => {
+            if (replaying) {
+                pending.push(event);
             }
             else {
-                res.status(500).json({ error: 'Error desconocido al eliminar mensaje' });
+                write(event);
+            }
+        });
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        const removeOnClose = messageStream_service_1.default.onClose(() => res.end());
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            removeOnClose();
+        });
+        const replayed = new Set();
+        try {
+            if (lastEventId) {
+                const missed = yield messageStream_service_1.default.getEventsSince(userId, lastEventId);
+                missed.forEach((event) => {
+                    replayed.add(event._id.toString());
+                    write(event);
+                });
             }
         }
+        catch (error) {
+            console.error('Error recuperando eventos de mensajes:', error);
+        }
+        replaying = false;
+        pending
+            .filter((event) => !replayed.has(event._id.toString()))
+            .forEach(write);
     });
 }
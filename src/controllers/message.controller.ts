@@ -1,9 +1,17 @@
-import { Request, Response } from 'express';
+import { NextFunction, Request, Response } from 'express';
 import { MessageService } from '../services/message.service';
 import { IUser } from '../models/user';
+import { IMessageEvent } from '../models/messageEvent';
+import messageStream from '../services/messageStream.service';
 
 const messageService = new MessageService();
 
+function currentUserId(req: Request): string {
+    return (req.user as IUser)._id!.toString();
+}
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
 /**
  * @swagger
  * tags:
@@ -13,18 +21,12 @@ const messageService = new MessageService();
 
 /**
  * @swagger
- * /api/messages/{senderId}/{receiverId}:
+ * /api/messages/{receiverId}:
  *   post:
- *     summary: Envía un mensaje entre usuarios
+ *     summary: Envía un mensaje del usuario autenticado a otro usuario
  *     tags: [Messages]
  *     parameters:
  *       - in: path
- *         name: senderId
- *         required: true
- *         schema:
- *           type: string
- *         description: ID del usuario remitente
- *       - in: path
  *         name: receiverId
  *         required: true
  *         schema:
@@ -49,92 +51,145 @@ const messageService = new MessageService();
  *         description: Error en los datos proporcionados
  *       404:
  *         description: Usuario no encontrado
+ *       429:
+ *         description: Demasiados mensajes seguidos o el mismo mensaje repetido; la cabecera Retry-After indica cuántos segundos esperar
  */
-export async function sendMessage(req: Request, res: Response): Promise<void> {
+export async function sendMessage(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
-        const { senderId, receiverId } = req.params;
+        const { receiverId } = req.params;
         const { content } = req.body;
 
         const message = await messageService.sendMessage(
-            senderId,
+            currentUserId(req),
             receiverId,
             content
         );
 
         res.status(201).json(message);
     } catch (error) {
-        if (error instanceof Error) {
-            if (error.message.includes('no encontrado')) {
-                res.status(404).json({ error: error.message });
-            } else {
-                res.status(400).json({ error: error.message });
-            }
-        } else {
-            res.status(500).json({ error: 'Error desconocido' });
-        }
+        next(error);
     }
 }
 /**
  * @swagger
- * /api/messages/{userId1}/{userId2}:
+ * /api/messages/{userId}:
  *   get:
- *     summary: Obtiene todos los mensajes entre dos usuarios
+ *     summary: Obtiene la conversación entre el usuario autenticado y otro usuario
  *     tags: [Messages]
  *     parameters:
  *       - in: path
- *         name: userId1
+ *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID del primer usuario
- *       - in: path
- *         name: userId2
- *         required: true
+ *         description: ID del otro usuario de la conversación
+ *       - in: query
+ *         name: before
  *         schema:
  *           type: string
- *         description: ID del segundo usuario
+ *         description: Devuelve mensajes anteriores a este ID de mensaje o fecha ISO
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Devuelve mensajes posteriores a este ID de mensaje o fecha ISO
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Lista de mensajes entre los usuarios
+ *         description: Página de mensajes, más recientes primero
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Message'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Message'
+ *                 limit:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Valor de `before` para la página de mensajes más antiguos
+ *                 prevCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Valor de `after` para la página de mensajes más recientes
  *       400:
- *         description: IDs de usuario inválidos
- *       404:
- *         description: No se encontraron mensajes
+ *         description: ID de usuario o cursor inválido
  */
-export async function getMessagesBetweenUsers(req: Request, res: Response): Promise<void> {
+export async function getMessagesBetweenUsers(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
-        const { userId1, userId2 } = req.params;
-        
-        const messages = await messageService.getMessagesBetweenUsers(userId1, userId2);
+        const { userId } = req.params;
+        const { before, after } = req.query as { before?: string; after?: string };
+        const limit = parseInt(req.query.limit as string) || undefined;
         
-        if (messages.length === 0) {
-            res.status(404).json({ message: 'No se encontraron mensajes entre estos usuarios' });
-            return;
-        }
+        const page = await messageService.getMessagesBetweenUsers(currentUserId(req), userId, { before, after, limit });
         
-        res.status(200).json(messages);
+        res.status(200).json(page);
     } catch (error) {
-        if (error instanceof Error) {
-            if (error.message.includes('inválido')) {
-                res.status(400).json({ error: error.message });
-            } else {
-                res.status(500).json({ error: error.message });
-            }
-        } else {
-            res.status(500).json({ error: 'Error desconocido al obtener mensajes' });
-        }
+        next(error);
     }
 }
+/**
+ * @swagger
+ * /api/messages/conversations:
+ *   get:
+ *     summary: Lista las conversaciones del usuario autenticado
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Conversaciones ordenadas por el mensaje más reciente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalConversations:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ */
+export async function getConversations(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const page = parseInt(req.query.page as string) || 1;
+        const limit = parseInt(req.query.limit as string) || 10;
+
+        const conversations = await messageService.getConversations(currentUserId(req), page, limit);
+
+        res.status(200).json(conversations);
+    } catch (error) {
+        next(error);
+    }
+}
+
 /**
  * @swagger
  * /api/messages/{messageId}:
- *   patch:
+ *   put:
  *     summary: Actualiza el contenido de un mensaje
  *     tags: [Messages]
  *     parameters:
@@ -154,12 +209,8 @@ export async function getMessagesBetweenUsers(req: Request, res: Response): Prom
  *               content:
  *                 type: string
  *                 description: Nuevo contenido del mensaje
- *               senderId:
- *                 type: string
- *                 description: ID del remitente (para validación)
  *             required:
  *               - content
- *               - senderId
  *     responses:
  *       200:
  *         description: Mensaje actualizado correctamente
@@ -174,37 +225,20 @@ export async function getMessagesBetweenUsers(req: Request, res: Response): Prom
  *       404:
  *         description: Mensaje no encontrado
  */
-export async function updateMessage(req: Request, res: Response): Promise<void> {
+export async function updateMessage(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const { messageId } = req.params;
-        const { content, senderId } = req.body;
-
-        if (!content || !senderId) {
-            res.status(400).json({ error: 'content y senderId son requeridos' });
-            return;
-        }
+        const { content } = req.body;
 
         const updatedMessage = await messageService.updateMessage(
             messageId,
             content,
-            senderId
+            currentUserId(req)
         );
 
         res.status(200).json(updatedMessage);
     } catch (error) {
-        if (error instanceof Error) {
-            if (error.message.includes('inválido')) {
-                res.status(400).json({ error: error.message });
-            } else if (error.message.includes('no tienes permiso')) {
-                res.status(403).json({ error: error.message });
-            } else if (error.message.includes('no encontrado')) {
-                res.status(404).json({ error: error.message });
-            } else {
-                res.status(500).json({ error: error.message });
-            }
-        } else {
-            res.status(500).json({ error: 'Error desconocido al actualizar mensaje' });
-        }
+        next(error);
     }
 }
 
@@ -212,7 +246,7 @@ export async function updateMessage(req: Request, res: Response): Promise<void>
  * @swagger
  * /api/messages/{messageId}:
  *   delete:
- *     summary: Elimina un mensaje permanentemente
+ *     summary: Envía un mensaje a la papelera; se puede restaurar hasta que se purgue
  *     tags: [Messages]
  *     parameters:
  *       - in: path
@@ -221,18 +255,6 @@ export async function updateMessage(req: Request, res: Response): Promise<void>
  *         schema:
  *           type: string
  *         description: ID del mensaje a eliminar
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               senderId:
- *                 type: string
- *                 description: ID del remitente (para validación)
- *             required:
- *               - senderId
  *     responses:
  *       200:
  *         description: Mensaje eliminado correctamente
@@ -247,35 +269,236 @@ export async function updateMessage(req: Request, res: Response): Promise<void>
  *       404:
  *         description: Mensaje no encontrado
  */
-export async function deleteMessage(req: Request, res: Response): Promise<void> {
+export async function deleteMessage(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const { messageId } = req.params;
-        const { senderId } = req.body;
-
-        if (!senderId) {
-            res.status(400).json({ error: 'senderId es requerido' });
-            return;
-        }
 
         const deletedMessage = await messageService.deleteMessage(
             messageId,
-            senderId
+            currentUserId(req)
         );
 
         res.status(200).json(deletedMessage);
     } catch (error) {
-        if (error instanceof Error) {
-            if (error.message.includes('inválido')) {
-                res.status(400).json({ error: error.message });
-            } else if (error.message.includes('no tienes permiso')) {
-                res.status(403).json({ error: error.message });
-            } else if (error.message.includes('no encontrado')) {
-                res.status(404).json({ error: error.message });
-            } else {
-                res.status(500).json({ error: error.message });
-            }
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/restore:
+ *   post:
+ *     summary: Restaura un mensaje eliminado que aún no se ha purgado
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del mensaje a restaurar
+ *     responses:
+ *       200:
+ *         description: Mensaje restaurado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Error en los datos proporcionados
+ *       403:
+ *         description: No tienes permiso para restaurar este mensaje
+ *       404:
+ *         description: Mensaje eliminado no encontrado
+ */
+export async function restoreMessage(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { messageId } = req.params;
+
+        const restoredMessage = await messageService.restoreMessage(
+            messageId,
+            currentUserId(req)
+        );
+
+        res.status(200).json(restoredMessage);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/read:
+ *   put:
+ *     summary: Marca como leído un mensaje recibido
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del mensaje
+ *     responses:
+ *       200:
+ *         description: Mensaje marcado como leído
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: ID de mensaje inválido
+ *       403:
+ *         description: Solo el destinatario puede marcar el mensaje como leído
+ *       404:
+ *         description: Mensaje no encontrado
+ */
+export async function markAsRead(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { messageId } = req.params;
+
+        const message = await messageService.markAsRead(messageId, currentUserId(req));
+
+        res.status(200).json(message);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/messages/conversations/{userId}/read:
+ *   put:
+ *     summary: Marca como leídos los mensajes recibidos de otro usuario
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del otro usuario de la conversación
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: string
+ *                 description: ID del último mensaje a marcar (incluido). Si no se indica se marcan todos
+ *     responses:
+ *       200:
+ *         description: Mensajes marcados como leídos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated:
+ *                   type: integer
+ *                 readAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: IDs inválidos
+ *       404:
+ *         description: El mensaje no pertenece a la conversación
+ */
+export async function markConversationAsRead(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { userId } = req.params;
+        const { upTo } = req.body || {};
+
+        const result = await messageService.markConversationAsRead(currentUserId(req), userId, upTo);
+
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/messages/stream:
+ *   get:
+ *     summary: Recibe en tiempo real los mensajes nuevos, editados y eliminados (Server-Sent Events)
+ *     description: |
+ *       Cada evento SSE tiene como `event` el tipo de cambio (`created`, `updated`, `deleted`, `restored` o `read`),
+ *       donde `read` indica que el destinatario ha leído ese mensaje y todos los anteriores de la conversación,
+ *       como `id` el identificador del evento y como `data` el mensaje en JSON.
+ *       Al reconectar, el navegador envía la cabecera `Last-Event-ID` y se reenvían los eventos perdidos.
+ *       EventSource no permite cabeceras, así que el token se puede pasar en `access_token`.
+ *     tags: [Messages]
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Token de acceso, si no se envía la cabecera Authorization
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Último evento recibido, alternativa a la cabecera Last-Event-ID
+ *     responses:
+ *       200:
+ *         description: Flujo text/event-stream abierto
+ *       401:
+ *         description: Token inválido o ausente
+ */
+export async function streamMessages(req: Request, res: Response): Promise<void> {
+    const userId = currentUserId(req);
+    const lastEventId = req.header('Last-Event-ID') || (req.query.lastEventId as string | undefined);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const write = (event: IMessageEvent) => {
+        res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.message)}\n\n`);
+    };
+
+    // Se escucha antes de leer los eventos perdidos para no perder los que lleguen mientras tanto
+    const pending: IMessageEvent[] = [];
+    let replaying = true;
+    const unsubscribe = messageStream.subscribe(userId, (event) => {
+        if (replaying) {
+            pending.push(event);
         } else {
-            res.status(500).json({ error: 'Error desconocido al eliminar mensaje' });
+            write(event);
+        }
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+    const removeOnClose = messageStream.onClose(() => res.end());
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        removeOnClose();
+    });
+
+    const replayed = new Set<string>();
+    try {
+        if (lastEventId) {
+            const missed = await messageStream.getEventsSince(userId, lastEventId);
+            missed.forEach((event) => {
+                replayed.add(event._id.toString());
+                write(event);
+            });
         }
+    } catch (error) {
+        console.error('Error recuperando eventos de mensajes:', error);
     }
+
+    replaying = false;
+    pending
+        .filter((event) => !replayed.has(event._id.toString()))
+        .forEach(write);
 }
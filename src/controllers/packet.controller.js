@@ -8,12 +8,28 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.postPacket = postPacket;
 exports.getAllPackets = getAllPackets;
 exports.getPacketById = getPacketById;
 exports.updatePacketById = updatePacketById;
+exports.getPacketEvents = getPacketEvents;
+exports.getPacketsNearby = getPacketsNearby;
+exports.updatePacketLocation = updatePacketLocation;
+exports.getPacketLocations = getPacketLocations;
 exports.deletePacketById = deletePacketById;
+exports.restorePacketById = restorePacketById;
 const packet_service_1 = require("../services/packet.service");
 const packetService = new packet_service_1.PacketService();
 /**
@@ -38,15 +54,16 @@ const packetService = new packet_service_1.PacketService();
  *       400:
  *         description: Error creating packet
  */
-function postPacket(req, res) {
+function postPacket(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
         try {
-            const packet = req.body;
-            const newPacket = yield packetService.postPacket(packet);
+            const _c = req.body, { note } = _c, packet = __rest(_c, ["note"]);
+            const newPacket = yield packetService.postPacket(packet, { actor: (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString(), note });
             res.status(201).json(newPacket);
         }
         catch (error) {
-            res.status(400).json({ message: "Error creating packet", error });
+            next(error);
         }
     });
 }
@@ -56,28 +73,90 @@ function postPacket(req, res) {
  *   get:
  *     summary: Get all packets
  *     tags: [Packets]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or a comma separated list, e.g. in_transit,out_for_delivery
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Only packets linked to this user ID
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Only packets assigned to this courier ID
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Free-text search over name and description
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields (name, status, createdAt, updatedAt, relevance), '-' prefix for descending
  *     responses:
  *       200:
- *         description: List of all packets
+ *         description: Page of packets
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Packet'
+ *               type: object
+ *               properties:
+ *                 totalPackets:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Packet'
  *       400:
- *         description: Error getting packets
+ *         description: Invalid filter or error getting packets
  */
-function getAllPackets(req, res) {
+function getAllPackets(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
+        var _a;
         try {
             const page = parseInt(req.query.page) || 1;
             const limit = parseInt(req.query.limit) || 10;
-            const packetsPaginated = yield packetService.getAllPackets(page, limit);
+            const { owner, assignedTo, createdFrom, createdTo, search, sort } = req.query;
+            const status = req.query.status;
+            // Customers only get the packets linked to their account
+            const scope = ((_a = req.user) === null || _a === void 0 ? void 0 : _a.role) === 'customer' ? { _id: { $in: req.user.packets } } : undefined;
+            const packetsPaginated = yield packetService.getAllPackets(page, limit, {
+                status, owner, assignedTo, createdFrom, createdTo, search, sort, scope
+            });
             res.status(200).json(packetsPaginated);
         }
         catch (error) {
-            res.status(400).json({ message: "Error getting packets", error });
+            next(error);
         }
     });
 }
@@ -104,7 +183,7 @@ function getAllPackets(req, res) {
  *       400:
  *         description: Error getting packet
  */
-function getPacketById(req, res) {
+function getPacketById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const id = req.params.id;
@@ -112,7 +191,7 @@ function getPacketById(req, res) {
             res.status(200).json(packet);
         }
         catch (error) {
-            res.status(400).json({ message: "Error getting packet", error });
+            next(error);
         }
     });
 }
@@ -144,17 +223,222 @@ function getPacketById(req, res) {
  *               $ref: '#/components/schemas/Packet'
  *       400:
  *         description: Error updating packet
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: The status change is not allowed from the current status, or delivery needs a proof first
  */
-function updatePacketById(req, res) {
+function updatePacketById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
         try {
             const id = req.params.id;
-            const packet = req.body;
-            const updatedPacket = yield packetService.updatePacketById(id, packet);
+            const _c = req.body, { note } = _c, packet = __rest(_c, ["note"]);
+            const updatedPacket = yield packetService.updatePacketById(id, packet, { actor: (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString(), note });
             res.status(200).json(updatedPacket);
         }
         catch (error) {
-            res.status(400).json({ message: "Error updating packet", error });
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/events:
+ *   get:
+ *     summary: Get the tracking history of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: Tracking events, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrackingEvent'
+ *       404:
+ *         description: Packet not found
+ *       400:
+ *         description: Error getting packet events
+ */
+function getPacketEvents(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const id = req.params.id;
+            const events = yield packetService.getPacketEvents(id);
+            res.status(200).json(events);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/nearby:
+ *   get:
+ *     summary: Get packets whose current location is within a radius of a point
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 5
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or a comma separated list
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Packets ordered by distance, each with distanceKm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Packet'
+ *       400:
+ *         description: Invalid coordinates or radius
+ */
+function getPacketsNearby(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const status = req.query.status;
+            const packets = yield packetService.getPacketsNearby({
+                longitude: parseFloat(req.query.lng),
+                latitude: parseFloat(req.query.lat),
+                radiusKm: req.query.radiusKm === undefined ? 5 : parseFloat(req.query.radiusKm),
+                limit: parseInt(req.query.limit) || undefined,
+                status
+            });
+            res.status(200).json(packets);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/location:
+ *   post:
+ *     summary: Report the current position of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               longitude:
+ *                 type: number
+ *               latitude:
+ *                 type: number
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the position was taken, defaults to now
+ *             required:
+ *               - longitude
+ *               - latitude
+ *     responses:
+ *       200:
+ *         description: The packet with its new location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       400:
+ *         description: Invalid coordinates
+ *       404:
+ *         description: Packet not found
+ */
+function updatePacketLocation(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
+        try {
+            const id = req.params.id;
+            const { longitude, latitude, recordedAt } = req.body;
+            const packet = yield packetService.updatePacketLocation(id, {
+                longitude,
+                latitude,
+                recordedAt,
+                courier: (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString()
+            });
+            res.status(200).json(packet);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/locations:
+ *   get:
+ *     summary: Get the location history of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: Reported positions, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LocationUpdate'
+ *       404:
+ *         description: Packet not found
+ */
+function getPacketLocations(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const id = req.params.id;
+            const locations = yield packetService.getPacketLocations(id);
+            res.status(200).json(locations);
+        }
+        catch (error) {
+            next(error);
         }
     });
 }
@@ -162,7 +446,8 @@ function updatePacketById(req, res) {
  * @swagger
  * /api/packets/{id}:
  *   delete:
- *     summary: Delete a packet by ID
+ *     summary: Move a packet to the trash
+ *     description: The packet is hidden until it is restored or purged after the retention period
  *     tags: [Packets]
  *     parameters:
  *       - in: path
@@ -180,8 +465,12 @@ function updatePacketById(req, res) {
  *               $ref: '#/components/schemas/Packet'
  *       400:
  *         description: Error deleting packet
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: The packet is picked up, in transit or out for delivery
  */
-function deletePacketById(req, res) {
+function deletePacketById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const id = req.params.id;
@@ -189,7 +478,43 @@ function deletePacketById(req, res) {
             res.status(200).json(deletedPacket);
         }
         catch (error) {
-            res.status(400).json({ message: "Error deleting packet", error });
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/restore:
+ *   post:
+ *     summary: Restore a packet from the trash
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: The restored packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       400:
+ *         description: Error restoring packet
+ *       404:
+ *         description: No deleted packet with this ID
+ */
+function restorePacketById(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const restoredPacket = yield packetService.restorePacketById(req.params.id);
+            res.status(200).json(restoredPacket);
+        }
+        catch (error) {
+            next(error);
         }
     });
 }
@@ -1,4 +1,4 @@
-import { Request, Response } from 'express';
+import { NextFunction, Request, Response } from 'express';
 import { IPacket } from '../models/packet';
 import { PacketService } from '../services/packet.service';
 
@@ -26,13 +26,13 @@ const packetService = new PacketService();
  *       400:
  *         description: Error creating packet
  */
-export async function postPacket(req: Request, res: Response): Promise<void> {
+export async function postPacket(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
-        const packet = req.body as IPacket;
-        const newPacket = await packetService.postPacket(packet);
+        const { note, ...packet } = req.body;
+        const newPacket = await packetService.postPacket(packet as IPacket, { actor: req.user?._id?.toString(), note });
         res.status(201).json(newPacket);
     } catch (error) {
-        res.status(400).json({ message: "Error creating packet", error });
+        next(error);
     }
 }
 
@@ -42,27 +42,90 @@ export async function postPacket(req: Request, res: Response): Promise<void> {
  *   get:
  *     summary: Get all packets
  *     tags: [Packets]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or a comma separated list, e.g. in_transit,out_for_delivery
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Only packets linked to this user ID
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Only packets assigned to this courier ID
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Free-text search over name and description
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields (name, status, createdAt, updatedAt, relevance), '-' prefix for descending
  *     responses:
  *       200:
- *         description: List of all packets
+ *         description: Page of packets
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Packet'
+ *               type: object
+ *               properties:
+ *                 totalPackets:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Packet'
  *       400:
- *         description: Error getting packets
+ *         description: Invalid filter or error getting packets
  */
-export async function getAllPackets(req: Request, res: Response): Promise<void> {
+export async function getAllPackets(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const page = parseInt(req.query.page as string) || 1;
         const limit = parseInt(req.query.limit as string) || 10;
         
-        const packetsPaginated = await packetService.getAllPackets(page, limit);
+        const { owner, assignedTo, createdFrom, createdTo, search, sort } = req.query as Record<string, string | undefined>;
+        const status = req.query.status as string[] | undefined;
+
+        // Customers only get the packets linked to their account
+        const scope = req.user?.role === 'customer' ? { _id: { $in: req.user.packets } } : undefined;
+
+        const packetsPaginated = await packetService.getAllPackets(page, limit, {
+            status, owner, assignedTo, createdFrom, createdTo, search, sort, scope
+        });
         res.status(200).json(packetsPaginated);
     } catch (error) {
-        res.status(400).json({ message: "Error getting packets", error });
+        next(error);
     }
 }
 
@@ -89,13 +152,13 @@ export async function getAllPackets(req: Request, res: Response): Promise<void>
  *       400:
  *         description: Error getting packet
  */
-export async function getPacketById(req: Request, res: Response): Promise<void> {
+export async function getPacketById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
         const packet = await packetService.getPacketById(id);
         res.status(200).json(packet);
     } catch (error) {
-        res.status(400).json({ message: "Error getting packet", error });
+        next(error);
     }
 }
 
@@ -127,15 +190,211 @@ export async function getPacketById(req: Request, res: Response): Promise<void>
  *               $ref: '#/components/schemas/Packet'
  *       400:
  *         description: Error updating packet
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: The status change is not allowed from the current status, or delivery needs a proof first
  */
-export async function updatePacketById(req: Request, res: Response): Promise<void> {
+export async function updatePacketById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
-        const packet = req.body as IPacket;
-        const updatedPacket = await packetService.updatePacketById(id, packet);
+        const { note, ...packet } = req.body;
+        const updatedPacket = await packetService.updatePacketById(id, packet as IPacket, { actor: req.user?._id?.toString(), note });
         res.status(200).json(updatedPacket);
     } catch (error) {
-        res.status(400).json({ message: "Error updating packet", error });
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/events:
+ *   get:
+ *     summary: Get the tracking history of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: Tracking events, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TrackingEvent'
+ *       404:
+ *         description: Packet not found
+ *       400:
+ *         description: Error getting packet events
+ */
+export async function getPacketEvents(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const id = req.params.id;
+        const events = await packetService.getPacketEvents(id);
+        res.status(200).json(events);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/nearby:
+ *   get:
+ *     summary: Get packets whose current location is within a radius of a point
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         required: true
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 5
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One status or a comma separated list
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Packets ordered by distance, each with distanceKm
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Packet'
+ *       400:
+ *         description: Invalid coordinates or radius
+ */
+export async function getPacketsNearby(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const status = req.query.status as string[] | undefined;
+
+        const packets = await packetService.getPacketsNearby({
+            longitude: parseFloat(req.query.lng as string),
+            latitude: parseFloat(req.query.lat as string),
+            radiusKm: req.query.radiusKm === undefined ? 5 : parseFloat(req.query.radiusKm as string),
+            limit: parseInt(req.query.limit as string) || undefined,
+            status
+        });
+        res.status(200).json(packets);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/location:
+ *   post:
+ *     summary: Report the current position of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               longitude:
+ *                 type: number
+ *               latitude:
+ *                 type: number
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the position was taken, defaults to now
+ *             required:
+ *               - longitude
+ *               - latitude
+ *     responses:
+ *       200:
+ *         description: The packet with its new location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       400:
+ *         description: Invalid coordinates
+ *       404:
+ *         description: Packet not found
+ */
+export async function updatePacketLocation(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const id = req.params.id;
+        const { longitude, latitude, recordedAt } = req.body;
+        const packet = await packetService.updatePacketLocation(id, {
+            longitude,
+            latitude,
+            recordedAt,
+            courier: req.user?._id?.toString()
+        });
+        res.status(200).json(packet);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/locations:
+ *   get:
+ *     summary: Get the location history of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: Reported positions, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LocationUpdate'
+ *       404:
+ *         description: Packet not found
+ */
+export async function getPacketLocations(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const id = req.params.id;
+        const locations = await packetService.getPacketLocations(id);
+        res.status(200).json(locations);
+    } catch (error) {
+        next(error);
     }
 }
 
@@ -143,7 +402,8 @@ export async function updatePacketById(req: Request, res: Response): Promise<voi
  * @swagger
  * /api/packets/{id}:
  *   delete:
- *     summary: Delete a packet by ID
+ *     summary: Move a packet to the trash
+ *     description: The packet is hidden until it is restored or purged after the retention period
  *     tags: [Packets]
  *     parameters:
  *       - in: path
@@ -161,13 +421,51 @@ export async function updatePacketById(req: Request, res: Response): Promise<voi
  *               $ref: '#/components/schemas/Packet'
  *       400:
  *         description: Error deleting packet
+ *       404:
+ *         description: Packet not found
+ *       409:
+ *         description: The packet is picked up, in transit or out for delivery
  */
-export async function deletePacketById(req: Request, res: Response): Promise<void> {
+export async function deletePacketById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
         const deletedPacket = await packetService.deletePacketById(id);
         res.status(200).json(deletedPacket);
     } catch (error) {
-        res.status(400).json({ message: "Error deleting packet", error });
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/restore:
+ *   post:
+ *     summary: Restore a packet from the trash
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: The restored packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Packet'
+ *       400:
+ *         description: Error restoring packet
+ *       404:
+ *         description: No deleted packet with this ID
+ */
+export async function restorePacketById(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const restoredPacket = await packetService.restorePacketById(req.params.id);
+        res.status(200).json(restoredPacket);
+    } catch (error) {
+        next(error);
     }
 }
\ No newline at end of file
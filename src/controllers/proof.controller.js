@@ -0,0 +1,157 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.addProof = addProof;
+exports.getProofs = getProofs;
+exports.downloadProof = downloadProof;
+const proof_service_1 = require("../services/proof.service");
+const proofService = new proof_service_1.ProofService();
+/**
+ * @swagger
+ * /api/packets/{id}/proof:
+ *   post:
+ *     summary: Attach a proof of delivery (photo or signature image) to a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [photo, signature]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP image, 5 MB at most by default
+ *             required:
+ *               - kind
+ *               - file
+ *     responses:
+ *       201:
+ *         description: The stored proof metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Proof'
+ *       400:
+ *         description: Missing file, wrong kind or unsupported file type
+ *       404:
+ *         description: Packet not found
+ *       413:
+ *         description: File too large
+ */
+function addProof(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
+        try {
+            const id = req.params.id;
+            const proof = yield proofService.addProof(id, req.body.kind, req.file, (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString());
+            res.status(201).json(proof);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/proof:
+ *   get:
+ *     summary: List the proofs of delivery of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: Proof metadata, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Proof'
+ *       404:
+ *         description: Packet not found
+ */
+function getProofs(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const proofs = yield proofService.getProofs(req.params.id);
+            res.status(200).json(proofs);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/packets/{id}/proof/{proofId}:
+ *   get:
+ *     summary: Download a proof of delivery
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *       - in: path
+ *         name: proofId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The proof ID
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Packet or proof not found
+ */
+function downloadProof(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { proof, stream } = yield proofService.getProofFile(req.params.id, req.params.proofId);
+            res.status(200).set({
+                'Content-Type': proof.mimeType,
+                'Content-Length': String(proof.size),
+                'Content-Disposition': `inline; filename="${encodeURIComponent(proof.originalName)}"`,
+                'X-Content-Type-Options': 'nosniff'
+            });
+            stream.on('error', () => res.destroy());
+            stream.pipe(res);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
@@ -0,0 +1,138 @@
+import { NextFunction, Request, Response } from 'express';
+import { ProofService } from '../services/proof.service';
+
+const proofService = new ProofService();
+
+/**
+ * @swagger
+ * /api/packets/{id}/proof:
+ *   post:
+ *     summary: Attach a proof of delivery (photo or signature image) to a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [photo, signature]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP image, 5 MB at most by default
+ *             required:
+ *               - kind
+ *               - file
+ *     responses:
+ *       201:
+ *         description: The stored proof metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Proof'
+ *       400:
+ *         description: Missing file, wrong kind or unsupported file type
+ *       404:
+ *         description: Packet not found
+ *       413:
+ *         description: File too large
+ */
+export async function addProof(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const id = req.params.id;
+        const proof = await proofService.addProof(id, req.body.kind, req.file, req.user?._id?.toString());
+        res.status(201).json(proof);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/proof:
+ *   get:
+ *     summary: List the proofs of delivery of a packet
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *     responses:
+ *       200:
+ *         description: Proof metadata, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Proof'
+ *       404:
+ *         description: Packet not found
+ */
+export async function getProofs(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const proofs = await proofService.getProofs(req.params.id);
+        res.status(200).json(proofs);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/packets/{id}/proof/{proofId}:
+ *   get:
+ *     summary: Download a proof of delivery
+ *     tags: [Packets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The packet ID
+ *       - in: path
+ *         name: proofId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The proof ID
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Packet or proof not found
+ */
+export async function downloadProof(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { proof, stream } = await proofService.getProofFile(req.params.id, req.params.proofId);
+        res.status(200).set({
+            'Content-Type': proof.mimeType,
+            'Content-Length': String(proof.size),
+            'Content-Disposition': `inline; filename="${encodeURIComponent(proof.originalName)}"`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+}
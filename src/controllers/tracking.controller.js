@@ -0,0 +1,57 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.trackPacket = trackPacket;
+const packet_service_1 = require("../services/packet.service");
+const packetService = new packet_service_1.PacketService();
+/**
+ * @swagger
+ * tags:
+ *   name: Tracking
+ *   description: Public packet tracking
+ */
+/**
+ * @swagger
+ * /api/track/{trackingCode}:
+ *   get:
+ *     summary: Track a packet by its public tracking code
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: trackingCode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The code printed on the label, dashes and spaces are ignored
+ *     responses:
+ *       200:
+ *         description: Status, timeline and estimated delivery of the packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PublicTracking'
+ *       400:
+ *         description: Malformed tracking code
+ *       404:
+ *         description: No packet with this tracking code
+ */
+function trackPacket(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const tracking = yield packetService.getPublicTracking(req.params.trackingCode);
+            res.status(200).json(tracking);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
@@ -0,0 +1,46 @@
+import { NextFunction, Request, Response } from 'express';
+import { PacketService } from '../services/packet.service';
+
+const packetService = new PacketService();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tracking
+ *   description: Public packet tracking
+ */
+
+/**
+ * @swagger
+ * /api/track/{trackingCode}:
+ *   get:
+ *     summary: Track a packet by its public tracking code
+ *     tags: [Tracking]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: trackingCode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The code printed on the label, dashes and spaces are ignored
+ *     responses:
+ *       200:
+ *         description: Status, timeline and estimated delivery of the packet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PublicTracking'
+ *       400:
+ *         description: Malformed tracking code
+ *       404:
+ *         description: No packet with this tracking code
+ */
+export async function trackPacket(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const tracking = await packetService.getPublicTracking(req.params.trackingCode);
+        res.status(200).json(tracking);
+    } catch (error) {
+        next(error);
+    }
+}
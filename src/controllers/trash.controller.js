@@ -0,0 +1,82 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getDeleted = getDeleted;
+const trash_service_1 = require("../services/trash.service");
+const trashService = new trash_service_1.TrashService();
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted users, packets and messages that can still be restored (admins only)
+ */
+/**
+ * @swagger
+ * /api/trash/{type}:
+ *   get:
+ *     summary: Get deleted documents of one type, most recently deleted first
+ *     description: |
+ *       Deleted documents are purged for good `SOFT_DELETE_RETENTION_DAYS` days (30 by default)
+ *       after deletion. Restore them with `POST /api/{type}/{id}/restore`.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [users, packets, messages]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Deleted documents, each with `deletedAt` and `purgeAt`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalItems:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid type
+ */
+function getDeleted(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 10;
+            const items = yield trashService.getDeleted(req.params.type, page, limit);
+            res.status(200).json(items);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
@@ -0,0 +1,71 @@
+import { NextFunction, Request, Response } from 'express';
+import { TrashService } from '../services/trash.service';
+
+const trashService = new TrashService();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted users, packets and messages that can still be restored (admins only)
+ */
+
+/**
+ * @swagger
+ * /api/trash/{type}:
+ *   get:
+ *     summary: Get deleted documents of one type, most recently deleted first
+ *     description: |
+ *       Deleted documents are purged for good `SOFT_DELETE_RETENTION_DAYS` days (30 by default)
+ *       after deletion. Restore them with `POST /api/{type}/{id}/restore`.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [users, packets, messages]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Deleted documents, each with `deletedAt` and `purgeAt`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalItems:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid type
+ */
+export async function getDeleted(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const page = parseInt(req.query.page as string) || 1;
+        const limit = parseInt(req.query.limit as string) || 10;
+        const items = await trashService.getDeleted(req.params.type, page, limit);
+        res.status(200).json(items);
+    } catch (error) {
+        next(error);
+    }
+}
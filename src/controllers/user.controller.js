@@ -8,6 +8,17 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.postUser = postUser;
 exports.getAllUsers = getAllUsers;
@@ -15,17 +26,27 @@ exports.getUserById = getUserById;
 exports.getUserByName = getUserByName;
 exports.updateUserById = updateUserById;
 exports.deleteUserById = deleteUserById;
+exports.restoreUserById = restoreUserById;
 exports.deactivateUserById = deactivateUserById;
 exports.getUserPackets = getUserPackets;
 exports.addPacketToUser = addPacketToUser;
+exports.getNotificationPreferences = getNotificationPreferences;
+exports.updateNotificationPreferences = updateNotificationPreferences;
+exports.getUserNotifications = getUserNotifications;
 const user_service_1 = require("../services/user.service");
+const errors_1 = require("../errors");
+const notification_service_1 = require("../services/notification.service");
 const userService = new user_service_1.UserService();
+const notificationService = new notification_service_1.NotificationService();
+// Users may update their own profile, but not these
+const ADMIN_ONLY_FIELDS = ['role', 'available'];
 /**
  * @swagger
  * /api/users:
  *   post:
  *     summary: Create a new user
  *     tags: [Users]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -41,16 +62,21 @@ const userService = new user_service_1.UserService();
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Error creating user
+ *       409:
+ *         description: Another user already has this email
+ *       429:
+ *         description: Too many registrations from this IP, retry after the seconds in the Retry-After header
  */
-function postUser(req, res) {
+function postUser(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            const user = req.body;
+            // Public sign-up always creates active customers; admins promote users with PUT /api/users/{id}
+            const _a = req.body, { role, available } = _a, user = __rest(_a, ["role", "available"]);
             const newUser = yield userService.postUser(user);
             res.status(201).json(newUser);
         }
         catch (error) {
-            res.status(400).json({ message: "Error creating user", error });
+            next(error);
         }
     });
 }
@@ -72,7 +98,7 @@ function postUser(req, res) {
  *       400:
  *         description: Error getting users
  */
-function getAllUsers(req, res) {
+function getAllUsers(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const page = parseInt(req.query.page) || 1;
@@ -81,7 +107,7 @@ function getAllUsers(req, res) {
             res.status(200).json(usersPaginated);
         }
         catch (error) {
-            res.status(400).json({ message: "Error getting users", error });
+            next(error);
         }
     });
 }
@@ -108,7 +134,7 @@ function getAllUsers(req, res) {
  *       400:
  *         description: Error getting user
  */
-function getUserById(req, res) {
+function getUserById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const id = req.params.id;
@@ -116,7 +142,7 @@ function getUserById(req, res) {
             res.status(200).json(user);
         }
         catch (error) {
-            res.status(400).json({ message: "Error getting user", error });
+            next(error);
         }
     });
 }
@@ -125,6 +151,7 @@ function getUserById(req, res) {
  * /api/users/name/{name}:
  *   get:
  *     summary: Get a user by name
+ *     description: Admins and couriers get the whole user, other users only its id and name
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -143,15 +170,18 @@ function getUserById(req, res) {
  *       400:
  *         description: Error getting user
  */
-function getUserByName(req, res) {
+function getUserByName(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
         try {
             const name = req.params.name;
             const user = yield userService.getUserByName(name);
-            res.status(200).json(user);
+            // Customers look others up to message them, contact details and packets stay private
+            const isStaff = ((_a = req.user) === null || _a === void 0 ? void 0 : _a.role) === 'admin' || ((_b = req.user) === null || _b === void 0 ? void 0 : _b.role) === 'courier';
+            res.status(200).json(isStaff ? user : { _id: user._id, name: user.name });
         }
         catch (error) {
-            res.status(400).json({ message: "Error getting user", error });
+            next(error);
         }
     });
 }
@@ -184,20 +214,55 @@ function getUserByName(req, res) {
  *       400:
  *         description: Error updating user
  */
-function updateUserById(req, res) {
+function updateUserById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
+        var _a;
         try {
             const id = req.params.id;
             const user = req.body;
+            if (((_a = req.user) === null || _a === void 0 ? void 0 : _a.role) !== 'admin') {
+                const field = ADMIN_ONLY_FIELDS.find((name) => user[name] !== undefined);
+                if (field) {
+                    throw new errors_1.ForbiddenError('user.admin_only_field', { field });
+                }
+            }
             const updatedUser = yield userService.updateUserById(id, user);
             res.status(200).json(updatedUser);
         }
         catch (error) {
-            res.status(400).json({ message: "Error updating user", error });
+            next(error);
         }
     });
 }
-function deleteUserById(req, res) {
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Move a user to the trash
+ *     description: The user is hidden and cannot log in until restored or purged after the retention period
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The deleted user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Error deleting user
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the courier of open packets
+ */
+function deleteUserById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const id = req.params.id;
@@ -205,15 +270,52 @@ function deleteUserById(req, res) {
             res.status(200).json(deletedUser);
         }
         catch (error) {
-            res.status(400).json({ message: "Error deleting user", error });
+            next(error);
         }
     });
 }
 /**
  * @swagger
- * /api/users/{id}:
- *   delete:
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a user from the trash
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The restored user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Error restoring user
+ *       404:
+ *         description: No deleted user with this ID
+ */
+function restoreUserById(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const restoredUser = yield userService.restoreUserById(req.params.id);
+            res.status(200).json(restoredUser);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   put:
  *     summary: Deactivate a user by ID
+ *     description: Same as deleting the user; lets users close their own account
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -231,8 +333,10 @@ function deleteUserById(req, res) {
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Error deactivating user
+ *       409:
+ *         description: The user is the courier of open packets
  */
-function deactivateUserById(req, res) {
+function deactivateUserById(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const id = req.params.id;
@@ -240,7 +344,7 @@ function deactivateUserById(req, res) {
             res.status(200).json(deactivatedUser);
         }
         catch (error) {
-            res.status(400).json({ message: "Error deactivating user", error });
+            next(error);
         }
     });
 }
@@ -271,19 +375,15 @@ function deactivateUserById(req, res) {
  *       500:
  *         description: Internal server error
  */
-function getUserPackets(req, res) {
+function getUserPackets(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const userId = req.params.id;
             const packets = yield userService.getUserPacketsById(userId);
-            if (!packets) {
-                res.status(404).json({ message: "User not found or no packets available" });
-                return;
-            }
             res.status(200).json(packets);
         }
         catch (error) {
-            res.status(500).json({ message: "Error retrieving packets", error });
+            next(error);
         }
     });
 }
@@ -317,29 +417,159 @@ function getUserPackets(req, res) {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Packet not found
  *       404:
- *         description: User or packet not found
+ *         description: User not found
  *       500:
  *         description: Internal server error
  */
-function addPacketToUser(req, res) {
+function addPacketToUser(req, res, next) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
             const userName = req.params.name;
             const { packetId } = req.body;
-            if (!packetId) {
-                res.status(400).json({ message: "Packet ID is required" });
-                return;
-            }
             const updatedUser = yield userService.addPacketToUser(userName, packetId);
-            if (!updatedUser) {
-                res.status(404).json({ message: "User not found" });
-                return;
-            }
             res.status(200).json(updatedUser);
         }
         catch (error) {
-            res.status(500).json({ message: "Error adding packet to user", error });
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/users/{id}/preferences:
+ *   get:
+ *     summary: Get the notification preferences of a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       404:
+ *         description: User not found
+ */
+function getNotificationPreferences(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const preferences = yield userService.getNotificationPreferences(req.params.id);
+            res.status(200).json(preferences);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/users/{id}/preferences:
+ *   put:
+ *     summary: Update the notification preferences of a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: The updated notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Error updating preferences
+ *       404:
+ *         description: User not found
+ */
+function updateNotificationPreferences(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { mutedPacketStatuses, channels, mutedTemplates } = req.body;
+            const preferences = yield userService.updateNotificationPreferences(req.params.id, { mutedPacketStatuses, channels, mutedTemplates });
+            res.status(200).json(preferences);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/users/{id}/notifications:
+ *   get:
+ *     summary: Get the email and SMS notifications sent to a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of notifications per page
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalNotifications:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Error getting notifications
+ */
+function getUserNotifications(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 10;
+            const notifications = yield notificationService.getNotifications(req.params.id, page, limit);
+            res.status(200).json(notifications);
+        }
+        catch (error) {
+            next(error);
         }
     });
 }
@@ -1,8 +1,14 @@
-import { Request, Response } from 'express';
+import { NextFunction, Request, Response } from 'express';
 import { IUser } from '../models/user';
 import { UserService } from '../services/user.service';
+import { ForbiddenError } from '../errors';
+import { NotificationService } from '../services/notification.service';
 
 const userService = new UserService();
+const notificationService = new NotificationService();
+
+// Users may update their own profile, but not these
+const ADMIN_ONLY_FIELDS = ['role', 'available'] as const;
 
 /**
  * @swagger
@@ -10,6 +16,7 @@ const userService = new UserService();
  *   post:
  *     summary: Create a new user
  *     tags: [Users]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -25,14 +32,19 @@ const userService = new UserService();
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Error creating user
+ *       409:
+ *         description: Another user already has this email
+ *       429:
+ *         description: Too many registrations from this IP, retry after the seconds in the Retry-After header
  */
-export async function postUser(req: Request, res: Response): Promise<void> {
+export async function postUser(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
-        const user = req.body as IUser;
-        const newUser = await userService.postUser(user);
+        // Public sign-up always creates active customers; admins promote users with PUT /api/users/{id}
+        const { role, available, ...user } = req.body;
+        const newUser = await userService.postUser(user as IUser);
         res.status(201).json(newUser);
     } catch (error) {
-        res.status(400).json({ message: "Error creating user", error });
+        next(error);
     }
 }
 
@@ -54,7 +66,7 @@ export async function postUser(req: Request, res: Response): Promise<void> {
  *       400:
  *         description: Error getting users
  */
-export async function getAllUsers(req: Request, res: Response): Promise<void> {
+export async function getAllUsers(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const page = parseInt(req.query.page as string) || 1;
         const limit = parseInt(req.query.limit as string) || 10;
@@ -63,7 +75,7 @@ export async function getAllUsers(req: Request, res: Response): Promise<void> {
         
         res.status(200).json(usersPaginated);
     } catch (error) {
-        res.status(400).json({ message: "Error getting users", error });
+        next(error);
     }
 }
 
@@ -91,13 +103,13 @@ export async function getAllUsers(req: Request, res: Response): Promise<void> {
  *       400:
  *         description: Error getting user
  */
-export async function getUserById(req: Request, res: Response): Promise<void> {
+export async function getUserById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
         const user = await userService.getUserById(id);
         res.status(200).json(user);
     } catch (error) {
-        res.status(400).json({ message: "Error getting user", error });
+        next(error);
     }
 }
 
@@ -106,6 +118,7 @@ export async function getUserById(req: Request, res: Response): Promise<void> {
  * /api/users/name/{name}:
  *   get:
  *     summary: Get a user by name
+ *     description: Admins and couriers get the whole user, other users only its id and name
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -124,13 +137,15 @@ export async function getUserById(req: Request, res: Response): Promise<void> {
  *       400:
  *         description: Error getting user
  */
-export async function getUserByName(req: Request, res: Response): Promise<void> {
+export async function getUserByName(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const name = req.params.name;
         const user = await userService.getUserByName(name);
-        res.status(200).json(user);
+        // Customers look others up to message them, contact details and packets stay private
+        const isStaff = req.user?.role === 'admin' || req.user?.role === 'courier';
+        res.status(200).json(isStaff ? user : { _id: user._id, name: user.name });
     } catch (error) {
-        res.status(400).json({ message: "Error getting user", error });
+        next(error);
     }
 }
 /**
@@ -162,32 +177,101 @@ export async function getUserByName(req: Request, res: Response): Promise<void>
  *       400:
  *         description: Error updating user
  */
-export async function updateUserById(req: Request, res: Response): Promise<void> {
+export async function updateUserById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
         const user = req.body as IUser;
+        if (req.user?.role !== 'admin') {
+            const field = ADMIN_ONLY_FIELDS.find((name) => user[name] !== undefined);
+            if (field) {
+                throw new ForbiddenError('user.admin_only_field', { field });
+            }
+        }
         const updatedUser = await userService.updateUserById(id, user);
         res.status(200).json(updatedUser);
     } catch (error) {
-        res.status(400).json({ message: "Error updating user", error });
+        next(error);
     }
 }
 
-export async function deleteUserById(req: Request, res: Response): Promise<void> {
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Move a user to the trash
+ *     description: The user is hidden and cannot log in until restored or purged after the retention period
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The deleted user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Error deleting user
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the courier of open packets
+ */
+export async function deleteUserById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
         const deletedUser = await userService.deleteUserById(id);
         res.status(200).json(deletedUser);
     } catch (error) {
-        res.status(400).json({ message: "Error deleting user", error });   
+        next(error);
     }
 }
 
 /**
  * @swagger
- * /api/users/{id}:
- *   delete:
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a user from the trash
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The restored user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Error restoring user
+ *       404:
+ *         description: No deleted user with this ID
+ */
+export async function restoreUserById(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const restoredUser = await userService.restoreUserById(req.params.id);
+        res.status(200).json(restoredUser);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   put:
  *     summary: Deactivate a user by ID
+ *     description: Same as deleting the user; lets users close their own account
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -205,14 +289,16 @@ export async function deleteUserById(req: Request, res: Response): Promise<void>
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Error deactivating user
+ *       409:
+ *         description: The user is the courier of open packets
  */
-export async function deactivateUserById(req: Request, res: Response): Promise<void> {
+export async function deactivateUserById(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const id = req.params.id;
         const deactivatedUser = await userService.deactivateUserById(id);
         res.status(200).json(deactivatedUser);
     } catch (error) {
-        res.status(400).json({ message: "Error deactivating user", error });
+        next(error);
     }
 }
 /**
@@ -242,19 +328,13 @@ export async function deactivateUserById(req: Request, res: Response): Promise<v
  *       500:
  *         description: Internal server error
  */
-export async function getUserPackets(req: Request, res: Response): Promise<void> {
+export async function getUserPackets(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const userId = req.params.id;
         const packets = await userService.getUserPacketsById(userId);
-
-        if (!packets) {
-            res.status(404).json({ message: "User not found or no packets available" });
-            return;
-        }
-
         res.status(200).json(packets);
     } catch (error) {
-        res.status(500).json({ message: "Error retrieving packets", error });
+        next(error);
     }
 }
 
@@ -288,30 +368,151 @@ export async function getUserPackets(req: Request, res: Response): Promise<void>
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Packet not found
  *       404:
- *         description: User or packet not found
+ *         description: User not found
  *       500:
  *         description: Internal server error
  */
-export async function addPacketToUser(req: Request, res: Response): Promise<void> {
+export async function addPacketToUser(req: Request, res: Response, next: NextFunction): Promise<void> {
     try {
         const userName = req.params.name;
         const { packetId } = req.body;
 
-        if (!packetId) {
-            res.status(400).json({ message: "Packet ID is required" });
-            return;
-        }
-
         const updatedUser = await userService.addPacketToUser(userName, packetId);
+        res.status(200).json(updatedUser);
+    } catch (error) {
+        next(error);
+    }
+}
 
-        if (!updatedUser) {
-            res.status(404).json({ message: "User not found" });
-            return;
-        }
+/**
+ * @swagger
+ * /api/users/{id}/preferences:
+ *   get:
+ *     summary: Get the notification preferences of a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       404:
+ *         description: User not found
+ */
+export async function getNotificationPreferences(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const preferences = await userService.getNotificationPreferences(req.params.id);
+        res.status(200).json(preferences);
+    } catch (error) {
+        next(error);
+    }
+}
 
-        res.status(200).json(updatedUser);
+/**
+ * @swagger
+ * /api/users/{id}/preferences:
+ *   put:
+ *     summary: Update the notification preferences of a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: The updated notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Error updating preferences
+ *       404:
+ *         description: User not found
+ */
+export async function updateNotificationPreferences(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { mutedPacketStatuses, channels, mutedTemplates } = req.body;
+        const preferences = await userService.updateNotificationPreferences(req.params.id, { mutedPacketStatuses, channels, mutedTemplates });
+        res.status(200).json(preferences);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/users/{id}/notifications:
+ *   get:
+ *     summary: Get the email and SMS notifications sent to a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of notifications per page
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalNotifications:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Error getting notifications
+ */
+export async function getUserNotifications(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const page = parseInt(req.query.page as string) || 1;
+        const limit = parseInt(req.query.limit as string) || 10;
+        const notifications = await notificationService.getNotifications(req.params.id, page, limit);
+        res.status(200).json(notifications);
     } catch (error) {
-        res.status(500).json({ message: "Error adding packet to user", error });
+        next(error);
     }
-}
\ No newline at end of file
+}
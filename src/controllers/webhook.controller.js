@@ -0,0 +1,291 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createWebhook = createWebhook;
+exports.getWebhooks = getWebhooks;
+exports.getWebhookById = getWebhookById;
+exports.updateWebhook = updateWebhook;
+exports.deleteWebhook = deleteWebhook;
+exports.getWebhookDeliveries = getWebhookDeliveries;
+exports.replayWebhookDelivery = replayWebhookDelivery;
+const webhook_service_1 = require("../services/webhook.service");
+const webhookDelivery_1 = require("../models/webhookDelivery");
+const errors_1 = require("../errors");
+const webhookService = new webhook_service_1.WebhookService();
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Outgoing webhook subscriptions (admins only)
+ */
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook subscription
+ *     description: |
+ *       Every delivery is a POST with a JSON body `{ id, event, occurredAt, data }` and the headers
+ *       `X-Trackit-Event`, `X-Trackit-Delivery`, `X-Trackit-Timestamp` and
+ *       `X-Trackit-Signature: sha256=HMAC(secret, "<timestamp>.<body>")`.
+ *       Failed deliveries are retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: The subscription, including its secret. The secret is not shown again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Error creating webhook
+ */
+function createWebhook(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
+        try {
+            const { url, events, description, active } = req.body;
+            const webhook = yield webhookService.createWebhook({ url, events, description, active }, (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString());
+            res.status(201).json(webhook);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhook subscriptions
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: List of subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+function getWebhooks(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const webhooks = yield webhookService.getWebhooks();
+            res.status(200).json(webhooks);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription by ID
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ */
+function getWebhookById(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const webhook = yield webhookService.getWebhookById(req.params.id);
+            res.status(200).json(webhook);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Error updating webhook
+ *       404:
+ *         description: Webhook not found
+ */
+function updateWebhook(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { url, events, description, active } = req.body;
+            const webhook = yield webhookService.updateWebhook(req.params.id, { url, events, description, active });
+            res.status(200).json(webhook);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: The deleted subscription
+ *       404:
+ *         description: Webhook not found
+ */
+function deleteWebhook(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const webhook = yield webhookService.deleteWebhook(req.params.id);
+            res.status(200).json(webhook);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first, each with its attempts
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ */
+function getWebhookDeliveries(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 10;
+            const status = req.query.status;
+            if (status && !webhookDelivery_1.DELIVERY_STATUSES.includes(status)) {
+                throw new errors_1.ValidationError('webhook.invalid_delivery_status', { statuses: webhookDelivery_1.DELIVERY_STATUSES.join(', ') });
+            }
+            const deliveries = yield webhookService.getDeliveries(req.params.id, page, limit, status);
+            res.status(200).json(deliveries);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery again
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The delivery ID
+ *     responses:
+ *       202:
+ *         description: The delivery is queued again
+ *       404:
+ *         description: Delivery not found
+ */
+function replayWebhookDelivery(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const delivery = yield webhookService.replayDelivery(req.params.id, req.params.deliveryId);
+            res.status(202).json(delivery);
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
@@ -0,0 +1,263 @@
+import { NextFunction, Request, Response } from 'express';
+import { WebhookService } from '../services/webhook.service';
+import { DeliveryStatus, DELIVERY_STATUSES } from '../models/webhookDelivery';
+import { ValidationError } from '../errors';
+
+const webhookService = new WebhookService();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Outgoing webhook subscriptions (admins only)
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook subscription
+ *     description: |
+ *       Every delivery is a POST with a JSON body `{ id, event, occurredAt, data }` and the headers
+ *       `X-Trackit-Event`, `X-Trackit-Delivery`, `X-Trackit-Timestamp` and
+ *       `X-Trackit-Signature: sha256=HMAC(secret, "<timestamp>.<body>")`.
+ *       Failed deliveries are retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: The subscription, including its secret. The secret is not shown again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Error creating webhook
+ */
+export async function createWebhook(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { url, events, description, active } = req.body;
+        const webhook = await webhookService.createWebhook({ url, events, description, active }, req.user?._id?.toString());
+        res.status(201).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhook subscriptions
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: List of subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+export async function getWebhooks(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const webhooks = await webhookService.getWebhooks();
+        res.status(200).json(webhooks);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription by ID
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ */
+export async function getWebhookById(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const webhook = await webhookService.getWebhookById(req.params.id);
+        res.status(200).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: The updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Error updating webhook
+ *       404:
+ *         description: Webhook not found
+ */
+export async function updateWebhook(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const { url, events, description, active } = req.body;
+        const webhook = await webhookService.updateWebhook(req.params.id, { url, events, description, active });
+        res.status(200).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *     responses:
+ *       200:
+ *         description: The deleted subscription
+ *       404:
+ *         description: Webhook not found
+ */
+export async function deleteWebhook(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const webhook = await webhookService.deleteWebhook(req.params.id);
+        res.status(200).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook subscription
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first, each with its attempts
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ */
+export async function getWebhookDeliveries(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const page = parseInt(req.query.page as string) || 1;
+        const limit = parseInt(req.query.limit as string) || 10;
+        const status = req.query.status as DeliveryStatus | undefined;
+
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            throw new ValidationError('webhook.invalid_delivery_status', { statuses: DELIVERY_STATUSES.join(', ') });
+        }
+
+        const deliveries = await webhookService.getDeliveries(req.params.id, page, limit, status);
+        res.status(200).json(deliveries);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery again
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The delivery ID
+ *     responses:
+ *       202:
+ *         description: The delivery is queued again
+ *       404:
+ *         description: Delivery not found
+ */
+export async function replayWebhookDelivery(req: Request, res: Response, next: NextFunction): Promise<void> {
+    try {
+        const delivery = await webhookService.replayDelivery(req.params.id, req.params.deliveryId);
+        res.status(202).json(delivery);
+    } catch (error) {
+        next(error);
+    }
+}
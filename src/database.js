@@ -8,18 +8,74 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.startConnection = startConnection;
+exports.stopConnection = stopConnection;
+exports.isDatabaseReady = isDatabaseReady;
 const mongoose_1 = require("mongoose");
-const mongoURI = 'mongodb://localhost:27017/';
+const config_1 = __importDefault(require("./config"));
+// Retry n waits BASE * 2^(n-1), up to MAX: 1s, 2s, 4s ... 30s
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+// Fail each attempt quickly instead of after the driver's default 30s
+const SERVER_SELECTION_TIMEOUT_MS = 5000;
+const PING_TIMEOUT_MS = 2000;
+/**
+ * Connects to MongoDB, retrying with exponential backoff. Once connected,
+ * the driver reconnects by itself if the connection drops.
+ * @throws The last connection error after `MONGODB_CONNECT_ATTEMPTS` attempts
+ */
 function startConnection() {
     return __awaiter(this, void 0, void 0, function* () {
+        for (let attempt = 1;; attempt++) {
+            try {
+                yield (0, mongoose_1.connect)(config_1.default.mongoUri, {
+                    serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS,
+                });
+                console.log('Connected to MongoDB successfully!');
+                return;
+            }
+            catch (err) {
+                if (attempt >= config_1.default.mongoConnectAttempts) {
+                    throw err;
+                }
+                const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+                console.error(`Unable to connect to MongoDB (attempt ${attempt}/${config_1.default.mongoConnectAttempts}), retrying in ${delay}ms. Error:`, err.message);
+                yield new Promise((resolve) => setTimeout(resolve, delay));
+            }
+        }
+    });
+}
+function stopConnection() {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield mongoose_1.connection.close();
+        console.log('MongoDB connection closed');
+    });
+}
+// True when the connection is open and the server answers a ping in time
+function isDatabaseReady() {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (mongoose_1.connection.readyState !== 1 || !mongoose_1.connection.db) {
+            return false;
+        }
+        let timer;
+        const timeout = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(false), PING_TIMEOUT_MS);
+        });
         try {
-            yield (0, mongoose_1.connect)(mongoURI, {});
-            console.log('Connected to MongoDB successfully!');
+            return yield Promise.race([
+                mongoose_1.connection.db.admin().ping().then(() => true),
+                timeout
+            ]);
+        }
+        catch (_a) {
+            return false;
         }
-        catch (err) {
-            console.error('Unable to connect to MongoDB. Error:', err);
+        finally {
+            clearTimeout(timer);
         }
     });
 }
@@ -1,13 +1,60 @@
 import { connect, connection } from 'mongoose'
+import config from './config';
 
-const mongoURI = 'mongodb://localhost:27017/';  
+// Retry n waits BASE * 2^(n-1), up to MAX: 1s, 2s, 4s ... 30s
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+// Fail each attempt quickly instead of after the driver's default 30s
+const SERVER_SELECTION_TIMEOUT_MS = 5000;
+const PING_TIMEOUT_MS = 2000;
 
-export async function startConnection() {
+/**
+ * Connects to MongoDB, retrying with exponential backoff. Once connected,
+ * the driver reconnects by itself if the connection drops.
+ * @throws The last connection error after `MONGODB_CONNECT_ATTEMPTS` attempts
+ */
+export async function startConnection(): Promise<void> {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await connect(config.mongoUri, {
+                serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS,
+            });
+            console.log('Connected to MongoDB successfully!');
+            return;
+        } catch (err) {
+            if (attempt >= config.mongoConnectAttempts) {
+                throw err;
+            }
+            const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+            console.error(`Unable to connect to MongoDB (attempt ${attempt}/${config.mongoConnectAttempts}), retrying in ${delay}ms. Error:`, (err as Error).message);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
+
+export async function stopConnection(): Promise<void> {
+    await connection.close();
+    console.log('MongoDB connection closed');
+}
+
+// True when the connection is open and the server answers a ping in time
+export async function isDatabaseReady(): Promise<boolean> {
+    if (connection.readyState !== 1 || !connection.db) {
+        return false;
+    }
+
+    let timer: NodeJS.Timeout | undefined;
+    const timeout = new Promise<boolean>((resolve) => {
+        timer = setTimeout(() => resolve(false), PING_TIMEOUT_MS);
+    });
     try {
-        await connect(mongoURI, {
-        });
-        console.log('Connected to MongoDB successfully!');
-    } catch (err) {
-        console.error('Unable to connect to MongoDB. Error:', err);
+        return await Promise.race([
+            connection.db.admin().ping().then(() => true),
+            timeout
+        ]);
+    } catch {
+        return false;
+    } finally {
+        clearTimeout(timer);
     }
 }
@@ -0,0 +1,81 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TooManyRequestsError = exports.PayloadTooLargeError = exports.ConflictError = exports.NotFoundError = exports.ForbiddenError = exports.UnauthorizedError = exports.ValidationError = exports.AppError = void 0;
+const i18n_1 = require("./i18n");
+/**
+ * Errors the API answers with a specific status. Services throw them and the
+ * error handler (middlewares/errorHandler) turns them into problem details;
+ * anything else becomes a 500.
+ *
+ * `code` is a key of the message catalogs (src/i18n) and stays stable for
+ * clients; the detail is translated to the locale of the request when answering.
+ */
+class AppError extends Error {
+    constructor(code, params = {}) {
+        // The message is only for logs
+        super((0, i18n_1.t)(code, params, i18n_1.DEFAULT_LOCALE));
+        this.code = code;
+        this.params = params;
+        this.name = new.target.name;
+    }
+    // Extra members added to the problem details, e.g. the states of a rejected transition
+    get extensions() {
+        return undefined;
+    }
+}
+exports.AppError = AppError;
+class ValidationError extends AppError {
+    constructor(code, params = {}, errors = []) {
+        super(code, params);
+        this.errors = errors;
+        this.status = 400;
+    }
+}
+exports.ValidationError = ValidationError;
+class UnauthorizedError extends AppError {
+    constructor() {
+        super(...arguments);
+        this.status = 401;
+    }
+}
+exports.UnauthorizedError = UnauthorizedError;
+class ForbiddenError extends AppError {
+    constructor() {
+        super(...arguments);
+        this.status = 403;
+    }
+}
+exports.ForbiddenError = ForbiddenError;
+class NotFoundError extends AppError {
+    constructor() {
+        super(...arguments);
+        this.status = 404;
+    }
+}
+exports.NotFoundError = NotFoundError;
+class ConflictError extends AppError {
+    constructor() {
+        super(...arguments);
+        this.status = 409;
+    }
+}
+exports.ConflictError = ConflictError;
+class PayloadTooLargeError extends AppError {
+    constructor() {
+        super(...arguments);
+        this.status = 413;
+    }
+}
+exports.PayloadTooLargeError = PayloadTooLargeError;
+// Answered with a Retry-After header of `retryAfter` seconds
+class TooManyRequestsError extends AppError {
+    constructor(code, retryAfter, params = {}) {
+        super(code, Object.assign(Object.assign({}, params), { retryAfter }));
+        this.retryAfter = retryAfter;
+        this.status = 429;
+    }
+    get extensions() {
+        return { retryAfter: this.retryAfter };
+    }
+}
+exports.TooManyRequestsError = TooManyRequestsError;
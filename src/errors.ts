@@ -0,0 +1,72 @@
+import { DEFAULT_LOCALE, MessageKey, MessageParams, t } from './i18n';
+
+/**
+ * Errors the API answers with a specific status. Services throw them and the
+ * error handler (middlewares/errorHandler) turns them into problem details;
+ * anything else becomes a 500.
+ *
+ * `code` is a key of the message catalogs (src/i18n) and stays stable for
+ * clients; the detail is translated to the locale of the request when answering.
+ */
+export abstract class AppError extends Error {
+    abstract readonly status: number;
+
+    constructor(public readonly code: MessageKey, public readonly params: MessageParams = {}) {
+        // The message is only for logs
+        super(t(code, params, DEFAULT_LOCALE));
+        this.name = new.target.name;
+    }
+
+    // Extra members added to the problem details, e.g. the states of a rejected transition
+    get extensions(): Record<string, unknown> | undefined {
+        return undefined;
+    }
+}
+
+export interface FieldError {
+    field: string;
+    location: string;
+    code: MessageKey;
+    message: string;
+}
+
+export class ValidationError extends AppError {
+    readonly status = 400;
+
+    constructor(code: MessageKey, params: MessageParams = {}, public errors: FieldError[] = []) {
+        super(code, params);
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    readonly status = 401;
+}
+
+export class ForbiddenError extends AppError {
+    readonly status = 403;
+}
+
+export class NotFoundError extends AppError {
+    readonly status = 404;
+}
+
+export class ConflictError extends AppError {
+    readonly status = 409;
+}
+
+export class PayloadTooLargeError extends AppError {
+    readonly status = 413;
+}
+
+// Answered with a Retry-After header of `retryAfter` seconds
+export class TooManyRequestsError extends AppError {
+    readonly status = 429;
+
+    constructor(code: MessageKey, public readonly retryAfter: number, params: MessageParams = {}) {
+        super(code, { ...params, retryAfter });
+    }
+
+    get extensions(): Record<string, unknown> {
+        return { retryAfter: this.retryAfter };
+    }
+}
@@ -0,0 +1,62 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __exportStar = (this && this.__exportStar) || function(m, exports) {
+    for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DEFAULT_LOCALE = void 0;
+exports.t = t;
+exports.negotiateLocale = negotiateLocale;
+const config_1 = __importDefault(require("../config"));
+const requestContext_1 = require("../utils/requestContext");
+const locale_1 = require("./locale");
+const en_1 = __importDefault(require("./locales/en"));
+const es_1 = __importDefault(require("./locales/es"));
+const ca_1 = __importDefault(require("./locales/ca"));
+__exportStar(require("./locale"), exports);
+const catalogs = { en: en_1.default, es: es_1.default, ca: ca_1.default };
+// Used when the client accepts none of the supported locales, and outside of requests
+exports.DEFAULT_LOCALE = config_1.default.defaultLocale;
+/**
+ * Renders the message `key`, replacing `{name}` placeholders with `params`.
+ * Without an explicit locale, uses the one negotiated for the current request.
+ */
+function t(key, params = {}, locale) {
+    var _a, _b;
+    const template = catalogs[(_b = locale !== null && locale !== void 0 ? locale : (_a = (0, requestContext_1.getRequestContext)()) === null || _a === void 0 ? void 0 : _a.locale) !== null && _b !== void 0 ? _b : exports.DEFAULT_LOCALE][key];
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] === undefined ? placeholder : String(params[name]));
+}
+/**
+ * Picks the supported locale the client prefers from an `Accept-Language`
+ * header (`ca-ES,ca;q=0.9,en;q=0.8`). Region subtags are ignored.
+ */
+function negotiateLocale(header) {
+    if (!header) {
+        return exports.DEFAULT_LOCALE;
+    }
+    const ranges = header.split(',')
+        .map((part) => {
+        const [range, ...attributes] = part.trim().split(';');
+        const quality = attributes.map((attribute) => attribute.trim())
+            .find((attribute) => attribute.startsWith('q='));
+        return { language: range.trim().toLowerCase().split('-')[0], q: quality ? parseFloat(quality.slice(2)) : 1 };
+    })
+        .filter((range) => range.q > 0)
+        // Stable sort keeps the header order between equal weights
+        .sort((a, b) => b.q - a.q);
+    const match = ranges.find((range) => (0, locale_1.isLocale)(range.language));
+    return match ? match.language : exports.DEFAULT_LOCALE;
+}
@@ -0,0 +1,51 @@
+import config from '../config';
+import { getRequestContext } from '../utils/requestContext';
+import { Locale, isLocale } from './locale';
+import en, { MessageKey, Messages } from './locales/en';
+import es from './locales/es';
+import ca from './locales/ca';
+
+export { MessageKey };
+export * from './locale';
+
+export type MessageParams = Record<string, string | number | undefined>;
+
+const catalogs: Record<Locale, Messages> = { en, es, ca };
+
+// Used when the client accepts none of the supported locales, and outside of requests
+export const DEFAULT_LOCALE: Locale = config.defaultLocale;
+
+/**
+ * Renders the message `key`, replacing `{name}` placeholders with `params`.
+ * Without an explicit locale, uses the one negotiated for the current request.
+ */
+export function t(key: MessageKey, params: MessageParams = {}, locale?: Locale): string {
+    const template = catalogs[locale ?? getRequestContext()?.locale ?? DEFAULT_LOCALE][key];
+    return template.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+        params[name] === undefined ? placeholder : String(params[name])
+    );
+}
+
+/**
+ * Picks the supported locale the client prefers from an `Accept-Language`
+ * header (`ca-ES,ca;q=0.9,en;q=0.8`). Region subtags are ignored.
+ */
+export function negotiateLocale(header: string | undefined): Locale {
+    if (!header) {
+        return DEFAULT_LOCALE;
+    }
+
+    const ranges = header.split(',')
+        .map((part) => {
+            const [range, ...attributes] = part.trim().split(';');
+            const quality = attributes.map((attribute) => attribute.trim())
+                .find((attribute) => attribute.startsWith('q='));
+            return { language: range.trim().toLowerCase().split('-')[0], q: quality ? parseFloat(quality.slice(2)) : 1 };
+        })
+        .filter((range) => range.q > 0)
+        // Stable sort keeps the header order between equal weights
+        .sort((a, b) => b.q - a.q);
+
+    const match = ranges.find((range) => isLocale(range.language));
+    return match ? match.language as Locale : DEFAULT_LOCALE;
+}
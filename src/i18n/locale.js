@@ -0,0 +1,8 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SUPPORTED_LOCALES = void 0;
+exports.isLocale = isLocale;
+exports.SUPPORTED_LOCALES = ['en', 'es', 'ca'];
+function isLocale(value) {
+    return exports.SUPPORTED_LOCALES.includes(value);
+}
@@ -0,0 +1,7 @@
+export const SUPPORTED_LOCALES = ['en', 'es', 'ca'] as const;
+
+export type Locale = typeof SUPPORTED_LOCALES[number];
+
+export function isLocale(value: unknown): value is Locale {
+    return SUPPORTED_LOCALES.includes(value as Locale);
+}
@@ -0,0 +1,132 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const ca = {
+    'http.route_not_found': 'No existeix {method} {path}',
+    'http.internal_error': "S'ha produït un error inesperat",
+    'http.malformed_json': 'El cos JSON està mal format',
+    'http.body_too_large': 'El cos de la petició és massa gran',
+    'http.invalid_value': "Valor no vàlid per a '{field}'",
+    'http.duplicate_value': 'Valor duplicat per a {fields}',
+    'http.too_many_requests': "Massa peticions, torna-ho a provar d'aquí a {retryAfter} segons",
+    'validation.failed': 'La validació ha fallat',
+    'validation.invalid': '{field} no és vàlid',
+    'validation.required': '{field} és obligatori',
+    'validation.string': '{field} ha de ser text',
+    'validation.not_empty': '{field} no pot estar buit',
+    'validation.max_length': '{field} no pot superar els {max} caràcters',
+    'validation.length_between': '{field} ha de tenir entre {min} i {max} caràcters',
+    'validation.id': '{field} no és un ID vàlid',
+    'validation.one_of': "{field} ha de ser un d'aquests valors: {values}",
+    'validation.date': '{field} ha de ser una data ISO 8601',
+    'validation.date_or_null': '{field} ha de ser una data ISO 8601 o null',
+    'validation.boolean': '{field} ha de ser un booleà',
+    'validation.array': '{field} ha de ser una llista',
+    'validation.object': '{field} ha de ser un objecte',
+    'validation.email': '{field} ha de ser una adreça de correu vàlida',
+    'validation.reserved_email': '{field} està reservat i no es pot fer servir',
+    'validation.phone': '{field} ha de ser un número de telèfon vàlid',
+    'validation.number_between': '{field} ha de ser entre {min} i {max}',
+    'validation.positive_number': '{field} ha de ser un nombre positiu',
+    'validation.positive_integer': '{field} ha de ser un enter positiu',
+    'validation.sort': '{field} ha de ser una llista de camps separats per comes, p. ex. -createdAt,name',
+    'validation.cursor': "{field} ha de ser un ID de missatge o una data ISO",
+    'auth.required': 'Cal autenticar-se',
+    'auth.forbidden': 'No tens permís per fer aquesta acció',
+    'auth.invalid_access_token': "Token d'accés no vàlid",
+    'auth.credentials_required': 'El correu i la contrasenya són obligatoris',
+    'auth.invalid_credentials': 'Correu o contrasenya incorrectes',
+    'auth.refresh_token_required': 'El token de refresc és obligatori',
+    'auth.invalid_refresh_token': 'Token de refresc no vàlid',
+    'user.not_found': 'Usuari no trobat',
+    'user.deleted_not_found': 'Usuari eliminat no trobat',
+    'user.admin_only_field': 'Només els administradors poden canviar {field}',
+    'user.in_use': "L'usuari és el repartidor de {count} paquet(s) oberts, reassigna'ls primer",
+    'user.invalid_packet_id': 'ID de paquet no vàlid',
+    'user.packet_not_found': 'Paquet no trobat',
+    'packet.not_found': 'Paquet no trobat',
+    'packet.deleted_not_found': 'Paquet eliminat no trobat',
+    'packet.tracking_code_not_found': 'Codi de seguiment no trobat',
+    'packet.invalid_tracking_code': "Codi de seguiment '{trackingCode}' no vàlid",
+    'packet.invalid_transition': "No es pot passar de l'estat '{from}' a '{to}'",
+    'packet.proof_required': "Cal adjuntar una prova d'entrega abans de marcar el paquet com a entregat",
+    'packet.in_transit': 'No es pot eliminar un paquet en estat {status}',
+    'packet.unknown_status': 'Estat de paquet desconegut: {statuses}',
+    'packet.invalid_filter_id': 'ID de {field} no vàlid',
+    'packet.invalid_sort': "No es pot ordenar per '{field}'",
+    'packet.relevance_requires_search': "Ordenar per 'relevance' requereix una cerca",
+    'packet.invalid_date': 'Data no vàlida per a {field}',
+    'packet.invalid_recorded_at': 'recordedAt no és vàlid',
+    'packet.invalid_radius': 'radiusKm ha de ser entre 0 i {max}',
+    'packet.invalid_longitude': 'longitude ha de ser un nombre entre -180 i 180',
+    'packet.invalid_latitude': 'latitude ha de ser un nombre entre -90 i 90',
+    'assignment.already_assigned': "El paquet ja està assignat, reassigna'l",
+    'assignment.not_assigned_assign': "El paquet no està assignat, assigna'l",
+    'assignment.same_courier': 'El paquet ja està assignat a aquest repartidor',
+    'assignment.not_assigned': 'El paquet no està assignat',
+    'assignment.no_courier_available': 'No hi ha cap repartidor disponible',
+    'assignment.packet_closed': 'No es pot assignar un paquet en estat {status}',
+    'assignment.invalid_courier_id': 'ID de repartidor no vàlid',
+    'assignment.not_a_courier': "L'usuari no és repartidor",
+    'assignment.courier_unavailable': 'El repartidor no està disponible',
+    'assignment.changed_meanwhile': "L'assignació del paquet ha canviat mentrestant, torna-ho a provar",
+    'proof.invalid_kind': "kind ha de ser un d'aquests valors: {kinds}",
+    'proof.file_required': 'Cal un fitxer',
+    'proof.invalid_type': "El fitxer ha de ser d'un d'aquests tipus: {types}",
+    'proof.too_large': 'El fitxer no pot superar els {max} bytes',
+    'proof.not_found': 'Prova no trobada',
+    'storage.file_not_found': 'Fitxer no trobat',
+    'upload.invalid': 'Pujada no vàlida: {reason}',
+    'upload.unreadable': 'Error llegint la pujada',
+    'message.content_required': 'El contingut del missatge és obligatori',
+    'message.invalid_sender_id': 'ID de remitent no vàlid',
+    'message.invalid_receiver_id': 'ID de destinatari no vàlid',
+    'message.invalid_user_id': "ID d'usuari no vàlid",
+    'message.invalid_message_id': 'ID de missatge no vàlid',
+    'message.sender_not_found': 'Remitent no trobat o no disponible',
+    'message.receiver_not_found': 'Destinatari no trobat o no disponible',
+    'message.not_found': 'Missatge no trobat',
+    'message.deleted_not_found': 'Missatge eliminat no trobat',
+    'message.not_in_conversation': 'Missatge no trobat en aquesta conversa',
+    'message.edit_forbidden': 'Només el remitent pot editar el missatge',
+    'message.delete_forbidden': 'Només el remitent pot eliminar el missatge',
+    'message.restore_forbidden': 'Només el remitent pot restaurar el missatge',
+    'message.read_forbidden': 'Només el destinatari pot marcar el missatge com a llegit',
+    'message.cursor_conflict': 'Cursor no vàlid: fes servir before o after, no tots dos',
+    'message.cursor_not_found': 'Cursor no vàlid: missatge no trobat',
+    'message.invalid_cursor': 'Cursor no vàlid: ha de ser un ID de missatge o una data',
+    'message.burst': "Estàs enviant missatges massa de pressa, torna-ho a provar d'aquí a {retryAfter} segons",
+    'message.duplicate': "Ja has enviat aquest missatge diverses vegades, torna-ho a provar d'aquí a {retryAfter} segons",
+    'webhook.not_found': 'Webhook no trobat',
+    'webhook.delivery_not_found': 'Entrega no trobada',
+    'webhook.invalid_delivery_status': "status ha de ser un d'aquests valors: {statuses}",
+    'audit.invalid_actor': "ID d'actor no vàlid",
+    'audit.invalid_action': "Acció '{action}' no vàlida",
+    'audit.invalid_target_type': "Tipus d'objectiu '{targetType}' no vàlid",
+    'audit.invalid_target_id': "ID d'objectiu no vàlid",
+    'audit.invalid_date': "Data '{field}' no vàlida",
+    'trash.invalid_type': "Tipus '{type}' no vàlid, s'esperava un d'aquests: {types}",
+    'packet_status.created': 'registrat',
+    'packet_status.picked_up': 'recollit',
+    'packet_status.in_transit': 'en trànsit',
+    'packet_status.out_for_delivery': 'en repartiment',
+    'packet_status.delivered': 'entregat',
+    'packet_status.failed': 'entrega fallida',
+    'packet_status.returned': 'retornat',
+    'notification.greeting': 'Hola {name},',
+    'notification.signature': 'Trackit',
+    'notification.packet_status_changed.inbox': "El teu paquet {packet} ha passat de {previousStatus} a {status}.",
+    'notification.packet_status_changed.subject': 'El teu paquet {packet} està {status}',
+    'notification.packet_status_changed.body': 'El teu paquet "{packetName}" ha passat de {previousStatus} a {status}.',
+    'notification.packet_status_changed.tracking_code': 'Codi de seguiment: {trackingCode}',
+    'notification.packet_status_changed.sms': 'Trackit: el paquet {packet} està {status}.',
+    'notification.message_received.subject': 'Nou missatge de {senderName}',
+    'notification.message_received.body': "{senderName} t'ha enviat un missatge:",
+    'notification.message_received.sms': 'Trackit: nou missatge de {senderName}.',
+    'notification.account_created.subject': 'Et donem la benvinguda a Trackit',
+    'notification.account_created.body': 'El teu compte de Trackit està a punt. Pots iniciar sessió amb {email}.',
+    'notification.account_created.sms': 'Trackit: hola {name}, el teu compte està a punt.',
+    'notification.account_password_changed.subject': "S'ha canviat la teva contrasenya de Trackit",
+    'notification.account_password_changed.body': "S'acaba de canviar la contrasenya del teu compte de Trackit. Si no has estat tu, contacta amb el suport de seguida.",
+    'notification.account_password_changed.sms': "Trackit: s'ha canviat la teva contrasenya. Si no has estat tu, contacta amb el suport.",
+};
+exports.default = ca;
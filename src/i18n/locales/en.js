@@ -0,0 +1,144 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Source catalog: its keys are the error codes clients see, the other locales must translate all of them
+const en = {
+    // HTTP and parsing
+    'http.route_not_found': 'Cannot {method} {path}',
+    'http.internal_error': 'An unexpected error occurred',
+    'http.malformed_json': 'Malformed JSON body',
+    'http.body_too_large': 'Request body too large',
+    'http.invalid_value': "Invalid value for '{field}'",
+    'http.duplicate_value': 'Duplicate value for {fields}',
+    'http.too_many_requests': 'Too many requests, try again in {retryAfter} seconds',
+    // Request validation
+    'validation.failed': 'Validation failed',
+    'validation.invalid': '{field} is not valid',
+    'validation.required': '{field} is required',
+    'validation.string': '{field} must be a string',
+    'validation.not_empty': '{field} must not be empty',
+    'validation.max_length': '{field} must be at most {max} characters',
+    'validation.length_between': '{field} must be between {min} and {max} characters',
+    'validation.id': '{field} must be a valid id',
+    'validation.one_of': '{field} must be one of: {values}',
+    'validation.date': '{field} must be an ISO 8601 date',
+    'validation.date_or_null': '{field} must be an ISO 8601 date or null',
+    'validation.boolean': '{field} must be a boolean',
+    'validation.array': '{field} must be an array',
+    'validation.object': '{field} must be an object',
+    'validation.email': '{field} must be a valid email address',
+    'validation.reserved_email': '{field} is reserved and cannot be used',
+    'validation.phone': '{field} must be a valid phone number',
+    'validation.number_between': '{field} must be between {min} and {max}',
+    'validation.positive_number': '{field} must be a positive number',
+    'validation.positive_integer': '{field} must be a positive integer',
+    'validation.sort': '{field} must be a comma separated list of fields, e.g. -createdAt,name',
+    'validation.cursor': '{field} must be a message id or an ISO date',
+    // Authentication and authorization
+    'auth.required': 'Authentication required',
+    'auth.forbidden': 'You do not have permission to perform this action',
+    'auth.invalid_access_token': 'Invalid access token',
+    'auth.credentials_required': 'Email and password are required',
+    'auth.invalid_credentials': 'Invalid email or password',
+    'auth.refresh_token_required': 'Refresh token is required',
+    'auth.invalid_refresh_token': 'Invalid refresh token',
+    // Users
+    'user.not_found': 'User not found',
+    'user.deleted_not_found': 'Deleted user not found',
+    'user.admin_only_field': 'Only admins can change {field}',
+    'user.in_use': 'User is the courier of {count} open packet(s), reassign them first',
+    'user.invalid_packet_id': 'Invalid packet id',
+    'user.packet_not_found': 'Packet not found',
+    // Packets
+    'packet.not_found': 'Packet not found',
+    'packet.deleted_not_found': 'Deleted packet not found',
+    'packet.tracking_code_not_found': 'Tracking code not found',
+    'packet.invalid_tracking_code': "Invalid tracking code '{trackingCode}'",
+    'packet.invalid_transition': "Invalid status transition from '{from}' to '{to}'",
+    'packet.proof_required': 'A proof of delivery must be attached before the packet is marked as delivered',
+    'packet.in_transit': 'Cannot delete a packet that is {status}',
+    'packet.unknown_status': 'Unknown packet status: {statuses}',
+    'packet.invalid_filter_id': 'Invalid {field} id',
+    'packet.invalid_sort': "Cannot sort by '{field}'",
+    'packet.relevance_requires_search': "Sorting by 'relevance' requires a search",
+    'packet.invalid_date': 'Invalid date for {field}',
+    'packet.invalid_recorded_at': 'Invalid recordedAt',
+    'packet.invalid_radius': 'radiusKm must be between 0 and {max}',
+    'packet.invalid_longitude': 'longitude must be a number between -180 and 180',
+    'packet.invalid_latitude': 'latitude must be a number between -90 and 90',
+    // Courier assignment
+    'assignment.already_assigned': 'Packet is already assigned, reassign it instead',
+    'assignment.not_assigned_assign': 'Packet is not assigned, assign it instead',
+    'assignment.same_courier': 'Packet is already assigned to this courier',
+    'assignment.not_assigned': 'Packet is not assigned',
+    'assignment.no_courier_available': 'No courier is available',
+    'assignment.packet_closed': 'Cannot assign a {status} packet',
+    'assignment.invalid_courier_id': 'Invalid courier id',
+    'assignment.not_a_courier': 'User is not a courier',
+    'assignment.courier_unavailable': 'Courier is not available',
+    'assignment.changed_meanwhile': 'Packet assignment changed meanwhile, try again',
+    // Proofs of delivery
+    'proof.invalid_kind': 'kind must be one of: {kinds}',
+    'proof.file_required': 'A file is required',
+    'proof.invalid_type': 'File must be one of: {types}',
+    'proof.too_large': 'File must not exceed {max} bytes',
+    'proof.not_found': 'Proof not found',
+    'storage.file_not_found': 'File not found',
+    'upload.invalid': 'Invalid upload: {reason}',
+    'upload.unreadable': 'Error reading upload',
+    // Messages
+    'message.content_required': 'Message content is required',
+    'message.invalid_sender_id': 'Invalid sender id',
+    'message.invalid_receiver_id': 'Invalid receiver id',
+    'message.invalid_user_id': 'Invalid user id',
+    'message.invalid_message_id': 'Invalid message id',
+    'message.sender_not_found': 'Sender not found or not available',
+    'message.receiver_not_found': 'Receiver not found or not available',
+    'message.not_found': 'Message not found',
+    'message.deleted_not_found': 'Deleted message not found',
+    'message.not_in_conversation': 'Message not found in this conversation',
+    'message.edit_forbidden': 'Only the sender can edit the message',
+    'message.delete_forbidden': 'Only the sender can delete the message',
+    'message.restore_forbidden': 'Only the sender can restore the message',
+    'message.read_forbidden': 'Only the receiver can mark the message as read',
+    'message.cursor_conflict': 'Invalid cursor: use before or after, not both',
+    'message.cursor_not_found': 'Invalid cursor: message not found',
+    'message.invalid_cursor': 'Invalid cursor: it must be a message id or a date',
+    'message.burst': 'You are sending messages too fast, try again in {retryAfter} seconds',
+    'message.duplicate': 'You already sent this message several times, try again in {retryAfter} seconds',
+    // Webhooks, audit log and trash
+    'webhook.not_found': 'Webhook not found',
+    'webhook.delivery_not_found': 'Delivery not found',
+    'webhook.invalid_delivery_status': 'status must be one of: {statuses}',
+    'audit.invalid_actor': 'Invalid actor id',
+    'audit.invalid_action': "Invalid action '{action}'",
+    'audit.invalid_target_type': "Invalid target type '{targetType}'",
+    'audit.invalid_target_id': 'Invalid target id',
+    'audit.invalid_date': "Invalid '{field}' date",
+    'trash.invalid_type': "Invalid type '{type}', expected one of: {types}",
+    // Packet statuses as shown to customers
+    'packet_status.created': 'registered',
+    'packet_status.picked_up': 'picked up',
+    'packet_status.in_transit': 'in transit',
+    'packet_status.out_for_delivery': 'out for delivery',
+    'packet_status.delivered': 'delivered',
+    'packet_status.failed': 'delivery failed',
+    'packet_status.returned': 'returned',
+    // Notifications. SMS bodies stay under 160 characters so they fit in one message
+    'notification.greeting': 'Hello {name},',
+    'notification.signature': 'Trackit',
+    'notification.packet_status_changed.inbox': 'Your packet {packet} changed from {previousStatus} to {status}.',
+    'notification.packet_status_changed.subject': 'Your packet {packet} is now {status}',
+    'notification.packet_status_changed.body': 'Your packet "{packetName}" changed from {previousStatus} to {status}.',
+    'notification.packet_status_changed.tracking_code': 'Tracking code: {trackingCode}',
+    'notification.packet_status_changed.sms': 'Trackit: packet {packet} is now {status}.',
+    'notification.message_received.subject': 'New message from {senderName}',
+    'notification.message_received.body': '{senderName} sent you a message:',
+    'notification.message_received.sms': 'Trackit: new message from {senderName}.',
+    'notification.account_created.subject': 'Welcome to Trackit',
+    'notification.account_created.body': 'Your Trackit account is ready. You can log in with {email}.',
+    'notification.account_created.sms': 'Trackit: welcome {name}, your account is ready.',
+    'notification.account_password_changed.subject': 'Your Trackit password was changed',
+    'notification.account_password_changed.body': 'The password of your Trackit account was just changed. If it was not you, contact support right away.',
+    'notification.account_password_changed.sms': 'Trackit: your password was changed. If it was not you, contact support.',
+};
+exports.default = en;
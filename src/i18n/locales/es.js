@@ -0,0 +1,132 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const es = {
+    'http.route_not_found': 'No existe {method} {path}',
+    'http.internal_error': 'Se ha producido un error inesperado',
+    'http.malformed_json': 'El cuerpo JSON está mal formado',
+    'http.body_too_large': 'El cuerpo de la petición es demasiado grande',
+    'http.invalid_value': "Valor no válido para '{field}'",
+    'http.duplicate_value': 'Valor duplicado para {fields}',
+    'http.too_many_requests': 'Demasiadas peticiones, inténtalo de nuevo en {retryAfter} segundos',
+    'validation.failed': 'La validación ha fallado',
+    'validation.invalid': '{field} no es válido',
+    'validation.required': '{field} es requerido',
+    'validation.string': '{field} debe ser texto',
+    'validation.not_empty': '{field} no puede estar vacío',
+    'validation.max_length': '{field} no puede superar los {max} caracteres',
+    'validation.length_between': '{field} debe tener entre {min} y {max} caracteres',
+    'validation.id': '{field} no es un ID válido',
+    'validation.one_of': '{field} debe ser uno de: {values}',
+    'validation.date': '{field} debe ser una fecha ISO 8601',
+    'validation.date_or_null': '{field} debe ser una fecha ISO 8601 o null',
+    'validation.boolean': '{field} debe ser un booleano',
+    'validation.array': '{field} debe ser una lista',
+    'validation.object': '{field} debe ser un objeto',
+    'validation.email': '{field} debe ser un correo electrónico válido',
+    'validation.reserved_email': '{field} está reservado y no se puede usar',
+    'validation.phone': '{field} debe ser un número de teléfono válido',
+    'validation.number_between': '{field} debe estar entre {min} y {max}',
+    'validation.positive_number': '{field} debe ser un número positivo',
+    'validation.positive_integer': '{field} debe ser un entero positivo',
+    'validation.sort': '{field} debe ser una lista de campos separados por comas, p. ej. -createdAt,name',
+    'validation.cursor': '{field} debe ser un ID de mensaje o una fecha ISO',
+    'auth.required': 'Se requiere autenticación',
+    'auth.forbidden': 'No tienes permiso para realizar esta acción',
+    'auth.invalid_access_token': 'Token de acceso no válido',
+    'auth.credentials_required': 'El correo y la contraseña son requeridos',
+    'auth.invalid_credentials': 'Correo o contraseña incorrectos',
+    'auth.refresh_token_required': 'El token de refresco es requerido',
+    'auth.invalid_refresh_token': 'Token de refresco no válido',
+    'user.not_found': 'Usuario no encontrado',
+    'user.deleted_not_found': 'Usuario eliminado no encontrado',
+    'user.admin_only_field': 'Solo los administradores pueden cambiar {field}',
+    'user.in_use': 'El usuario es el repartidor de {count} paquete(s) abiertos, reasígnalos primero',
+    'user.invalid_packet_id': 'ID de paquete no válido',
+    'user.packet_not_found': 'Paquete no encontrado',
+    'packet.not_found': 'Paquete no encontrado',
+    'packet.deleted_not_found': 'Paquete eliminado no encontrado',
+    'packet.tracking_code_not_found': 'Código de seguimiento no encontrado',
+    'packet.invalid_tracking_code': "Código de seguimiento '{trackingCode}' no válido",
+    'packet.invalid_transition': "No se puede pasar del estado '{from}' a '{to}'",
+    'packet.proof_required': 'Hay que adjuntar una prueba de entrega antes de marcar el paquete como entregado',
+    'packet.in_transit': 'No se puede eliminar un paquete en estado {status}',
+    'packet.unknown_status': 'Estado de paquete desconocido: {statuses}',
+    'packet.invalid_filter_id': 'ID de {field} no válido',
+    'packet.invalid_sort': "No se puede ordenar por '{field}'",
+    'packet.relevance_requires_search': "Ordenar por 'relevance' requiere una búsqueda",
+    'packet.invalid_date': 'Fecha no válida para {field}',
+    'packet.invalid_recorded_at': 'recordedAt no es válido',
+    'packet.invalid_radius': 'radiusKm debe estar entre 0 y {max}',
+    'packet.invalid_longitude': 'longitude debe ser un número entre -180 y 180',
+    'packet.invalid_latitude': 'latitude debe ser un número entre -90 y 90',
+    'assignment.already_assigned': 'El paquete ya está asignado, reasígnalo',
+    'assignment.not_assigned_assign': 'El paquete no está asignado, asígnalo',
+    'assignment.same_courier': 'El paquete ya está asignado a este repartidor',
+    'assignment.not_assigned': 'El paquete no está asignado',
+    'assignment.no_courier_available': 'No hay ningún repartidor disponible',
+    'assignment.packet_closed': 'No se puede asignar un paquete en estado {status}',
+    'assignment.invalid_courier_id': 'ID de repartidor no válido',
+    'assignment.not_a_courier': 'El usuario no es repartidor',
+    'assignment.courier_unavailable': 'El repartidor no está disponible',
+    'assignment.changed_meanwhile': 'La asignación del paquete ha cambiado mientras tanto, inténtalo de nuevo',
+    'proof.invalid_kind': 'kind debe ser uno de: {kinds}',
+    'proof.file_required': 'Se requiere un archivo',
+    'proof.invalid_type': 'El archivo debe ser de tipo: {types}',
+    'proof.too_large': 'El archivo no puede superar los {max} bytes',
+    'proof.not_found': 'Prueba no encontrada',
+    'storage.file_not_found': 'Archivo no encontrado',
+    'upload.invalid': 'Subida no válida: {reason}',
+    'upload.unreadable': 'Error leyendo la subida',
+    'message.content_required': 'El contenido del mensaje es requerido',
+    'message.invalid_sender_id': 'ID de remitente inválido',
+    'message.invalid_receiver_id': 'ID de destinatario inválido',
+    'message.invalid_user_id': 'ID de usuario inválido',
+    'message.invalid_message_id': 'ID de mensaje inválido',
+    'message.sender_not_found': 'Remitente no encontrado o no disponible',
+    'message.receiver_not_found': 'Destinatario no encontrado o no disponible',
+    'message.not_found': 'Mensaje no encontrado',
+    'message.deleted_not_found': 'Mensaje eliminado no encontrado',
+    'message.not_in_conversation': 'Mensaje no encontrado en esta conversación',
+    'message.edit_forbidden': 'Solo el remitente puede editar el mensaje',
+    'message.delete_forbidden': 'Solo el remitente puede eliminar el mensaje',
+    'message.restore_forbidden': 'Solo el remitente puede restaurar el mensaje',
+    'message.read_forbidden': 'Solo el destinatario puede marcar el mensaje como leído',
+    'message.cursor_conflict': 'Cursor inválido: usa before o after, no los dos',
+    'message.cursor_not_found': 'Cursor inválido: mensaje no encontrado',
+    'message.invalid_cursor': 'Cursor inválido: debe ser un ID de mensaje o una fecha',
+    'message.burst': 'Estás enviando mensajes demasiado rápido, inténtalo de nuevo en {retryAfter} segundos',
+    'message.duplicate': 'Ya has enviado este mensaje varias veces, inténtalo de nuevo en {retryAfter} segundos',
+    'webhook.not_found': 'Webhook no encontrado',
+    'webhook.delivery_not_found': 'Entrega no encontrada',
+    'webhook.invalid_delivery_status': 'status debe ser uno de: {statuses}',
+    'audit.invalid_actor': 'ID de actor no válido',
+    'audit.invalid_action': "Acción '{action}' no válida",
+    'audit.invalid_target_type': "Tipo de objetivo '{targetType}' no válido",
+    'audit.invalid_target_id': 'ID de objetivo no válido',
+    'audit.invalid_date': "Fecha '{field}' no válida",
+    'trash.invalid_type': "Tipo '{type}' no válido, se esperaba uno de: {types}",
+    'packet_status.created': 'registrado',
+    'packet_status.picked_up': 'recogido',
+    'packet_status.in_transit': 'en tránsito',
+    'packet_status.out_for_delivery': 'en reparto',
+    'packet_status.delivered': 'entregado',
+    'packet_status.failed': 'entrega fallida',
+    'packet_status.returned': 'devuelto',
+    'notification.greeting': 'Hola {name}:',
+    'notification.signature': 'Trackit',
+    'notification.packet_status_changed.inbox': 'Tu paquete {packet} ha pasado de {previousStatus} a {status}.',
+    'notification.packet_status_changed.subject': 'Tu paquete {packet} está {status}',
+    'notification.packet_status_changed.body': 'Tu paquete "{packetName}" ha pasado de {previousStatus} a {status}.',
+    'notification.packet_status_changed.tracking_code': 'Código de seguimiento: {trackingCode}',
+    'notification.packet_status_changed.sms': 'Trackit: el paquete {packet} está {status}.',
+    'notification.message_received.subject': 'Nuevo mensaje de {senderName}',
+    'notification.message_received.body': '{senderName} te ha enviado un mensaje:',
+    'notification.message_received.sms': 'Trackit: nuevo mensaje de {senderName}.',
+    'notification.account_created.subject': 'Te damos la bienvenida a Trackit',
+    'notification.account_created.body': 'Tu cuenta de Trackit está lista. Puedes iniciar sesión con {email}.',
+    'notification.account_created.sms': 'Trackit: hola {name}, tu cuenta está lista.',
+    'notification.account_password_changed.subject': 'Se ha cambiado tu contraseña de Trackit',
+    'notification.account_password_changed.body': 'Se acaba de cambiar la contraseña de tu cuenta de Trackit. Si no has sido tú, contacta con soporte de inmediato.',
+    'notification.account_password_changed.sms': 'Trackit: se ha cambiado tu contraseña. Si no has sido tú, contacta con soporte.',
+};
+exports.default = es;
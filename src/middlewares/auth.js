@@ -0,0 +1,60 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.tokenFromQuery = tokenFromQuery;
+exports.authenticate = authenticate;
+const user_1 = require("../models/user");
+const auth_service_1 = require("../services/auth.service");
+const requestContext_1 = require("../utils/requestContext");
+const errors_1 = require("../errors");
+const authService = new auth_service_1.AuthService();
+/**
+ * EventSource cannot send headers, so streaming routes may pass the access
+ * token as `?access_token=`. Must run before `authenticate`.
+ */
+function tokenFromQuery(req, res, next) {
+    const token = req.query.access_token;
+    if (!req.headers.authorization && typeof token === 'string') {
+        req.headers.authorization = `Bearer ${token}`;
+    }
+    next();
+}
+/**
+ * Requires a valid `Authorization: Bearer <accessToken>` header and loads
+ * the authenticated user into `req.user`.
+ */
+function authenticate(req, res, next) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const header = req.headers.authorization;
+        if (!header || !header.startsWith('Bearer ')) {
+            next(new errors_1.UnauthorizedError('auth.required'));
+            return;
+        }
+        try {
+            const { sub } = authService.verifyAccessToken(header.slice('Bearer '.length).trim());
+            const user = yield user_1.UserModel.findOne({ _id: sub, available: true });
+            if (!user) {
+                next(new errors_1.UnauthorizedError('auth.invalid_access_token'));
+                return;
+            }
+            req.user = user;
+            const context = (0, requestContext_1.getRequestContext)();
+            if (context) {
+                context.actor = user._id.toString();
+            }
+        }
+        catch (error) {
+            next(new errors_1.UnauthorizedError('auth.invalid_access_token'));
+            return;
+        }
+        next();
+    });
+}
@@ -0,0 +1,58 @@
+import { NextFunction, Request, Response } from 'express';
+import { IUser, UserModel } from '../models/user';
+import { AuthService } from '../services/auth.service';
+import { getRequestContext } from '../utils/requestContext';
+import { UnauthorizedError } from '../errors';
+
+declare global {
+    namespace Express {
+        interface Request {
+            user?: IUser;
+        }
+    }
+}
+
+const authService = new AuthService();
+
+/**
+ * EventSource cannot send headers, so streaming routes may pass the access
+ * token as `?access_token=`. Must run before `authenticate`.
+ */
+export function tokenFromQuery(req: Request, res: Response, next: NextFunction): void {
+    const token = req.query.access_token;
+    if (!req.headers.authorization && typeof token === 'string') {
+        req.headers.authorization = `Bearer ${token}`;
+    }
+    next();
+}
+
+/**
+ * Requires a valid `Authorization: Bearer <accessToken>` header and loads
+ * the authenticated user into `req.user`.
+ */
+export async function authenticate(req: Request, res: Response, next: NextFunction): Promise<void> {
+    const header = req.headers.authorization;
+    if (!header || !header.startsWith('Bearer ')) {
+        next(new UnauthorizedError('auth.required'));
+        return;
+    }
+
+    try {
+        const { sub } = authService.verifyAccessToken(header.slice('Bearer '.length).trim());
+        const user = await UserModel.findOne({ _id: sub, available: true });
+        if (!user) {
+            next(new UnauthorizedError('auth.invalid_access_token'));
+            return;
+        }
+
+        req.user = user;
+        const context = getRequestContext();
+        if (context) {
+            context.actor = user._id.toString();
+        }
+    } catch (error) {
+        next(new UnauthorizedError('auth.invalid_access_token'));
+        return;
+    }
+    next();
+}
@@ -0,0 +1,57 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.authorize = authorize;
+exports.isSelf = isSelf;
+exports.ownsPacket = ownsPacket;
+const errors_1 = require("../errors");
+/**
+ * Lets the request through when the authenticated user has one of the given
+ * roles or passes one of the given rules. Must run after `authenticate`.
+ *
+ * router.delete('/:id', authenticate, authorize('admin'), deleteUserById);
+ * router.get('/:id', authenticate, authorize('admin', isSelf('id')), getUserById);
+ */
+function authorize(...allowed) {
+    return (req, res, next) => __awaiter(this, void 0, void 0, function* () {
+        const user = req.user;
+        if (!user) {
+            next(new errors_1.UnauthorizedError('auth.required'));
+            return;
+        }
+        try {
+            for (const rule of allowed) {
+                const granted = typeof rule === 'string' ? user.role === rule : yield rule(req);
+                if (granted) {
+                    next();
+                    return;
+                }
+            }
+            next(new errors_1.ForbiddenError('auth.forbidden'));
+        }
+        catch (error) {
+            next(error);
+        }
+    });
+}
+/**
+ * Matches when the route parameter `param` is the authenticated user's id.
+ */
+function isSelf(param) {
+    return (req) => { var _a, _b; return ((_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString()) === req.params[param]; };
+}
+/**
+ * Matches when the packet named by the route parameter `param` is in the
+ * authenticated user's packets.
+ */
+function ownsPacket(param) {
+    return (req) => { var _a; return (((_a = req.user) === null || _a === void 0 ? void 0 : _a.packets) || []).some((packetId) => packetId.toString() === req.params[param]); };
+}
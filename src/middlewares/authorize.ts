@@ -0,0 +1,54 @@
+import { NextFunction, Request, Response } from 'express';
+import { UserRole } from '../models/user';
+import { ForbiddenError, UnauthorizedError } from '../errors';
+
+/**
+ * Custom rule for `authorize`. Receives the request of an authenticated user
+ * and resolves to true when the user may go on.
+ */
+export type AccessRule = (req: Request) => boolean | Promise<boolean>;
+
+/**
+ * Lets the request through when the authenticated user has one of the given
+ * roles or passes one of the given rules. Must run after `authenticate`.
+ *
+ * router.delete('/:id', authenticate, authorize('admin'), deleteUserById);
+ * router.get('/:id', authenticate, authorize('admin', isSelf('id')), getUserById);
+ */
+export function authorize(...allowed: (UserRole | AccessRule)[]) {
+    return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+        const user = req.user;
+        if (!user) {
+            next(new UnauthorizedError('auth.required'));
+            return;
+        }
+
+        try {
+            for (const rule of allowed) {
+                const granted = typeof rule === 'string' ? user.role === rule : await rule(req);
+                if (granted) {
+                    next();
+                    return;
+                }
+            }
+            next(new ForbiddenError('auth.forbidden'));
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Matches when the route parameter `param` is the authenticated user's id.
+ */
+export function isSelf(param: string): AccessRule {
+    return (req) => req.user?._id?.toString() === req.params[param];
+}
+
+/**
+ * Matches when the packet named by the route parameter `param` is in the
+ * authenticated user's packets.
+ */
+export function ownsPacket(param: string): AccessRule {
+    return (req) => (req.user?.packets || []).some((packetId) => packetId.toString() === req.params[param]);
+}
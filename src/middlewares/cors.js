@@ -4,8 +4,11 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 const cors_1 = __importDefault(require("cors"));
+const config_1 = __importDefault(require("../config"));
 const corsOptions = {
-    origin: 'http://localhost:4200',
+    origin: config_1.default.corsOrigins,
+    // Lets the browser app read how long to wait after a 429
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
     optionsSuccessStatus: 200
 };
 exports.default = (0, cors_1.default)(corsOptions);
@@ -1,7 +1,10 @@
 import cors from 'cors';
+import config from '../config';
 
 const corsOptions = {
-    origin: 'http://localhost:4200', 
+    origin: config.corsOrigins,
+    // Lets the browser app read how long to wait after a 429
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
     optionsSuccessStatus: 200 
 };
 
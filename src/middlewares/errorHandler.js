@@ -0,0 +1,83 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.notFoundHandler = notFoundHandler;
+exports.errorHandler = errorHandler;
+const http_1 = require("http");
+const mongoose_1 = __importDefault(require("mongoose"));
+const errors_1 = require("../errors");
+const i18n_1 = require("../i18n");
+const requestContext_1 = require("../utils/requestContext");
+// Errors raised by libraries that still deserve a 4xx instead of a 500
+function fromLibraryError(error) {
+    if (error instanceof mongoose_1.default.Error.CastError) {
+        return { status: 400, code: 'http.invalid_value', params: { field: error.path } };
+    }
+    if (error instanceof mongoose_1.default.Error.ValidationError) {
+        return {
+            status: 400,
+            code: 'validation.failed',
+            errors: Object.values(error.errors).map((fieldError) => ({
+                field: fieldError.path,
+                location: 'body',
+                code: 'validation.invalid',
+                message: (0, i18n_1.t)('validation.invalid', { field: fieldError.path })
+            }))
+        };
+    }
+    if ((error === null || error === void 0 ? void 0 : error.code) === 11000) {
+        return { status: 409, code: 'http.duplicate_value', params: { fields: Object.keys(error.keyPattern || {}).join(', ') } };
+    }
+    // body-parser
+    if ((error === null || error === void 0 ? void 0 : error.type) === 'entity.parse.failed') {
+        return { status: 400, code: 'http.malformed_json' };
+    }
+    if ((error === null || error === void 0 ? void 0 : error.type) === 'entity.too.large') {
+        return { status: 413, code: 'http.body_too_large' };
+    }
+    return null;
+}
+/**
+ * Answers unmatched routes; mount after every router.
+ */
+function notFoundHandler(req, res, next) {
+    next(new errors_1.NotFoundError('http.route_not_found', { method: req.method, path: req.path }));
+}
+/**
+ * Turns any error passed to `next` into a problem details response.
+ * Must be the last middleware of the app.
+ */
+function errorHandler(error, req, res, next) {
+    var _a;
+    if (res.headersSent) {
+        // Streaming responses (SSE, downloads) cannot change status anymore
+        next(error);
+        return;
+    }
+    let known = { status: 500, code: 'http.internal_error' };
+    let extensions;
+    if (error instanceof errors_1.AppError) {
+        known = {
+            status: error.status,
+            code: error.code,
+            params: error.params,
+            errors: 'errors' in error && Array.isArray(error.errors) && error.errors.length > 0 ? error.errors : undefined
+        };
+        extensions = error.extensions;
+        if (error instanceof errors_1.TooManyRequestsError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+    }
+    else {
+        known = fromLibraryError(error) || known;
+    }
+    const { status, code, params, errors } = known;
+    if (status >= 500) {
+        console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+    }
+    const problem = Object.assign(Object.assign(Object.assign({}, extensions), { type: 'about:blank', title: http_1.STATUS_CODES[status] || 'Error', status,
+        code, detail: (0, i18n_1.t)(code, params), instance: req.originalUrl, requestId: (_a = (0, requestContext_1.getRequestContext)()) === null || _a === void 0 ? void 0 : _a.requestId }), (errors ? { errors } : {}));
+    res.status(status).type('application/problem+json').json(problem);
+}
@@ -0,0 +1,114 @@
+import { STATUS_CODES } from 'http';
+import { NextFunction, Request, Response } from 'express';
+import mongoose from 'mongoose';
+import { AppError, FieldError, NotFoundError, TooManyRequestsError } from '../errors';
+import { MessageKey, MessageParams, t } from '../i18n';
+import { getRequestContext } from '../utils/requestContext';
+
+/**
+ * RFC 9457 problem details, the body of every error response. `code` is stable,
+ * `detail` is translated to the locale negotiated for the request.
+ */
+export interface ProblemDetails {
+    type: string;
+    title: string;
+    status: number;
+    code: MessageKey;
+    detail: string;
+    instance: string;
+    requestId?: string;
+    errors?: FieldError[];
+    [extension: string]: unknown;
+}
+
+interface KnownError {
+    status: number;
+    code: MessageKey;
+    params?: MessageParams;
+    errors?: FieldError[];
+}
+
+// Errors raised by libraries that still deserve a 4xx instead of a 500
+function fromLibraryError(error: any): KnownError | null {
+    if (error instanceof mongoose.Error.CastError) {
+        return { status: 400, code: 'http.invalid_value', params: { field: error.path } };
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        return {
+            status: 400,
+            code: 'validation.failed',
+            errors: Object.values(error.errors).map((fieldError) => ({
+                field: fieldError.path,
+                location: 'body',
+                code: 'validation.invalid',
+                message: t('validation.invalid', { field: fieldError.path })
+            }))
+        };
+    }
+    if (error?.code === 11000) {
+        return { status: 409, code: 'http.duplicate_value', params: { fields: Object.keys(error.keyPattern || {}).join(', ') } };
+    }
+    // body-parser
+    if (error?.type === 'entity.parse.failed') {
+        return { status: 400, code: 'http.malformed_json' };
+    }
+    if (error?.type === 'entity.too.large') {
+        return { status: 413, code: 'http.body_too_large' };
+    }
+    return null;
+}
+
+/**
+ * Answers unmatched routes; mount after every router.
+ */
+export function notFoundHandler(req: Request, res: Response, next: NextFunction): void {
+    next(new NotFoundError('http.route_not_found', { method: req.method, path: req.path }));
+}
+
+/**
+ * Turns any error passed to `next` into a problem details response.
+ * Must be the last middleware of the app.
+ */
+export function errorHandler(error: unknown, req: Request, res: Response, next: NextFunction): void {
+    if (res.headersSent) {
+        // Streaming responses (SSE, downloads) cannot change status anymore
+        next(error);
+        return;
+    }
+
+    let known: KnownError = { status: 500, code: 'http.internal_error' };
+    let extensions: Record<string, unknown> | undefined;
+
+    if (error instanceof AppError) {
+        known = {
+            status: error.status,
+            code: error.code,
+            params: error.params,
+            errors: 'errors' in error && Array.isArray(error.errors) && error.errors.length > 0 ? error.errors : undefined
+        };
+        extensions = error.extensions;
+        if (error instanceof TooManyRequestsError) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+    } else {
+        known = fromLibraryError(error) || known;
+    }
+    const { status, code, params, errors } = known;
+
+    if (status >= 500) {
+        console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+    }
+
+    const problem: ProblemDetails = {
+        ...extensions,
+        type: 'about:blank',
+        title: STATUS_CODES[status] || 'Error',
+        status,
+        code,
+        detail: t(code, params),
+        instance: req.originalUrl,
+        requestId: getRequestContext()?.requestId,
+        ...(errors ? { errors } : {})
+    };
+    res.status(status).type('application/problem+json').json(problem);
+}
@@ -0,0 +1,58 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.rateLimit = rateLimit;
+const config_1 = __importDefault(require("../config"));
+const errors_1 = require("../errors");
+const rateLimit_1 = __importDefault(require("../rateLimit"));
+/**
+ * Refuses with 429 and Retry-After the requests beyond `rate` in any sliding
+ * window. `name` separates the counts of different limits. Every response
+ * carries the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ *
+ * router.post('/login', rateLimit('login', config.rateLimit.login), login);
+ * router.use(authenticate, rateLimit('messages', config.rateLimit.api, 'user'));
+ */
+function rateLimit(name, rate, by = 'ip') {
+    return (req, res, next) => __awaiter(this, void 0, void 0, function* () {
+        var _a, _b;
+        if (!config_1.default.features.rateLimit) {
+            next();
+            return;
+        }
+        const userId = by === 'user' ? (_b = (_a = req.user) === null || _a === void 0 ? void 0 : _a._id) === null || _b === void 0 ? void 0 : _b.toString() : undefined;
+        const key = `${name}:${userId ? `user:${userId}` : `ip:${req.ip}`}`;
+        let result;
+        try {
+            result = yield rateLimit_1.default.hit(key, rate);
+        }
+        catch (error) {
+            // A broken store must not take the API down with it
+            console.error(`Error checking rate limit '${name}':`, error);
+            next();
+            return;
+        }
+        const resetSeconds = Math.ceil(result.resetMs / 1000);
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+        if (!result.allowed) {
+            next(new errors_1.TooManyRequestsError('http.too_many_requests', Math.max(1, resetSeconds)));
+            return;
+        }
+        next();
+    });
+}
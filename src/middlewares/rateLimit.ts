@@ -0,0 +1,53 @@
+import { NextFunction, Request, Response } from 'express';
+import config, { Rate } from '../config';
+import { TooManyRequestsError } from '../errors';
+import store from '../rateLimit';
+
+/**
+ * Who a limit is counted for: the client IP, or the authenticated user
+ * (falling back to the IP for anonymous requests, so run it after `authenticate`).
+ */
+export type RateLimitKey = 'ip' | 'user';
+
+/**
+ * Refuses with 429 and Retry-After the requests beyond `rate` in any sliding
+ * window. `name` separates the counts of different limits. Every response
+ * carries the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ *
+ * router.post('/login', rateLimit('login', config.rateLimit.login), login);
+ * router.use(authenticate, rateLimit('messages', config.rateLimit.api, 'user'));
+ */
+export function rateLimit(name: string, rate: Rate, by: RateLimitKey = 'ip') {
+    return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+        if (!config.features.rateLimit) {
+            next();
+            return;
+        }
+
+        const userId = by === 'user' ? req.user?._id?.toString() : undefined;
+        const key = `${name}:${userId ? `user:${userId}` : `ip:${req.ip}`}`;
+
+        let result;
+        try {
+            result = await store.hit(key, rate);
+        } catch (error) {
+            // A broken store must not take the API down with it
+            console.error(`Error checking rate limit '${name}':`, error);
+            next();
+            return;
+        }
+
+        const resetSeconds = Math.ceil(result.resetMs / 1000);
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (!result.allowed) {
+            next(new TooManyRequestsError('http.too_many_requests', Math.max(1, resetSeconds)));
+            return;
+        }
+        next();
+    };
+}
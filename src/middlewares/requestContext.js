@@ -0,0 +1,25 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.requestContext = requestContext;
+const crypto_1 = __importDefault(require("crypto"));
+const requestContext_1 = require("../utils/requestContext");
+const i18n_1 = require("../i18n");
+// Accept ids from a proxy only if they are reasonably short and printable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+/**
+ * Gives every request an id, taken from `X-Request-Id` or generated, echoes it
+ * in the response and makes it available to services through the request context,
+ * together with the locale negotiated from `Accept-Language`.
+ */
+function requestContext(req, res, next) {
+    const header = req.headers['x-request-id'];
+    const requestId = typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto_1.default.randomUUID();
+    const locale = (0, i18n_1.negotiateLocale)(req.headers['accept-language']);
+    res.setHeader('X-Request-Id', requestId);
+    res.setHeader('Content-Language', locale);
+    res.vary('Accept-Language');
+    (0, requestContext_1.runWithContext)({ requestId, locale }, next);
+}
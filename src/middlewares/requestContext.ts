@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+import { NextFunction, Request, Response } from 'express';
+import { runWithContext } from '../utils/requestContext';
+import { negotiateLocale } from '../i18n';
+
+// Accept ids from a proxy only if they are reasonably short and printable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an id, taken from `X-Request-Id` or generated, echoes it
+ * in the response and makes it available to services through the request context,
+ * together with the locale negotiated from `Accept-Language`.
+ */
+export function requestContext(req: Request, res: Response, next: NextFunction): void {
+    const header = req.headers['x-request-id'];
+    const requestId = typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+
+    const locale = negotiateLocale(req.headers['accept-language']);
+
+    res.setHeader('X-Request-Id', requestId);
+    res.setHeader('Content-Language', locale);
+    res.vary('Accept-Language');
+    runWithContext({ requestId, locale }, next);
+}
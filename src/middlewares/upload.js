@@ -0,0 +1,33 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.uploadProof = uploadProof;
+const multer_1 = __importDefault(require("multer"));
+const proof_service_1 = require("../services/proof.service");
+const errors_1 = require("../errors");
+const proofUpload = (0, multer_1.default)({
+    storage: multer_1.default.memoryStorage(),
+    // The file type is checked by ProofService, against the content too
+    limits: { fileSize: proof_service_1.MAX_PROOF_SIZE, files: 1 },
+}).single('file');
+/**
+ * Parses a multipart proof upload (field `file`) into `req.file`, failing
+ * with 413 when it is too large and 400 for any other malformed upload.
+ */
+function uploadProof(req, res, next) {
+    proofUpload(req, res, (error) => {
+        if (error instanceof multer_1.default.MulterError) {
+            next(error.code === 'LIMIT_FILE_SIZE'
+                ? new errors_1.PayloadTooLargeError('proof.too_large', { max: proof_service_1.MAX_PROOF_SIZE })
+                : new errors_1.ValidationError('upload.invalid', { reason: error.code }));
+            return;
+        }
+        if (error) {
+            next(new errors_1.ValidationError('upload.unreadable'));
+            return;
+        }
+        next();
+    });
+}
@@ -0,0 +1,30 @@
+import { NextFunction, Request, Response } from 'express';
+import multer from 'multer';
+import { MAX_PROOF_SIZE } from '../services/proof.service';
+import { PayloadTooLargeError, ValidationError } from '../errors';
+
+const proofUpload = multer({
+    storage: multer.memoryStorage(),
+    // The file type is checked by ProofService, against the content too
+    limits: { fileSize: MAX_PROOF_SIZE, files: 1 },
+}).single('file');
+
+/**
+ * Parses a multipart proof upload (field `file`) into `req.file`, failing
+ * with 413 when it is too large and 400 for any other malformed upload.
+ */
+export function uploadProof(req: Request, res: Response, next: NextFunction): void {
+    proofUpload(req, res, (error: unknown) => {
+        if (error instanceof multer.MulterError) {
+            next(error.code === 'LIMIT_FILE_SIZE'
+                ? new PayloadTooLargeError('proof.too_large', { max: MAX_PROOF_SIZE })
+                : new ValidationError('upload.invalid', { reason: error.code }));
+            return;
+        }
+        if (error) {
+            next(new ValidationError('upload.unreadable'));
+            return;
+        }
+        next();
+    });
+}
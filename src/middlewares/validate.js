@@ -0,0 +1,36 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.validate = validate;
+const express_validator_1 = require("express-validator");
+const errors_1 = require("../errors");
+const i18n_1 = require("../i18n");
+function toFieldError(error) {
+    const field = error.type === 'field' ? error.path
+        : error.type === 'unknown_fields' ? error.fields.map((unknown) => unknown.path).join(', ')
+            : '';
+    const location = error.type === 'field' ? error.location : error.type === 'unknown_fields' ? 'body' : '';
+    // Checks declared without errorMessage report express-validator's own string
+    const { code, params } = typeof error.msg === 'object' && error.msg !== null
+        ? error.msg
+        : { code: 'validation.invalid', params: { field } };
+    return { field, location, code, message: (0, i18n_1.t)(code, params) };
+}
+function handleValidationResult(req, res, next) {
+    const result = (0, express_validator_1.validationResult)(req);
+    if (!result.isEmpty()) {
+        next(new errors_1.ValidationError('validation.failed', {}, result.array({ onlyFirstError: true }).map(toFieldError)));
+        return;
+    }
+    // Controllers only see declared, sanitized fields; anything else is dropped
+    req.body = (0, express_validator_1.matchedData)(req, { locations: ['body'] });
+    req.query = (0, express_validator_1.matchedData)(req, { locations: ['query'] });
+    next();
+}
+/**
+ * Validates and sanitizes the request against `schema`. Every field must say
+ * where it comes from (`in`). Fails with a ValidationError listing one
+ * message per invalid field.
+ */
+function validate(schema) {
+    return [...(0, express_validator_1.checkSchema)(schema, ['body', 'query', 'params']), handleValidationResult];
+}
@@ -0,0 +1,39 @@
+import { NextFunction, Request, RequestHandler, Response } from 'express';
+import { Schema, ValidationError as ExpressValidationError, checkSchema, matchedData, validationResult } from 'express-validator';
+import { FieldError, ValidationError } from '../errors';
+import { t } from '../i18n';
+import { FieldMessage } from '../validators/common';
+
+function toFieldError(error: ExpressValidationError): FieldError {
+    const field = error.type === 'field' ? error.path
+        : error.type === 'unknown_fields' ? error.fields.map((unknown) => unknown.path).join(', ')
+        : '';
+    const location = error.type === 'field' ? error.location : error.type === 'unknown_fields' ? 'body' : '';
+    // Checks declared without errorMessage report express-validator's own string
+    const { code, params } = typeof error.msg === 'object' && error.msg !== null
+        ? error.msg as FieldMessage
+        : { code: 'validation.invalid' as const, params: { field } };
+    return { field, location, code, message: t(code, params) };
+}
+
+function handleValidationResult(req: Request, res: Response, next: NextFunction): void {
+    const result = validationResult(req);
+    if (!result.isEmpty()) {
+        next(new ValidationError('validation.failed', {}, result.array({ onlyFirstError: true }).map(toFieldError)));
+        return;
+    }
+
+    // Controllers only see declared, sanitized fields; anything else is dropped
+    req.body = matchedData(req, { locations: ['body'] });
+    req.query = matchedData(req, { locations: ['query'] });
+    next();
+}
+
+/**
+ * Validates and sanitizes the request against `schema`. Every field must say
+ * where it comes from (`in`). Fails with a ValidationError listing one
+ * message per invalid field.
+ */
+export function validate(schema: Schema): RequestHandler[] {
+    return [...checkSchema(schema, ['body', 'query', 'params']), handleValidationResult];
+}
@@ -0,0 +1,19 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AuditLogModel = exports.AUDIT_TARGETS = exports.AUDIT_ACTIONS = void 0;
+const mongoose_1 = require("mongoose");
+exports.AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+exports.AUDIT_TARGETS = ['users', 'packets', 'messages'];
+const auditLogSchema = new mongoose_1.Schema({
+    actor: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+    action: { type: String, enum: exports.AUDIT_ACTIONS, required: true },
+    targetType: { type: String, enum: exports.AUDIT_TARGETS, required: true },
+    targetId: { type: mongoose_1.Schema.Types.ObjectId, default: null },
+    changes: { type: mongoose_1.Schema.Types.Mixed, default: {} },
+    meta: { type: mongoose_1.Schema.Types.Mixed },
+    requestId: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+exports.AuditLogModel = (0, mongoose_1.model)('AuditLog', auditLogSchema);
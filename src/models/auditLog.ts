@@ -0,0 +1,45 @@
+import { ObjectId, Schema, model } from 'mongoose';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+export const AUDIT_TARGETS = ['users', 'packets', 'messages'] as const;
+
+export type AuditTarget = typeof AUDIT_TARGETS[number];
+
+export interface IFieldChange {
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface IAuditLog {
+  _id: ObjectId;
+  // Null for anonymous requests (registration) and background jobs
+  actor: ObjectId | null;
+  action: AuditAction;
+  targetType: AuditTarget;
+  // Null for bulk operations, described in `meta`
+  targetId: ObjectId | null;
+  // Only the top-level fields that changed
+  changes: Record<string, IFieldChange>;
+  meta?: Record<string, unknown>;
+  requestId: string | null;
+  createdAt: Date;
+}
+
+const auditLogSchema = new Schema<IAuditLog>({
+  actor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  targetType: { type: String, enum: AUDIT_TARGETS, required: true },
+  targetId: { type: Schema.Types.ObjectId, default: null },
+  changes: { type: Schema.Types.Mixed, default: {} },
+  meta: { type: Schema.Types.Mixed },
+  requestId: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export const AuditLogModel = model<IAuditLog>('AuditLog', auditLogSchema);
@@ -3,11 +3,19 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.MessageModel = void 0;
 // models/Message.ts
 const mongoose_1 = require("mongoose");
+const softDelete_1 = require("./plugins/softDelete");
 const messageSchema = new mongoose_1.Schema({
     content: { type: String, required: true },
     sender: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', required: true },
     receiver: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', required: true },
     read: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now }
+    readAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date }
 });
+// Historial de una conversación, ordenado por fecha (paginación por cursor)
+messageSchema.index({ sender: 1, receiver: 1, createdAt: -1, _id: -1 });
+// Mensajes recientes de un remitente (filtro de spam)
+messageSchema.index({ sender: 1, createdAt: -1 });
+messageSchema.plugin(softDelete_1.softDelete);
 exports.MessageModel = (0, mongoose_1.model)('Message', messageSchema);
@@ -1,13 +1,16 @@
 // models/Message.ts
 import { ObjectId, Schema, model } from 'mongoose';
+import { ISoftDeletable, softDelete } from './plugins/softDelete';
 
-export interface IMessage {
+export interface IMessage extends ISoftDeletable {
   _id: ObjectId;
   content: string;
   sender: ObjectId;
   receiver: ObjectId;
   read: boolean;
+  readAt: Date | null;
   createdAt: Date;
+  updatedAt?: Date;
 }
 
 const messageSchema = new Schema<IMessage>({
@@ -15,7 +18,16 @@ const messageSchema = new Schema<IMessage>({
   sender: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   receiver: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   read: { type: Boolean, default: false },
-  createdAt: { type: Date, default: Date.now }
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
 });
 
+// Historial de una conversación, ordenado por fecha (paginación por cursor)
+messageSchema.index({ sender: 1, receiver: 1, createdAt: -1, _id: -1 });
+// Mensajes recientes de un remitente (filtro de spam)
+messageSchema.index({ sender: 1, createdAt: -1 });
+
+messageSchema.plugin(softDelete);
+
 export const MessageModel = model<IMessage>('Message', messageSchema);
\ No newline at end of file
@@ -0,0 +1,16 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MessageEventModel = exports.MESSAGE_EVENT_TYPES = void 0;
+// models/MessageEvent.ts
+const mongoose_1 = require("mongoose");
+exports.MESSAGE_EVENT_TYPES = ['created', 'updated', 'deleted', 'restored', 'read'];
+const messageEventSchema = new mongoose_1.Schema({
+    type: { type: String, enum: exports.MESSAGE_EVENT_TYPES, required: true },
+    message: { type: mongoose_1.Schema.Types.Mixed, required: true },
+    participants: [{ type: mongoose_1.Schema.Types.ObjectId, ref: 'User', required: true }],
+    createdAt: { type: Date, default: Date.now }
+});
+// Los eventos solo sirven para reanudar conexiones caídas, se guardan 24 horas
+messageEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+messageEventSchema.index({ participants: 1, _id: 1 });
+exports.MessageEventModel = (0, mongoose_1.model)('MessageEvent', messageEventSchema);
@@ -0,0 +1,28 @@
+// models/MessageEvent.ts
+import { ObjectId, Schema, model } from 'mongoose';
+import { IMessage } from './message';
+
+export const MESSAGE_EVENT_TYPES = ['created', 'updated', 'deleted', 'restored', 'read'] as const;
+
+export type MessageEventType = typeof MESSAGE_EVENT_TYPES[number];
+
+export interface IMessageEvent {
+  _id: ObjectId;
+  type: MessageEventType;
+  message: IMessage;
+  participants: ObjectId[];
+  createdAt: Date;
+}
+
+const messageEventSchema = new Schema<IMessageEvent>({
+  type: { type: String, enum: MESSAGE_EVENT_TYPES, required: true },
+  message: { type: Schema.Types.Mixed, required: true },
+  participants: [{ type: Schema.Types.ObjectId, ref: 'User', required: true }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Los eventos solo sirven para reanudar conexiones caídas, se guardan 24 horas
+messageEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+messageEventSchema.index({ participants: 1, _id: 1 });
+
+export const MessageEventModel = model<IMessageEvent>('MessageEvent', messageEventSchema);
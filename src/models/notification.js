@@ -0,0 +1,30 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NotificationModel = exports.NOTIFICATION_STATUSES = exports.NOTIFICATION_TEMPLATES = exports.NOTIFICATION_CHANNELS = void 0;
+const mongoose_1 = require("mongoose");
+exports.NOTIFICATION_CHANNELS = ['email', 'sms'];
+exports.NOTIFICATION_TEMPLATES = [
+    'packet.status_changed',
+    'message.received',
+    'account.created',
+    'account.password_changed',
+];
+exports.NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+const notificationSchema = new mongoose_1.Schema({
+    user: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', required: true },
+    channel: { type: String, enum: exports.NOTIFICATION_CHANNELS, required: true },
+    template: { type: String, enum: exports.NOTIFICATION_TEMPLATES, required: true },
+    to: { type: String, required: true },
+    subject: { type: String },
+    body: { type: String, required: true },
+    status: { type: String, enum: exports.NOTIFICATION_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+}, { timestamps: true });
+// The outbox queue
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+exports.NotificationModel = (0, mongoose_1.model)('Notification', notificationSchema);
@@ -0,0 +1,58 @@
+import { ObjectId, Schema, model } from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms'] as const;
+
+export type NotificationChannel = typeof NOTIFICATION_CHANNELS[number];
+
+export const NOTIFICATION_TEMPLATES = [
+  'packet.status_changed',
+  'message.received',
+  'account.created',
+  'account.password_changed',
+] as const;
+
+export type NotificationTemplate = typeof NOTIFICATION_TEMPLATES[number];
+
+export const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'] as const;
+
+export type NotificationStatus = typeof NOTIFICATION_STATUSES[number];
+
+export interface INotification {
+  _id: ObjectId;
+  user: ObjectId;
+  channel: NotificationChannel;
+  template: NotificationTemplate;
+  // Email address or phone number, copied when queued
+  to: string;
+  subject?: string;
+  body: string;
+  status: NotificationStatus;
+  attempts: number;
+  lastError: string | null;
+  nextAttemptAt: Date | null;
+  lockedUntil: Date | null;
+  sentAt: Date | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const notificationSchema = new Schema<INotification>({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  template: { type: String, enum: NOTIFICATION_TEMPLATES, required: true },
+  to: { type: String, required: true },
+  subject: { type: String },
+  body: { type: String, required: true },
+  status: { type: String, enum: NOTIFICATION_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  sentAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// The outbox queue
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+export const NotificationModel = model<INotification>('Notification', notificationSchema);
@@ -1,10 +1,83 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.PacketModel = void 0;
+exports.PacketModel = exports.IN_TRANSIT_PACKET_STATUSES = exports.CLOSED_PACKET_STATUSES = exports.PROOF_KINDS = exports.PACKET_TRANSITIONS = exports.PACKET_STATUSES = void 0;
 const mongoose_1 = require("mongoose");
+const softDelete_1 = require("./plugins/softDelete");
+exports.PACKET_STATUSES = [
+    'created',
+    'picked_up',
+    'in_transit',
+    'out_for_delivery',
+    'delivered',
+    'failed',
+    'returned',
+];
+// Allowed next states for every status. Final states have no outgoing transitions.
+exports.PACKET_TRANSITIONS = {
+    created: ['picked_up', 'failed'],
+    picked_up: ['in_transit', 'failed', 'returned'],
+    in_transit: ['out_for_delivery', 'failed', 'returned'],
+    out_for_delivery: ['delivered', 'failed', 'returned'],
+    delivered: [],
+    failed: ['returned'],
+    returned: [],
+};
+exports.PROOF_KINDS = ['photo', 'signature'];
+// Packets in these states are not open work for a courier anymore
+exports.CLOSED_PACKET_STATUSES = ['delivered', 'returned'];
+// Packets a courier is physically carrying; they cannot be deleted
+exports.IN_TRANSIT_PACKET_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery'];
+const trackingEventSchema = new mongoose_1.Schema({
+    from: { type: String, enum: exports.PACKET_STATUSES, default: null },
+    status: { type: String, enum: exports.PACKET_STATUSES, required: true },
+    actor: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now }
+});
+const geoPointSchema = new mongoose_1.Schema({
+    type: { type: String, enum: ['Point'], required: true, default: 'Point' },
+    coordinates: { type: [Number], required: true }
+}, { _id: false });
+const locationUpdateSchema = new mongoose_1.Schema({
+    location: { type: geoPointSchema, required: true },
+    courier: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+    recordedAt: { type: Date, default: Date.now }
+});
+const assignmentSchema = new mongoose_1.Schema({
+    courier: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', required: true },
+    assignedBy: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedAt: { type: Date, default: Date.now },
+    unassignedAt: { type: Date, default: null }
+});
+const proofSchema = new mongoose_1.Schema({
+    kind: { type: String, enum: exports.PROOF_KINDS, required: true },
+    // Key in the storage backend, never sent to clients
+    storageKey: { type: String, required: true, select: false },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedBy: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+    uploadedAt: { type: Date, default: Date.now }
+});
 const packetSchema = new mongoose_1.Schema({
     name: { type: String, required: true },
     description: { type: String, required: true },
-    status: { type: String, required: true },
-});
+    status: { type: String, enum: exports.PACKET_STATUSES, required: true, default: 'created' },
+    events: { type: [trackingEventSchema], default: [] },
+    // Public code printed on the label, see utils/trackingCode
+    trackingCode: { type: String, unique: true, sparse: true, immutable: true },
+    estimatedDelivery: { type: Date, default: null },
+    location: { type: geoPointSchema, default: undefined },
+    locationHistory: { type: [locationUpdateSchema], default: [] },
+    // Current courier; the full history lives in `assignments`
+    assignedTo: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignments: { type: [assignmentSchema], default: [] },
+    proofs: { type: [proofSchema], default: [] },
+}, { timestamps: true });
+// Free-text search over the packet list
+packetSchema.index({ name: 'text', description: 'text' });
+packetSchema.index({ status: 1, createdAt: -1 });
+packetSchema.index({ location: '2dsphere' });
+packetSchema.index({ assignedTo: 1, status: 1 });
+packetSchema.plugin(softDelete_1.softDelete);
 exports.PacketModel = (0, mongoose_1.model)("Packet", packetSchema);
@@ -1,16 +1,156 @@
 import { ObjectId, Schema, model } from 'mongoose';
+import { ISoftDeletable, softDelete } from './plugins/softDelete';
 
-export interface IPacket {
+export const PACKET_STATUSES = [
+  'created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'failed',
+  'returned',
+] as const;
+
+export type PacketStatus = typeof PACKET_STATUSES[number];
+
+// Allowed next states for every status. Final states have no outgoing transitions.
+export const PACKET_TRANSITIONS: Record<PacketStatus, PacketStatus[]> = {
+  created: ['picked_up', 'failed'],
+  picked_up: ['in_transit', 'failed', 'returned'],
+  in_transit: ['out_for_delivery', 'failed', 'returned'],
+  out_for_delivery: ['delivered', 'failed', 'returned'],
+  delivered: [],
+  failed: ['returned'],
+  returned: [],
+};
+
+export interface ITrackingEvent {
+  _id?: ObjectId;
+  from: PacketStatus | null;
+  status: PacketStatus;
+  actor?: ObjectId | null;
+  note?: string;
+  createdAt: Date;
+}
+
+export interface IGeoPoint {
+  type: 'Point';
+  // GeoJSON order: [longitude, latitude]
+  coordinates: [number, number];
+}
+
+export interface ILocationUpdate {
+  _id?: ObjectId;
+  location: IGeoPoint;
+  courier?: ObjectId | null;
+  recordedAt: Date;
+}
+
+export interface IAssignment {
+  _id?: ObjectId;
+  courier: ObjectId;
+  assignedBy?: ObjectId | null;
+  assignedAt: Date;
+  unassignedAt?: Date | null;
+}
+
+export const PROOF_KINDS = ['photo', 'signature'] as const;
+
+export type ProofKind = typeof PROOF_KINDS[number];
+
+export interface IProof {
+  _id?: ObjectId;
+  kind: ProofKind;
+  storageKey: string;
+  originalName: string;
+  mimeType: string;
+  size: number;
+  uploadedBy?: ObjectId | null;
+  uploadedAt: Date;
+}
+
+// Packets in these states are not open work for a courier anymore
+export const CLOSED_PACKET_STATUSES: PacketStatus[] = ['delivered', 'returned'];
+
+// Packets a courier is physically carrying; they cannot be deleted
+export const IN_TRANSIT_PACKET_STATUSES: PacketStatus[] = ['picked_up', 'in_transit', 'out_for_delivery'];
+
+export interface IPacket extends ISoftDeletable {
   _id: ObjectId;
   name: string;
   description: string;
-  status: string;
+  status: PacketStatus;
+  events: ITrackingEvent[];
+  trackingCode?: string;
+  estimatedDelivery?: Date | null;
+  location?: IGeoPoint | null;
+  locationHistory?: ILocationUpdate[];
+  assignedTo?: ObjectId | null;
+  assignments?: IAssignment[];
+  proofs?: IProof[];
+  createdAt?: Date;
+  updatedAt?: Date;
 }
 
+const trackingEventSchema = new Schema<ITrackingEvent>({
+  from: { type: String, enum: PACKET_STATUSES, default: null },
+  status: { type: String, enum: PACKET_STATUSES, required: true },
+  actor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const geoPointSchema = new Schema<IGeoPoint>({
+  type: { type: String, enum: ['Point'], required: true, default: 'Point' },
+  coordinates: { type: [Number], required: true }
+}, { _id: false });
+
+const locationUpdateSchema = new Schema<ILocationUpdate>({
+  location: { type: geoPointSchema, required: true },
+  courier: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  recordedAt: { type: Date, default: Date.now }
+});
+
+const assignmentSchema = new Schema<IAssignment>({
+  courier: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  assignedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  assignedAt: { type: Date, default: Date.now },
+  unassignedAt: { type: Date, default: null }
+});
+
+const proofSchema = new Schema<IProof>({
+  kind: { type: String, enum: PROOF_KINDS, required: true },
+  // Key in the storage backend, never sent to clients
+  storageKey: { type: String, required: true, select: false },
+  originalName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  uploadedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
 const packetSchema = new Schema<IPacket>({
   name: { type: String, required: true },
   description: { type: String, required: true },
-  status: { type: String, required: true },
-});
+  status: { type: String, enum: PACKET_STATUSES, required: true, default: 'created' },
+  events: { type: [trackingEventSchema], default: [] },
+  // Public code printed on the label, see utils/trackingCode
+  trackingCode: { type: String, unique: true, sparse: true, immutable: true },
+  estimatedDelivery: { type: Date, default: null },
+  location: { type: geoPointSchema, default: undefined },
+  locationHistory: { type: [locationUpdateSchema], default: [] },
+  // Current courier; the full history lives in `assignments`
+  assignedTo: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  assignments: { type: [assignmentSchema], default: [] },
+  proofs: { type: [proofSchema], default: [] },
+}, { timestamps: true });
+
+// Free-text search over the packet list
+packetSchema.index({ name: 'text', description: 'text' });
+packetSchema.index({ status: 1, createdAt: -1 });
+packetSchema.index({ location: '2dsphere' });
+packetSchema.index({ assignedTo: 1, status: 1 });
+
+packetSchema.plugin(softDelete);
 
-export const PacketModel = model("Packet", packetSchema);
\ No newline at end of file
+export const PacketModel = model("Packet", packetSchema);
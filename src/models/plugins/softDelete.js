@@ -0,0 +1,42 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.softDelete = softDelete;
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'countDocuments',
+    'distinct',
+    'updateOne',
+    'updateMany',
+];
+/**
+ * Adds `deletedAt` and hides deleted documents from queries and aggregations.
+ *
+ * To see them, put `deletedAt` in the filter (e.g. `{ deletedAt: { $ne: null } }`)
+ * or pass the `withDeleted: true` query/aggregate option.
+ */
+function softDelete(schema) {
+    schema.add({ deletedAt: { type: Date, default: null } });
+    schema.index({ deletedAt: 1 });
+    for (const hook of QUERY_HOOKS) {
+        schema.pre(hook, function () {
+            if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter())
+                return;
+            this.where({ deletedAt: null });
+        });
+    }
+    schema.pre('aggregate', function () {
+        if (this.options.withDeleted)
+            return;
+        const pipeline = this.pipeline();
+        const first = pipeline[0];
+        // $geoNear has to stay the first stage, so it gets the condition itself
+        if (first && '$geoNear' in first) {
+            first.$geoNear.query = Object.assign(Object.assign({}, first.$geoNear.query), { deletedAt: null });
+        }
+        else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+}
@@ -0,0 +1,47 @@
+import { Aggregate, PipelineStage, Query, Schema } from 'mongoose';
+
+export interface ISoftDeletable {
+  // Set when the document is in the trash; purged for good after the retention period
+  deletedAt?: Date | null;
+}
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+] as const;
+
+/**
+ * Adds `deletedAt` and hides deleted documents from queries and aggregations.
+ *
+ * To see them, put `deletedAt` in the filter (e.g. `{ deletedAt: { $ne: null } }`)
+ * or pass the `withDeleted: true` query/aggregate option.
+ */
+export function softDelete(schema: Schema): void {
+  schema.add({ deletedAt: { type: Date, default: null } });
+  schema.index({ deletedAt: 1 });
+
+  for (const hook of QUERY_HOOKS) {
+    schema.pre(hook, function (this: Query<unknown, unknown>) {
+      if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+      this.where({ deletedAt: null });
+    });
+  }
+
+  schema.pre('aggregate', function (this: Aggregate<unknown>) {
+    if (this.options.withDeleted) return;
+
+    const pipeline: PipelineStage[] = this.pipeline();
+    const first = pipeline[0];
+    // $geoNear has to stay the first stage, so it gets the condition itself
+    if (first && '$geoNear' in first) {
+      first.$geoNear.query = { ...first.$geoNear.query, deletedAt: null };
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
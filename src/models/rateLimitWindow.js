@@ -0,0 +1,13 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.RateLimitWindowModel = void 0;
+const mongoose_1 = require("mongoose");
+const rateLimitWindowSchema = new mongoose_1.Schema({
+    key: { type: String, required: true, unique: true },
+    hits: { type: [Date], default: [] },
+    allowed: { type: Boolean, default: true },
+    expiresAt: { type: Date, required: true }
+});
+// MongoDB removes the windows of idle clients by itself
+rateLimitWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+exports.RateLimitWindowModel = (0, mongoose_1.model)('RateLimitWindow', rateLimitWindowSchema);
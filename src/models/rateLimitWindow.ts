@@ -0,0 +1,23 @@
+import { ObjectId, Schema, model } from 'mongoose';
+
+export interface IRateLimitWindow {
+  _id: ObjectId;
+  key: string;
+  // Accepted hits inside the window, oldest first
+  hits: Date[];
+  // Whether the last hit was accepted
+  allowed: boolean;
+  expiresAt: Date;
+}
+
+const rateLimitWindowSchema = new Schema<IRateLimitWindow>({
+  key: { type: String, required: true, unique: true },
+  hits: { type: [Date], default: [] },
+  allowed: { type: Boolean, default: true },
+  expiresAt: { type: Date, required: true }
+});
+
+// MongoDB removes the windows of idle clients by itself
+rateLimitWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimitWindowModel = model<IRateLimitWindow>('RateLimitWindow', rateLimitWindowSchema);
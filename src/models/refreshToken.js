@@ -0,0 +1,14 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.RefreshTokenModel = void 0;
+const mongoose_1 = require("mongoose");
+const refreshTokenSchema = new mongoose_1.Schema({
+    user: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+// MongoDB removes expired tokens by itself
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+exports.RefreshTokenModel = (0, mongoose_1.model)('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,23 @@
+import { ObjectId, Schema, model } from 'mongoose';
+
+export interface IRefreshToken {
+  _id: ObjectId;
+  user: ObjectId;
+  tokenHash: string;
+  expiresAt: Date;
+  revokedAt: Date | null;
+  createdAt: Date;
+}
+
+const refreshTokenSchema = new Schema<IRefreshToken>({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// MongoDB removes expired tokens by itself
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshTokenModel = model<IRefreshToken>('RefreshToken', refreshTokenSchema);
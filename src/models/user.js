@@ -1,15 +1,25 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.UserModel = void 0;
+exports.UserModel = exports.USER_ROLES = void 0;
 const mongoose_1 = require("mongoose");
+const packet_1 = require("./packet");
+const notification_1 = require("./notification");
+const softDelete_1 = require("./plugins/softDelete");
+const i18n_1 = require("../i18n");
+// 'system' is the sender of automatic messages, it cannot log in
+exports.USER_ROLES = ['admin', 'courier', 'customer', 'system'];
 const userSchema = new mongoose_1.Schema({
     name: {
         type: String,
         required: true
     },
+    // Users log in with it, so one account per address (a duplicate answers 409)
     email: {
         type: String,
         required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
         validate: {
             validator: function (value) {
                 return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
@@ -17,9 +27,11 @@ const userSchema = new mongoose_1.Schema({
             message: (props) => `${props.value} is not a valid email!`
         }
     },
+    // Stored as a bcrypt hash and never returned unless explicitly selected
     password: {
         type: String,
-        required: true
+        required: true,
+        select: false
     },
     phone: {
         type: String,
@@ -30,6 +42,31 @@ const userSchema = new mongoose_1.Schema({
         required: true,
         default: true
     },
+    role: {
+        type: String,
+        enum: exports.USER_ROLES,
+        required: true,
+        default: 'customer'
+    },
     packets: [{ type: mongoose_1.Schema.Types.ObjectId, ref: "Packet" }],
+    locale: {
+        type: String,
+        enum: i18n_1.SUPPORTED_LOCALES
+    },
+    notificationPreferences: {
+        mutedPacketStatuses: {
+            type: [{ type: String, enum: packet_1.PACKET_STATUSES }],
+            default: []
+        },
+        channels: {
+            email: { type: Boolean, default: true },
+            sms: { type: Boolean, default: false }
+        },
+        mutedTemplates: {
+            type: [{ type: String, enum: notification_1.NOTIFICATION_TEMPLATES }],
+            default: []
+        }
+    },
 });
+userSchema.plugin(softDelete_1.softDelete);
 exports.UserModel = (0, mongoose_1.model)("User", userSchema);
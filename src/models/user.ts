@@ -1,13 +1,37 @@
 import {ObjectId, Schema, model} from 'mongoose';
+import { PACKET_STATUSES, PacketStatus } from './packet';
+import { NOTIFICATION_TEMPLATES, NotificationTemplate } from './notification';
+import { ISoftDeletable, softDelete } from './plugins/softDelete';
+import { Locale, SUPPORTED_LOCALES } from '../i18n';
 
-export interface IUser {
+// 'system' is the sender of automatic messages, it cannot log in
+export const USER_ROLES = ['admin', 'courier', 'customer', 'system'] as const;
+
+export type UserRole = typeof USER_ROLES[number];
+
+export interface IUser extends ISoftDeletable {
   _id?: ObjectId;
   name: string;
   email: string;
   password: string;
   phone: string;
   available: boolean;
+  role: UserRole;
   packets: ObjectId[];
+  // Language of the notifications sent to the user
+  locale?: Locale;
+  notificationPreferences?: INotificationPreferences;
+}
+
+export interface INotificationPreferences {
+  // Status changes of linked packets that should not produce an inbox message
+  mutedPacketStatuses: PacketStatus[];
+  // Email and SMS delivery, see services/notification.service
+  channels: {
+    email: boolean;
+    sms: boolean;
+  };
+  mutedTemplates: NotificationTemplate[];
 }
 
 const userSchema = new Schema<IUser>({
@@ -16,9 +40,13 @@ const userSchema = new Schema<IUser>({
     required: true
   },
 
+  // Users log in with it, so one account per address (a duplicate answers 409)
   email: {
     type: String,
     required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
     validate: {
       validator: function (value: string): boolean {
         return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
@@ -27,9 +55,11 @@ const userSchema = new Schema<IUser>({
     }
   },
 
+  // Stored as a bcrypt hash and never returned unless explicitly selected
   password: {
     type: String,
-    required: true
+    required: true,
+    select: false
   },
 
   phone: {
@@ -42,8 +72,37 @@ const userSchema = new Schema<IUser>({
     required: true,
     default: true
   },
+
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    required: true,
+    default: 'customer'
+  },
   
   packets: [{ type: Schema.Types.ObjectId, ref: "Packet" }],
+
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES
+  },
+
+  notificationPreferences: {
+    mutedPacketStatuses: {
+      type: [{ type: String, enum: PACKET_STATUSES }],
+      default: []
+    },
+    channels: {
+      email: { type: Boolean, default: true },
+      sms: { type: Boolean, default: false }
+    },
+    mutedTemplates: {
+      type: [{ type: String, enum: NOTIFICATION_TEMPLATES }],
+      default: []
+    }
+  },
 });
 
+userSchema.plugin(softDelete);
+
 export const UserModel = model("User", userSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.WebhookModel = exports.WEBHOOK_EVENTS = void 0;
+const mongoose_1 = require("mongoose");
+exports.WEBHOOK_EVENTS = [
+    'packet.created',
+    'packet.status_changed',
+    'packet.deleted',
+    'message.sent',
+];
+const webhookSchema = new mongoose_1.Schema({
+    url: {
+        type: String,
+        required: true,
+        validate: {
+            validator: function (value) {
+                return /^https?:\/\/[^\s]+$/.test(value);
+            },
+            message: (props) => `${props.value} is not a valid http(s) URL!`
+        }
+    },
+    events: {
+        type: [{ type: String, enum: exports.WEBHOOK_EVENTS }],
+        validate: {
+            validator: (value) => value.length > 0,
+            message: 'At least one event is required'
+        }
+    },
+    secret: { type: String, required: true, select: false },
+    description: { type: String },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose_1.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+webhookSchema.index({ active: 1, events: 1 });
+exports.WebhookModel = (0, mongoose_1.model)('Webhook', webhookSchema);
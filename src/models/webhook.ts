@@ -0,0 +1,51 @@
+import { ObjectId, Schema, model } from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'packet.created',
+  'packet.status_changed',
+  'packet.deleted',
+  'message.sent',
+] as const;
+
+export type WebhookEvent = typeof WEBHOOK_EVENTS[number];
+
+export interface IWebhook {
+  _id: ObjectId;
+  url: string;
+  events: WebhookEvent[];
+  // Shared secret for the HMAC signature, only returned when the subscription is created
+  secret: string;
+  description?: string;
+  active: boolean;
+  createdBy?: ObjectId | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const webhookSchema = new Schema<IWebhook>({
+  url: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function (value: string): boolean {
+        return /^https?:\/\/[^\s]+$/.test(value);
+      },
+      message: (props: any) => `${props.value} is not a valid http(s) URL!`
+    }
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (value: string[]) => value.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  secret: { type: String, required: true, select: false },
+  description: { type: String },
+  active: { type: Boolean, default: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+webhookSchema.index({ active: 1, events: 1 });
+
+export const WebhookModel = model<IWebhook>('Webhook', webhookSchema);
@@ -0,0 +1,27 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.WebhookDeliveryModel = exports.DELIVERY_STATUSES = void 0;
+const mongoose_1 = require("mongoose");
+const webhook_1 = require("./webhook");
+exports.DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const deliveryAttemptSchema = new mongoose_1.Schema({
+    attemptedAt: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number, required: true }
+}, { _id: false });
+const webhookDeliverySchema = new mongoose_1.Schema({
+    webhook: { type: mongoose_1.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, enum: webhook_1.WEBHOOK_EVENTS, required: true },
+    payload: { type: mongoose_1.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: exports.DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: [deliveryAttemptSchema], default: [] },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+}, { timestamps: true });
+// The queue: pending deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// The delivery log of a subscription
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+exports.WebhookDeliveryModel = (0, mongoose_1.model)('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,53 @@
+import { ObjectId, Schema, model } from 'mongoose';
+import { WEBHOOK_EVENTS, WebhookEvent } from './webhook';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'] as const;
+
+export type DeliveryStatus = typeof DELIVERY_STATUSES[number];
+
+export interface IDeliveryAttempt {
+  attemptedAt: Date;
+  statusCode: number | null;
+  error: string | null;
+  durationMs: number;
+}
+
+export interface IWebhookDelivery {
+  _id: ObjectId;
+  webhook: ObjectId;
+  event: WebhookEvent;
+  payload: Record<string, unknown>;
+  status: DeliveryStatus;
+  attempts: IDeliveryAttempt[];
+  nextAttemptAt: Date | null;
+  // Set while a worker is sending it, so two workers never send the same delivery
+  lockedUntil: Date | null;
+  deliveredAt: Date | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+const deliveryAttemptSchema = new Schema<IDeliveryAttempt>({
+  attemptedAt: { type: Date, required: true },
+  statusCode: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, required: true }
+}, { _id: false });
+
+const webhookDeliverySchema = new Schema<IWebhookDelivery>({
+  webhook: { type: Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, enum: WEBHOOK_EVENTS, required: true },
+  payload: { type: Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: [deliveryAttemptSchema], default: [] },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  deliveredAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// The queue: pending deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// The delivery log of a subscription
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export const WebhookDeliveryModel = model<IWebhookDelivery>('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,60 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.statusLabel = statusLabel;
+exports.renderNotification = renderNotification;
+const i18n_1 = require("../i18n");
+function email(locale, name, ...paragraphs) {
+    return [(0, i18n_1.t)('notification.greeting', { name }, locale), ...paragraphs, (0, i18n_1.t)('notification.signature', {}, locale)].join('\n\n');
+}
+function statusLabel(status, locale) {
+    return status && (0, i18n_1.t)(`packet_status.${status}`, {}, locale);
+}
+// The texts live in the message catalogs (src/i18n), under `notification.*`
+const templates = {
+    'packet.status_changed': {
+        email: (data, locale) => {
+            const params = Object.assign(Object.assign({}, data), { packet: data.trackingCode || data.packetName, previousStatus: statusLabel(data.previousStatus, locale), status: statusLabel(data.status, locale) });
+            return {
+                subject: (0, i18n_1.t)('notification.packet_status_changed.subject', params, locale),
+                body: email(locale, data.name, (0, i18n_1.t)('notification.packet_status_changed.body', params, locale)
+                    + (data.trackingCode ? '\n' + (0, i18n_1.t)('notification.packet_status_changed.tracking_code', params, locale) : ''))
+            };
+        },
+        sms: (data, locale) => ({
+            body: (0, i18n_1.t)('notification.packet_status_changed.sms', {
+                packet: data.trackingCode || data.packetName,
+                status: statusLabel(data.status, locale)
+            }, locale)
+        }),
+    },
+    'message.received': {
+        email: (data, locale) => ({
+            subject: (0, i18n_1.t)('notification.message_received.subject', data, locale),
+            body: email(locale, data.name, (0, i18n_1.t)('notification.message_received.body', data, locale), data.preview || '')
+        }),
+        sms: (data, locale) => ({
+            body: (0, i18n_1.t)('notification.message_received.sms', data, locale)
+        }),
+    },
+    'account.created': {
+        email: (data, locale) => ({
+            subject: (0, i18n_1.t)('notification.account_created.subject', data, locale),
+            body: email(locale, data.name, (0, i18n_1.t)('notification.account_created.body', data, locale))
+        }),
+        sms: (data, locale) => ({
+            body: (0, i18n_1.t)('notification.account_created.sms', data, locale)
+        }),
+    },
+    'account.password_changed': {
+        email: (data, locale) => ({
+            subject: (0, i18n_1.t)('notification.account_password_changed.subject', data, locale),
+            body: email(locale, data.name, (0, i18n_1.t)('notification.account_password_changed.body', data, locale))
+        }),
+        sms: (data, locale) => ({
+            body: (0, i18n_1.t)('notification.account_password_changed.sms', data, locale)
+        }),
+    },
+};
+function renderNotification(template, channel, data, locale) {
+    return templates[template][channel](data, locale);
+}
@@ -0,0 +1,85 @@
+import { NotificationChannel, NotificationTemplate } from '../models/notification';
+import { PacketStatus } from '../models/packet';
+import { Locale, t } from '../i18n';
+
+export interface RenderedNotification {
+    subject?: string;
+    body: string;
+}
+
+type TemplateData = Record<string, string | undefined>;
+
+type Template = Record<NotificationChannel, (data: TemplateData, locale: Locale) => RenderedNotification>;
+
+function email(locale: Locale, name: string | undefined, ...paragraphs: string[]): string {
+    return [t('notification.greeting', { name }, locale), ...paragraphs, t('notification.signature', {}, locale)].join('\n\n');
+}
+
+export function statusLabel(status: string | undefined, locale: Locale): string | undefined {
+    return status && t(`packet_status.${status as PacketStatus}`, {}, locale);
+}
+
+// The texts live in the message catalogs (src/i18n), under `notification.*`
+const templates: Record<NotificationTemplate, Template> = {
+    'packet.status_changed': {
+        email: (data, locale) => {
+            const params = {
+                ...data,
+                packet: data.trackingCode || data.packetName,
+                previousStatus: statusLabel(data.previousStatus, locale),
+                status: statusLabel(data.status, locale)
+            };
+            return {
+                subject: t('notification.packet_status_changed.subject', params, locale),
+                body: email(
+                    locale,
+                    data.name,
+                    t('notification.packet_status_changed.body', params, locale)
+                        + (data.trackingCode ? '\n' + t('notification.packet_status_changed.tracking_code', params, locale) : '')
+                )
+            };
+        },
+        sms: (data, locale) => ({
+            body: t('notification.packet_status_changed.sms', {
+                packet: data.trackingCode || data.packetName,
+                status: statusLabel(data.status, locale)
+            }, locale)
+        }),
+    },
+    'message.received': {
+        email: (data, locale) => ({
+            subject: t('notification.message_received.subject', data, locale),
+            body: email(locale, data.name, t('notification.message_received.body', data, locale), data.preview || '')
+        }),
+        sms: (data, locale) => ({
+            body: t('notification.message_received.sms', data, locale)
+        }),
+    },
+    'account.created': {
+        email: (data, locale) => ({
+            subject: t('notification.account_created.subject', data, locale),
+            body: email(locale, data.name, t('notification.account_created.body', data, locale))
+        }),
+        sms: (data, locale) => ({
+            body: t('notification.account_created.sms', data, locale)
+        }),
+    },
+    'account.password_changed': {
+        email: (data, locale) => ({
+            subject: t('notification.account_password_changed.subject', data, locale),
+            body: email(locale, data.name, t('notification.account_password_changed.body', data, locale))
+        }),
+        sms: (data, locale) => ({
+            body: t('notification.account_password_changed.sms', data, locale)
+        }),
+    },
+};
+
+export function renderNotification(
+    template: NotificationTemplate,
+    channel: NotificationChannel,
+    data: TemplateData,
+    locale: Locale
+): RenderedNotification {
+    return templates[template][channel](data, locale);
+}
@@ -0,0 +1,111 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FileTransport = exports.ConsoleTransport = exports.SmsGatewayTransport = exports.SmtpTransport = void 0;
+exports.createTransport = createTransport;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const nodemailer_1 = __importDefault(require("nodemailer"));
+const config_1 = __importDefault(require("../config"));
+class SmtpTransport {
+    constructor(from) {
+        this.from = from;
+        this.transporter = nodemailer_1.default.createTransport({
+            host: config_1.default.notifications.email.smtp.host,
+            port: config_1.default.notifications.email.smtp.port,
+            secure: config_1.default.notifications.email.smtp.secure,
+            auth: config_1.default.notifications.email.smtp.user
+                ? { user: config_1.default.notifications.email.smtp.user, pass: config_1.default.notifications.email.smtp.password }
+                : undefined,
+        });
+    }
+    send(notification) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.transporter.sendMail({
+                from: this.from,
+                to: notification.to,
+                subject: notification.subject,
+                text: notification.body,
+            });
+        });
+    }
+}
+exports.SmtpTransport = SmtpTransport;
+/**
+ * Posts `{ to, from, message }` as JSON to an HTTP SMS gateway.
+ */
+class SmsGatewayTransport {
+    constructor(url, apiKey, from) {
+        this.url = url;
+        this.apiKey = apiKey;
+        this.from = from;
+    }
+    send(notification) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const response = yield fetch(this.url, {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, (this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})),
+                body: JSON.stringify({ to: notification.to, from: this.from, message: notification.body }),
+                signal: AbortSignal.timeout(10000),
+            });
+            if (!response.ok) {
+                throw new Error(`SMS gateway answered HTTP ${response.status}`);
+            }
+        });
+    }
+}
+exports.SmsGatewayTransport = SmsGatewayTransport;
+// Development transports: nothing leaves the machine
+class ConsoleTransport {
+    constructor(channel) {
+        this.channel = channel;
+    }
+    send(notification) {
+        return __awaiter(this, void 0, void 0, function* () {
+            console.log(`[${this.channel}] to ${notification.to}${notification.subject ? ` | ${notification.subject}` : ''}\n${notification.body}`);
+        });
+    }
+}
+exports.ConsoleTransport = ConsoleTransport;
+/**
+ * Appends one JSON line per notification, handy to assert on in tests.
+ */
+class FileTransport {
+    constructor(file) {
+        this.file = file;
+    }
+    send(notification) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield fs_1.default.promises.mkdir(path_1.default.dirname(this.file), { recursive: true });
+            yield fs_1.default.promises.appendFile(this.file, JSON.stringify(Object.assign(Object.assign({}, notification), { sentAt: new Date() })) + '\n');
+        });
+    }
+}
+exports.FileTransport = FileTransport;
+function createTransport(channel) {
+    const { outboxDir, email, sms } = config_1.default.notifications;
+    if (channel === 'email') {
+        switch (email.transport) {
+            case 'smtp': return new SmtpTransport(email.from);
+            case 'file': return new FileTransport(path_1.default.join(outboxDir, 'email.jsonl'));
+            case 'console': return new ConsoleTransport(channel);
+        }
+    }
+    switch (sms.transport) {
+        // The config refuses the gateway driver without a URL
+        case 'gateway': return new SmsGatewayTransport(sms.gatewayUrl, sms.gatewayApiKey, sms.from);
+        case 'file': return new FileTransport(path_1.default.join(outboxDir, 'sms.jsonl'));
+        case 'console': return new ConsoleTransport(channel);
+    }
+}
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import config from '../config';
+import { NotificationChannel } from '../models/notification';
+
+export interface OutgoingNotification {
+    to: string;
+    subject?: string;
+    body: string;
+}
+
+/**
+ * Delivers a rendered notification. Throws when the provider refuses it,
+ * which leaves the notification in the outbox for a retry.
+ */
+export interface NotificationTransport {
+    send(notification: OutgoingNotification): Promise<void>;
+}
+
+export class SmtpTransport implements NotificationTransport {
+    private transporter = nodemailer.createTransport({
+        host: config.notifications.email.smtp.host,
+        port: config.notifications.email.smtp.port,
+        secure: config.notifications.email.smtp.secure,
+        auth: config.notifications.email.smtp.user
+            ? { user: config.notifications.email.smtp.user, pass: config.notifications.email.smtp.password }
+            : undefined,
+    });
+
+    constructor(private from: string) {}
+
+    async send(notification: OutgoingNotification): Promise<void> {
+        await this.transporter.sendMail({
+            from: this.from,
+            to: notification.to,
+            subject: notification.subject,
+            text: notification.body,
+        });
+    }
+}
+
+/**
+ * Posts `{ to, from, message }` as JSON to an HTTP SMS gateway.
+ */
+export class SmsGatewayTransport implements NotificationTransport {
+    constructor(private url: string, private apiKey: string | undefined, private from: string) {}
+
+    async send(notification: OutgoingNotification): Promise<void> {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+            },
+            body: JSON.stringify({ to: notification.to, from: this.from, message: notification.body }),
+            signal: AbortSignal.timeout(10000),
+        });
+        if (!response.ok) {
+            throw new Error(`SMS gateway answered HTTP ${response.status}`);
+        }
+    }
+}
+
+// Development transports: nothing leaves the machine
+
+export class ConsoleTransport implements NotificationTransport {
+    constructor(private channel: NotificationChannel) {}
+
+    async send(notification: OutgoingNotification): Promise<void> {
+        console.log(`[${this.channel}] to ${notification.to}${notification.subject ? ` | ${notification.subject}` : ''}\n${notification.body}`);
+    }
+}
+
+/**
+ * Appends one JSON line per notification, handy to assert on in tests.
+ */
+export class FileTransport implements NotificationTransport {
+    constructor(private file: string) {}
+
+    async send(notification: OutgoingNotification): Promise<void> {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, JSON.stringify({ ...notification, sentAt: new Date() }) + '\n');
+    }
+}
+
+export function createTransport(channel: NotificationChannel): NotificationTransport {
+    const { outboxDir, email, sms } = config.notifications;
+
+    if (channel === 'email') {
+        switch (email.transport) {
+            case 'smtp': return new SmtpTransport(email.from);
+            case 'file': return new FileTransport(path.join(outboxDir, 'email.jsonl'));
+            case 'console': return new ConsoleTransport(channel);
+        }
+    }
+
+    switch (sms.transport) {
+        // The config refuses the gateway driver without a URL
+        case 'gateway': return new SmsGatewayTransport(sms.gatewayUrl as string, sms.gatewayApiKey, sms.from);
+        case 'file': return new FileTransport(path.join(outboxDir, 'sms.jsonl'));
+        case 'console': return new ConsoleTransport(channel);
+    }
+}
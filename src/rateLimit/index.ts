@@ -0,0 +1,17 @@
+import config from '../config';
+import { MemoryRateLimitStore } from './memory.store';
+import { MongoRateLimitStore } from './mongo.store';
+import { RateLimitStore } from './store';
+
+export * from './store';
+
+function createStore(): RateLimitStore {
+    switch (config.rateLimit.store) {
+        case 'memory':
+            return new MemoryRateLimitStore();
+        case 'mongo':
+            return new MongoRateLimitStore();
+    }
+}
+
+export default createStore();
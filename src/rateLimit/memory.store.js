@@ -0,0 +1,47 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MemoryRateLimitStore = void 0;
+const store_1 = require("./store");
+const SWEEP_INTERVAL_MS = 60 * 1000;
+/**
+ * Keeps the hits in the process memory: fast, but every instance counts on
+ * its own and a restart forgets them.
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.windows = new Map();
+        // Forget the keys whose window is over, or idle clients would pile up
+        setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+    }
+    hit(key, rate) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a, _b;
+            const now = Date.now();
+            const hits = ((_b = (_a = this.windows.get(key)) === null || _a === void 0 ? void 0 : _a.hits) !== null && _b !== void 0 ? _b : []).filter((time) => time > now - rate.windowMs);
+            const allowed = hits.length < rate.limit;
+            if (allowed) {
+                hits.push(now);
+            }
+            this.windows.set(key, { hits, expiresAt: now + rate.windowMs });
+            return (0, store_1.resultOf)(hits, rate, allowed, now);
+        });
+    }
+    sweep() {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.expiresAt <= now) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+exports.MemoryRateLimitStore = MemoryRateLimitStore;
@@ -0,0 +1,39 @@
+import { Rate } from '../config';
+import { RateLimitResult, RateLimitStore, resultOf } from './store';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps the hits in the process memory: fast, but every instance counts on
+ * its own and a restart forgets them.
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+    private windows = new Map<string, { hits: number[]; expiresAt: number }>();
+
+    constructor() {
+        // Forget the keys whose window is over, or idle clients would pile up
+        setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+    }
+
+    async hit(key: string, rate: Rate): Promise<RateLimitResult> {
+        const now = Date.now();
+        const hits = (this.windows.get(key)?.hits ?? []).filter((time) => time > now - rate.windowMs);
+
+        const allowed = hits.length < rate.limit;
+        if (allowed) {
+            hits.push(now);
+        }
+        this.windows.set(key, { hits, expiresAt: now + rate.windowMs });
+
+        return resultOf(hits, rate, allowed, now);
+    }
+
+    private sweep(): void {
+        const now = Date.now();
+        for (const [key, window] of this.windows) {
+            if (window.expiresAt <= now) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
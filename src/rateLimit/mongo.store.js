@@ -0,0 +1,63 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MongoRateLimitStore = void 0;
+const rateLimitWindow_1 = require("../models/rateLimitWindow");
+const store_1 = require("./store");
+/**
+ * Keeps the hits in MongoDB, one document per key, so every instance of the
+ * API shares the same counts.
+ */
+class MongoRateLimitStore {
+    hit(key, rate) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                return yield this.record(key, rate);
+            }
+            catch (error) {
+                // Two first hits of a key raced to insert it, the second one finds it now
+                if (error.code === 11000) {
+                    return yield this.record(key, rate);
+                }
+                throw error;
+            }
+        });
+    }
+    // A single pipeline update, so concurrent hits of a key can't both take the last slot
+    record(key, rate) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const now = new Date();
+            const window = yield rateLimitWindow_1.RateLimitWindowModel.findOneAndUpdate({ key }, [
+                {
+                    $set: {
+                        hits: {
+                            $filter: {
+                                input: { $ifNull: ['$hits', []] },
+                                as: 'hit',
+                                cond: { $gt: ['$$hit', new Date(now.getTime() - rate.windowMs)] }
+                            }
+                        }
+                    }
+                },
+                { $set: { allowed: { $lt: [{ $size: '$hits' }, rate.limit] } } },
+                {
+                    $set: {
+                        hits: { $cond: ['$allowed', { $concatArrays: ['$hits', [now]] }, '$hits'] },
+                        expiresAt: new Date(now.getTime() + rate.windowMs)
+                    }
+                }
+            ], { upsert: true, new: true }).lean();
+            const hits = window ? window.hits.map((hit) => new Date(hit).getTime()) : [];
+            return (0, store_1.resultOf)(hits, rate, window ? window.allowed : true, now.getTime());
+        });
+    }
+}
+exports.MongoRateLimitStore = MongoRateLimitStore;
@@ -0,0 +1,53 @@
+import { Rate } from '../config';
+import { RateLimitWindowModel } from '../models/rateLimitWindow';
+import { RateLimitResult, RateLimitStore, resultOf } from './store';
+
+/**
+ * Keeps the hits in MongoDB, one document per key, so every instance of the
+ * API shares the same counts.
+ */
+export class MongoRateLimitStore implements RateLimitStore {
+    async hit(key: string, rate: Rate): Promise<RateLimitResult> {
+        try {
+            return await this.record(key, rate);
+        } catch (error) {
+            // Two first hits of a key raced to insert it, the second one finds it now
+            if ((error as { code?: number }).code === 11000) {
+                return await this.record(key, rate);
+            }
+            throw error;
+        }
+    }
+
+    // A single pipeline update, so concurrent hits of a key can't both take the last slot
+    private async record(key: string, rate: Rate): Promise<RateLimitResult> {
+        const now = new Date();
+        const window = await RateLimitWindowModel.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        hits: {
+                            $filter: {
+                                input: { $ifNull: ['$hits', []] },
+                                as: 'hit',
+                                cond: { $gt: ['$$hit', new Date(now.getTime() - rate.windowMs)] }
+                            }
+                        }
+                    }
+                },
+                { $set: { allowed: { $lt: [{ $size: '$hits' }, rate.limit] } } },
+                {
+                    $set: {
+                        hits: { $cond: ['$allowed', { $concatArrays: ['$hits', [now]] }, '$hits'] },
+                        expiresAt: new Date(now.getTime() + rate.windowMs)
+                    }
+                }
+            ],
+            { upsert: true, new: true }
+        ).lean();
+
+        const hits = window ? window.hits.map((hit) => new Date(hit).getTime()) : [];
+        return resultOf(hits, rate, window ? window.allowed : true, now.getTime());
+    }
+}
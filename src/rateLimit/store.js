@@ -0,0 +1,12 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.resultOf = resultOf;
+// `hits` are the timestamps inside the window, oldest first
+function resultOf(hits, rate, allowed, now) {
+    return {
+        allowed,
+        limit: rate.limit,
+        remaining: Math.max(0, rate.limit - hits.length),
+        resetMs: hits.length > 0 ? Math.max(0, hits[0] + rate.windowMs - now) : 0
+    };
+}
@@ -0,0 +1,31 @@
+import { Rate } from '../config';
+
+export interface RateLimitResult {
+    allowed: boolean;
+    limit: number;
+    remaining: number;
+    // Until the oldest counted hit leaves the window and frees a slot
+    resetMs: number;
+}
+
+/**
+ * Keeps the recent hits of every key (sliding window log). Shared stores let
+ * several instances of the API enforce the same limits.
+ */
+export interface RateLimitStore {
+    /**
+     * Counts a hit for `key` unless `rate.limit` hits already happened in the
+     * last `rate.windowMs`; refused hits are not counted.
+     */
+    hit(key: string, rate: Rate): Promise<RateLimitResult>;
+}
+
+// `hits` are the timestamps inside the window, oldest first
+export function resultOf(hits: number[], rate: Rate, allowed: boolean, now: number): RateLimitResult {
+    return {
+        allowed,
+        limit: rate.limit,
+        remaining: Math.max(0, rate.limit - hits.length),
+        resetMs: hits.length > 0 ? Math.max(0, hits[0] + rate.windowMs - now) : 0
+    };
+}
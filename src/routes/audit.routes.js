@@ -0,0 +1,10 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const express_1 = require("express");
+const auth_1 = require("../middlewares/auth");
+const authorize_1 = require("../middlewares/authorize");
+const audit_controller_1 = require("../controllers/audit.controller");
+const router = (0, express_1.Router)();
+router.use(auth_1.authenticate, (0, authorize_1.authorize)('admin'));
+router.get('/', audit_controller_1.getAuditLogs);
+exports.default = router;
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/auth';
+import { authorize } from '../middlewares/authorize';
+import { getAuditLogs } from '../controllers/audit.controller';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', getAuditLogs);
+
+export default router;
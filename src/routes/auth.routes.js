@@ -0,0 +1,17 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const express_1 = require("express");
+const config_1 = __importDefault(require("../config"));
+const auth_controller_1 = require("../controllers/auth.controller");
+const rateLimit_1 = require("../middlewares/rateLimit");
+const validate_1 = require("../middlewares/validate");
+const auth_validators_1 = require("../validators/auth.validators");
+const router = (0, express_1.Router)();
+// Per IP, against password guessing
+router.post('/login', (0, rateLimit_1.rateLimit)('login', config_1.default.rateLimit.login), (0, validate_1.validate)(auth_validators_1.loginSchema), auth_controller_1.login);
+router.post('/refresh', (0, validate_1.validate)(auth_validators_1.refreshTokenSchema), auth_controller_1.refresh);
+router.post('/logout', (0, validate_1.validate)(auth_validators_1.refreshTokenSchema), auth_controller_1.logout);
+exports.default = router;
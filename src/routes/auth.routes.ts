@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import config from '../config';
+import { login, logout, refresh } from '../controllers/auth.controller';
+import { rateLimit } from '../middlewares/rateLimit';
+import { validate } from '../middlewares/validate';
+import { loginSchema, refreshTokenSchema } from '../validators/auth.validators';
+
+const router = Router();
+
+// Per IP, against password guessing
+router.post('/login', rateLimit('login', config.rateLimit.login), validate(loginSchema), login);
+router.post('/refresh', validate(refreshTokenSchema), refresh);
+router.post('/logout', validate(refreshTokenSchema), logout);
+
+export default router;
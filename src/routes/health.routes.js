@@ -0,0 +1,9 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const express_1 = require("express");
+const health_controller_1 = require("../controllers/health.controller");
+// Public on purpose: probes don't authenticate
+const router = (0, express_1.Router)();
+router.get('/live', health_controller_1.live);
+router.get('/ready', health_controller_1.ready);
+exports.default = router;
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import { live, ready } from '../controllers/health.controller';
+
+// Public on purpose: probes don't authenticate
+const router = Router();
+
+router.get('/live', live);
+router.get('/ready', ready);
+
+export default router;
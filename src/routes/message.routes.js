@@ -1,10 +1,27 @@
 "use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 const express_1 = require("express");
+const config_1 = __importDefault(require("../config"));
+const auth_1 = require("../middlewares/auth");
+const rateLimit_1 = require("../middlewares/rateLimit");
+const validate_1 = require("../middlewares/validate");
+const message_validators_1 = require("../validators/message.validators");
 const router = (0, express_1.Router)();
+const perUser = (0, rateLimit_1.rateLimit)('messages', config_1.default.rateLimit.api, 'user');
 const message_controller_1 = require("../controllers/message.controller");
-router.post("/:senderId/:recieverId", message_controller_1.sendMessage);
-router.get("/:senderId/:recieverId", message_controller_1.getMessagesBetweenUsers);
-router.put("/:messageId", message_controller_1.updateMessage);
-router.delete("/:messageId", message_controller_1.deleteMessage);
+// Declared before the global authenticate so EventSource clients can pass the token in the query
+router.get("/stream", auth_1.tokenFromQuery, auth_1.authenticate, perUser, (0, validate_1.validate)(message_validators_1.streamMessagesSchema), message_controller_1.streamMessages);
+router.use(auth_1.authenticate, perUser);
+// The sender is always the authenticated user
+router.get("/conversations", (0, validate_1.validate)(message_validators_1.conversationsSchema), message_controller_1.getConversations);
+router.put("/conversations/:userId/read", (0, validate_1.validate)(message_validators_1.markConversationAsReadSchema), message_controller_1.markConversationAsRead);
+router.post("/:receiverId", (0, rateLimit_1.rateLimit)('messages.send', config_1.default.rateLimit.sendMessage, 'user'), (0, validate_1.validate)(message_validators_1.sendMessageSchema), message_controller_1.sendMessage);
+router.get("/:userId", (0, validate_1.validate)(message_validators_1.getMessagesSchema), message_controller_1.getMessagesBetweenUsers);
+router.put("/:messageId", (0, validate_1.validate)(message_validators_1.updateMessageSchema), message_controller_1.updateMessage);
+router.put("/:messageId/read", (0, validate_1.validate)(message_validators_1.messageIdSchema), message_controller_1.markAsRead);
+router.delete("/:messageId", (0, validate_1.validate)(message_validators_1.messageIdSchema), message_controller_1.deleteMessage);
+router.post("/:messageId/restore", (0, validate_1.validate)(message_validators_1.messageIdSchema), message_controller_1.restoreMessage);
 exports.default = router;
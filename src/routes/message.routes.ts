@@ -1,16 +1,46 @@
 import { Router } from 'express';
+import config from '../config';
+import { authenticate, tokenFromQuery } from '../middlewares/auth';
+import { rateLimit } from '../middlewares/rateLimit';
+import { validate } from '../middlewares/validate';
+import {
+    conversationsSchema,
+    getMessagesSchema,
+    markConversationAsReadSchema,
+    messageIdSchema,
+    sendMessageSchema,
+    streamMessagesSchema,
+    updateMessageSchema
+} from '../validators/message.validators';
 
 const router = Router();
 
+const perUser = rateLimit('messages', config.rateLimit.api, 'user');
+
 import { 
     deleteMessage,
+    getConversations,
     getMessagesBetweenUsers,
+    markAsRead,
+    markConversationAsRead,
+    restoreMessage,
     sendMessage,
+    streamMessages,
     updateMessage
 } from '../controllers/message.controller';
 
-router.post("/:senderId/:recieverId", sendMessage);
-router.get("/:senderId/:recieverId", getMessagesBetweenUsers);
-router.put("/:messageId", updateMessage)
-router.delete("/:messageId", deleteMessage);
-export default router;
\ No newline at end of file
+// Declared before the global authenticate so EventSource clients can pass the token in the query
+router.get("/stream", tokenFromQuery, authenticate, perUser, validate(streamMessagesSchema), streamMessages);
+
+router.use(authenticate, perUser);
+
+// The sender is always the authenticated user
+router.get("/conversations", validate(conversationsSchema), getConversations);
+router.put("/conversations/:userId/read", validate(markConversationAsReadSchema), markConversationAsRead);
+router.post("/:receiverId", rateLimit('messages.send', config.rateLimit.sendMessage, 'user'), validate(sendMessageSchema), sendMessage);
+router.get("/:userId", validate(getMessagesSchema), getMessagesBetweenUsers);
+router.put("/:messageId", validate(updateMessageSchema), updateMessage);
+router.put("/:messageId/read", validate(messageIdSchema), markAsRead);
+router.delete("/:messageId", validate(messageIdSchema), deleteMessage);
+router.post("/:messageId/restore", validate(messageIdSchema), restoreMessage);
+export default router;
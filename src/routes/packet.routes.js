@@ -1,11 +1,31 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const express_1 = require("express");
+const auth_1 = require("../middlewares/auth");
+const authorize_1 = require("../middlewares/authorize");
 const packet_controller_1 = require("../controllers/packet.controller");
+const proof_controller_1 = require("../controllers/proof.controller");
+const upload_1 = require("../middlewares/upload");
+const assignment_controller_1 = require("../controllers/assignment.controller");
+const validate_1 = require("../middlewares/validate");
+const packet_validators_1 = require("../validators/packet.validators");
 const router = (0, express_1.Router)();
-router.post('/', packet_controller_1.postPacket);
-router.get('/', packet_controller_1.getAllPackets);
-router.get('/:id', packet_controller_1.getPacketById);
-router.put('/:id', packet_controller_1.updatePacketById);
-router.delete('/:id', packet_controller_1.deletePacketById);
+router.use(auth_1.authenticate);
+router.post('/', (0, authorize_1.authorize)('admin', 'courier'), (0, validate_1.validate)(packet_validators_1.postPacketSchema), packet_controller_1.postPacket);
+router.get('/', (0, validate_1.validate)(packet_validators_1.listPacketsSchema), packet_controller_1.getAllPackets);
+router.get('/nearby', (0, authorize_1.authorize)('admin', 'courier'), (0, validate_1.validate)(packet_validators_1.nearbyPacketsSchema), packet_controller_1.getPacketsNearby);
+router.get('/:id', (0, validate_1.validate)(packet_validators_1.packetIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.ownsPacket)('id')), packet_controller_1.getPacketById);
+router.get('/:id/events', (0, validate_1.validate)(packet_validators_1.packetIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.ownsPacket)('id')), packet_controller_1.getPacketEvents);
+router.get('/:id/locations', (0, validate_1.validate)(packet_validators_1.packetIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.ownsPacket)('id')), packet_controller_1.getPacketLocations);
+router.post('/:id/location', (0, authorize_1.authorize)('admin', 'courier'), (0, validate_1.validate)(packet_validators_1.updateLocationSchema), packet_controller_1.updatePacketLocation);
+router.put('/:id', (0, authorize_1.authorize)('admin', 'courier'), (0, validate_1.validate)(packet_validators_1.updatePacketSchema), packet_controller_1.updatePacketById);
+router.delete('/:id', (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(packet_validators_1.packetIdSchema), packet_controller_1.deletePacketById);
+router.post('/:id/restore', (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(packet_validators_1.packetIdSchema), packet_controller_1.restorePacketById);
+router.post('/:id/assign', (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(packet_validators_1.assignPacketSchema), assignment_controller_1.assignPacket);
+router.post('/:id/reassign', (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(packet_validators_1.assignPacketSchema), assignment_controller_1.reassignPacket);
+router.post('/:id/unassign', (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(packet_validators_1.packetIdSchema), assignment_controller_1.unassignPacket);
+router.post('/:id/auto-assign', (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(packet_validators_1.packetIdSchema), assignment_controller_1.autoAssignPacket);
+router.post('/:id/proof', (0, authorize_1.authorize)('admin', 'courier'), upload_1.uploadProof, (0, validate_1.validate)(packet_validators_1.addProofSchema), proof_controller_1.addProof);
+router.get('/:id/proof', (0, validate_1.validate)(packet_validators_1.packetIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.ownsPacket)('id')), proof_controller_1.getProofs);
+router.get('/:id/proof/:proofId', (0, validate_1.validate)(packet_validators_1.proofIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.ownsPacket)('id')), proof_controller_1.downloadProof);
 exports.default = router;
@@ -1,12 +1,54 @@
 import { Router } from 'express';
-import { postPacket, getAllPackets, getPacketById, updatePacketById, deletePacketById } from '../controllers/packet.controller';
+import { authenticate } from '../middlewares/auth';
+import { authorize, ownsPacket } from '../middlewares/authorize';
+import {
+    postPacket,
+    getAllPackets,
+    getPacketById,
+    getPacketEvents,
+    getPacketLocations,
+    getPacketsNearby,
+    updatePacketById,
+    updatePacketLocation,
+    deletePacketById,
+    restorePacketById
+} from '../controllers/packet.controller';
+import { addProof, downloadProof, getProofs } from '../controllers/proof.controller';
+import { uploadProof } from '../middlewares/upload';
+import { assignPacket, autoAssignPacket, reassignPacket, unassignPacket } from '../controllers/assignment.controller';
+import { validate } from '../middlewares/validate';
+import {
+    addProofSchema,
+    assignPacketSchema,
+    listPacketsSchema,
+    nearbyPacketsSchema,
+    packetIdSchema,
+    postPacketSchema,
+    proofIdSchema,
+    updateLocationSchema,
+    updatePacketSchema
+} from '../validators/packet.validators';
 
 const router = Router();
 
-router.post('/', postPacket);
-router.get('/', getAllPackets);
-router.get('/:id', getPacketById);
-router.put('/:id', updatePacketById);
-router.delete('/:id', deletePacketById);
+router.use(authenticate);
+
+router.post('/', authorize('admin', 'courier'), validate(postPacketSchema), postPacket);
+router.get('/', validate(listPacketsSchema), getAllPackets);
+router.get('/nearby', authorize('admin', 'courier'), validate(nearbyPacketsSchema), getPacketsNearby);
+router.get('/:id', validate(packetIdSchema), authorize('admin', 'courier', ownsPacket('id')), getPacketById);
+router.get('/:id/events', validate(packetIdSchema), authorize('admin', 'courier', ownsPacket('id')), getPacketEvents);
+router.get('/:id/locations', validate(packetIdSchema), authorize('admin', 'courier', ownsPacket('id')), getPacketLocations);
+router.post('/:id/location', authorize('admin', 'courier'), validate(updateLocationSchema), updatePacketLocation);
+router.put('/:id', authorize('admin', 'courier'), validate(updatePacketSchema), updatePacketById);
+router.delete('/:id', authorize('admin'), validate(packetIdSchema), deletePacketById);
+router.post('/:id/restore', authorize('admin'), validate(packetIdSchema), restorePacketById);
+router.post('/:id/assign', authorize('admin'), validate(assignPacketSchema), assignPacket);
+router.post('/:id/reassign', authorize('admin'), validate(assignPacketSchema), reassignPacket);
+router.post('/:id/unassign', authorize('admin'), validate(packetIdSchema), unassignPacket);
+router.post('/:id/auto-assign', authorize('admin'), validate(packetIdSchema), autoAssignPacket);
+router.post('/:id/proof', authorize('admin', 'courier'), uploadProof, validate(addProofSchema), addProof);
+router.get('/:id/proof', validate(packetIdSchema), authorize('admin', 'courier', ownsPacket('id')), getProofs);
+router.get('/:id/proof/:proofId', validate(proofIdSchema), authorize('admin', 'courier', ownsPacket('id')), downloadProof);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const express_1 = require("express");
+const tracking_controller_1 = require("../controllers/tracking.controller");
+// Public on purpose: customers track packets without an account
+const router = (0, express_1.Router)();
+router.get('/:trackingCode', tracking_controller_1.trackPacket);
+exports.default = router;
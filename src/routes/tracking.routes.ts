@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { trackPacket } from '../controllers/tracking.controller';
+
+// Public on purpose: customers track packets without an account
+const router = Router();
+
+router.get('/:trackingCode', trackPacket);
+
+export default router;
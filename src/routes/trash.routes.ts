@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/auth';
+import { authorize } from '../middlewares/authorize';
+import { getDeleted } from '../controllers/trash.controller';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/:type', getDeleted);
+
+export default router;
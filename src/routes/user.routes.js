@@ -1,15 +1,33 @@
 "use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 const express_1 = require("express");
+const config_1 = __importDefault(require("../config"));
+const auth_1 = require("../middlewares/auth");
+const authorize_1 = require("../middlewares/authorize");
+const rateLimit_1 = require("../middlewares/rateLimit");
+const validate_1 = require("../middlewares/validate");
+const user_validators_1 = require("../validators/user.validators");
 const router = (0, express_1.Router)();
 const user_controller_1 = require("../controllers/user.controller");
-router.get("/", user_controller_1.getAllUsers);
-router.post("/", user_controller_1.postUser);
-router.get('/:id', user_controller_1.getUserById);
-router.get('/name/:name', user_controller_1.getUserByName);
-router.put('/:id', user_controller_1.updateUserById);
-router.delete('/:id', user_controller_1.deleteUserById);
-router.put('/:id/deactivate', user_controller_1.deactivateUserById);
-router.get('/:id/packets', user_controller_1.getUserPackets);
-router.post('/:name/packets', user_controller_1.addPacketToUser);
+const assignment_controller_1 = require("../controllers/assignment.controller");
+// Per IP: most of these routes authenticate one by one, after this runs
+router.use((0, rateLimit_1.rateLimit)('users', config_1.default.rateLimit.api));
+// Registration stays public, everything else needs a logged-in user
+router.post("/", (0, rateLimit_1.rateLimit)('registration', config_1.default.rateLimit.registration), (0, validate_1.validate)(user_validators_1.postUserSchema), user_controller_1.postUser);
+router.get("/", auth_1.authenticate, (0, authorize_1.authorize)('admin', 'courier'), (0, validate_1.validate)(user_validators_1.listUsersSchema), user_controller_1.getAllUsers);
+router.get('/:id', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.userIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.isSelf)('id')), user_controller_1.getUserById);
+router.get('/name/:name', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.userNameSchema), user_controller_1.getUserByName);
+router.get('/couriers/workload', auth_1.authenticate, (0, authorize_1.authorize)('admin'), (0, validate_1.validate)({}), assignment_controller_1.getCourierWorkloads);
+router.put('/:id', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.updateUserSchema), (0, authorize_1.authorize)('admin', (0, authorize_1.isSelf)('id')), user_controller_1.updateUserById);
+router.delete('/:id', auth_1.authenticate, (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(user_validators_1.userIdSchema), user_controller_1.deleteUserById);
+router.post('/:id/restore', auth_1.authenticate, (0, authorize_1.authorize)('admin'), (0, validate_1.validate)(user_validators_1.userIdSchema), user_controller_1.restoreUserById);
+router.put('/:id/deactivate', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.userIdSchema), (0, authorize_1.authorize)('admin', (0, authorize_1.isSelf)('id')), user_controller_1.deactivateUserById);
+router.get('/:id/preferences', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.userIdSchema), (0, authorize_1.authorize)('admin', (0, authorize_1.isSelf)('id')), user_controller_1.getNotificationPreferences);
+router.put('/:id/preferences', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.updatePreferencesSchema), (0, authorize_1.authorize)('admin', (0, authorize_1.isSelf)('id')), user_controller_1.updateNotificationPreferences);
+router.get('/:id/notifications', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.userNotificationsSchema), (0, authorize_1.authorize)('admin', (0, authorize_1.isSelf)('id')), user_controller_1.getUserNotifications);
+router.get('/:id/packets', auth_1.authenticate, (0, validate_1.validate)(user_validators_1.userIdSchema), (0, authorize_1.authorize)('admin', 'courier', (0, authorize_1.isSelf)('id')), user_controller_1.getUserPackets);
+router.post('/:name/packets', auth_1.authenticate, (0, authorize_1.authorize)('admin', 'courier'), (0, validate_1.validate)(user_validators_1.addPacketToUserSchema), user_controller_1.addPacketToUser);
 exports.default = router;
@@ -1,4 +1,19 @@
 import { Router } from 'express';
+import config from '../config';
+import { authenticate } from '../middlewares/auth';
+import { authorize, isSelf } from '../middlewares/authorize';
+import { rateLimit } from '../middlewares/rateLimit';
+import { validate } from '../middlewares/validate';
+import {
+    addPacketToUserSchema,
+    listUsersSchema,
+    postUserSchema,
+    updatePreferencesSchema,
+    updateUserSchema,
+    userIdSchema,
+    userNameSchema,
+    userNotificationsSchema
+} from '../validators/user.validators';
 
 const router = Router();
 
@@ -9,19 +24,33 @@ import {
     deleteUserById, 
     updateUserById, 
     deactivateUserById, 
+    restoreUserById,
     getUserPackets, 
     addPacketToUser, 
-    getUserByName
+    getUserByName,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    getUserNotifications
 } from '../controllers/user.controller';
+import { getCourierWorkloads } from '../controllers/assignment.controller';
 
-router.get("/", getAllUsers);
-router.post("/", postUser);
-router.get('/:id', getUserById);
-router.get('/name/:name', getUserByName);
-router.put('/:id', updateUserById);
-router.delete('/:id', deleteUserById);
-router.put('/:id/deactivate', deactivateUserById);
-router.get('/:id/packets', getUserPackets);
-router.post('/:name/packets', addPacketToUser);
+// Per IP: most of these routes authenticate one by one, after this runs
+router.use(rateLimit('users', config.rateLimit.api));
+
+// Registration stays public, everything else needs a logged-in user
+router.post("/", rateLimit('registration', config.rateLimit.registration), validate(postUserSchema), postUser);
+router.get("/", authenticate, authorize('admin', 'courier'), validate(listUsersSchema), getAllUsers);
+router.get('/:id', authenticate, validate(userIdSchema), authorize('admin', 'courier', isSelf('id')), getUserById);
+router.get('/name/:name', authenticate, validate(userNameSchema), getUserByName);
+router.get('/couriers/workload', authenticate, authorize('admin'), validate({}), getCourierWorkloads);
+router.put('/:id', authenticate, validate(updateUserSchema), authorize('admin', isSelf('id')), updateUserById);
+router.delete('/:id', authenticate, authorize('admin'), validate(userIdSchema), deleteUserById);
+router.post('/:id/restore', authenticate, authorize('admin'), validate(userIdSchema), restoreUserById);
+router.put('/:id/deactivate', authenticate, validate(userIdSchema), authorize('admin', isSelf('id')), deactivateUserById);
+router.get('/:id/preferences', authenticate, validate(userIdSchema), authorize('admin', isSelf('id')), getNotificationPreferences);
+router.put('/:id/preferences', authenticate, validate(updatePreferencesSchema), authorize('admin', isSelf('id')), updateNotificationPreferences);
+router.get('/:id/notifications', authenticate, validate(userNotificationsSchema), authorize('admin', isSelf('id')), getUserNotifications);
+router.get('/:id/packets', authenticate, validate(userIdSchema), authorize('admin', 'courier', isSelf('id')), getUserPackets);
+router.post('/:name/packets', authenticate, authorize('admin', 'courier'), validate(addPacketToUserSchema), addPacketToUser);
 
 export default router;
\ No newline at end of file
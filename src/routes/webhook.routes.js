@@ -0,0 +1,16 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const express_1 = require("express");
+const auth_1 = require("../middlewares/auth");
+const authorize_1 = require("../middlewares/authorize");
+const webhook_controller_1 = require("../controllers/webhook.controller");
+const router = (0, express_1.Router)();
+router.use(auth_1.authenticate, (0, authorize_1.authorize)('admin'));
+router.post('/', webhook_controller_1.createWebhook);
+router.get('/', webhook_controller_1.getWebhooks);
+router.get('/:id', webhook_controller_1.getWebhookById);
+router.put('/:id', webhook_controller_1.updateWebhook);
+router.delete('/:id', webhook_controller_1.deleteWebhook);
+router.get('/:id/deliveries', webhook_controller_1.getWebhookDeliveries);
+router.post('/:id/deliveries/:deliveryId/replay', webhook_controller_1.replayWebhookDelivery);
+exports.default = router;
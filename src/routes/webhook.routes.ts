@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { authenticate } from '../middlewares/auth';
+import { authorize } from '../middlewares/authorize';
+import {
+    createWebhook,
+    getWebhooks,
+    getWebhookById,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    replayWebhookDelivery
+} from '../controllers/webhook.controller';
+
+const router = Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.post('/', createWebhook);
+router.get('/', getWebhooks);
+router.get('/:id', getWebhookById);
+router.put('/:id', updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.get('/:id/deliveries', getWebhookDeliveries);
+router.post('/:id/deliveries/:deliveryId/replay', replayWebhookDelivery);
+
+export default router;
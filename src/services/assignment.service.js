@@ -0,0 +1,182 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AssignmentService = exports.AssignmentError = void 0;
+const mongoose_1 = __importDefault(require("mongoose"));
+const packet_1 = require("../models/packet");
+const user_1 = require("../models/user");
+const audit_service_1 = __importDefault(require("./audit.service"));
+const errors_1 = require("../errors");
+class AssignmentError extends errors_1.ConflictError {
+}
+exports.AssignmentError = AssignmentError;
+class AssignmentService {
+    /**
+     * Assigns an unassigned packet to a courier.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet already has a courier, is closed, or the courier cannot take it
+     */
+    assignPacket(packetId, courierId, actorId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = yield this.getOpenPacket(packetId);
+            if (packet.assignedTo) {
+                throw new AssignmentError('assignment.already_assigned');
+            }
+            yield this.assertAvailableCourier(courierId);
+            return yield this.setAssignee(packet, courierId, actorId);
+        });
+    }
+    /**
+     * Moves an assigned packet to another courier.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet has no courier, is closed, or the new courier cannot take it
+     */
+    reassignPacket(packetId, courierId, actorId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = yield this.getOpenPacket(packetId);
+            if (!packet.assignedTo) {
+                throw new AssignmentError('assignment.not_assigned_assign');
+            }
+            if (packet.assignedTo.toString() === courierId) {
+                throw new AssignmentError('assignment.same_courier');
+            }
+            yield this.assertAvailableCourier(courierId);
+            return yield this.setAssignee(packet, courierId, actorId);
+        });
+    }
+    /**
+     * Removes the courier of a packet.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet has no courier
+     */
+    unassignPacket(packetId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = mongoose_1.default.Types.ObjectId.isValid(packetId) && (yield packet_1.PacketModel.findById(packetId).lean());
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            if (!packet.assignedTo) {
+                throw new AssignmentError('assignment.not_assigned');
+            }
+            return yield this.setAssignee(packet, null);
+        });
+    }
+    /**
+     * Assigns the packet to the available courier with the fewest open packets.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet is already assigned or closed, or no courier is available
+     */
+    autoAssignPacket(packetId, actorId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = yield this.getOpenPacket(packetId);
+            if (packet.assignedTo) {
+                throw new AssignmentError('assignment.already_assigned');
+            }
+            const [courier] = yield this.getCourierWorkloads(1);
+            if (!courier) {
+                throw new AssignmentError('assignment.no_courier_available');
+            }
+            return yield this.setAssignee(packet, courier._id.toString(), actorId);
+        });
+    }
+    /**
+     * Available couriers with their number of open (not delivered or returned) packets, least busy first.
+     */
+    getCourierWorkloads(limit) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const pipeline = [
+                { $match: { role: 'courier', available: true } },
+                {
+                    $lookup: {
+                        from: packet_1.PacketModel.collection.name,
+                        let: { courier: '$_id' },
+                        pipeline: [
+                            {
+                                $match: {
+                                    $expr: { $eq: ['$assignedTo', '$$courier'] },
+                                    status: { $nin: packet_1.CLOSED_PACKET_STATUSES },
+                                    // The soft delete plugin only filters the top-level pipeline
+                                    deletedAt: null
+                                }
+                            },
+                            { $count: 'count' }
+                        ],
+                        as: 'open'
+                    }
+                },
+                {
+                    $project: {
+                        name: 1,
+                        email: 1,
+                        openPackets: { $ifNull: [{ $arrayElemAt: ['$open.count', 0] }, 0] }
+                    }
+                },
+                // _id as tie-breaker so the choice is stable between equally busy couriers
+                { $sort: { openPackets: 1, _id: 1 } }
+            ];
+            if (limit) {
+                pipeline.push({ $limit: limit });
+            }
+            return yield user_1.UserModel.aggregate(pipeline);
+        });
+    }
+    getOpenPacket(packetId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = mongoose_1.default.Types.ObjectId.isValid(packetId) && (yield packet_1.PacketModel.findById(packetId).lean());
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            if (packet_1.CLOSED_PACKET_STATUSES.includes(packet.status)) {
+                throw new AssignmentError('assignment.packet_closed', { status: packet.status });
+            }
+            return packet;
+        });
+    }
+    assertAvailableCourier(courierId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!mongoose_1.default.Types.ObjectId.isValid(courierId)) {
+                throw new AssignmentError('assignment.invalid_courier_id');
+            }
+            const courier = yield user_1.UserModel.findById(courierId).select('role available');
+            if (!courier || courier.role !== 'courier') {
+                throw new AssignmentError('assignment.not_a_courier');
+            }
+            if (!courier.available) {
+                throw new AssignmentError('assignment.courier_unavailable');
+            }
+        });
+    }
+    /**
+     * Swaps the assignee only if it is still the one we read, so two concurrent
+     * assignments cannot both win, and closes/opens the history entries.
+     */
+    setAssignee(packet, to, actorId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const now = new Date();
+            const from = packet.assignedTo || null;
+            const assignments = (packet.assignments || []).map((assignment) => assignment.unassignedAt ? Object.assign({}, assignment) : Object.assign(Object.assign({}, assignment), { unassignedAt: now }));
+            if (to) {
+                assignments.push({ courier: to, assignedBy: actorId || null, assignedAt: now, unassignedAt: null });
+            }
+            const updated = yield packet_1.PacketModel.findOneAndUpdate({ _id: packet._id, assignedTo: from }, { $set: { assignedTo: to, assignments } }, { new: true }).select('-locationHistory');
+            if (!updated) {
+                throw new AssignmentError('assignment.changed_meanwhile');
+            }
+            yield audit_service_1.default.record({ action: 'update', targetType: 'packets', before: packet, after: updated });
+            return updated;
+        });
+    }
+}
+exports.AssignmentService = AssignmentService;
+exports.default = new AssignmentService();
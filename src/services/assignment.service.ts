@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import { CLOSED_PACKET_STATUSES, IPacket, PacketModel } from '../models/packet';
+import { UserModel } from '../models/user';
+import auditService from './audit.service';
+import { ConflictError, NotFoundError } from '../errors';
+
+export class AssignmentError extends ConflictError {}
+
+export interface ICourierWorkload {
+    _id: mongoose.Types.ObjectId;
+    name: string;
+    email: string;
+    openPackets: number;
+}
+
+export class AssignmentService {
+    /**
+     * Assigns an unassigned packet to a courier.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet already has a courier, is closed, or the courier cannot take it
+     */
+    async assignPacket(packetId: string, courierId: string, actorId?: string): Promise<IPacket> {
+        const packet = await this.getOpenPacket(packetId);
+
+        if (packet.assignedTo) {
+            throw new AssignmentError('assignment.already_assigned');
+        }
+
+        await this.assertAvailableCourier(courierId);
+
+        return await this.setAssignee(packet, courierId, actorId);
+    }
+
+    /**
+     * Moves an assigned packet to another courier.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet has no courier, is closed, or the new courier cannot take it
+     */
+    async reassignPacket(packetId: string, courierId: string, actorId?: string): Promise<IPacket> {
+        const packet = await this.getOpenPacket(packetId);
+
+        if (!packet.assignedTo) {
+            throw new AssignmentError('assignment.not_assigned_assign');
+        }
+        if (packet.assignedTo.toString() === courierId) {
+            throw new AssignmentError('assignment.same_courier');
+        }
+
+        await this.assertAvailableCourier(courierId);
+
+        return await this.setAssignee(packet, courierId, actorId);
+    }
+
+    /**
+     * Removes the courier of a packet.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet has no courier
+     */
+    async unassignPacket(packetId: string): Promise<IPacket> {
+        const packet = mongoose.Types.ObjectId.isValid(packetId) && await PacketModel.findById(packetId).lean<IPacket>();
+        if (!packet) {
+            throw new NotFoundError('packet.not_found');
+        }
+
+        if (!packet.assignedTo) {
+            throw new AssignmentError('assignment.not_assigned');
+        }
+
+        return await this.setAssignee(packet, null);
+    }
+
+    /**
+     * Assigns the packet to the available courier with the fewest open packets.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws AssignmentError if the packet is already assigned or closed, or no courier is available
+     */
+    async autoAssignPacket(packetId: string, actorId?: string): Promise<IPacket> {
+        const packet = await this.getOpenPacket(packetId);
+
+        if (packet.assignedTo) {
+            throw new AssignmentError('assignment.already_assigned');
+        }
+
+        const [courier] = await this.getCourierWorkloads(1);
+        if (!courier) {
+            throw new AssignmentError('assignment.no_courier_available');
+        }
+
+        return await this.setAssignee(packet, courier._id.toString(), actorId);
+    }
+
+    /**
+     * Available couriers with their number of open (not delivered or returned) packets, least busy first.
+     */
+    async getCourierWorkloads(limit?: number): Promise<ICourierWorkload[]> {
+        const pipeline: mongoose.PipelineStage[] = [
+            { $match: { role: 'courier', available: true } },
+            {
+                $lookup: {
+                    from: PacketModel.collection.name,
+                    let: { courier: '$_id' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ['$assignedTo', '$$courier'] },
+                                status: { $nin: CLOSED_PACKET_STATUSES },
+                                // The soft delete plugin only filters the top-level pipeline
+                                deletedAt: null
+                            }
+                        },
+                        { $count: 'count' }
+                    ],
+                    as: 'open'
+                }
+            },
+            {
+                $project: {
+                    name: 1,
+                    email: 1,
+                    openPackets: { $ifNull: [{ $arrayElemAt: ['$open.count', 0] }, 0] }
+                }
+            },
+            // _id as tie-breaker so the choice is stable between equally busy couriers
+            { $sort: { openPackets: 1, _id: 1 } }
+        ];
+        if (limit) {
+            pipeline.push({ $limit: limit });
+        }
+
+        return await UserModel.aggregate<ICourierWorkload>(pipeline);
+    }
+
+    private async getOpenPacket(packetId: string): Promise<IPacket> {
+        const packet = mongoose.Types.ObjectId.isValid(packetId) && await PacketModel.findById(packetId).lean<IPacket>();
+        if (!packet) {
+            throw new NotFoundError('packet.not_found');
+        }
+        if (CLOSED_PACKET_STATUSES.includes(packet.status)) {
+            throw new AssignmentError('assignment.packet_closed', { status: packet.status });
+        }
+        return packet;
+    }
+
+    private async assertAvailableCourier(courierId: string): Promise<void> {
+        if (!mongoose.Types.ObjectId.isValid(courierId)) {
+            throw new AssignmentError('assignment.invalid_courier_id');
+        }
+
+        const courier = await UserModel.findById(courierId).select('role available');
+        if (!courier || courier.role !== 'courier') {
+            throw new AssignmentError('assignment.not_a_courier');
+        }
+        if (!courier.available) {
+            throw new AssignmentError('assignment.courier_unavailable');
+        }
+    }
+
+    /**
+     * Swaps the assignee only if it is still the one we read, so two concurrent
+     * assignments cannot both win, and closes/opens the history entries.
+     */
+    private async setAssignee(packet: IPacket, to: string | null, actorId?: string): Promise<IPacket> {
+        const now = new Date();
+        const from = packet.assignedTo || null;
+
+        const assignments: Record<string, unknown>[] = (packet.assignments || []).map((assignment) =>
+            assignment.unassignedAt ? { ...assignment } : { ...assignment, unassignedAt: now }
+        );
+        if (to) {
+            assignments.push({ courier: to, assignedBy: actorId || null, assignedAt: now, unassignedAt: null });
+        }
+
+        const updated = await PacketModel.findOneAndUpdate(
+            { _id: packet._id, assignedTo: from },
+            { $set: { assignedTo: to, assignments } },
+            { new: true }
+        ).select('-locationHistory');
+
+        if (!updated) {
+            throw new AssignmentError('assignment.changed_meanwhile');
+        }
+        await auditService.record({ action: 'update', targetType: 'packets', before: packet, after: updated });
+        return updated;
+    }
+}
+
+export default new AssignmentService();
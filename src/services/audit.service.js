@@ -0,0 +1,145 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AuditService = exports.InvalidAuditFilterError = void 0;
+exports.diff = diff;
+const mongoose_1 = __importDefault(require("mongoose"));
+const auditLog_1 = require("../models/auditLog");
+const requestContext_1 = require("../utils/requestContext");
+const errors_1 = require("../errors");
+// Never worth storing: bookkeeping, secrets and histories that already log themselves
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'events', 'locationHistory'];
+const REDACTED_FIELDS = ['password'];
+class InvalidAuditFilterError extends errors_1.ValidationError {
+}
+exports.InvalidAuditFilterError = InvalidAuditFilterError;
+// Documents, lean objects and ObjectIds all end up as JSON values, so they compare by value
+function toPlain(doc) {
+    if (!doc)
+        return {};
+    const object = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(object));
+}
+/**
+ * Top-level fields whose value differs between `before` and `after`.
+ */
+function diff(before, after) {
+    const previous = toPlain(before);
+    const next = toPlain(after);
+    const changes = {};
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+        if (IGNORED_FIELDS.includes(field))
+            continue;
+        if (JSON.stringify(previous[field]) === JSON.stringify(next[field]))
+            continue;
+        const redact = REDACTED_FIELDS.includes(field);
+        changes[field] = Object.assign(Object.assign({}, (field in previous ? { before: redact ? '[redacted]' : previous[field] } : {})), (field in next ? { after: redact ? '[redacted]' : next[field] } : {}));
+    }
+    return changes;
+}
+class AuditService {
+    /**
+     * Stores an audit entry for the current request.
+     * When the entry cannot be stored the error is logged and the entry is lost.
+     */
+    record(entry) {
+        return __awaiter(this, void 0, void 0, function* () {
+            var _a, _b;
+            try {
+                const context = (0, requestContext_1.getRequestContext)();
+                const targetId = (_b = (_a = entry.targetId) !== null && _a !== void 0 ? _a : (toPlain(entry.after)._id || toPlain(entry.before)._id)) !== null && _b !== void 0 ? _b : null;
+                yield auditLog_1.AuditLogModel.create({
+                    actor: (context === null || context === void 0 ? void 0 : context.actor) || null,
+                    action: entry.action,
+                    targetType: entry.targetType,
+                    targetId,
+                    changes: diff(entry.before, entry.after),
+                    meta: entry.meta,
+                    requestId: (context === null || context === void 0 ? void 0 : context.requestId) || null,
+                });
+            }
+            catch (error) {
+                console.error(`Error recording audit entry for ${entry.action} on ${entry.targetType}:`, error);
+            }
+        });
+    }
+    /**
+     * Lists audit entries, newest first.
+     * @throws InvalidAuditFilterError if a filter value is not valid
+     */
+    getAuditLogs(page_1, limit_1) {
+        return __awaiter(this, arguments, void 0, function* (page, limit, options = {}) {
+            const filter = this.buildFilter(options);
+            const skip = (page - 1) * limit;
+            const [totalEntries, entries] = yield Promise.all([
+                auditLog_1.AuditLogModel.countDocuments(filter),
+                auditLog_1.AuditLogModel.find(filter)
+                    .sort({ createdAt: -1, _id: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .populate('actor', 'name email role')
+            ]);
+            return {
+                totalEntries,
+                totalPages: Math.ceil(totalEntries / limit),
+                currentPage: page,
+                data: entries,
+            };
+        });
+    }
+    buildFilter(options) {
+        const filter = {};
+        if (options.actor) {
+            if (!mongoose_1.default.Types.ObjectId.isValid(options.actor)) {
+                throw new InvalidAuditFilterError('audit.invalid_actor');
+            }
+            filter.actor = options.actor;
+        }
+        if (options.action) {
+            if (!auditLog_1.AUDIT_ACTIONS.includes(options.action)) {
+                throw new InvalidAuditFilterError('audit.invalid_action', { action: options.action });
+            }
+            filter.action = options.action;
+        }
+        if (options.targetType) {
+            if (!auditLog_1.AUDIT_TARGETS.includes(options.targetType)) {
+                throw new InvalidAuditFilterError('audit.invalid_target_type', { targetType: options.targetType });
+            }
+            filter.targetType = options.targetType;
+        }
+        if (options.targetId) {
+            if (!mongoose_1.default.Types.ObjectId.isValid(options.targetId)) {
+                throw new InvalidAuditFilterError('audit.invalid_target_id');
+            }
+            filter.targetId = options.targetId;
+        }
+        const createdAt = {};
+        for (const [key, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            const value = options[key];
+            if (!value)
+                continue;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new InvalidAuditFilterError('audit.invalid_date', { field: key });
+            }
+            createdAt[operator] = date;
+        }
+        if (Object.keys(createdAt).length > 0) {
+            filter.createdAt = createdAt;
+        }
+        return filter;
+    }
+}
+exports.AuditService = AuditService;
+exports.default = new AuditService();
@@ -0,0 +1,164 @@
+import mongoose, { FilterQuery } from 'mongoose';
+import { AUDIT_ACTIONS, AUDIT_TARGETS, AuditAction, AuditLogModel, AuditTarget, IAuditLog, IFieldChange } from '../models/auditLog';
+import { getRequestContext } from '../utils/requestContext';
+import { ValidationError } from '../errors';
+
+// Never worth storing: bookkeeping, secrets and histories that already log themselves
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'events', 'locationHistory'];
+const REDACTED_FIELDS = ['password'];
+
+export class InvalidAuditFilterError extends ValidationError {}
+
+export interface AuditListOptions {
+    actor?: string;
+    action?: string;
+    targetType?: string;
+    targetId?: string;
+    from?: string;
+    to?: string;
+}
+
+export interface AuditEntry {
+    action: AuditAction;
+    targetType: AuditTarget;
+    targetId?: unknown;
+    before?: unknown;
+    after?: unknown;
+    meta?: Record<string, unknown>;
+}
+
+type Plain = Record<string, unknown>;
+
+// Documents, lean objects and ObjectIds all end up as JSON values, so they compare by value
+function toPlain(doc: unknown): Plain {
+    if (!doc) return {};
+    const object = typeof (doc as any).toObject === 'function' ? (doc as any).toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * Top-level fields whose value differs between `before` and `after`.
+ */
+export function diff(before: unknown, after: unknown): Record<string, IFieldChange> {
+    const previous = toPlain(before);
+    const next = toPlain(after);
+    const changes: Record<string, IFieldChange> = {};
+
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) continue;
+
+        const redact = REDACTED_FIELDS.includes(field);
+        changes[field] = {
+            ...(field in previous ? { before: redact ? '[redacted]' : previous[field] } : {}),
+            ...(field in next ? { after: redact ? '[redacted]' : next[field] } : {}),
+        };
+    }
+
+    return changes;
+}
+
+export class AuditService {
+    /**
+     * Stores an audit entry for the current request.
+     * When the entry cannot be stored the error is logged and the entry is lost.
+     */
+    async record(entry: AuditEntry): Promise<void> {
+        try {
+            const context = getRequestContext();
+            const targetId = entry.targetId ?? (toPlain(entry.after)._id || toPlain(entry.before)._id) ?? null;
+
+            await AuditLogModel.create({
+                actor: context?.actor || null,
+                action: entry.action,
+                targetType: entry.targetType,
+                targetId,
+                changes: diff(entry.before, entry.after),
+                meta: entry.meta,
+                requestId: context?.requestId || null,
+            });
+        } catch (error) {
+            console.error(`Error recording audit entry for ${entry.action} on ${entry.targetType}:`, error);
+        }
+    }
+
+    /**
+     * Lists audit entries, newest first.
+     * @throws InvalidAuditFilterError if a filter value is not valid
+     */
+    async getAuditLogs(page: number, limit: number, options: AuditListOptions = {}): Promise<{
+        totalEntries: number;
+        totalPages: number;
+        currentPage: number;
+        data: IAuditLog[];
+    }> {
+        const filter = this.buildFilter(options);
+        const skip = (page - 1) * limit;
+
+        const [totalEntries, entries] = await Promise.all([
+            AuditLogModel.countDocuments(filter),
+            AuditLogModel.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('actor', 'name email role')
+        ]);
+
+        return {
+            totalEntries,
+            totalPages: Math.ceil(totalEntries / limit),
+            currentPage: page,
+            data: entries,
+        };
+    }
+
+    private buildFilter(options: AuditListOptions): FilterQuery<IAuditLog> {
+        const filter: FilterQuery<IAuditLog> = {};
+
+        if (options.actor) {
+            if (!mongoose.Types.ObjectId.isValid(options.actor)) {
+                throw new InvalidAuditFilterError('audit.invalid_actor');
+            }
+            filter.actor = options.actor;
+        }
+
+        if (options.action) {
+            if (!AUDIT_ACTIONS.includes(options.action as AuditAction)) {
+                throw new InvalidAuditFilterError('audit.invalid_action', { action: options.action });
+            }
+            filter.action = options.action;
+        }
+
+        if (options.targetType) {
+            if (!AUDIT_TARGETS.includes(options.targetType as AuditTarget)) {
+                throw new InvalidAuditFilterError('audit.invalid_target_type', { targetType: options.targetType });
+            }
+            filter.targetType = options.targetType;
+        }
+
+        if (options.targetId) {
+            if (!mongoose.Types.ObjectId.isValid(options.targetId)) {
+                throw new InvalidAuditFilterError('audit.invalid_target_id');
+            }
+            filter.targetId = options.targetId;
+        }
+
+        const createdAt: Record<string, Date> = {};
+        for (const [key, operator] of [['from', '$gte'], ['to', '$lte']] as const) {
+            const value = options[key];
+            if (!value) continue;
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new InvalidAuditFilterError('audit.invalid_date', { field: key });
+            }
+            createdAt[operator] = date;
+        }
+        if (Object.keys(createdAt).length > 0) {
+            filter.createdAt = createdAt;
+        }
+
+        return filter;
+    }
+}
+
+export default new AuditService();
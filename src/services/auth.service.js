@@ -0,0 +1,128 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AuthService = exports.AuthenticationError = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+const bcryptjs_1 = __importDefault(require("bcryptjs"));
+const jsonwebtoken_1 = __importDefault(require("jsonwebtoken"));
+const user_1 = require("../models/user");
+const refreshToken_1 = require("../models/refreshToken");
+const errors_1 = require("../errors");
+const config_1 = __importDefault(require("../config"));
+const JWT_SECRET = config_1.default.auth.jwtSecret;
+const ACCESS_TOKEN_TTL = config_1.default.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config_1.default.auth.refreshTokenTtlDays;
+class AuthenticationError extends errors_1.UnauthorizedError {
+}
+exports.AuthenticationError = AuthenticationError;
+function hashToken(token) {
+    return crypto_1.default.createHash('sha256').update(token).digest('hex');
+}
+class AuthService {
+    hashPassword(password) {
+        return __awaiter(this, void 0, void 0, function* () {
+            return yield bcryptjs_1.default.hash(password, 10);
+        });
+    }
+    /**
+     * Checks the credentials of an available user and issues a new token pair
+     * @throws AuthenticationError if the email or password is wrong
+     */
+    login(email, password) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+                throw new AuthenticationError('auth.credentials_required');
+            }
+            const user = yield user_1.UserModel.findOne({ email, available: true, role: { $ne: 'system' } }).select('+password');
+            if (!user || !(yield bcryptjs_1.default.compare(password, user.password))) {
+                throw new AuthenticationError('auth.invalid_credentials');
+            }
+            const tokens = yield this.issueTokens(user._id.toString());
+            const _a = user.toObject(), { password: _password } = _a, publicUser = __rest(_a, ["password"]);
+            return Object.assign(Object.assign({}, tokens), { user: publicUser });
+        });
+    }
+    /**
+     * Exchanges a refresh token for a new token pair. The used refresh token is revoked.
+     * @throws AuthenticationError if the refresh token is unknown, revoked or expired
+     */
+    refresh(refreshToken) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!refreshToken || typeof refreshToken !== 'string') {
+                throw new AuthenticationError('auth.refresh_token_required');
+            }
+            const stored = yield refreshToken_1.RefreshTokenModel.findOneAndUpdate({ tokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } }, { $set: { revokedAt: new Date() } });
+            if (!stored) {
+                throw new AuthenticationError('auth.invalid_refresh_token');
+            }
+            const user = yield user_1.UserModel.findOne({ _id: stored.user, available: true });
+            if (!user) {
+                throw new AuthenticationError('auth.invalid_refresh_token');
+            }
+            return yield this.issueTokens(user._id.toString());
+        });
+    }
+    logout(refreshToken) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!refreshToken || typeof refreshToken !== 'string') {
+                throw new AuthenticationError('auth.refresh_token_required');
+            }
+            yield refreshToken_1.RefreshTokenModel.updateOne({ tokenHash: hashToken(refreshToken), revokedAt: null }, { $set: { revokedAt: new Date() } });
+        });
+    }
+    /**
+     * Verifies an access token and returns its payload
+     * @throws AuthenticationError if the token is malformed, forged or expired
+     */
+    verifyAccessToken(token) {
+        try {
+            const payload = jsonwebtoken_1.default.verify(token, JWT_SECRET);
+            if (typeof payload === 'string' || !payload.sub) {
+                throw new AuthenticationError('auth.invalid_access_token');
+            }
+            return { sub: payload.sub };
+        }
+        catch (error) {
+            throw new AuthenticationError('auth.invalid_access_token');
+        }
+    }
+    issueTokens(userId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const accessToken = jsonwebtoken_1.default.sign({}, JWT_SECRET, {
+                subject: userId,
+                expiresIn: ACCESS_TOKEN_TTL
+            });
+            const refreshToken = crypto_1.default.randomBytes(48).toString('hex');
+            yield refreshToken_1.RefreshTokenModel.create({
+                user: userId,
+                tokenHash: hashToken(refreshToken),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+            });
+            return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+        });
+    }
+}
+exports.AuthService = AuthService;
+exports.default = new AuthService();
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { IUser, UserModel } from '../models/user';
+import { RefreshTokenModel } from '../models/refreshToken';
+import { UnauthorizedError } from '../errors';
+import config from '../config';
+
+const JWT_SECRET = config.auth.jwtSecret;
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+
+export class AuthenticationError extends UnauthorizedError {}
+
+export interface AuthTokens {
+    accessToken: string;
+    refreshToken: string;
+    tokenType: 'Bearer';
+    expiresIn: string;
+}
+
+export interface AccessTokenPayload {
+    sub: string;
+}
+
+function hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class AuthService {
+    async hashPassword(password: string): Promise<string> {
+        return await bcrypt.hash(password, 10);
+    }
+
+    /**
+     * Checks the credentials of an available user and issues a new token pair
+     * @throws AuthenticationError if the email or password is wrong
+     */
+    async login(email: string, password: string): Promise<AuthTokens & { user: Omit<IUser, 'password'> }> {
+        if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+            throw new AuthenticationError('auth.credentials_required');
+        }
+
+        const user = await UserModel.findOne({ email, available: true, role: { $ne: 'system' } }).select('+password');
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+            throw new AuthenticationError('auth.invalid_credentials');
+        }
+
+        const tokens = await this.issueTokens(user._id.toString());
+        const { password: _password, ...publicUser } = user.toObject();
+        return { ...tokens, user: publicUser };
+    }
+
+    /**
+     * Exchanges a refresh token for a new token pair. The used refresh token is revoked.
+     * @throws AuthenticationError if the refresh token is unknown, revoked or expired
+     */
+    async refresh(refreshToken: string): Promise<AuthTokens> {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw new AuthenticationError('auth.refresh_token_required');
+        }
+
+        const stored = await RefreshTokenModel.findOneAndUpdate(
+            { tokenHash: hashToken(refreshToken), revokedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { revokedAt: new Date() } }
+        );
+        if (!stored) {
+            throw new AuthenticationError('auth.invalid_refresh_token');
+        }
+
+        const user = await UserModel.findOne({ _id: stored.user, available: true });
+        if (!user) {
+            throw new AuthenticationError('auth.invalid_refresh_token');
+        }
+
+        return await this.issueTokens(user._id.toString());
+    }
+
+    async logout(refreshToken: string): Promise<void> {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw new AuthenticationError('auth.refresh_token_required');
+        }
+
+        await RefreshTokenModel.updateOne(
+            { tokenHash: hashToken(refreshToken), revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+    }
+
+    /**
+     * Verifies an access token and returns its payload
+     * @throws AuthenticationError if the token is malformed, forged or expired
+     */
+    verifyAccessToken(token: string): AccessTokenPayload {
+        try {
+            const payload = jwt.verify(token, JWT_SECRET);
+            if (typeof payload === 'string' || !payload.sub) {
+                throw new AuthenticationError('auth.invalid_access_token');
+            }
+            return { sub: payload.sub };
+        } catch (error) {
+            throw new AuthenticationError('auth.invalid_access_token');
+        }
+    }
+
+    private async issueTokens(userId: string): Promise<AuthTokens> {
+        const accessToken = jwt.sign({}, JWT_SECRET, {
+            subject: userId,
+            expiresIn: ACCESS_TOKEN_TTL as jwt.SignOptions['expiresIn']
+        });
+
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        await RefreshTokenModel.create({
+            user: userId,
+            tokenHash: hashToken(refreshToken),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+    }
+}
+
+export default new AuthService();
@@ -2,8 +2,61 @@
 import { IMessage, MessageModel } from '../models/message';
 import { UserModel } from '../models/user';
 import mongoose from 'mongoose';
+import messageStream from './messageStream.service';
+import webhookService from './webhook.service';
+import notificationService from './notification.service';
+import auditService from './audit.service';
+import { MessageEventType } from '../models/messageEvent';
+import { AuthService } from './auth.service';
+import crypto from 'crypto';
+import { ForbiddenError, NotFoundError, TooManyRequestsError, ValidationError } from '../errors';
+import { MessageKey } from '../i18n';
+import config, { Rate } from '../config';
+
+export interface IConversation {
+    user: { _id: mongoose.Types.ObjectId; name: string; email: string };
+    lastMessage: {
+        _id: mongoose.Types.ObjectId;
+        content: string;
+        sender: mongoose.Types.ObjectId;
+        createdAt: Date;
+    };
+    unreadCount: number;
+}
+
+export interface IMessagePage {
+    data: IMessage[];
+    limit: number;
+    // Cursor para pedir mensajes más antiguos (before)
+    nextCursor: string | null;
+    // Cursor para pedir mensajes más recientes (after)
+    prevCursor: string | null;
+}
+
+export interface MessageCursor {
+    before?: string;
+    after?: string;
+    limit?: number;
+}
+
+const PREVIEW_LENGTH = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SYSTEM_SENDER_EMAIL = config.systemSender.email;
+const SYSTEM_SENDER_NAME = config.systemSender.name;
 
 export class MessageService {
+    /**
+     * Envía un mensaje de un usuario a otro
+     * @param senderId ID del remitente
+     * @param receiverId ID del destinatario
+     * @param content Contenido del mensaje
+     * @returns Mensaje guardado
+     * @throws ValidationError si el contenido o los IDs no son válidos
+     * @throws NotFoundError si el remitente o el destinatario no existen o no están disponibles
+     * @throws TooManyRequestsError si el remitente envía demasiado rápido o repite el mismo mensaje
+     */
     async sendMessage(
         senderId: string,
         receiverId: string,
@@ -11,9 +64,16 @@ export class MessageService {
     ): Promise<IMessage> {
         // Validación básica
         if (!content || typeof content !== 'string' || content.trim().length === 0) {
-            throw new Error('El contenido del mensaje es requerido');
+            throw new ValidationError('message.content_required');
         }
 
+        if (!mongoose.Types.ObjectId.isValid(senderId)) {
+            throw new ValidationError('message.invalid_sender_id');
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(receiverId)) {
+            throw new ValidationError('message.invalid_receiver_id');
+        }
 
         // Buscar usuarios (solo disponibles)
         const [sender, receiver] = await Promise.all([
@@ -21,8 +81,10 @@ export class MessageService {
             UserModel.findOne({ _id: receiverId, available: true })
         ]);
 
-        if (!sender) throw new Error('Remitente no encontrado o no disponible');
-        if (!receiver) throw new Error('Destinatario no encontrado o no disponible');
+        if (!sender) throw new NotFoundError('message.sender_not_found');
+        if (!receiver) throw new NotFoundError('message.receiver_not_found');
+
+        await this.assertNotSpam(senderId, content.trim());
 
         // Crear y guardar el mensaje
         const newMessage = new MessageModel({
@@ -33,66 +95,231 @@ export class MessageService {
             createdAt: new Date()
         });
 
-        return await newMessage.save();
+        const savedMessage = await newMessage.save();
+        await auditService.record({ action: 'create', targetType: 'messages', after: savedMessage });
+        await this.notify('created', savedMessage);
+        await webhookService.dispatch('message.sent', savedMessage);
+        await notificationService.notify(receiver._id.toString(), 'message.received', {
+            senderName: sender.name,
+            preview: savedMessage.content.length > PREVIEW_LENGTH ? `${savedMessage.content.slice(0, PREVIEW_LENGTH)}…` : savedMessage.content
+        });
+
+        return savedMessage;
+    }
+
+    /**
+     * Envía un mensaje automático desde el remitente del sistema
+     * @param receiverId ID del destinatario
+     * @param content Contenido del mensaje
+     * @returns Mensaje guardado
+     * @throws NotFoundError si el destinatario no existe o no está disponible
+     */
+    async sendSystemMessage(
+        receiverId: string,
+        content: string
+    ): Promise<IMessage> {
+        const receiver = await UserModel.findOne({ _id: receiverId, available: true });
+        if (!receiver) throw new NotFoundError('message.receiver_not_found');
+
+        const sender = await this.getSystemSender();
+
+        const savedMessage = await new MessageModel({
+            content,
+            sender,
+            receiver: receiver._id,
+            read: false,
+            createdAt: new Date()
+        }).save();
+
+        await auditService.record({ action: 'create', targetType: 'messages', after: savedMessage });
+        await this.notify('created', savedMessage);
+
+        return savedMessage;
     }
 
 
     /**
-     * Obtiene todos los mensajes entre dos usuarios
+     * Obtiene una página de mensajes entre dos usuarios
      * @param userId1 ID del primer usuario
      * @param userId2 ID del segundo usuario
-     * @returns Lista de mensajes ordenados por fecha de creación (más recientes primero)
-     * @throws Error si los IDs son inválidos
+     * @param cursor `before` o `after` (ID de mensaje o fecha ISO) y `limit`
+     * @returns Mensajes ordenados por fecha de creación (más recientes primero) y los cursores vecinos
+     * @throws ValidationError si los IDs o el cursor son inválidos
      */
     async getMessagesBetweenUsers(
         userId1: string,
-        userId2: string
-    ): Promise<IMessage[]> {
+        userId2: string,
+        cursor: MessageCursor = {}
+    ): Promise<IMessagePage> {
         // Validar los IDs
+        if (!mongoose.Types.ObjectId.isValid(userId1) || !mongoose.Types.ObjectId.isValid(userId2)) {
+            throw new ValidationError('message.invalid_user_id');
+        }
 
-        return await MessageModel.find({
+        if (cursor.before && cursor.after) {
+            throw new ValidationError('message.cursor_conflict');
+        }
+
+        const limit = Math.min(Math.max(cursor.limit || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const conversation = {
             $or: [
                 { sender: userId1, receiver: userId2 },
                 { sender: userId2, receiver: userId1 }
             ]
-        })
-        .sort({ createdAt: -1 }) // Orden descendente (más reciente primero)
-        .populate('sender', 'name email') // Popula datos básicos del remitente
-        .populate('receiver', 'name email') // Popula datos básicos del destinatario
-        .exec();
+        };
+
+        const older = !cursor.after;
+        const position = cursor.before || cursor.after;
+        const filter: mongoose.FilterQuery<IMessage> = position
+            ? { $and: [conversation, await this.cursorFilter(position, older ? '$lt' : '$gt')] }
+            : conversation;
+
+        // Con `after` se lee en orden ascendente desde el cursor y luego se invierte
+        const order = older ? -1 : 1;
+        const messages = await MessageModel.find(filter)
+            .sort({ createdAt: order, _id: order })
+            .limit(limit + 1)
+            .populate('sender', 'name email') // Popula datos básicos del remitente
+            .populate('receiver', 'name email') // Popula datos básicos del destinatario
+            .exec();
+
+        const hasMore = messages.length > limit;
+        const data = messages.slice(0, limit);
+        if (!older) {
+            data.reverse();
+        }
+
+        const newest = data.length > 0 ? data[0]._id.toString() : null;
+        const oldest = data.length > 0 ? data[data.length - 1]._id.toString() : null;
+
+        return {
+            data,
+            limit,
+            nextCursor: (older ? hasMore : true) ? oldest : null,
+            prevCursor: (older ? Boolean(position) : hasMore) ? newest : null,
+        };
+    }
+
+    /**
+     * Obtiene las conversaciones de un usuario: con quién ha hablado, el último
+     * mensaje y cuántos mensajes recibidos tiene sin leer
+     * @param userId ID del usuario
+     * @param page Página a devolver
+     * @param limit Conversaciones por página
+     * @returns Conversaciones ordenadas por actividad más reciente
+     * @throws ValidationError si el ID es inválido
+     */
+    async getConversations(
+        userId: string,
+        page: number,
+        limit: number
+    ): Promise<{
+        totalConversations: number;
+        totalPages: number;
+        currentPage: number;
+        data: IConversation[];
+    }> {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw new ValidationError('message.invalid_user_id');
+        }
+
+        const me = new mongoose.Types.ObjectId(userId);
+        const skip = (page - 1) * limit;
+
+        const [result] = await MessageModel.aggregate([
+            { $match: { $or: [{ sender: me }, { receiver: me }] } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    // El otro participante de la conversación
+                    _id: { $cond: [{ $eq: ['$sender', me] }, '$receiver', '$sender'] },
+                    lastMessage: { $first: '$$ROOT' },
+                    unreadCount: {
+                        $sum: {
+                            $cond: [{ $and: [{ $eq: ['$receiver', me] }, { $eq: ['$read', false] }] }, 1, 0]
+                        }
+                    }
+                }
+            },
+            { $sort: { 'lastMessage.createdAt': -1 } },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    data: [
+                        { $skip: skip },
+                        { $limit: limit },
+                        {
+                            $lookup: {
+                                from: UserModel.collection.name,
+                                localField: '_id',
+                                foreignField: '_id',
+                                as: 'user'
+                            }
+                        },
+                        { $unwind: '$user' },
+                        {
+                            $project: {
+                                _id: 0,
+                                user: { _id: '$user._id', name: '$user.name', email: '$user.email' },
+                                unreadCount: 1,
+                                lastMessage: {
+                                    _id: '$lastMessage._id',
+                                    content: { $substrCP: ['$lastMessage.content', 0, PREVIEW_LENGTH] },
+                                    sender: '$lastMessage.sender',
+                                    createdAt: '$lastMessage.createdAt'
+                                }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+
+        const totalConversations = result.total[0]?.count ?? 0;
+
+        return {
+            totalConversations,
+            totalPages: Math.ceil(totalConversations / limit),
+            currentPage: page,
+            data: result.data,
+        };
     }
 
    /**
      * Actualiza el contenido de un mensaje existente
      * @param messageId ID del mensaje a actualizar
      * @param newContent Nuevo contenido del mensaje
-     * @param senderId ID del remitente (para validación de propiedad)
+     * @param userId ID del usuario autenticado, que debe ser el remitente
      * @returns Mensaje actualizado
-     * @throws Error si el mensaje no existe o no pertenece al remitente
+     * @throws NotFoundError si el mensaje no existe
+     * @throws ForbiddenError si el mensaje no pertenece al usuario
      */
    async updateMessage(
     messageId: string,
     newContent: string,
-    senderId: string
+    userId: string
 ): Promise<IMessage> {
     // Validaciones básicas
     if (!mongoose.Types.ObjectId.isValid(messageId)) {
-        throw new Error('ID de mensaje inválido');
+        throw new ValidationError('message.invalid_message_id');
     }
 
     if (!newContent || typeof newContent !== 'string' || newContent.trim().length === 0) {
-        throw new Error('El contenido del mensaje es requerido');
+        throw new ValidationError('message.content_required');
     }
 
-    if (!mongoose.Types.ObjectId.isValid(senderId)) {
-        throw new Error('ID de remitente inválido');
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ValidationError('message.invalid_sender_id');
     }
 
+    await this.assertOwnership(messageId, userId, 'message.edit_forbidden');
+    const before = await MessageModel.findById(messageId).lean();
+
     // Buscar y actualizar el mensaje
     const updatedMessage = await MessageModel.findOneAndUpdate(
         {
             _id: messageId,
-            sender: senderId // Solo permite actualizar si el sender es el dueño
+            sender: userId // Solo permite actualizar si el sender es el dueño
         },
         {
             $set: {
@@ -108,45 +335,340 @@ export class MessageService {
      .populate('receiver', 'name email');
 
     if (!updatedMessage) {
-        throw new Error('Mensaje no encontrado o no tienes permiso para editarlo');
+        throw new NotFoundError('message.not_found');
     }
 
+    await auditService.record({ action: 'update', targetType: 'messages', before, after: updatedMessage });
+    await this.notify('updated', updatedMessage);
+
     return updatedMessage;
 }
 
     /**
-     * Elimina un mensaje existente
+     * Envía un mensaje a la papelera; se puede restaurar hasta que se purgue
      * @param messageId ID del mensaje a eliminar
-     * @param senderId ID del remitente (para validación de propiedad)
+     * @param userId ID del usuario autenticado, que debe ser el remitente
      * @returns Mensaje eliminado
-     * @throws Error si el mensaje no existe o no pertenece al remitente
+     * @throws NotFoundError si el mensaje no existe
+     * @throws ForbiddenError si el mensaje no pertenece al usuario
      */
     async deleteMessage(
         messageId: string,
-        senderId: string
+        userId: string
     ): Promise<IMessage> {
         // Validaciones básicas
         if (!mongoose.Types.ObjectId.isValid(messageId)) {
-            throw new Error('ID de mensaje inválido');
+            throw new ValidationError('message.invalid_message_id');
         }
 
-        if (!mongoose.Types.ObjectId.isValid(senderId)) {
-            throw new Error('ID de remitente inválido');
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw new ValidationError('message.invalid_sender_id');
         }
 
-        // Buscar y eliminar el mensaje
-        const deletedMessage = await MessageModel.findOneAndDelete({
-            _id: messageId,
-            sender: senderId // Solo permite eliminar si el sender es el dueño
-        }).populate('sender', 'name email')
-          .populate('receiver', 'name email');
+        await this.assertOwnership(messageId, userId, 'message.delete_forbidden');
+        const before = await MessageModel.findById(messageId).lean();
+
+        // Marcar el mensaje como eliminado
+        const deletedMessage = await MessageModel.findOneAndUpdate(
+            {
+                _id: messageId,
+                sender: userId // Solo permite eliminar si el sender es el dueño
+            },
+            { $set: { deletedAt: new Date() } },
+            { new: true }
+        ).populate('sender', 'name email')
+         .populate('receiver', 'name email');
 
         if (!deletedMessage) {
-            throw new Error('Mensaje no encontrado o no tienes permiso para eliminarlo');
+            throw new NotFoundError('message.not_found');
         }
 
+        await auditService.record({ action: 'delete', targetType: 'messages', before, after: deletedMessage });
+        await this.notify('deleted', deletedMessage);
+
         return deletedMessage;
     }
+
+    /**
+     * Restaura un mensaje eliminado que aún no se ha purgado
+     * @param messageId ID del mensaje
+     * @param userId ID del usuario autenticado, que debe ser el remitente
+     * @returns Mensaje restaurado
+     * @throws NotFoundError si el mensaje no está en la papelera
+     * @throws ForbiddenError si el mensaje no pertenece al usuario
+     */
+    async restoreMessage(
+        messageId: string,
+        userId: string
+    ): Promise<IMessage> {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw new ValidationError('message.invalid_message_id');
+        }
+
+        const before = await MessageModel.findOne({ _id: messageId, deletedAt: { $ne: null } }).lean();
+
+        if (!before) {
+            throw new NotFoundError('message.deleted_not_found');
+        }
+
+        if (before.sender.toString() !== userId) {
+            throw new ForbiddenError('message.restore_forbidden');
+        }
+
+        const restoredMessage = await MessageModel.findOneAndUpdate(
+            { _id: messageId, sender: userId, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null } },
+            { new: true }
+        ).populate('sender', 'name email')
+         .populate('receiver', 'name email');
+
+        if (!restoredMessage) {
+            throw new NotFoundError('message.deleted_not_found');
+        }
+
+        await auditService.record({ action: 'restore', targetType: 'messages', before, after: restoredMessage });
+        await this.notify('restored', restoredMessage);
+
+        return restoredMessage;
+    }
+
+    /**
+     * Marca como leído un mensaje recibido por el usuario
+     * @param messageId ID del mensaje
+     * @param userId ID del usuario autenticado, que debe ser el destinatario
+     * @returns Mensaje con el estado de lectura actualizado
+     * @throws NotFoundError si el mensaje no existe
+     * @throws ForbiddenError si el usuario no es el destinatario
+     */
+    async markAsRead(
+        messageId: string,
+        userId: string
+    ): Promise<IMessage> {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw new ValidationError('message.invalid_message_id');
+        }
+
+        const message = await MessageModel.findById(messageId);
+
+        if (!message) {
+            throw new NotFoundError('message.not_found');
+        }
+
+        if (message.receiver.toString() !== userId) {
+            throw new ForbiddenError('message.read_forbidden');
+        }
+
+        // Si ya estaba leído se conserva la fecha original
+        if (message.read) {
+            return message;
+        }
+
+        const before = message.toObject();
+        message.read = true;
+        message.readAt = new Date();
+        const readMessage = await message.save();
+        await auditService.record({ action: 'update', targetType: 'messages', before, after: readMessage });
+
+        await this.notify('read', readMessage);
+
+        return readMessage;
+    }
+
+    /**
+     * Marca como leídos los mensajes que otro usuario ha enviado al usuario,
+     * todos o solo hasta un mensaje concreto (incluido)
+     * @param userId ID del usuario autenticado (destinatario)
+     * @param otherUserId ID del otro usuario de la conversación (remitente)
+     * @param upToMessageId ID del último mensaje a marcar, opcional
+     * @returns Número de mensajes marcados y fecha de lectura
+     * @throws ValidationError si los IDs son inválidos
+     * @throws NotFoundError si el mensaje no pertenece a la conversación
+     */
+    async markConversationAsRead(
+        userId: string,
+        otherUserId: string,
+        upToMessageId?: string
+    ): Promise<{ updated: number; readAt: Date }> {
+        if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(otherUserId)) {
+            throw new ValidationError('message.invalid_user_id');
+        }
+
+        const filter: mongoose.FilterQuery<IMessage> = {
+            sender: otherUserId,
+            receiver: userId,
+            read: false
+        };
+
+        let lastMessage = null;
+        if (upToMessageId) {
+            if (!mongoose.Types.ObjectId.isValid(upToMessageId)) {
+                throw new ValidationError('message.invalid_message_id');
+            }
+
+            lastMessage = await MessageModel.findOne({
+                _id: upToMessageId,
+                sender: otherUserId,
+                receiver: userId
+            });
+
+            if (!lastMessage) {
+                throw new NotFoundError('message.not_in_conversation');
+            }
+
+            filter.createdAt = { $lte: lastMessage.createdAt };
+        } else {
+            lastMessage = await MessageModel.findOne({ sender: otherUserId, receiver: userId })
+                .sort({ createdAt: -1 });
+        }
+
+        const readAt = new Date();
+        const result = await MessageModel.updateMany(filter, { $set: { read: true, readAt } });
+
+        if (result.modifiedCount > 0) {
+            await auditService.record({
+                action: 'update',
+                targetType: 'messages',
+                targetId: null,
+                before: { read: false },
+                after: { read: true, readAt },
+                meta: { sender: otherUserId, receiver: userId, count: result.modifiedCount }
+            });
+        }
+
+        // Un único evento: el cliente marca como leído todo lo anterior a este mensaje
+        if (result.modifiedCount > 0 && lastMessage) {
+            await this.notify('read', lastMessage);
+        }
+
+        return { updated: result.modifiedCount, readAt };
+    }
+
+    /**
+     * Traduce un cursor (ID de mensaje o fecha) a una condición sobre createdAt y _id
+     * @param position ID de mensaje o fecha ISO
+     * @param operator `$lt` para mensajes anteriores, `$gt` para posteriores
+     * @throws ValidationError si el cursor no es un ID ni una fecha válidos
+     */
+    private async cursorFilter(
+        position: string,
+        operator: '$lt' | '$gt'
+    ): Promise<mongoose.FilterQuery<IMessage>> {
+        if (mongoose.Types.ObjectId.isValid(position)) {
+            const message = await MessageModel.findById(position).select('createdAt');
+            if (!message) {
+                throw new ValidationError('message.cursor_not_found');
+            }
+
+            // Desempate por _id para mensajes con la misma fecha
+            return {
+                $or: [
+                    { createdAt: { [operator]: message.createdAt } },
+                    { createdAt: message.createdAt, _id: { [operator]: message._id } }
+                ]
+            };
+        }
+
+        const date = new Date(position);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError('message.invalid_cursor');
+        }
+
+        return { createdAt: { [operator]: date } };
+    }
+
+    /**
+     * Obtiene el usuario remitente de los mensajes automáticos, creándolo la
+     * primera vez. Su contraseña es aleatoria y nunca se usa: no puede iniciar sesión.
+     */
+    private async getSystemSender(): Promise<string> {
+        const existing = await UserModel.findOne({ role: 'system', email: SYSTEM_SENDER_EMAIL }).select('_id');
+        if (existing) return existing._id!.toString();
+
+        const password = await new AuthService().hashPassword(crypto.randomBytes(32).toString('hex'));
+        // Upsert para que dos peticiones simultáneas no creen dos remitentes
+        const sender = await UserModel.findOneAndUpdate(
+            { role: 'system', email: SYSTEM_SENDER_EMAIL },
+            { $setOnInsert: { name: SYSTEM_SENDER_NAME, password, phone: '-', available: true, packets: [] } },
+            { upsert: true, new: true }
+        ).select('_id');
+
+        return sender._id!.toString();
+    }
+
+    /**
+     * Envía el cambio a los participantes conectados. Un fallo aquí no
+     * deshace la operación sobre el mensaje, que ya está guardada.
+     */
+    private async notify(type: MessageEventType, message: IMessage): Promise<void> {
+        try {
+            await messageStream.publish(type, message);
+        } catch (err) {
+            console.error('Error publicando el evento de mensaje:', err);
+        }
+    }
+
+    /**
+     * Rechaza el mensaje si el remitente envía demasiados seguidos (ráfaga) o
+     * repite el mismo contenido demasiadas veces, a cualquier destinatario.
+     * Cuenta también los mensajes eliminados, para que borrarlos no sirva de nada.
+     * @throws TooManyRequestsError con los segundos hasta que podrá volver a enviarlo
+     */
+    private async assertNotSpam(senderId: string, content: string): Promise<void> {
+        if (!config.features.spamFilter) return;
+
+        const { burst, duplicates } = config.spam;
+        const [burstWait, duplicateWait] = await Promise.all([
+            this.waitForRate({ sender: senderId }, burst),
+            this.waitForRate({ sender: senderId, content }, duplicates)
+        ]);
+
+        if (burstWait > 0) throw new TooManyRequestsError('message.burst', burstWait);
+        if (duplicateWait > 0) throw new TooManyRequestsError('message.duplicate', duplicateWait);
+    }
+
+    /**
+     * Segundos hasta que los mensajes que cumplen `filter` vuelven a estar por
+     * debajo de `rate.limit` en la ventana, o 0 si ya lo están
+     */
+    private async waitForRate(filter: Record<string, unknown>, rate: Rate): Promise<number> {
+        const now = Date.now();
+        const recent = await MessageModel.find({ ...filter, createdAt: { $gt: new Date(now - rate.windowMs) } })
+            .setOptions({ withDeleted: true })
+            .sort({ createdAt: -1 })
+            .limit(rate.limit)
+            .select('createdAt')
+            .lean();
+
+        if (recent.length < rate.limit) return 0;
+
+        // Cuando el más antiguo de los `limit` últimos salga de la ventana quedará un hueco
+        const oldest = recent[recent.length - 1].createdAt.getTime();
+        return Math.max(1, Math.ceil((oldest + rate.windowMs - now) / 1000));
+    }
+
+    /**
+     * Comprueba que el mensaje existe y que el usuario es su remitente
+     * @param messageId ID del mensaje
+     * @param userId ID del usuario autenticado
+     * @param forbidden Error a devolver si el usuario no es el remitente, según la acción
+     * @throws NotFoundError si el mensaje no existe
+     * @throws ForbiddenError si el usuario no es el remitente
+     */
+    private async assertOwnership(
+        messageId: string,
+        userId: string,
+        forbidden: MessageKey
+    ): Promise<void> {
+        const message = await MessageModel.findById(messageId).select('sender');
+
+        if (!message) {
+            throw new NotFoundError('message.not_found');
+        }
+
+        if (message.sender.toString() !== userId) {
+            throw new ForbiddenError(forbidden);
+        }
+    }
 }
 
 export default new MessageService();
\ No newline at end of file
@@ -0,0 +1,108 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MessageStreamService = void 0;
+// services/messageStream.service.ts
+const events_1 = require("events");
+const mongoose_1 = __importDefault(require("mongoose"));
+const messageEvent_1 = require("../models/messageEvent");
+// Evento interno para cerrar las conexiones, no choca con los ids de usuario
+const CLOSE = Symbol('close');
+// El remitente y el destinatario pueden venir populados
+function userIdOf(user) {
+    return (user && user._id ? user._id : user).toString();
+}
+/**
+ * Reparte los cambios de mensajes a los participantes conectados.
+ * Cada evento se guarda antes de emitirse para que un cliente que se
+ * reconecta pueda recuperar lo que se perdió a partir del último id recibido.
+ */
+class MessageStreamService {
+    constructor() {
+        this.emitter = new events_1.EventEmitter();
+        // Un listener por conexión abierta
+        this.emitter.setMaxListeners(0);
+    }
+    /**
+     * Guarda el evento y lo envía al remitente y al destinatario del mensaje
+     * @param type Tipo de cambio
+     * @param message Mensaje afectado
+     */
+    publish(type, message) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const sender = userIdOf(message.sender);
+            const receiver = userIdOf(message.receiver);
+            const snapshot = message instanceof mongoose_1.default.Document ? message.toObject() : message;
+            const event = yield messageEvent_1.MessageEventModel.create({
+                type,
+                message: snapshot,
+                participants: [sender, receiver],
+                createdAt: new Date()
+            });
+            const saved = event.toObject();
+            for (const participant of new Set([sender, receiver])) {
+                this.emitter.emit(participant, saved);
+            }
+            return saved;
+        });
+    }
+    /**
+     * Registra un listener para los eventos de un usuario
+     * @returns Función que elimina el listener
+     */
+    subscribe(userId, listener) {
+        this.emitter.on(userId, listener);
+        return () => {
+            this.emitter.off(userId, listener);
+        };
+    }
+    /**
+     * Registra una función que cierra una conexión abierta
+     * @returns Función que la elimina
+     */
+    onClose(listener) {
+        this.emitter.on(CLOSE, listener);
+        return () => {
+            this.emitter.off(CLOSE, listener);
+        };
+    }
+    /**
+     * Cierra todas las conexiones abiertas, p. ej. al apagar el servidor.
+     * Los clientes se reconectan y recuperan lo perdido con Last-Event-ID
+     */
+    closeAll() {
+        this.emitter.emit(CLOSE);
+    }
+    /**
+     * Obtiene los eventos de un usuario posteriores a un evento dado
+     * @param userId ID del usuario
+     * @param lastEventId ID del último evento recibido por el cliente
+     * @returns Eventos en orden de creación
+     */
+    getEventsSince(userId, lastEventId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!mongoose_1.default.Types.ObjectId.isValid(lastEventId)) {
+                return [];
+            }
+            return yield messageEvent_1.MessageEventModel.find({
+                participants: userId,
+                _id: { $gt: lastEventId }
+            })
+                .sort({ _id: 1 })
+                .lean();
+        });
+    }
+}
+exports.MessageStreamService = MessageStreamService;
+exports.default = new MessageStreamService();
@@ -0,0 +1,105 @@
+// services/messageStream.service.ts
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import { IMessage } from '../models/message';
+import { IMessageEvent, MessageEventModel, MessageEventType } from '../models/messageEvent';
+
+export type MessageEventListener = (event: IMessageEvent) => void;
+
+// Evento interno para cerrar las conexiones, no choca con los ids de usuario
+const CLOSE = Symbol('close');
+
+// El remitente y el destinatario pueden venir populados
+function userIdOf(user: any): string {
+    return (user && user._id ? user._id : user).toString();
+}
+
+/**
+ * Reparte los cambios de mensajes a los participantes conectados.
+ * Cada evento se guarda antes de emitirse para que un cliente que se
+ * reconecta pueda recuperar lo que se perdió a partir del último id recibido.
+ */
+export class MessageStreamService {
+    private emitter = new EventEmitter();
+
+    constructor() {
+        // Un listener por conexión abierta
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Guarda el evento y lo envía al remitente y al destinatario del mensaje
+     * @param type Tipo de cambio
+     * @param message Mensaje afectado
+     */
+    async publish(type: MessageEventType, message: IMessage): Promise<IMessageEvent> {
+        const sender = userIdOf(message.sender);
+        const receiver = userIdOf(message.receiver);
+        const snapshot = message instanceof mongoose.Document ? message.toObject() : message;
+
+        const event = await MessageEventModel.create({
+            type,
+            message: snapshot,
+            participants: [sender, receiver],
+            createdAt: new Date()
+        });
+
+        const saved = event.toObject() as IMessageEvent;
+        for (const participant of new Set([sender, receiver])) {
+            this.emitter.emit(participant, saved);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Registra un listener para los eventos de un usuario
+     * @returns Función que elimina el listener
+     */
+    subscribe(userId: string, listener: MessageEventListener): () => void {
+        this.emitter.on(userId, listener);
+        return () => {
+            this.emitter.off(userId, listener);
+        };
+    }
+
+    /**
+     * Registra una función que cierra una conexión abierta
+     * @returns Función que la elimina
+     */
+    onClose(listener: () => void): () => void {
+        this.emitter.on(CLOSE, listener);
+        return () => {
+            this.emitter.off(CLOSE, listener);
+        };
+    }
+
+    /**
+     * Cierra todas las conexiones abiertas, p. ej. al apagar el servidor.
+     * Los clientes se reconectan y recuperan lo perdido con Last-Event-ID
+     */
+    closeAll(): void {
+        this.emitter.emit(CLOSE);
+    }
+
+    /**
+     * Obtiene los eventos de un usuario posteriores a un evento dado
+     * @param userId ID del usuario
+     * @param lastEventId ID del último evento recibido por el cliente
+     * @returns Eventos en orden de creación
+     */
+    async getEventsSince(userId: string, lastEventId: string): Promise<IMessageEvent[]> {
+        if (!mongoose.Types.ObjectId.isValid(lastEventId)) {
+            return [];
+        }
+
+        return await MessageEventModel.find({
+            participants: userId,
+            _id: { $gt: lastEventId }
+        })
+        .sort({ _id: 1 })
+        .lean<IMessageEvent[]>();
+    }
+}
+
+export default new MessageStreamService();
@@ -0,0 +1,137 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.NotificationService = exports.MAX_NOTIFICATION_ATTEMPTS = void 0;
+exports.startNotificationWorker = startNotificationWorker;
+const notification_1 = require("../models/notification");
+const user_1 = require("../models/user");
+const i18n_1 = require("../i18n");
+const templates_1 = require("../notifications/templates");
+const transports_1 = require("../notifications/transports");
+const worker_1 = require("../utils/worker");
+exports.MAX_NOTIFICATION_ATTEMPTS = 5;
+// Retry n waits BASE * 2^(n-1): 1m, 2m, 4m, 8m
+const RETRY_BASE_MS = 60 * 1000;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+class NotificationService {
+    constructor() {
+        this.transports = new Map();
+    }
+    /**
+     * Renders `template` for every channel the user has enabled and queues
+     * it in the outbox, in the user's locale. Sending happens in the worker.
+     * Logs and returns no notifications when they cannot be queued.
+     */
+    notify(userId_1, template_1) {
+        return __awaiter(this, arguments, void 0, function* (userId, template, data = {}) {
+            var _a;
+            try {
+                const user = yield user_1.UserModel.findOne({ _id: userId, available: true }).select('name email phone locale notificationPreferences');
+                if (!user)
+                    return [];
+                const preferences = user.notificationPreferences;
+                if ((_a = preferences === null || preferences === void 0 ? void 0 : preferences.mutedTemplates) === null || _a === void 0 ? void 0 : _a.includes(template))
+                    return [];
+                const channels = notification_1.NOTIFICATION_CHANNELS.filter((channel) => {
+                    var _a, _b;
+                    const enabled = (_b = (_a = preferences === null || preferences === void 0 ? void 0 : preferences.channels) === null || _a === void 0 ? void 0 : _a[channel]) !== null && _b !== void 0 ? _b : channel === 'email';
+                    return enabled && this.recipient(user, channel);
+                });
+                if (channels.length === 0)
+                    return [];
+                const docs = channels.map((channel) => (Object.assign({ user: user._id, channel,
+                    template, to: this.recipient(user, channel) }, (0, templates_1.renderNotification)(template, channel, Object.assign({ name: user.name, email: user.email }, data), user.locale || i18n_1.DEFAULT_LOCALE))));
+                return yield notification_1.NotificationModel.insertMany(docs);
+            }
+            catch (error) {
+                console.error(`Error queueing '${template}' notification:`, error);
+                return [];
+            }
+        });
+    }
+    getNotifications(userId, page, limit) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const skip = (page - 1) * limit;
+            const [totalNotifications, notifications] = yield Promise.all([
+                notification_1.NotificationModel.countDocuments({ user: userId }),
+                notification_1.NotificationModel.find({ user: userId }).sort({ createdAt: -1 }).skip(skip).limit(limit)
+            ]);
+            return {
+                totalNotifications,
+                totalPages: Math.ceil(totalNotifications / limit),
+                currentPage: page,
+                data: notifications,
+            };
+        });
+    }
+    processOutbox() {
+        return __awaiter(this, void 0, void 0, function* () {
+            let processed = 0;
+            while (processed < BATCH_SIZE) {
+                const now = new Date();
+                const notification = yield notification_1.NotificationModel.findOneAndUpdate({
+                    status: 'pending',
+                    nextAttemptAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                }, { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } }, { sort: { nextAttemptAt: 1 }, new: true });
+                if (!notification)
+                    break;
+                yield this.send(notification);
+                processed++;
+            }
+            return processed;
+        });
+    }
+    send(notification) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const attempts = notification.attempts + 1;
+            let update;
+            try {
+                yield this.transport(notification.channel).send({
+                    to: notification.to,
+                    subject: notification.subject,
+                    body: notification.body
+                });
+                update = { status: 'sent', sentAt: new Date(), nextAttemptAt: null, lastError: null };
+            }
+            catch (err) {
+                const lastError = err instanceof Error ? err.message : String(err);
+                update = attempts >= exports.MAX_NOTIFICATION_ATTEMPTS
+                    ? { status: 'failed', nextAttemptAt: null, lastError }
+                    : { nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)), lastError };
+            }
+            yield notification_1.NotificationModel.updateOne({ _id: notification._id }, { $set: Object.assign(Object.assign({}, update), { attempts, lockedUntil: null }) });
+        });
+    }
+    // Created on first use so a misconfigured channel only fails its own notifications
+    transport(channel) {
+        let transport = this.transports.get(channel);
+        if (!transport) {
+            transport = (0, transports_1.createTransport)(channel);
+            this.transports.set(channel, transport);
+        }
+        return transport;
+    }
+    recipient(user, channel) {
+        return channel === 'email' ? user.email : user.phone;
+    }
+}
+exports.NotificationService = NotificationService;
+const notificationService = new NotificationService();
+/**
+ * Polls the outbox every `intervalMs`.
+ * @returns Function that stops the worker, resolving once the batch in progress is done
+ */
+function startNotificationWorker(intervalMs = 5000) {
+    return (0, worker_1.startWorker)(() => notificationService.processOutbox(), intervalMs, 'Error processing notification outbox:');
+}
+exports.default = notificationService;
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import {
+    INotification,
+    NOTIFICATION_CHANNELS,
+    NotificationChannel,
+    NotificationModel,
+    NotificationTemplate
+} from '../models/notification';
+import { UserModel } from '../models/user';
+import { DEFAULT_LOCALE } from '../i18n';
+import { renderNotification } from '../notifications/templates';
+import { NotificationTransport, createTransport } from '../notifications/transports';
+import { startWorker } from '../utils/worker';
+
+export const MAX_NOTIFICATION_ATTEMPTS = 5;
+// Retry n waits BASE * 2^(n-1): 1m, 2m, 4m, 8m
+const RETRY_BASE_MS = 60 * 1000;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+export type NotificationData = Record<string, string | undefined>;
+
+export class NotificationService {
+    private transports = new Map<NotificationChannel, NotificationTransport>();
+
+    /**
+     * Renders `template` for every channel the user has enabled and queues
+     * it in the outbox, in the user's locale. Sending happens in the worker.
+     * Logs and returns no notifications when they cannot be queued.
+     */
+    async notify(userId: string, template: NotificationTemplate, data: NotificationData = {}): Promise<INotification[]> {
+        try {
+            const user = await UserModel.findOne({ _id: userId, available: true }).select('name email phone locale notificationPreferences');
+            if (!user) return [];
+
+            const preferences = user.notificationPreferences;
+            if (preferences?.mutedTemplates?.includes(template)) return [];
+
+            const channels = NOTIFICATION_CHANNELS.filter((channel) => {
+                const enabled = preferences?.channels?.[channel] ?? channel === 'email';
+                return enabled && this.recipient(user, channel);
+            });
+            if (channels.length === 0) return [];
+
+            const docs = channels.map((channel) => ({
+                user: user._id,
+                channel,
+                template,
+                to: this.recipient(user, channel),
+                ...renderNotification(template, channel, { name: user.name, email: user.email, ...data }, user.locale || DEFAULT_LOCALE)
+            }));
+            return await NotificationModel.insertMany(docs);
+        } catch (error) {
+            console.error(`Error queueing '${template}' notification:`, error);
+            return [];
+        }
+    }
+
+    async getNotifications(userId: string, page: number, limit: number): Promise<{
+        totalNotifications: number;
+        totalPages: number;
+        currentPage: number;
+        data: INotification[];
+    }> {
+        const skip = (page - 1) * limit;
+
+        const [totalNotifications, notifications] = await Promise.all([
+            NotificationModel.countDocuments({ user: userId }),
+            NotificationModel.find({ user: userId }).sort({ createdAt: -1 }).skip(skip).limit(limit)
+        ]);
+
+        return {
+            totalNotifications,
+            totalPages: Math.ceil(totalNotifications / limit),
+            currentPage: page,
+            data: notifications,
+        };
+    }
+
+    async processOutbox(): Promise<number> {
+        let processed = 0;
+
+        while (processed < BATCH_SIZE) {
+            const now = new Date();
+            const notification = await NotificationModel.findOneAndUpdate(
+                {
+                    status: 'pending',
+                    nextAttemptAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                },
+                { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!notification) break;
+
+            await this.send(notification);
+            processed++;
+        }
+
+        return processed;
+    }
+
+    private async send(notification: INotification): Promise<void> {
+        const attempts = notification.attempts + 1;
+        let update: mongoose.UpdateQuery<INotification>;
+
+        try {
+            await this.transport(notification.channel).send({
+                to: notification.to,
+                subject: notification.subject,
+                body: notification.body
+            });
+            update = { status: 'sent', sentAt: new Date(), nextAttemptAt: null, lastError: null };
+        } catch (err) {
+            const lastError = err instanceof Error ? err.message : String(err);
+            update = attempts >= MAX_NOTIFICATION_ATTEMPTS
+                ? { status: 'failed', nextAttemptAt: null, lastError }
+                : { nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)), lastError };
+        }
+
+        await NotificationModel.updateOne(
+            { _id: notification._id },
+            { $set: { ...update, attempts, lockedUntil: null } }
+        );
+    }
+
+    // Created on first use so a misconfigured channel only fails its own notifications
+    private transport(channel: NotificationChannel): NotificationTransport {
+        let transport = this.transports.get(channel);
+        if (!transport) {
+            transport = createTransport(channel);
+            this.transports.set(channel, transport);
+        }
+        return transport;
+    }
+
+    private recipient(user: { email: string; phone: string }, channel: NotificationChannel): string {
+        return channel === 'email' ? user.email : user.phone;
+    }
+}
+
+const notificationService = new NotificationService();
+
+/**
+ * Polls the outbox every `intervalMs`.
+ * @returns Function that stops the worker, resolving once the batch in progress is done
+ */
+export function startNotificationWorker(intervalMs = 5000): () => Promise<void> {
+    return startWorker(() => notificationService.processOutbox(), intervalMs, 'Error processing notification outbox:');
+}
+
+export default notificationService;
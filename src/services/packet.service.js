@@ -8,21 +8,128 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.PacketService = void 0;
+exports.PacketService = exports.InvalidLocationError = exports.InvalidTrackingCodeError = exports.InvalidFilterError = exports.PacketInTransitError = exports.ProofRequiredError = exports.InvalidTransitionError = void 0;
+const mongoose_1 = __importDefault(require("mongoose"));
+const user_1 = require("../models/user");
+const webhook_service_1 = __importDefault(require("./webhook.service"));
+const statusNotification_service_1 = __importDefault(require("./statusNotification.service"));
+const audit_service_1 = __importDefault(require("./audit.service"));
+const trackingCode_1 = require("../utils/trackingCode");
 const packet_1 = require("../models/packet");
+const errors_1 = require("../errors");
+const config_1 = __importDefault(require("../config"));
+class InvalidTransitionError extends errors_1.ConflictError {
+    constructor(from, to, code = 'packet.invalid_transition') {
+        super(code, { from, to });
+        this.from = from;
+        this.to = to;
+    }
+    get extensions() {
+        return { from: this.from, to: this.to };
+    }
+}
+exports.InvalidTransitionError = InvalidTransitionError;
+class ProofRequiredError extends InvalidTransitionError {
+    constructor(from) {
+        super(from, 'delivered', 'packet.proof_required');
+    }
+}
+exports.ProofRequiredError = ProofRequiredError;
+class PacketInTransitError extends errors_1.ConflictError {
+    constructor(packetStatus) {
+        super('packet.in_transit', { status: packetStatus });
+        this.packetStatus = packetStatus;
+    }
+}
+exports.PacketInTransitError = PacketInTransitError;
+const REQUIRE_DELIVERY_PROOF = config_1.default.features.requireDeliveryProof;
+class InvalidFilterError extends errors_1.ValidationError {
+}
+exports.InvalidFilterError = InvalidFilterError;
+const SORTABLE_FIELDS = ['name', 'status', 'createdAt', 'updatedAt', 'relevance'];
+class InvalidTrackingCodeError extends errors_1.ValidationError {
+    constructor(trackingCode) {
+        super('packet.invalid_tracking_code', { trackingCode });
+        this.trackingCode = trackingCode;
+    }
+}
+exports.InvalidTrackingCodeError = InvalidTrackingCodeError;
+const TRACKING_CODE_ATTEMPTS = 5;
+class InvalidLocationError extends errors_1.ValidationError {
+}
+exports.InvalidLocationError = InvalidLocationError;
+// Oldest positions are dropped once a packet reaches this many
+const LOCATION_HISTORY_LIMIT = 1000;
+const MAX_NEARBY_RADIUS_KM = 500;
+/**
+ * Drops the fields that only the service itself may write: status and
+ * history go through their own methods, the tracking code is generated.
+ */
+function editableFields(packet) {
+    const { status, events, trackingCode, location, locationHistory, assignedTo, assignments, proofs, deletedAt } = packet, data = __rest(packet, ["status", "events", "trackingCode", "location", "locationHistory", "assignedTo", "assignments", "proofs", "deletedAt"]);
+    return data;
+}
 class PacketService {
-    postPacket(packet) {
-        return __awaiter(this, void 0, void 0, function* () {
-            const newPacket = new packet_1.PacketModel(packet);
-            return yield newPacket.save();
+    postPacket(packet_2) {
+        return __awaiter(this, arguments, void 0, function* (packet, tracking = {}) {
+            var _a;
+            const data = editableFields(packet);
+            // Codes are random, so a collision is unlikely but possible: retry with a new one
+            for (let attempt = 1;; attempt++) {
+                const newPacket = new packet_1.PacketModel(Object.assign(Object.assign({}, data), { status: 'created', trackingCode: (0, trackingCode_1.generateTrackingCode)(), events: [{
+                            from: null,
+                            status: 'created',
+                            actor: tracking.actor || null,
+                            note: tracking.note,
+                            createdAt: new Date()
+                        }] }));
+                let saved;
+                try {
+                    saved = yield newPacket.save();
+                }
+                catch (error) {
+                    const duplicateCode = (error === null || error === void 0 ? void 0 : error.code) === 11000 && ((_a = error === null || error === void 0 ? void 0 : error.keyPattern) === null || _a === void 0 ? void 0 : _a.trackingCode);
+                    if (!duplicateCode || attempt >= TRACKING_CODE_ATTEMPTS) {
+                        throw error;
+                    }
+                    continue;
+                }
+                yield audit_service_1.default.record({ action: 'create', targetType: 'packets', after: saved });
+                yield webhook_service_1.default.dispatch('packet.created', saved);
+                return saved;
+            }
         });
     }
-    getAllPackets(page, limit) {
-        return __awaiter(this, void 0, void 0, function* () {
+    /**
+     * Lists packets page by page with optional filters, text search and sorting.
+     * @throws InvalidFilterError if a filter or sort value is not valid
+     */
+    getAllPackets(page_1, limit_1) {
+        return __awaiter(this, arguments, void 0, function* (page, limit, options = {}) {
             const skip = (page - 1) * limit;
-            const totalPackets = yield packet_1.PacketModel.countDocuments();
-            const users = yield packet_1.PacketModel.find().skip(skip).limit(limit);
+            const filter = yield this.buildListFilter(options);
+            const sort = this.buildListSort(options);
+            const totalPackets = yield packet_1.PacketModel.countDocuments(filter);
+            const query = packet_1.PacketModel.find(filter).select('-locationHistory').sort(sort).skip(skip).limit(limit);
+            if (options.search) {
+                query.select({ score: { $meta: 'textScore' } });
+            }
+            const users = yield query;
             return {
                 totalPackets,
                 totalPages: Math.ceil(totalPackets / limit),
@@ -31,19 +138,307 @@ class PacketService {
             };
         });
     }
+    buildListFilter(options) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const conditions = [];
+            if (options.scope) {
+                conditions.push(options.scope);
+            }
+            if (options.status && options.status.length > 0) {
+                const unknown = options.status.filter((status) => !packet_1.PACKET_STATUSES.includes(status));
+                if (unknown.length > 0) {
+                    throw new InvalidFilterError('packet.unknown_status', { statuses: unknown.join(', ') });
+                }
+                conditions.push({ status: { $in: options.status } });
+            }
+            if (options.owner) {
+                if (!mongoose_1.default.Types.ObjectId.isValid(options.owner)) {
+                    throw new InvalidFilterError('packet.invalid_filter_id', { field: 'owner' });
+                }
+                const owner = yield user_1.UserModel.findById(options.owner).select('packets');
+                conditions.push({ _id: { $in: owner ? owner.packets : [] } });
+            }
+            if (options.assignedTo) {
+                if (!mongoose_1.default.Types.ObjectId.isValid(options.assignedTo)) {
+                    throw new InvalidFilterError('packet.invalid_filter_id', { field: 'assignedTo' });
+                }
+                conditions.push({ assignedTo: options.assignedTo });
+            }
+            const createdAt = {};
+            if (options.createdFrom) {
+                createdAt.$gte = this.parseDate(options.createdFrom, 'createdFrom');
+            }
+            if (options.createdTo) {
+                createdAt.$lte = this.parseDate(options.createdTo, 'createdTo');
+            }
+            if (createdAt.$gte || createdAt.$lte) {
+                conditions.push({ createdAt });
+            }
+            if (options.search) {
+                conditions.push({ $text: { $search: options.search } });
+            }
+            if (conditions.length === 0)
+                return {};
+            return conditions.length === 1 ? conditions[0] : { $and: conditions };
+        });
+    }
+    buildListSort(options) {
+        const fields = (options.sort || '').split(',').map((field) => field.trim()).filter(Boolean);
+        const sort = {};
+        for (const field of fields) {
+            const name = field.replace(/^[-+]/, '');
+            if (!SORTABLE_FIELDS.includes(name)) {
+                throw new InvalidFilterError('packet.invalid_sort', { field: name });
+            }
+            if (name === 'relevance') {
+                if (!options.search) {
+                    throw new InvalidFilterError('packet.relevance_requires_search');
+                }
+                sort.score = { $meta: 'textScore' };
+            }
+            else {
+                sort[name] = field.startsWith('-') ? -1 : 1;
+            }
+        }
+        if (fields.length === 0 && options.search) {
+            sort.score = { $meta: 'textScore' };
+        }
+        // Insertion order as tie-breaker keeps pages stable
+        sort._id = 1;
+        return sort;
+    }
+    parseDate(value, field) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new InvalidFilterError('packet.invalid_date', { field });
+        }
+        return date;
+    }
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
     getPacketById(id) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield packet_1.PacketModel.findById(id);
+            const packet = yield packet_1.PacketModel.findById(id);
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            return packet;
         });
     }
-    updatePacketById(id, packet) {
+    /**
+     * Public view of a packet for the tracking page.
+     * @throws InvalidTrackingCodeError if the code is malformed or its check character does not match
+     * @throws NotFoundError if no packet has this code
+     */
+    getPublicTracking(code) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield packet_1.PacketModel.findByIdAndUpdate(id, packet, { new: true });
+            var _a;
+            const trackingCode = (0, trackingCode_1.normalizeTrackingCode)(code);
+            if (!(0, trackingCode_1.isValidTrackingCode)(trackingCode)) {
+                throw new InvalidTrackingCodeError(code);
+            }
+            const packet = yield packet_1.PacketModel.findOne({ trackingCode });
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.tracking_code_not_found');
+            }
+            return {
+                trackingCode,
+                status: packet.status,
+                estimatedDelivery: (_a = packet.estimatedDelivery) !== null && _a !== void 0 ? _a : null,
+                events: packet.events.map((event) => ({ status: event.status, createdAt: event.createdAt })),
+            };
+        });
+    }
+    /**
+     * Stores the current position of a packet and appends it to its location history.
+     * @throws InvalidLocationError if the coordinates or the timestamp are not valid
+     * @throws NotFoundError if there is no packet with this id
+     */
+    updatePacketLocation(id, position) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const location = this.toGeoPoint(position.longitude, position.latitude);
+            const recordedAt = position.recordedAt ? new Date(position.recordedAt) : new Date();
+            if (isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + 60 * 1000) {
+                throw new InvalidLocationError('packet.invalid_recorded_at');
+            }
+            const before = yield packet_1.PacketModel.findById(id).select('-locationHistory').lean();
+            if (!before) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            const updated = yield packet_1.PacketModel.findByIdAndUpdate(id, {
+                $set: { location },
+                $push: {
+                    locationHistory: {
+                        $each: [{ location, courier: position.courier || null, recordedAt }],
+                        $slice: -LOCATION_HISTORY_LIMIT
+                    }
+                }
+            }, { new: true, runValidators: true }).select('-locationHistory');
+            if (!updated) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            yield audit_service_1.default.record({ action: 'update', targetType: 'packets', before, after: updated });
+            return updated;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    getPacketLocations(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = yield packet_1.PacketModel.findById(id).select('locationHistory').populate('locationHistory.courier', 'name email');
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            return packet.locationHistory || [];
+        });
+    }
+    /**
+     * Packets whose current position is within `radiusKm` of a point, closest first.
+     * Each result carries its `distanceKm`.
+     * @throws InvalidLocationError if the point or the radius are not valid
+     */
+    getPacketsNearby(query) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const near = this.toGeoPoint(query.longitude, query.latitude);
+            if (!(query.radiusKm > 0) || query.radiusKm > MAX_NEARBY_RADIUS_KM) {
+                throw new InvalidLocationError('packet.invalid_radius', { max: MAX_NEARBY_RADIUS_KM });
+            }
+            const filter = {};
+            if (query.status && query.status.length > 0) {
+                filter.status = { $in: query.status };
+            }
+            const packets = yield packet_1.PacketModel.aggregate([
+                {
+                    $geoNear: {
+                        near,
+                        distanceField: 'distance',
+                        maxDistance: query.radiusKm * 1000,
+                        spherical: true,
+                        query: filter
+                    }
+                },
+                { $limit: Math.min(query.limit || 50, 200) },
+                { $project: { locationHistory: 0, events: 0 } }
+            ]);
+            return packets.map((_a) => {
+                var { distance } = _a, packet = __rest(_a, ["distance"]);
+                return (Object.assign(Object.assign({}, packet), { distanceKm: distance / 1000 }));
+            });
+        });
+    }
+    toGeoPoint(longitude, latitude) {
+        if (typeof longitude !== 'number' || isNaN(longitude) || longitude < -180 || longitude > 180) {
+            throw new InvalidLocationError('packet.invalid_longitude');
+        }
+        if (typeof latitude !== 'number' || isNaN(latitude) || latitude < -90 || latitude > 90) {
+            throw new InvalidLocationError('packet.invalid_latitude');
+        }
+        return { type: 'Point', coordinates: [longitude, latitude] };
+    }
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    getPacketEvents(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = yield packet_1.PacketModel.findById(id).select('events').populate('events.actor', 'name email');
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            return packet.events;
         });
     }
+    /**
+     * Updates a packet. A change of status is validated against the packet
+     * lifecycle and recorded as a tracking event.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws InvalidTransitionError if the new status is not reachable from the current one
+     */
+    updatePacketById(id_1, packet_2) {
+        return __awaiter(this, arguments, void 0, function* (id, packet, tracking = {}) {
+            const { status } = packet;
+            const data = editableFields(packet);
+            const current = yield packet_1.PacketModel.findById(id);
+            if (!current) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            if (status === undefined || status === current.status) {
+                const updated = yield packet_1.PacketModel.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+                if (!updated) {
+                    throw new errors_1.NotFoundError('packet.not_found');
+                }
+                yield audit_service_1.default.record({ action: 'update', targetType: 'packets', before: current, after: updated });
+                return updated;
+            }
+            if (!packet_1.PACKET_STATUSES.includes(status) || !packet_1.PACKET_TRANSITIONS[current.status].includes(status)) {
+                throw new InvalidTransitionError(current.status, status);
+            }
+            if (status === 'delivered' && REQUIRE_DELIVERY_PROOF && !(current.proofs && current.proofs.length > 0)) {
+                throw new ProofRequiredError(current.status);
+            }
+            // Matching on the previous status keeps concurrent transitions from overwriting each other
+            const updated = yield packet_1.PacketModel.findOneAndUpdate({ _id: id, status: current.status }, {
+                $set: Object.assign(Object.assign({}, data), { status }),
+                $push: {
+                    events: {
+                        from: current.status,
+                        status,
+                        actor: tracking.actor || null,
+                        note: tracking.note,
+                        createdAt: new Date()
+                    }
+                }
+            }, { new: true, runValidators: true });
+            if (!updated) {
+                throw new InvalidTransitionError(current.status, status);
+            }
+            yield audit_service_1.default.record({ action: 'update', targetType: 'packets', before: current, after: updated });
+            yield webhook_service_1.default.dispatch('packet.status_changed', { from: current.status, to: status, packet: updated });
+            yield statusNotification_service_1.default.notifyOwners(updated, current.status, status);
+            return updated;
+        });
+    }
+    /**
+     * Moves the packet to the trash. It can be restored until the purge job removes it,
+     * which also removes it from its owners.
+     * @throws NotFoundError if the packet does not exist or is already deleted
+     * @throws PacketInTransitError if a courier is carrying the packet
+     */
     deletePacketById(id) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield packet_1.PacketModel.findByIdAndDelete(id);
+            const before = yield packet_1.PacketModel.findById(id).select('-locationHistory').lean();
+            if (!before) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            if (packet_1.IN_TRANSIT_PACKET_STATUSES.includes(before.status)) {
+                throw new PacketInTransitError(before.status);
+            }
+            // Checked again in the filter, so a pickup in between is not deleted
+            const deleted = yield packet_1.PacketModel.findOneAndUpdate({ _id: id, deletedAt: null, status: { $nin: packet_1.IN_TRANSIT_PACKET_STATUSES } }, { $set: { deletedAt: new Date() } }, { new: true }).select('-locationHistory');
+            if (!deleted) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            yield audit_service_1.default.record({ action: 'delete', targetType: 'packets', before, after: deleted });
+            yield webhook_service_1.default.dispatch('packet.deleted', deleted);
+            return deleted;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no deleted packet with this id
+     */
+    restorePacketById(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const before = yield packet_1.PacketModel.findOne({ _id: id, deletedAt: { $ne: null } }).select('-locationHistory').lean();
+            if (!before) {
+                throw new errors_1.NotFoundError('packet.deleted_not_found');
+            }
+            const restored = yield packet_1.PacketModel.findOneAndUpdate({ _id: id, deletedAt: { $ne: null } }, { $set: { deletedAt: null } }, { new: true }).select('-locationHistory');
+            if (!restored) {
+                throw new errors_1.NotFoundError('packet.deleted_not_found');
+            }
+            yield audit_service_1.default.record({ action: 'restore', targetType: 'packets', before, after: restored });
+            return restored;
         });
     }
 }
@@ -1,22 +1,163 @@
-import { IPacket, PacketModel } from '../models/packet';
+import mongoose, { FilterQuery, SortOrder } from 'mongoose';
+import { UserModel } from '../models/user';
+import webhookService from './webhook.service';
+import statusNotificationService from './statusNotification.service';
+import auditService from './audit.service';
+import { generateTrackingCode, isValidTrackingCode, normalizeTrackingCode } from '../utils/trackingCode';
+import { IGeoPoint, ILocationUpdate, IN_TRANSIT_PACKET_STATUSES, IPacket, ITrackingEvent, PacketModel, PacketStatus, PACKET_STATUSES, PACKET_TRANSITIONS } from '../models/packet';
+import { ConflictError, NotFoundError, ValidationError } from '../errors';
+import { MessageKey } from '../i18n';
+import config from '../config';
+
+export class InvalidTransitionError extends ConflictError {
+    constructor(public from: PacketStatus, public to: string, code: MessageKey = 'packet.invalid_transition') {
+        super(code, { from, to });
+    }
+
+    get extensions() {
+        return { from: this.from, to: this.to };
+    }
+}
+
+export class ProofRequiredError extends InvalidTransitionError {
+    constructor(from: PacketStatus) {
+        super(from, 'delivered', 'packet.proof_required');
+    }
+}
+
+export class PacketInTransitError extends ConflictError {
+    constructor(public packetStatus: PacketStatus) {
+        super('packet.in_transit', { status: packetStatus });
+    }
+}
+
+const REQUIRE_DELIVERY_PROOF = config.features.requireDeliveryProof;
+
+export class InvalidFilterError extends ValidationError {}
+
+export interface PacketListOptions {
+    status?: string[];
+    owner?: string;
+    assignedTo?: string;
+    createdFrom?: string;
+    createdTo?: string;
+    search?: string;
+    // Comma separated fields, '-' prefix for descending, e.g. "-createdAt,name"
+    sort?: string;
+    // Extra restriction applied on top of the filters, e.g. the packets a customer may see
+    scope?: FilterQuery<IPacket>;
+}
+
+const SORTABLE_FIELDS = ['name', 'status', 'createdAt', 'updatedAt', 'relevance'];
+
+export class InvalidTrackingCodeError extends ValidationError {
+    constructor(public trackingCode: string) {
+        super('packet.invalid_tracking_code', { trackingCode });
+    }
+}
+
+// What anyone holding the tracking code may see: no internal ids, owners or actors
+export interface IPublicTracking {
+    trackingCode: string;
+    status: PacketStatus;
+    estimatedDelivery: Date | null;
+    events: { status: PacketStatus; createdAt: Date }[];
+}
+
+const TRACKING_CODE_ATTEMPTS = 5;
+
+export class InvalidLocationError extends ValidationError {}
+
+export interface PositionUpdate {
+    longitude: number;
+    latitude: number;
+    recordedAt?: Date | string;
+    courier?: string | null;
+}
+
+export interface NearbyQuery {
+    longitude: number;
+    latitude: number;
+    radiusKm: number;
+    limit?: number;
+    status?: string[];
+}
+
+// Oldest positions are dropped once a packet reaches this many
+const LOCATION_HISTORY_LIMIT = 1000;
+const MAX_NEARBY_RADIUS_KM = 500;
+
+/**
+ * Drops the fields that only the service itself may write: status and
+ * history go through their own methods, the tracking code is generated.
+ */
+function editableFields(packet: Partial<IPacket>): Partial<IPacket> {
+    const { status, events, trackingCode, location, locationHistory, assignedTo, assignments, proofs, deletedAt, ...data } = packet;
+    return data;
+}
+
+export interface TrackingInfo {
+    actor?: string | null;
+    note?: string;
+}
 
 export class PacketService {
-    async postPacket(packet: Partial<IPacket>): Promise<IPacket> {
-        const newPacket = new PacketModel(packet);
-        return await newPacket.save();
+    async postPacket(packet: Partial<IPacket>, tracking: TrackingInfo = {}): Promise<IPacket> {
+        const data = editableFields(packet);
+
+        // Codes are random, so a collision is unlikely but possible: retry with a new one
+        for (let attempt = 1; ; attempt++) {
+            const newPacket = new PacketModel({
+                ...data,
+                status: 'created',
+                trackingCode: generateTrackingCode(),
+                events: [{
+                    from: null,
+                    status: 'created',
+                    actor: tracking.actor || null,
+                    note: tracking.note,
+                    createdAt: new Date()
+                }]
+            });
+
+            let saved;
+            try {
+                saved = await newPacket.save();
+            } catch (error: any) {
+                const duplicateCode = error?.code === 11000 && error?.keyPattern?.trackingCode;
+                if (!duplicateCode || attempt >= TRACKING_CODE_ATTEMPTS) {
+                    throw error;
+                }
+                continue;
+            }
+
+            await auditService.record({ action: 'create', targetType: 'packets', after: saved });
+            await webhookService.dispatch('packet.created', saved);
+            return saved;
+        }
     }
 
-    async getAllPackets(page: number, limit: number): Promise<{ 
+    /**
+     * Lists packets page by page with optional filters, text search and sorting.
+     * @throws InvalidFilterError if a filter or sort value is not valid
+     */
+    async getAllPackets(page: number, limit: number, options: PacketListOptions = {}): Promise<{ 
             totalPackets: number; 
             totalPages: number; 
             currentPage: number; 
             data: IPacket[]; 
         }> {
             const skip = (page - 1) * limit;
+            const filter = await this.buildListFilter(options);
+            const sort = this.buildListSort(options);
         
-            const totalPackets = await PacketModel.countDocuments();
+            const totalPackets = await PacketModel.countDocuments(filter);
         
-            const users = await PacketModel.find().skip(skip).limit(limit);
+            const query = PacketModel.find(filter).select('-locationHistory').sort(sort).skip(skip).limit(limit);
+            if (options.search) {
+                query.select({ score: { $meta: 'textScore' } });
+            }
+            const users = await query;
         
             return {
                 totalPackets,
@@ -26,17 +167,336 @@ export class PacketService {
             };
         }
 
-    async getPacketById(id: string): Promise<IPacket | null> {
-        return await PacketModel.findById(id);
+    private async buildListFilter(options: PacketListOptions): Promise<FilterQuery<IPacket>> {
+        const conditions: FilterQuery<IPacket>[] = [];
+
+        if (options.scope) {
+            conditions.push(options.scope);
+        }
+
+        if (options.status && options.status.length > 0) {
+            const unknown = options.status.filter((status) => !PACKET_STATUSES.includes(status as PacketStatus));
+            if (unknown.length > 0) {
+                throw new InvalidFilterError('packet.unknown_status', { statuses: unknown.join(', ') });
+            }
+            conditions.push({ status: { $in: options.status } });
+        }
+
+        if (options.owner) {
+            if (!mongoose.Types.ObjectId.isValid(options.owner)) {
+                throw new InvalidFilterError('packet.invalid_filter_id', { field: 'owner' });
+            }
+            const owner = await UserModel.findById(options.owner).select('packets');
+            conditions.push({ _id: { $in: owner ? owner.packets : [] } });
+        }
+
+        if (options.assignedTo) {
+            if (!mongoose.Types.ObjectId.isValid(options.assignedTo)) {
+                throw new InvalidFilterError('packet.invalid_filter_id', { field: 'assignedTo' });
+            }
+            conditions.push({ assignedTo: options.assignedTo });
+        }
+
+        const createdAt: { $gte?: Date; $lte?: Date } = {};
+        if (options.createdFrom) {
+            createdAt.$gte = this.parseDate(options.createdFrom, 'createdFrom');
+        }
+        if (options.createdTo) {
+            createdAt.$lte = this.parseDate(options.createdTo, 'createdTo');
+        }
+        if (createdAt.$gte || createdAt.$lte) {
+            conditions.push({ createdAt });
+        }
+
+        if (options.search) {
+            conditions.push({ $text: { $search: options.search } });
+        }
+
+        if (conditions.length === 0) return {};
+        return conditions.length === 1 ? conditions[0] : { $and: conditions };
+    }
+
+    private buildListSort(options: PacketListOptions): Record<string, SortOrder | { $meta: 'textScore' }> {
+        const fields = (options.sort || '').split(',').map((field) => field.trim()).filter(Boolean);
+        const sort: Record<string, SortOrder | { $meta: 'textScore' }> = {};
+
+        for (const field of fields) {
+            const name = field.replace(/^[-+]/, '');
+            if (!SORTABLE_FIELDS.includes(name)) {
+                throw new InvalidFilterError('packet.invalid_sort', { field: name });
+            }
+            if (name === 'relevance') {
+                if (!options.search) {
+                    throw new InvalidFilterError('packet.relevance_requires_search');
+                }
+                sort.score = { $meta: 'textScore' };
+            } else {
+                sort[name] = field.startsWith('-') ? -1 : 1;
+            }
+        }
+
+        if (fields.length === 0 && options.search) {
+            sort.score = { $meta: 'textScore' };
+        }
+
+        // Insertion order as tie-breaker keeps pages stable
+        sort._id = 1;
+        return sort;
+    }
+
+    private parseDate(value: string, field: string): Date {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new InvalidFilterError('packet.invalid_date', { field });
+        }
+        return date;
     }
 
-    async updatePacketById(id: string, packet: Partial<IPacket>): Promise<IPacket | null> {
-        return await PacketModel.findByIdAndUpdate(id, packet, { new: true });
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    async getPacketById(id: string): Promise<IPacket> {
+        const packet = await PacketModel.findById(id);
+        if (!packet) {
+            throw new NotFoundError('packet.not_found');
+        }
+        return packet;
     }
 
-    async deletePacketById(id: string): Promise<IPacket | null> {
-        return await PacketModel.findByIdAndDelete(id);
+    /**
+     * Public view of a packet for the tracking page.
+     * @throws InvalidTrackingCodeError if the code is malformed or its check character does not match
+     * @throws NotFoundError if no packet has this code
+     */
+    async getPublicTracking(code: string): Promise<IPublicTracking> {
+        const trackingCode = normalizeTrackingCode(code);
+        if (!isValidTrackingCode(trackingCode)) {
+            throw new InvalidTrackingCodeError(code);
+        }
+
+        const packet = await PacketModel.findOne({ trackingCode });
+        if (!packet) {
+            throw new NotFoundError('packet.tracking_code_not_found');
+        }
+
+        return {
+            trackingCode,
+            status: packet.status,
+            estimatedDelivery: packet.estimatedDelivery ?? null,
+            events: packet.events.map((event) => ({ status: event.status, createdAt: event.createdAt })),
+        };
+    }
+
+    /**
+     * Stores the current position of a packet and appends it to its location history.
+     * @throws InvalidLocationError if the coordinates or the timestamp are not valid
+     * @throws NotFoundError if there is no packet with this id
+     */
+    async updatePacketLocation(id: string, position: PositionUpdate): Promise<IPacket> {
+        const location = this.toGeoPoint(position.longitude, position.latitude);
+        const recordedAt = position.recordedAt ? new Date(position.recordedAt) : new Date();
+        if (isNaN(recordedAt.getTime()) || recordedAt.getTime() > Date.now() + 60 * 1000) {
+            throw new InvalidLocationError('packet.invalid_recorded_at');
+        }
+
+        const before = await PacketModel.findById(id).select('-locationHistory').lean();
+        if (!before) {
+            throw new NotFoundError('packet.not_found');
+        }
+
+        const updated = await PacketModel.findByIdAndUpdate(
+            id,
+            {
+                $set: { location },
+                $push: {
+                    locationHistory: {
+                        $each: [{ location, courier: position.courier || null, recordedAt }],
+                        $slice: -LOCATION_HISTORY_LIMIT
+                    }
+                }
+            },
+            { new: true, runValidators: true }
+        ).select('-locationHistory');
+        if (!updated) {
+            throw new NotFoundError('packet.not_found');
+        }
+        await auditService.record({ action: 'update', targetType: 'packets', before, after: updated });
+        return updated;
+    }
+
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    async getPacketLocations(id: string): Promise<ILocationUpdate[]> {
+        const packet = await PacketModel.findById(id).select('locationHistory').populate('locationHistory.courier', 'name email');
+        if (!packet) {
+            throw new NotFoundError('packet.not_found');
+        }
+        return packet.locationHistory || [];
+    }
+
+    /**
+     * Packets whose current position is within `radiusKm` of a point, closest first.
+     * Each result carries its `distanceKm`.
+     * @throws InvalidLocationError if the point or the radius are not valid
+     */
+    async getPacketsNearby(query: NearbyQuery): Promise<(IPacket & { distanceKm: number })[]> {
+        const near = this.toGeoPoint(query.longitude, query.latitude);
+        if (!(query.radiusKm > 0) || query.radiusKm > MAX_NEARBY_RADIUS_KM) {
+            throw new InvalidLocationError('packet.invalid_radius', { max: MAX_NEARBY_RADIUS_KM });
+        }
+
+        const filter: FilterQuery<IPacket> = {};
+        if (query.status && query.status.length > 0) {
+            filter.status = { $in: query.status };
+        }
+
+        const packets = await PacketModel.aggregate([
+            {
+                $geoNear: {
+                    near,
+                    distanceField: 'distance',
+                    maxDistance: query.radiusKm * 1000,
+                    spherical: true,
+                    query: filter
+                }
+            },
+            { $limit: Math.min(query.limit || 50, 200) },
+            { $project: { locationHistory: 0, events: 0 } }
+        ]);
+
+        return packets.map(({ distance, ...packet }) => ({ ...packet, distanceKm: distance / 1000 }));
+    }
+
+    private toGeoPoint(longitude: number, latitude: number): IGeoPoint {
+        if (typeof longitude !== 'number' || isNaN(longitude) || longitude < -180 || longitude > 180) {
+            throw new InvalidLocationError('packet.invalid_longitude');
+        }
+        if (typeof latitude !== 'number' || isNaN(latitude) || latitude < -90 || latitude > 90) {
+            throw new InvalidLocationError('packet.invalid_latitude');
+        }
+        return { type: 'Point', coordinates: [longitude, latitude] };
+    }
+
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    async getPacketEvents(id: string): Promise<ITrackingEvent[]> {
+        const packet = await PacketModel.findById(id).select('events').populate('events.actor', 'name email');
+        if (!packet) {
+            throw new NotFoundError('packet.not_found');
+        }
+        return packet.events;
+    }
+
+    /**
+     * Updates a packet. A change of status is validated against the packet
+     * lifecycle and recorded as a tracking event.
+     * @throws NotFoundError if there is no packet with this id
+     * @throws InvalidTransitionError if the new status is not reachable from the current one
+     */
+    async updatePacketById(id: string, packet: Partial<IPacket>, tracking: TrackingInfo = {}): Promise<IPacket> {
+        const { status } = packet;
+        const data = editableFields(packet);
+
+        const current = await PacketModel.findById(id);
+        if (!current) {
+            throw new NotFoundError('packet.not_found');
+        }
+
+        if (status === undefined || status === current.status) {
+            const updated = await PacketModel.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+            if (!updated) {
+                throw new NotFoundError('packet.not_found');
+            }
+            await auditService.record({ action: 'update', targetType: 'packets', before: current, after: updated });
+            return updated;
+        }
+
+        if (!PACKET_STATUSES.includes(status) || !PACKET_TRANSITIONS[current.status].includes(status)) {
+            throw new InvalidTransitionError(current.status, status);
+        }
+
+        if (status === 'delivered' && REQUIRE_DELIVERY_PROOF && !(current.proofs && current.proofs.length > 0)) {
+            throw new ProofRequiredError(current.status);
+        }
+
+        // Matching on the previous status keeps concurrent transitions from overwriting each other
+        const updated = await PacketModel.findOneAndUpdate(
+            { _id: id, status: current.status },
+            {
+                $set: { ...data, status },
+                $push: {
+                    events: {
+                        from: current.status,
+                        status,
+                        actor: tracking.actor || null,
+                        note: tracking.note,
+                        createdAt: new Date()
+                    }
+                }
+            },
+            { new: true, runValidators: true }
+        );
+
+        if (!updated) {
+            throw new InvalidTransitionError(current.status, status);
+        }
+
+        await auditService.record({ action: 'update', targetType: 'packets', before: current, after: updated });
+        await webhookService.dispatch('packet.status_changed', { from: current.status, to: status, packet: updated });
+        await statusNotificationService.notifyOwners(updated, current.status, status);
+
+        return updated;
+    }
+
+    /**
+     * Moves the packet to the trash. It can be restored until the purge job removes it,
+     * which also removes it from its owners.
+     * @throws NotFoundError if the packet does not exist or is already deleted
+     * @throws PacketInTransitError if a courier is carrying the packet
+     */
+    async deletePacketById(id: string): Promise<IPacket> {
+        const before = await PacketModel.findById(id).select('-locationHistory').lean();
+        if (!before) {
+            throw new NotFoundError('packet.not_found');
+        }
+        if (IN_TRANSIT_PACKET_STATUSES.includes(before.status)) {
+            throw new PacketInTransitError(before.status);
+        }
+        // Checked again in the filter, so a pickup in between is not deleted
+        const deleted = await PacketModel.findOneAndUpdate(
+            { _id: id, deletedAt: null, status: { $nin: IN_TRANSIT_PACKET_STATUSES } },
+            { $set: { deletedAt: new Date() } },
+            { new: true }
+        ).select('-locationHistory');
+        if (!deleted) {
+            throw new NotFoundError('packet.not_found');
+        }
+        await auditService.record({ action: 'delete', targetType: 'packets', before, after: deleted });
+        await webhookService.dispatch('packet.deleted', deleted);
+        return deleted;
+    }
+
+    /**
+     * @throws NotFoundError if there is no deleted packet with this id
+     */
+    async restorePacketById(id: string): Promise<IPacket> {
+        const before = await PacketModel.findOne({ _id: id, deletedAt: { $ne: null } }).select('-locationHistory').lean();
+        if (!before) {
+            throw new NotFoundError('packet.deleted_not_found');
+        }
+        const restored = await PacketModel.findOneAndUpdate(
+            { _id: id, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null } },
+            { new: true }
+        ).select('-locationHistory');
+        if (!restored) {
+            throw new NotFoundError('packet.deleted_not_found');
+        }
+        await auditService.record({ action: 'restore', targetType: 'packets', before, after: restored });
+        return restored;
     }
 }
 
-export default new PacketService();
\ No newline at end of file
+export default new PacketService();
@@ -0,0 +1,134 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ProofService = exports.PROOF_MIME_TYPES = exports.MAX_PROOF_SIZE = exports.InvalidProofError = void 0;
+const mongoose_1 = __importDefault(require("mongoose"));
+const packet_1 = require("../models/packet");
+const storage_1 = __importDefault(require("../storage"));
+const audit_service_1 = __importDefault(require("./audit.service"));
+const errors_1 = require("../errors");
+const config_1 = __importDefault(require("../config"));
+class InvalidProofError extends errors_1.ValidationError {
+}
+exports.InvalidProofError = InvalidProofError;
+exports.MAX_PROOF_SIZE = config_1.default.storage.maxProofSizeBytes;
+// Accepted types with the bytes every such file starts with, null matches any byte
+const PROOF_TYPES = {
+    'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+    'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    // 'RIFF', the size of the file, then 'WEBP': other RIFF files (WAV, AVI) differ there
+    'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+};
+exports.PROOF_MIME_TYPES = Object.keys(PROOF_TYPES);
+class ProofService {
+    /**
+     * Stores a photo or signature image and attaches its metadata to the packet.
+     * @throws InvalidProofError if the kind, type or size of the file is not accepted
+     * @throws NotFoundError if there is no packet with this id
+     */
+    addProof(packetId, kind, file, uploadedBy) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!packet_1.PROOF_KINDS.includes(kind)) {
+                throw new InvalidProofError('proof.invalid_kind', { kinds: packet_1.PROOF_KINDS.join(', ') });
+            }
+            if (!file) {
+                throw new InvalidProofError('proof.file_required');
+            }
+            const type = PROOF_TYPES[file.mimetype];
+            if (!type || !type.signature.every((byte, i) => i < file.buffer.length && (byte === null || file.buffer[i] === byte))) {
+                throw new InvalidProofError('proof.invalid_type', { types: exports.PROOF_MIME_TYPES.join(', ') });
+            }
+            if (file.size > exports.MAX_PROOF_SIZE) {
+                throw new InvalidProofError('proof.too_large', { max: exports.MAX_PROOF_SIZE });
+            }
+            if (!mongoose_1.default.Types.ObjectId.isValid(packetId) || !(yield packet_1.PacketModel.exists({ _id: packetId }))) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            const storageKey = yield storage_1.default.save(file.buffer, { prefix: `proofs/${packetId}`, extension: type.extension });
+            const proof = {
+                _id: new mongoose_1.default.Types.ObjectId(),
+                kind,
+                storageKey,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                uploadedBy: uploadedBy || null,
+                uploadedAt: new Date()
+            };
+            const updated = yield packet_1.PacketModel.findByIdAndUpdate(packetId, { $push: { proofs: proof } });
+            if (!updated) {
+                // The packet was deleted meanwhile
+                yield storage_1.default.remove(storageKey);
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            // Only the new proof: the array before and after would repeat every older one
+            yield audit_service_1.default.record({
+                action: 'update',
+                targetType: 'packets',
+                targetId: updated._id,
+                meta: { proofAdded: { _id: proof._id, kind, mimeType: proof.mimeType, size: proof.size } }
+            });
+            const { storageKey: _storageKey } = proof, metadata = __rest(proof, ["storageKey"]);
+            return metadata;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    getProofs(packetId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const packet = yield packet_1.PacketModel.findById(packetId).select('proofs').populate('proofs.uploadedBy', 'name email');
+            if (!packet) {
+                throw new errors_1.NotFoundError('packet.not_found');
+            }
+            return packet.proofs || [];
+        });
+    }
+    /**
+     * Metadata and content of one proof.
+     * @throws NotFoundError if the packet or proof do not exist
+     * @throws StoredFileNotFoundError if the file is missing from the storage backend
+     */
+    getProofFile(packetId, proofId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!mongoose_1.default.Types.ObjectId.isValid(packetId) || !mongoose_1.default.Types.ObjectId.isValid(proofId)) {
+                throw new errors_1.NotFoundError('proof.not_found');
+            }
+            // Aggregations skip `select: false`, so the storage key comes along
+            const [proof] = yield packet_1.PacketModel.aggregate([
+                { $match: { _id: new mongoose_1.default.Types.ObjectId(packetId) } },
+                { $unwind: '$proofs' },
+                { $match: { 'proofs._id': new mongoose_1.default.Types.ObjectId(proofId) } },
+                { $replaceRoot: { newRoot: '$proofs' } }
+            ]);
+            if (!proof) {
+                throw new errors_1.NotFoundError('proof.not_found');
+            }
+            return { proof, stream: yield storage_1.default.read(proof.storageKey) };
+        });
+    }
+}
+exports.ProofService = ProofService;
+exports.default = new ProofService();
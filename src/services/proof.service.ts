@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { IProof, PacketModel, ProofKind, PROOF_KINDS } from '../models/packet';
+import storage from '../storage';
+import auditService from './audit.service';
+import { NotFoundError, ValidationError } from '../errors';
+import config from '../config';
+
+export class InvalidProofError extends ValidationError {}
+
+export interface UploadedFile {
+    buffer: Buffer;
+    mimetype: string;
+    originalname: string;
+    size: number;
+}
+
+export const MAX_PROOF_SIZE = config.storage.maxProofSizeBytes;
+
+// Accepted types with the bytes every such file starts with, null matches any byte
+const PROOF_TYPES: Record<string, { extension: string; signature: (number | null)[] }> = {
+    'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+    'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    // 'RIFF', the size of the file, then 'WEBP': other RIFF files (WAV, AVI) differ there
+    'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+};
+
+export const PROOF_MIME_TYPES = Object.keys(PROOF_TYPES);
+
+export class ProofService {
+    /**
+     * Stores a photo or signature image and attaches its metadata to the packet.
+     * @throws InvalidProofError if the kind, type or size of the file is not accepted
+     * @throws NotFoundError if there is no packet with this id
+     */
+    async addProof(packetId: string, kind: string, file: UploadedFile | undefined, uploadedBy?: string): Promise<IProof> {
+        if (!PROOF_KINDS.includes(kind as ProofKind)) {
+            throw new InvalidProofError('proof.invalid_kind', { kinds: PROOF_KINDS.join(', ') });
+        }
+        if (!file) {
+            throw new InvalidProofError('proof.file_required');
+        }
+
+        const type = PROOF_TYPES[file.mimetype];
+        if (!type || !type.signature.every((byte, i) => i < file.buffer.length && (byte === null || file.buffer[i] === byte))) {
+            throw new InvalidProofError('proof.invalid_type', { types: PROOF_MIME_TYPES.join(', ') });
+        }
+        if (file.size > MAX_PROOF_SIZE) {
+            throw new InvalidProofError('proof.too_large', { max: MAX_PROOF_SIZE });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(packetId) || !(await PacketModel.exists({ _id: packetId }))) {
+            throw new NotFoundError('packet.not_found');
+        }
+
+        const storageKey = await storage.save(file.buffer, { prefix: `proofs/${packetId}`, extension: type.extension });
+        const proof = {
+            _id: new mongoose.Types.ObjectId(),
+            kind,
+            storageKey,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+            uploadedBy: uploadedBy || null,
+            uploadedAt: new Date()
+        };
+
+        const updated = await PacketModel.findByIdAndUpdate(packetId, { $push: { proofs: proof } });
+        if (!updated) {
+            // The packet was deleted meanwhile
+            await storage.remove(storageKey);
+            throw new NotFoundError('packet.not_found');
+        }
+
+        // Only the new proof: the array before and after would repeat every older one
+        await auditService.record({
+            action: 'update',
+            targetType: 'packets',
+            targetId: updated._id,
+            meta: { proofAdded: { _id: proof._id, kind, mimeType: proof.mimeType, size: proof.size } }
+        });
+
+        const { storageKey: _storageKey, ...metadata } = proof;
+        return metadata as unknown as IProof;
+    }
+
+    /**
+     * @throws NotFoundError if there is no packet with this id
+     */
+    async getProofs(packetId: string): Promise<IProof[]> {
+        const packet = await PacketModel.findById(packetId).select('proofs').populate('proofs.uploadedBy', 'name email');
+        if (!packet) {
+            throw new NotFoundError('packet.not_found');
+        }
+        return packet.proofs || [];
+    }
+
+    /**
+     * Metadata and content of one proof.
+     * @throws NotFoundError if the packet or proof do not exist
+     * @throws StoredFileNotFoundError if the file is missing from the storage backend
+     */
+    async getProofFile(packetId: string, proofId: string): Promise<{ proof: IProof; stream: Readable }> {
+        if (!mongoose.Types.ObjectId.isValid(packetId) || !mongoose.Types.ObjectId.isValid(proofId)) {
+            throw new NotFoundError('proof.not_found');
+        }
+
+        // Aggregations skip `select: false`, so the storage key comes along
+        const [proof] = await PacketModel.aggregate<IProof>([
+            { $match: { _id: new mongoose.Types.ObjectId(packetId) } },
+            { $unwind: '$proofs' },
+            { $match: { 'proofs._id': new mongoose.Types.ObjectId(proofId) } },
+            { $replaceRoot: { newRoot: '$proofs' } }
+        ]);
+        if (!proof) {
+            throw new NotFoundError('proof.not_found');
+        }
+
+        return { proof, stream: await storage.read(proof.storageKey) };
+    }
+}
+
+export default new ProofService();
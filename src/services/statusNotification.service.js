@@ -0,0 +1,65 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.StatusNotificationService = void 0;
+const user_1 = require("../models/user");
+const i18n_1 = require("../i18n");
+const templates_1 = require("../notifications/templates");
+const message_service_1 = require("./message.service");
+const notification_service_1 = __importDefault(require("./notification.service"));
+const messageService = new message_service_1.MessageService();
+class StatusNotificationService {
+    /**
+     * Sends an inbox message to every available user linked to the packet,
+     * except those who muted the new status, and queues the email/SMS copy.
+     * Each owner gets the texts in their own locale.
+     * Failures are logged per owner; the status change is already saved.
+     */
+    notifyOwners(packet, from, to) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                const owners = yield user_1.UserModel.find({
+                    packets: packet._id,
+                    available: true,
+                    'notificationPreferences.mutedPacketStatuses': { $ne: to }
+                }).select('_id locale');
+                const results = yield Promise.allSettled(owners.flatMap((owner) => [
+                    messageService.sendSystemMessage(owner._id.toString(), this.buildContent(packet, from, to, owner.locale || i18n_1.DEFAULT_LOCALE)),
+                    notification_service_1.default.notify(owner._id.toString(), 'packet.status_changed', {
+                        packetName: packet.name,
+                        trackingCode: packet.trackingCode,
+                        previousStatus: from,
+                        status: to
+                    })
+                ]));
+                results
+                    .filter((result) => result.status === 'rejected')
+                    .forEach((result) => console.error('Error sending status notification:', result.reason));
+            }
+            catch (error) {
+                console.error('Error sending status notifications:', error);
+            }
+        });
+    }
+    buildContent(packet, from, to, locale) {
+        const reference = packet.trackingCode ? `"${packet.name}" (${packet.trackingCode})` : `"${packet.name}"`;
+        return (0, i18n_1.t)('notification.packet_status_changed.inbox', {
+            packet: reference,
+            previousStatus: (0, templates_1.statusLabel)(from, locale),
+            status: (0, templates_1.statusLabel)(to, locale)
+        }, locale);
+    }
+}
+exports.StatusNotificationService = StatusNotificationService;
+exports.default = new StatusNotificationService();
@@ -0,0 +1,58 @@
+import { IPacket, PacketStatus } from '../models/packet';
+import { UserModel } from '../models/user';
+import { DEFAULT_LOCALE, Locale, t } from '../i18n';
+import { statusLabel } from '../notifications/templates';
+import { MessageService } from './message.service';
+import notificationService from './notification.service';
+
+const messageService = new MessageService();
+
+export class StatusNotificationService {
+    /**
+     * Sends an inbox message to every available user linked to the packet,
+     * except those who muted the new status, and queues the email/SMS copy.
+     * Each owner gets the texts in their own locale.
+     * Failures are logged per owner; the status change is already saved.
+     */
+    async notifyOwners(packet: IPacket, from: PacketStatus, to: PacketStatus): Promise<void> {
+        try {
+            const owners = await UserModel.find({
+                packets: packet._id,
+                available: true,
+                'notificationPreferences.mutedPacketStatuses': { $ne: to }
+            }).select('_id locale');
+
+            const results = await Promise.allSettled(
+                owners.flatMap((owner) => [
+                    messageService.sendSystemMessage(
+                        owner._id.toString(),
+                        this.buildContent(packet, from, to, owner.locale || DEFAULT_LOCALE)
+                    ),
+                    notificationService.notify(owner._id.toString(), 'packet.status_changed', {
+                        packetName: packet.name,
+                        trackingCode: packet.trackingCode,
+                        previousStatus: from,
+                        status: to
+                    })
+                ])
+            );
+
+            results
+                .filter((result): result is PromiseRejectedResult => result.status === 'rejected')
+                .forEach((result) => console.error('Error sending status notification:', result.reason));
+        } catch (error) {
+            console.error('Error sending status notifications:', error);
+        }
+    }
+
+    private buildContent(packet: IPacket, from: PacketStatus, to: PacketStatus, locale: Locale): string {
+        const reference = packet.trackingCode ? `"${packet.name}" (${packet.trackingCode})` : `"${packet.name}"`;
+        return t('notification.packet_status_changed.inbox', {
+            packet: reference,
+            previousStatus: statusLabel(from, locale),
+            status: statusLabel(to, locale)
+        }, locale);
+    }
+}
+
+export default new StatusNotificationService();
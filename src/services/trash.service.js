@@ -0,0 +1,136 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TrashService = exports.InvalidTrashTypeError = exports.RETENTION_DAYS = exports.TRASH_TYPES = void 0;
+exports.startPurgeWorker = startPurgeWorker;
+const message_1 = require("../models/message");
+const packet_1 = require("../models/packet");
+const user_1 = require("../models/user");
+const storage_1 = __importDefault(require("../storage"));
+const transaction_1 = require("../utils/transaction");
+const worker_1 = require("../utils/worker");
+const audit_service_1 = __importDefault(require("./audit.service"));
+const errors_1 = require("../errors");
+const config_1 = __importDefault(require("../config"));
+exports.TRASH_TYPES = ['users', 'packets', 'messages'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days a deleted document can still be restored
+exports.RETENTION_DAYS = config_1.default.trash.retentionDays;
+const MODELS = {
+    users: user_1.UserModel,
+    packets: packet_1.PacketModel,
+    messages: message_1.MessageModel,
+};
+// Heavy fields that are not needed to decide what to restore
+const LIST_PROJECTION = {
+    users: '',
+    packets: '-locationHistory -events',
+    messages: '',
+};
+class InvalidTrashTypeError extends errors_1.ValidationError {
+    constructor(type) {
+        super('trash.invalid_type', { type, types: exports.TRASH_TYPES.join(', ') });
+        this.type = type;
+    }
+}
+exports.InvalidTrashTypeError = InvalidTrashTypeError;
+class TrashService {
+    /**
+     * Lists deleted documents of one type, most recently deleted first,
+     * with the date they will be purged.
+     * @throws InvalidTrashTypeError if `type` is not a trash type
+     */
+    getDeleted(type, page, limit) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!exports.TRASH_TYPES.includes(type)) {
+                throw new InvalidTrashTypeError(type);
+            }
+            const model = MODELS[type];
+            const filter = { deletedAt: { $ne: null } };
+            const skip = (page - 1) * limit;
+            const [totalItems, items] = yield Promise.all([
+                model.countDocuments(filter),
+                model.find(filter)
+                    .select(LIST_PROJECTION[type])
+                    .sort({ deletedAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .lean()
+            ]);
+            return {
+                totalItems,
+                totalPages: Math.ceil(totalItems / limit),
+                currentPage: page,
+                data: items.map((item) => (Object.assign(Object.assign({}, item), { purgeAt: new Date(item.deletedAt.getTime() + exports.RETENTION_DAYS * DAY_MS) }))),
+            };
+        });
+    }
+    /**
+     * Hard-deletes everything that has been in the trash longer than the retention period,
+     * with its references: purged packets are pulled from every user and the
+     * remaining messages of purged users are deleted.
+     * @returns Number of purged documents per type
+     */
+    purgeExpired() {
+        return __awaiter(this, arguments, void 0, function* (now = new Date()) {
+            const filter = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - exports.RETENTION_DAYS * DAY_MS) } };
+            let storageKeys = [];
+            const purged = yield (0, transaction_1.withTransaction)((session) => __awaiter(this, void 0, void 0, function* () {
+                const result = { users: 0, packets: 0, messages: 0 };
+                // Read inside the transaction so a document restored meanwhile is left alone
+                const userIds = yield user_1.UserModel.distinct('_id', filter).session(session !== null && session !== void 0 ? session : null);
+                const packets = yield packet_1.PacketModel.aggregate([
+                    { $match: filter },
+                    { $project: { keys: '$proofs.storageKey' } }
+                ]).option({ withDeleted: true }).session(session !== null && session !== void 0 ? session : null);
+                const packetIds = packets.map((packet) => packet._id);
+                storageKeys = packets.flatMap((packet) => packet.keys);
+                result.users = (yield user_1.UserModel.deleteMany({ _id: { $in: userIds } }, { session })).deletedCount;
+                result.packets = (yield packet_1.PacketModel.deleteMany({ _id: { $in: packetIds } }, { session })).deletedCount;
+                result.messages = (yield message_1.MessageModel.deleteMany({
+                    $or: [filter, { sender: { $in: userIds } }, { receiver: { $in: userIds } }]
+                }, { session })).deletedCount;
+                if (packetIds.length > 0) {
+                    yield user_1.UserModel.updateMany({ packets: { $in: packetIds } }, { $pull: { packets: { $in: packetIds } } }, { session, withDeleted: true });
+                }
+                return result;
+            }));
+            // Files last: if the transaction failed, the packets still point to them
+            for (const key of storageKeys) {
+                yield storage_1.default.remove(key).catch((error) => console.error(`Error removing proof file '${key}':`, error));
+            }
+            for (const type of exports.TRASH_TYPES) {
+                if (purged[type] > 0) {
+                    yield audit_service_1.default.record({
+                        action: 'delete',
+                        targetType: type,
+                        targetId: null,
+                        meta: { purged: purged[type], retentionDays: exports.RETENTION_DAYS }
+                    });
+                }
+            }
+            return purged;
+        });
+    }
+}
+exports.TrashService = TrashService;
+const trashService = new TrashService();
+/**
+ * Purges expired trash every `intervalMs`.
+ * @returns Function that stops the worker, resolving once the batch in progress is done
+ */
+function startPurgeWorker(intervalMs = 60 * 60 * 1000) {
+    return (0, worker_1.startWorker)(() => trashService.purgeExpired(), intervalMs, 'Error purging deleted documents:');
+}
+exports.default = trashService;
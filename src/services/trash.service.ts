@@ -0,0 +1,148 @@
+import mongoose, { Model } from 'mongoose';
+import { MessageModel } from '../models/message';
+import { PacketModel } from '../models/packet';
+import { UserModel } from '../models/user';
+import storage from '../storage';
+import { withTransaction } from '../utils/transaction';
+import { startWorker } from '../utils/worker';
+import auditService from './audit.service';
+import { ValidationError } from '../errors';
+import config from '../config';
+
+export const TRASH_TYPES = ['users', 'packets', 'messages'] as const;
+
+export type TrashType = typeof TRASH_TYPES[number];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days a deleted document can still be restored
+export const RETENTION_DAYS = config.trash.retentionDays;
+
+const MODELS: Record<TrashType, Model<any>> = {
+    users: UserModel,
+    packets: PacketModel,
+    messages: MessageModel,
+};
+
+// Heavy fields that are not needed to decide what to restore
+const LIST_PROJECTION: Record<TrashType, string> = {
+    users: '',
+    packets: '-locationHistory -events',
+    messages: '',
+};
+
+export class InvalidTrashTypeError extends ValidationError {
+    constructor(public type: string) {
+        super('trash.invalid_type', { type, types: TRASH_TYPES.join(', ') });
+    }
+}
+
+export class TrashService {
+    /**
+     * Lists deleted documents of one type, most recently deleted first,
+     * with the date they will be purged.
+     * @throws InvalidTrashTypeError if `type` is not a trash type
+     */
+    async getDeleted(type: string, page: number, limit: number): Promise<{
+        totalItems: number;
+        totalPages: number;
+        currentPage: number;
+        data: Record<string, unknown>[];
+    }> {
+        if (!TRASH_TYPES.includes(type as TrashType)) {
+            throw new InvalidTrashTypeError(type);
+        }
+        const model = MODELS[type as TrashType];
+        const filter = { deletedAt: { $ne: null } };
+        const skip = (page - 1) * limit;
+
+        const [totalItems, items] = await Promise.all([
+            model.countDocuments(filter),
+            model.find(filter)
+                .select(LIST_PROJECTION[type as TrashType])
+                .sort({ deletedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean<Record<string, unknown>[]>()
+        ]);
+
+        return {
+            totalItems,
+            totalPages: Math.ceil(totalItems / limit),
+            currentPage: page,
+            data: items.map((item) => ({
+                ...item,
+                purgeAt: new Date((item.deletedAt as Date).getTime() + RETENTION_DAYS * DAY_MS)
+            })),
+        };
+    }
+
+    /**
+     * Hard-deletes everything that has been in the trash longer than the retention period,
+     * with its references: purged packets are pulled from every user and the
+     * remaining messages of purged users are deleted.
+     * @returns Number of purged documents per type
+     */
+    async purgeExpired(now = new Date()): Promise<Record<TrashType, number>> {
+        const filter = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - RETENTION_DAYS * DAY_MS) } };
+
+        let storageKeys: string[] = [];
+
+        const purged = await withTransaction(async (session) => {
+            const result = { users: 0, packets: 0, messages: 0 };
+
+            // Read inside the transaction so a document restored meanwhile is left alone
+            const userIds = await UserModel.distinct('_id', filter).session(session ?? null);
+            const packets = await PacketModel.aggregate<{ _id: mongoose.Types.ObjectId; keys: string[] }>([
+                { $match: filter },
+                { $project: { keys: '$proofs.storageKey' } }
+            ]).option({ withDeleted: true }).session(session ?? null);
+            const packetIds = packets.map((packet) => packet._id);
+            storageKeys = packets.flatMap((packet) => packet.keys);
+
+            result.users = (await UserModel.deleteMany({ _id: { $in: userIds } }, { session })).deletedCount;
+            result.packets = (await PacketModel.deleteMany({ _id: { $in: packetIds } }, { session })).deletedCount;
+            result.messages = (await MessageModel.deleteMany({
+                $or: [filter, { sender: { $in: userIds } }, { receiver: { $in: userIds } }]
+            }, { session })).deletedCount;
+
+            if (packetIds.length > 0) {
+                await UserModel.updateMany(
+                    { packets: { $in: packetIds } },
+                    { $pull: { packets: { $in: packetIds } } },
+                    { session, withDeleted: true }
+                );
+            }
+            return result;
+        });
+
+        // Files last: if the transaction failed, the packets still point to them
+        for (const key of storageKeys) {
+            await storage.remove(key).catch((error) => console.error(`Error removing proof file '${key}':`, error));
+        }
+
+        for (const type of TRASH_TYPES) {
+            if (purged[type] > 0) {
+                await auditService.record({
+                    action: 'delete',
+                    targetType: type,
+                    targetId: null,
+                    meta: { purged: purged[type], retentionDays: RETENTION_DAYS }
+                });
+            }
+        }
+
+        return purged;
+    }
+}
+
+const trashService = new TrashService();
+
+/**
+ * Purges expired trash every `intervalMs`.
+ * @returns Function that stops the worker, resolving once the batch in progress is done
+ */
+export function startPurgeWorker(intervalMs = 60 * 60 * 1000): () => Promise<void> {
+    return startWorker(() => trashService.purgeExpired(), intervalMs, 'Error purging deleted documents:');
+}
+
+export default trashService;
@@ -8,21 +8,78 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.UserService = void 0;
+exports.UserService = exports.UserInUseError = exports.InvalidReferenceError = void 0;
+const mongoose_1 = __importDefault(require("mongoose"));
 const user_1 = require("../models/user");
+const packet_1 = require("../models/packet");
+const message_1 = require("../models/message");
+const transaction_1 = require("../utils/transaction");
+const auth_service_1 = require("./auth.service");
+const notification_service_1 = __importDefault(require("./notification.service"));
+const audit_service_1 = __importDefault(require("./audit.service"));
+const errors_1 = require("../errors");
+const requestContext_1 = require("../utils/requestContext");
+const authService = new auth_service_1.AuthService();
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+    mutedPacketStatuses: [],
+    channels: { email: true, sms: false },
+    mutedTemplates: [],
+};
+class InvalidReferenceError extends errors_1.ValidationError {
+}
+exports.InvalidReferenceError = InvalidReferenceError;
+class UserInUseError extends errors_1.ConflictError {
+}
+exports.UserInUseError = UserInUseError;
+/**
+ * @throws InvalidReferenceError unless every id is an existing, not deleted packet
+ */
+function assertPacketsExist(packetIds) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const ids = [...new Set(packetIds.map(String))];
+        if (!ids.every((id) => mongoose_1.default.Types.ObjectId.isValid(id))) {
+            throw new InvalidReferenceError('user.invalid_packet_id');
+        }
+        const found = yield packet_1.PacketModel.countDocuments({ _id: { $in: ids } });
+        if (found !== ids.length) {
+            throw new InvalidReferenceError('user.packet_not_found');
+        }
+    });
+}
 class UserService {
     postUser(user) {
         return __awaiter(this, void 0, void 0, function* () {
-            const newUser = new user_1.UserModel(user);
-            return yield newUser.save();
+            var _a;
+            const newUser = new user_1.UserModel(Object.assign(Object.assign({}, user), { 
+                // Unless chosen, notifications use the language the user signed up in
+                locale: user.locale || ((_a = (0, requestContext_1.getRequestContext)()) === null || _a === void 0 ? void 0 : _a.locale), password: user.password ? yield authService.hashPassword(user.password) : user.password }));
+            const saved = yield newUser.save();
+            yield audit_service_1.default.record({ action: 'create', targetType: 'users', after: saved });
+            yield notification_service_1.default.notify(saved._id.toString(), 'account.created');
+            const _b = saved.toObject(), { password } = _b, publicUser = __rest(_b, ["password"]);
+            return publicUser;
         });
     }
     getAllUsers(page, limit) {
         return __awaiter(this, void 0, void 0, function* () {
             const skip = (page - 1) * limit;
             const totalUsers = yield user_1.UserModel.countDocuments({ available: true });
-            const users = yield user_1.UserModel.find().skip(skip).limit(limit);
+            const users = yield user_1.UserModel.find({ available: true }).skip(skip).limit(limit);
             return {
                 totalUsers,
                 totalPages: Math.ceil(totalUsers / limit),
@@ -31,45 +88,193 @@ class UserService {
             };
         });
     }
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
     getUserById(id) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield user_1.UserModel.findOne({ _id: id, available: true });
+            const user = yield user_1.UserModel.findOne({ _id: id, available: true });
+            if (!user) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            return user;
         });
     }
+    /**
+     * @throws NotFoundError if there is no active user with this name
+     */
     getUserByName(name) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield user_1.UserModel.findOne({ name, available: true });
+            const user = yield user_1.UserModel.findOne({ name, available: true });
+            if (!user) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            return user;
         });
     }
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
     updateUserById(id, user) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield user_1.UserModel.findOneAndUpdate({ _id: id, available: true }, user, { new: true });
+            // Trash state only changes through delete and restore
+            const { deletedAt } = user, fields = __rest(user, ["deletedAt"]);
+            user = fields;
+            const passwordChanged = Boolean(user.password);
+            if (user.password) {
+                user = Object.assign(Object.assign({}, user), { password: yield authService.hashPassword(user.password) });
+            }
+            const before = yield user_1.UserModel.findOne({ _id: id, available: true }).lean();
+            const updated = before && (yield user_1.UserModel.findOneAndUpdate({ _id: id, available: true }, user, { new: true }));
+            if (!updated) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            // The hash is never selected, so the diff cannot show it
+            yield audit_service_1.default.record({
+                action: 'update',
+                targetType: 'users',
+                before,
+                after: updated,
+                meta: passwordChanged ? { passwordChanged: true } : undefined
+            });
+            if (passwordChanged) {
+                yield notification_service_1.default.notify(id, 'account.password_changed');
+            }
+            return updated;
         });
     }
+    /**
+     * Moves the user to the trash: hidden everywhere and unable to log in,
+     * restorable until the purge job removes it. Their messages, sent and
+     * received, go to the trash with them.
+     * @throws NotFoundError if the user does not exist or is already deleted
+     * @throws UserInUseError if the user is the courier of open packets
+     */
     deleteUserById(id) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield user_1.UserModel.findByIdAndDelete(id);
+            const before = yield user_1.UserModel.findById(id).lean();
+            if (!before) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            const openPackets = yield packet_1.PacketModel.countDocuments({ assignedTo: id, status: { $nin: packet_1.CLOSED_PACKET_STATUSES } });
+            if (openPackets > 0) {
+                throw new UserInUseError('user.in_use', { count: openPackets });
+            }
+            // Same timestamp on the user and the messages, so restoring brings back exactly these
+            const deletedAt = new Date();
+            const deleted = yield (0, transaction_1.withTransaction)((session) => __awaiter(this, void 0, void 0, function* () {
+                const user = yield user_1.UserModel.findOneAndUpdate({ _id: id, deletedAt: null }, { $set: { deletedAt, available: false } }, { new: true, session });
+                if (user) {
+                    yield message_1.MessageModel.updateMany({ $or: [{ sender: id }, { receiver: id }] }, { $set: { deletedAt } }, { session });
+                }
+                return user;
+            }));
+            if (!deleted) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            yield audit_service_1.default.record({ action: 'delete', targetType: 'users', before, after: deleted });
+            return deleted;
         });
     }
+    // Same as deleting, kept so users can still close their own account
     deactivateUserById(id) {
         return __awaiter(this, void 0, void 0, function* () {
-            return yield user_1.UserModel.findByIdAndUpdate(id, { available: false }, { new: true });
+            return yield this.deleteUserById(id);
         });
     }
+    /**
+     * @throws NotFoundError if there is no deleted user with this id
+     */
+    restoreUserById(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const before = yield user_1.UserModel.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+            if (!before) {
+                throw new errors_1.NotFoundError('user.deleted_not_found');
+            }
+            const restored = yield (0, transaction_1.withTransaction)((session) => __awaiter(this, void 0, void 0, function* () {
+                const user = yield user_1.UserModel.findOneAndUpdate({ _id: id, deletedAt: before.deletedAt }, { $set: { deletedAt: null, available: true } }, { new: true, session });
+                if (user) {
+                    // Messages deleted on their own, before the user, stay deleted
+                    yield message_1.MessageModel.updateMany({ $or: [{ sender: id }, { receiver: id }], deletedAt: before.deletedAt }, { $set: { deletedAt: null } }, { session });
+                }
+                return user;
+            }));
+            if (!restored) {
+                throw new errors_1.NotFoundError('user.deleted_not_found');
+            }
+            yield audit_service_1.default.record({ action: 'restore', targetType: 'users', before, after: restored });
+            return restored;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
+    getNotificationPreferences(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const user = yield user_1.UserModel.findOne({ _id: id, available: true }).select('notificationPreferences');
+            if (!user) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            return user.notificationPreferences || DEFAULT_NOTIFICATION_PREFERENCES;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
+    updateNotificationPreferences(id, preferences) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const update = {};
+            if (preferences.mutedPacketStatuses !== undefined) {
+                update['notificationPreferences.mutedPacketStatuses'] = preferences.mutedPacketStatuses;
+            }
+            if (preferences.mutedTemplates !== undefined) {
+                update['notificationPreferences.mutedTemplates'] = preferences.mutedTemplates;
+            }
+            // Channels are set one by one so a partial object keeps the other flag
+            for (const [channel, enabled] of Object.entries(preferences.channels || {})) {
+                if (enabled !== undefined) {
+                    update[`notificationPreferences.channels.${channel}`] = enabled;
+                }
+            }
+            const before = yield user_1.UserModel.findOne({ _id: id, available: true }).select('notificationPreferences').lean();
+            const user = yield user_1.UserModel.findOneAndUpdate({ _id: id, available: true }, { $set: update }, { new: true, runValidators: true }).select('notificationPreferences');
+            if (!user) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            yield audit_service_1.default.record({ action: 'update', targetType: 'users', before, after: user });
+            return user.notificationPreferences || DEFAULT_NOTIFICATION_PREFERENCES;
+        });
+    }
+    /**
+     * @throws NotFoundError if the user does not exist
+     */
     getUserPacketsById(userId) {
         return __awaiter(this, void 0, void 0, function* () {
             const user = yield user_1.UserModel.findById(userId).populate("packets");
-            return user ? user.packets : null;
+            if (!user) {
+                throw new errors_1.NotFoundError('user.not_found');
+            }
+            return user.packets;
         });
     }
+    /**
+     * @throws NotFoundError if there is no active user with this name
+     * @throws InvalidReferenceError if the packet does not exist
+     */
     addPacketToUser(userName, packetId) {
         return __awaiter(this, void 0, void 0, function* () {
             const user = yield user_1.UserModel.findOne({ name: userName, available: true });
             if (!user) {
-                throw new Error("User not found");
+                throw new errors_1.NotFoundError('user.not_found');
             }
-            if (!user.packets.includes(packetId)) {
-                return yield user_1.UserModel.findByIdAndUpdate(user._id, { $push: { packets: packetId } }, { new: true, runValidators: false });
+            yield assertPacketsExist([packetId]);
+            if (!user.packets.some((id) => id.toString() === packetId)) {
+                const updated = yield user_1.UserModel.findByIdAndUpdate(user._id, { $addToSet: { packets: packetId } }, { new: true, runValidators: false });
+                if (!updated) {
+                    throw new errors_1.NotFoundError('user.not_found');
+                }
+                yield audit_service_1.default.record({ action: 'update', targetType: 'users', before: user, after: updated });
+                return updated;
             }
             return user;
         });
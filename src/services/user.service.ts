@@ -1,9 +1,59 @@
-import { IUser, UserModel } from '../models/user';
+import mongoose from 'mongoose';
+import { INotificationPreferences, IUser, UserModel } from '../models/user';
+import { CLOSED_PACKET_STATUSES, PacketModel } from '../models/packet';
+import { MessageModel } from '../models/message';
+import { withTransaction } from '../utils/transaction';
+import { AuthService } from './auth.service';
+import notificationService from './notification.service';
+import auditService from './audit.service';
+import { ConflictError, NotFoundError, ValidationError } from '../errors';
+import { getRequestContext } from '../utils/requestContext';
+
+const authService = new AuthService();
+
+const DEFAULT_NOTIFICATION_PREFERENCES: INotificationPreferences = {
+    mutedPacketStatuses: [],
+    channels: { email: true, sms: false },
+    mutedTemplates: [],
+};
+
+export interface NotificationPreferencesInput {
+    mutedPacketStatuses?: INotificationPreferences['mutedPacketStatuses'];
+    channels?: Partial<INotificationPreferences['channels']>;
+    mutedTemplates?: INotificationPreferences['mutedTemplates'];
+}
+
+export class InvalidReferenceError extends ValidationError {}
+
+export class UserInUseError extends ConflictError {}
+
+/**
+ * @throws InvalidReferenceError unless every id is an existing, not deleted packet
+ */
+async function assertPacketsExist(packetIds: unknown[]): Promise<void> {
+    const ids = [...new Set(packetIds.map(String))];
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+        throw new InvalidReferenceError('user.invalid_packet_id');
+    }
+    const found = await PacketModel.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+        throw new InvalidReferenceError('user.packet_not_found');
+    }
+}
 
 export class UserService {
-    async postUser(user: Partial<IUser>): Promise<IUser> {
-        const newUser = new UserModel(user);
-        return await newUser.save();
+    async postUser(user: Partial<IUser>): Promise<Omit<IUser, 'password'>> {
+        const newUser = new UserModel({
+            ...user,
+            // Unless chosen, notifications use the language the user signed up in
+            locale: user.locale || getRequestContext()?.locale,
+            password: user.password ? await authService.hashPassword(user.password) : user.password
+        });
+        const saved = await newUser.save();
+        await auditService.record({ action: 'create', targetType: 'users', after: saved });
+        await notificationService.notify(saved._id.toString(), 'account.created');
+        const { password, ...publicUser } = saved.toObject();
+        return publicUser;
     }
 
     async getAllUsers(page: number, limit: number): Promise<{ 
@@ -16,7 +66,7 @@ export class UserService {
     
         const totalUsers = await UserModel.countDocuments({ available: true });
     
-        const users = await UserModel.find().skip(skip).limit(limit);
+        const users = await UserModel.find({ available: true }).skip(skip).limit(limit);
     
         return {
             totalUsers,
@@ -26,43 +76,211 @@ export class UserService {
         };
     }
 
-    async getUserById(id: string): Promise<IUser | null> {
-        return await UserModel.findOne({ _id: id, available: true });
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
+    async getUserById(id: string): Promise<IUser> {
+        const user = await UserModel.findOne({ _id: id, available: true });
+        if (!user) {
+            throw new NotFoundError('user.not_found');
+        }
+        return user;
+    }
+
+    /**
+     * @throws NotFoundError if there is no active user with this name
+     */
+    async getUserByName(name: string): Promise<IUser> {
+        const user = await UserModel.findOne({ name, available: true });
+        if (!user) {
+            throw new NotFoundError('user.not_found');
+        }
+        return user;
+    }
+
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
+    async updateUserById(id: string, user: Partial<IUser>): Promise<IUser> {
+        // Trash state only changes through delete and restore
+        const { deletedAt, ...fields } = user;
+        user = fields;
+        const passwordChanged = Boolean(user.password);
+        if (user.password) {
+            user = { ...user, password: await authService.hashPassword(user.password) };
+        }
+        const before = await UserModel.findOne({ _id: id, available: true }).lean();
+        const updated = before && await UserModel.findOneAndUpdate({ _id: id, available: true }, user, { new: true });
+        if (!updated) {
+            throw new NotFoundError('user.not_found');
+        }
+        // The hash is never selected, so the diff cannot show it
+        await auditService.record({
+            action: 'update',
+            targetType: 'users',
+            before,
+            after: updated,
+            meta: passwordChanged ? { passwordChanged: true } : undefined
+        });
+        if (passwordChanged) {
+            await notificationService.notify(id, 'account.password_changed');
+        }
+        return updated;
+    }
+
+    /**
+     * Moves the user to the trash: hidden everywhere and unable to log in,
+     * restorable until the purge job removes it. Their messages, sent and
+     * received, go to the trash with them.
+     * @throws NotFoundError if the user does not exist or is already deleted
+     * @throws UserInUseError if the user is the courier of open packets
+     */
+    async deleteUserById(id: string): Promise<IUser> {
+        const before = await UserModel.findById(id).lean();
+        if (!before) {
+            throw new NotFoundError('user.not_found');
+        }
+
+        const openPackets = await PacketModel.countDocuments({ assignedTo: id, status: { $nin: CLOSED_PACKET_STATUSES } });
+        if (openPackets > 0) {
+            throw new UserInUseError('user.in_use', { count: openPackets });
+        }
+
+        // Same timestamp on the user and the messages, so restoring brings back exactly these
+        const deletedAt = new Date();
+        const deleted = await withTransaction(async (session) => {
+            const user = await UserModel.findOneAndUpdate(
+                { _id: id, deletedAt: null },
+                { $set: { deletedAt, available: false } },
+                { new: true, session }
+            );
+            if (user) {
+                await MessageModel.updateMany(
+                    { $or: [{ sender: id }, { receiver: id }] },
+                    { $set: { deletedAt } },
+                    { session }
+                );
+            }
+            return user;
+        });
+        if (!deleted) {
+            throw new NotFoundError('user.not_found');
+        }
+        await auditService.record({ action: 'delete', targetType: 'users', before, after: deleted });
+        return deleted;
     }
 
-    async getUserByName(name: string): Promise<IUser | null> {
-        return await UserModel.findOne({ name, available: true });
+    // Same as deleting, kept so users can still close their own account
+    async deactivateUserById(id: string): Promise<IUser> {
+        return await this.deleteUserById(id);
     }
 
-    async updateUserById(id: string, user: Partial<IUser>): Promise<IUser | null> {
-        return await UserModel.findOneAndUpdate({ _id: id, available: true }, user, { new: true });
+    /**
+     * @throws NotFoundError if there is no deleted user with this id
+     */
+    async restoreUserById(id: string): Promise<IUser> {
+        const before = await UserModel.findOne({ _id: id, deletedAt: { $ne: null } }).lean();
+        if (!before) {
+            throw new NotFoundError('user.deleted_not_found');
+        }
+        const restored = await withTransaction(async (session) => {
+            const user = await UserModel.findOneAndUpdate(
+                { _id: id, deletedAt: before.deletedAt },
+                { $set: { deletedAt: null, available: true } },
+                { new: true, session }
+            );
+            if (user) {
+                // Messages deleted on their own, before the user, stay deleted
+                await MessageModel.updateMany(
+                    { $or: [{ sender: id }, { receiver: id }], deletedAt: before.deletedAt },
+                    { $set: { deletedAt: null } },
+                    { session }
+                );
+            }
+            return user;
+        });
+        if (!restored) {
+            throw new NotFoundError('user.deleted_not_found');
+        }
+        await auditService.record({ action: 'restore', targetType: 'users', before, after: restored });
+        return restored;
     }
 
-    async deleteUserById(id: string): Promise<IUser | null> {
-        return await UserModel.findByIdAndDelete(id);
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
+    async getNotificationPreferences(id: string): Promise<INotificationPreferences> {
+        const user = await UserModel.findOne({ _id: id, available: true }).select('notificationPreferences');
+        if (!user) {
+            throw new NotFoundError('user.not_found');
+        }
+        return user.notificationPreferences || DEFAULT_NOTIFICATION_PREFERENCES;
     }
 
-    async deactivateUserById(id: string): Promise<IUser | null> {
-        return await UserModel.findByIdAndUpdate(id, { available: false }, { new: true });
+    /**
+     * @throws NotFoundError if there is no active user with this id
+     */
+    async updateNotificationPreferences(id: string, preferences: NotificationPreferencesInput): Promise<INotificationPreferences> {
+        const update: Record<string, unknown> = {};
+        if (preferences.mutedPacketStatuses !== undefined) {
+            update['notificationPreferences.mutedPacketStatuses'] = preferences.mutedPacketStatuses;
+        }
+        if (preferences.mutedTemplates !== undefined) {
+            update['notificationPreferences.mutedTemplates'] = preferences.mutedTemplates;
+        }
+        // Channels are set one by one so a partial object keeps the other flag
+        for (const [channel, enabled] of Object.entries(preferences.channels || {})) {
+            if (enabled !== undefined) {
+                update[`notificationPreferences.channels.${channel}`] = enabled;
+            }
+        }
+
+        const before = await UserModel.findOne({ _id: id, available: true }).select('notificationPreferences').lean();
+        const user = await UserModel.findOneAndUpdate(
+            { _id: id, available: true },
+            { $set: update },
+            { new: true, runValidators: true }
+        ).select('notificationPreferences');
+        if (!user) {
+            throw new NotFoundError('user.not_found');
+        }
+        await auditService.record({ action: 'update', targetType: 'users', before, after: user });
+        return user.notificationPreferences || DEFAULT_NOTIFICATION_PREFERENCES;
     }
 
-    async getUserPacketsById(userId: string): Promise<IUser["packets"] | null> {
+    /**
+     * @throws NotFoundError if the user does not exist
+     */
+    async getUserPacketsById(userId: string): Promise<IUser["packets"]> {
         const user = await UserModel.findById(userId).populate("packets");
-        return user ? user.packets : null;
+        if (!user) {
+            throw new NotFoundError('user.not_found');
+        }
+        return user.packets;
     }
 
-    async addPacketToUser(userName: string, packetId: string): Promise<IUser | null> {
+    /**
+     * @throws NotFoundError if there is no active user with this name
+     * @throws InvalidReferenceError if the packet does not exist
+     */
+    async addPacketToUser(userName: string, packetId: string): Promise<IUser> {
         const user = await UserModel.findOne({ name: userName, available: true });
         if (!user) {
-            throw new Error("User not found");
+            throw new NotFoundError('user.not_found');
         }
+        await assertPacketsExist([packetId]);
 
-        if (!user.packets.includes(packetId as any)) {
-            return await UserModel.findByIdAndUpdate(
+        if (!user.packets.some((id) => id.toString() === packetId)) {
+            const updated = await UserModel.findByIdAndUpdate(
                 user._id,
-                { $push: { packets: packetId } },
+                { $addToSet: { packets: packetId } },
                 { new: true, runValidators: false }
             );
+            if (!updated) {
+                throw new NotFoundError('user.not_found');
+            }
+            await auditService.record({ action: 'update', targetType: 'users', before: user, after: updated });
+            return updated;
         }
 
         return user;
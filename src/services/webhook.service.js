@@ -0,0 +1,244 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.WebhookService = exports.MAX_DELIVERY_ATTEMPTS = void 0;
+exports.signPayload = signPayload;
+exports.nextRetryDelay = nextRetryDelay;
+exports.startWebhookWorker = startWebhookWorker;
+const crypto_1 = __importDefault(require("crypto"));
+const mongoose_1 = __importDefault(require("mongoose"));
+const webhook_1 = require("../models/webhook");
+const webhookDelivery_1 = require("../models/webhookDelivery");
+const worker_1 = require("../utils/worker");
+const errors_1 = require("../errors");
+exports.MAX_DELIVERY_ATTEMPTS = 8;
+// Retry n waits BASE * 2^(n-1): 30s, 1m, 2m, 4m ... about an hour in total
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LOCK_MS = REQUEST_TIMEOUT_MS * 3;
+const BATCH_SIZE = 20;
+/**
+ * Signature sent in `X-Trackit-Signature`. Receivers recompute it over
+ * `<X-Trackit-Timestamp>.<raw body>` with their secret and compare.
+ */
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto_1.default.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+function nextRetryDelay(attempt) {
+    const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+    // Up to 10% jitter so failing deliveries do not retry in lockstep
+    return delay + Math.floor(Math.random() * delay * 0.1);
+}
+class WebhookService {
+    createWebhook(input, createdBy) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const secret = crypto_1.default.randomBytes(32).toString('hex');
+            const webhook = yield webhook_1.WebhookModel.create(Object.assign(Object.assign({}, input), { secret, createdBy: createdBy || null }));
+            // The only time the secret leaves the server
+            return webhook.toObject();
+        });
+    }
+    getWebhooks() {
+        return __awaiter(this, void 0, void 0, function* () {
+            return yield webhook_1.WebhookModel.find().sort({ createdAt: -1 });
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    getWebhookById(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const webhook = mongoose_1.default.Types.ObjectId.isValid(id) && (yield webhook_1.WebhookModel.findById(id));
+            if (!webhook) {
+                throw new errors_1.NotFoundError('webhook.not_found');
+            }
+            return webhook;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    updateWebhook(id, input) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const { url, events, description, active } = input;
+            const changes = Object.fromEntries(Object.entries({ url, events, description, active }).filter(([, value]) => value !== undefined));
+            const webhook = mongoose_1.default.Types.ObjectId.isValid(id)
+                && (yield webhook_1.WebhookModel.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true }));
+            if (!webhook) {
+                throw new errors_1.NotFoundError('webhook.not_found');
+            }
+            return webhook;
+        });
+    }
+    /**
+     * Deletes the subscription together with its delivery log.
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    deleteWebhook(id) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const webhook = mongoose_1.default.Types.ObjectId.isValid(id) && (yield webhook_1.WebhookModel.findByIdAndDelete(id));
+            if (!webhook) {
+                throw new errors_1.NotFoundError('webhook.not_found');
+            }
+            yield webhookDelivery_1.WebhookDeliveryModel.deleteMany({ webhook: webhook._id });
+            return webhook;
+        });
+    }
+    /**
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    getDeliveries(webhookId, page, limit, status) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield this.getWebhookById(webhookId);
+            const filter = { webhook: webhookId };
+            if (status) {
+                filter.status = status;
+            }
+            const totalDeliveries = yield webhookDelivery_1.WebhookDeliveryModel.countDocuments(filter);
+            const deliveries = yield webhookDelivery_1.WebhookDeliveryModel.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit);
+            return {
+                totalDeliveries,
+                totalPages: Math.ceil(totalDeliveries / limit),
+                currentPage: page,
+                data: deliveries,
+            };
+        });
+    }
+    /**
+     * Puts a delivery back in the queue to be sent right away. Earlier attempts stay in its log.
+     * @throws NotFoundError if the webhook has no delivery with this id
+     */
+    replayDelivery(webhookId, deliveryId) {
+        return __awaiter(this, void 0, void 0, function* () {
+            if (!mongoose_1.default.Types.ObjectId.isValid(webhookId) || !mongoose_1.default.Types.ObjectId.isValid(deliveryId)) {
+                throw new errors_1.NotFoundError('webhook.delivery_not_found');
+            }
+            const delivery = yield webhookDelivery_1.WebhookDeliveryModel.findOneAndUpdate({ _id: deliveryId, webhook: webhookId }, { $set: { status: 'pending', nextAttemptAt: new Date(), lockedUntil: null } }, { new: true });
+            if (!delivery) {
+                throw new errors_1.NotFoundError('webhook.delivery_not_found');
+            }
+            return delivery;
+        });
+    }
+    /**
+     * Queues an event for every active subscription that listens to it.
+     * If queueing fails the error is logged and the subscribers miss this event.
+     */
+    dispatch(event, data) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                const webhooks = yield webhook_1.WebhookModel.find({ active: true, events: event }).select('_id');
+                if (webhooks.length === 0)
+                    return;
+                const occurredAt = new Date();
+                // Round-trip through JSON so documents are stored as the receivers will see them
+                const payloadData = JSON.parse(JSON.stringify(data));
+                yield webhookDelivery_1.WebhookDeliveryModel.insertMany(webhooks.map((webhook) => ({
+                    webhook: webhook._id,
+                    event,
+                    payload: { event, occurredAt, data: payloadData },
+                    nextAttemptAt: occurredAt
+                })));
+            }
+            catch (error) {
+                console.error(`Error queueing webhook event ${event}:`, error);
+            }
+        });
+    }
+    /**
+     * Sends the deliveries that are due, one batch at a time.
+     * @returns How many deliveries were attempted
+     */
+    processDueDeliveries() {
+        return __awaiter(this, void 0, void 0, function* () {
+            let processed = 0;
+            while (processed < BATCH_SIZE) {
+                const now = new Date();
+                // Claiming with a lock lets several API instances share the queue
+                const delivery = yield webhookDelivery_1.WebhookDeliveryModel.findOneAndUpdate({
+                    status: 'pending',
+                    nextAttemptAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                }, { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } }, { sort: { nextAttemptAt: 1 }, new: true });
+                if (!delivery)
+                    break;
+                yield this.attemptDelivery(delivery);
+                processed++;
+            }
+            return processed;
+        });
+    }
+    attemptDelivery(delivery) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const webhook = yield webhook_1.WebhookModel.findById(delivery.webhook).select('+secret');
+            if (!webhook || !webhook.active) {
+                yield webhookDelivery_1.WebhookDeliveryModel.updateOne({ _id: delivery._id }, { $set: { status: 'failed', lockedUntil: null, nextAttemptAt: null } });
+                return;
+            }
+            const body = JSON.stringify(Object.assign({ id: delivery._id.toString() }, delivery.payload));
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const startedAt = Date.now();
+            let statusCode = null;
+            let error = null;
+            try {
+                const response = yield fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'Trackit-Webhooks/1.0',
+                        'X-Trackit-Event': delivery.event,
+                        'X-Trackit-Delivery': delivery._id.toString(),
+                        'X-Trackit-Timestamp': timestamp,
+                        'X-Trackit-Signature': signPayload(webhook.secret, timestamp, body)
+                    },
+                    body,
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+                statusCode = response.status;
+                if (!response.ok) {
+                    error = `HTTP ${response.status}`;
+                }
+            }
+            catch (err) {
+                error = err instanceof Error ? err.message : String(err);
+            }
+            const attempt = { attemptedAt: new Date(startedAt), statusCode, error, durationMs: Date.now() - startedAt };
+            const attemptNumber = delivery.attempts.length + 1;
+            let update;
+            if (!error) {
+                update = { status: 'succeeded', deliveredAt: new Date(), nextAttemptAt: null };
+            }
+            else if (attemptNumber >= exports.MAX_DELIVERY_ATTEMPTS) {
+                update = { status: 'failed', nextAttemptAt: null };
+            }
+            else {
+                update = { nextAttemptAt: new Date(Date.now() + nextRetryDelay(attemptNumber)) };
+            }
+            yield webhookDelivery_1.WebhookDeliveryModel.updateOne({ _id: delivery._id }, { $set: Object.assign(Object.assign({}, update), { lockedUntil: null }), $push: { attempts: attempt } });
+        });
+    }
+}
+exports.WebhookService = WebhookService;
+const webhookService = new WebhookService();
+/**
+ * Polls the delivery queue every `intervalMs`.
+ * @returns Function that stops the worker, resolving once the batch in progress is done
+ */
+function startWebhookWorker(intervalMs = 5000) {
+    return (0, worker_1.startWorker)(() => webhookService.processDueDeliveries(), intervalMs, 'Error processing webhook deliveries:');
+}
+exports.default = webhookService;
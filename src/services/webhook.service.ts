@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { IWebhook, WebhookEvent, WebhookModel } from '../models/webhook';
+import { DeliveryStatus, IWebhookDelivery, WebhookDeliveryModel } from '../models/webhookDelivery';
+import { startWorker } from '../utils/worker';
+import { NotFoundError } from '../errors';
+
+export const MAX_DELIVERY_ATTEMPTS = 8;
+// Retry n waits BASE * 2^(n-1): 30s, 1m, 2m, 4m ... about an hour in total
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LOCK_MS = REQUEST_TIMEOUT_MS * 3;
+const BATCH_SIZE = 20;
+
+export interface WebhookInput {
+    url?: string;
+    events?: WebhookEvent[];
+    description?: string;
+    active?: boolean;
+}
+
+/**
+ * Signature sent in `X-Trackit-Signature`. Receivers recompute it over
+ * `<X-Trackit-Timestamp>.<raw body>` with their secret and compare.
+ */
+export function signPayload(secret: string, timestamp: string, body: string): string {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function nextRetryDelay(attempt: number): number {
+    const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+    // Up to 10% jitter so failing deliveries do not retry in lockstep
+    return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+export class WebhookService {
+    async createWebhook(input: WebhookInput, createdBy?: string): Promise<IWebhook> {
+        const secret = crypto.randomBytes(32).toString('hex');
+        const webhook = await WebhookModel.create({ ...input, secret, createdBy: createdBy || null });
+        // The only time the secret leaves the server
+        return webhook.toObject();
+    }
+
+    async getWebhooks(): Promise<IWebhook[]> {
+        return await WebhookModel.find().sort({ createdAt: -1 });
+    }
+
+    /**
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    async getWebhookById(id: string): Promise<IWebhook> {
+        const webhook = mongoose.Types.ObjectId.isValid(id) && await WebhookModel.findById(id);
+        if (!webhook) {
+            throw new NotFoundError('webhook.not_found');
+        }
+        return webhook;
+    }
+
+    /**
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    async updateWebhook(id: string, input: WebhookInput): Promise<IWebhook> {
+        const { url, events, description, active } = input;
+        const changes = Object.fromEntries(
+            Object.entries({ url, events, description, active }).filter(([, value]) => value !== undefined)
+        );
+        const webhook = mongoose.Types.ObjectId.isValid(id)
+            && await WebhookModel.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true });
+        if (!webhook) {
+            throw new NotFoundError('webhook.not_found');
+        }
+        return webhook;
+    }
+
+    /**
+     * Deletes the subscription together with its delivery log.
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    async deleteWebhook(id: string): Promise<IWebhook> {
+        const webhook = mongoose.Types.ObjectId.isValid(id) && await WebhookModel.findByIdAndDelete(id);
+        if (!webhook) {
+            throw new NotFoundError('webhook.not_found');
+        }
+        await WebhookDeliveryModel.deleteMany({ webhook: webhook._id });
+        return webhook;
+    }
+
+    /**
+     * @throws NotFoundError if there is no webhook with this id
+     */
+    async getDeliveries(webhookId: string, page: number, limit: number, status?: DeliveryStatus): Promise<{
+        totalDeliveries: number;
+        totalPages: number;
+        currentPage: number;
+        data: IWebhookDelivery[];
+    }> {
+        await this.getWebhookById(webhookId);
+
+        const filter: mongoose.FilterQuery<IWebhookDelivery> = { webhook: webhookId };
+        if (status) {
+            filter.status = status;
+        }
+
+        const totalDeliveries = await WebhookDeliveryModel.countDocuments(filter);
+        const deliveries = await WebhookDeliveryModel.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        return {
+            totalDeliveries,
+            totalPages: Math.ceil(totalDeliveries / limit),
+            currentPage: page,
+            data: deliveries,
+        };
+    }
+
+    /**
+     * Puts a delivery back in the queue to be sent right away. Earlier attempts stay in its log.
+     * @throws NotFoundError if the webhook has no delivery with this id
+     */
+    async replayDelivery(webhookId: string, deliveryId: string): Promise<IWebhookDelivery> {
+        if (!mongoose.Types.ObjectId.isValid(webhookId) || !mongoose.Types.ObjectId.isValid(deliveryId)) {
+            throw new NotFoundError('webhook.delivery_not_found');
+        }
+
+        const delivery = await WebhookDeliveryModel.findOneAndUpdate(
+            { _id: deliveryId, webhook: webhookId },
+            { $set: { status: 'pending', nextAttemptAt: new Date(), lockedUntil: null } },
+            { new: true }
+        );
+        if (!delivery) {
+            throw new NotFoundError('webhook.delivery_not_found');
+        }
+        return delivery;
+    }
+
+    /**
+     * Queues an event for every active subscription that listens to it.
+     * If queueing fails the error is logged and the subscribers miss this event.
+     */
+    async dispatch(event: WebhookEvent, data: unknown): Promise<void> {
+        try {
+            const webhooks = await WebhookModel.find({ active: true, events: event }).select('_id');
+            if (webhooks.length === 0) return;
+
+            const occurredAt = new Date();
+            // Round-trip through JSON so documents are stored as the receivers will see them
+            const payloadData = JSON.parse(JSON.stringify(data));
+
+            await WebhookDeliveryModel.insertMany(webhooks.map((webhook) => ({
+                webhook: webhook._id,
+                event,
+                payload: { event, occurredAt, data: payloadData },
+                nextAttemptAt: occurredAt
+            })));
+        } catch (error) {
+            console.error(`Error queueing webhook event ${event}:`, error);
+        }
+    }
+
+    /**
+     * Sends the deliveries that are due, one batch at a time.
+     * @returns How many deliveries were attempted
+     */
+    async processDueDeliveries(): Promise<number> {
+        let processed = 0;
+
+        while (processed < BATCH_SIZE) {
+            const now = new Date();
+            // Claiming with a lock lets several API instances share the queue
+            const delivery = await WebhookDeliveryModel.findOneAndUpdate(
+                {
+                    status: 'pending',
+                    nextAttemptAt: { $lte: now },
+                    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+                },
+                { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            );
+            if (!delivery) break;
+
+            await this.attemptDelivery(delivery);
+            processed++;
+        }
+
+        return processed;
+    }
+
+    private async attemptDelivery(delivery: IWebhookDelivery): Promise<void> {
+        const webhook = await WebhookModel.findById(delivery.webhook).select('+secret');
+        if (!webhook || !webhook.active) {
+            await WebhookDeliveryModel.updateOne(
+                { _id: delivery._id },
+                { $set: { status: 'failed', lockedUntil: null, nextAttemptAt: null } }
+            );
+            return;
+        }
+
+        const body = JSON.stringify({ id: delivery._id.toString(), ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const startedAt = Date.now();
+        let statusCode: number | null = null;
+        let error: string | null = null;
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Trackit-Webhooks/1.0',
+                    'X-Trackit-Event': delivery.event,
+                    'X-Trackit-Delivery': delivery._id.toString(),
+                    'X-Trackit-Timestamp': timestamp,
+                    'X-Trackit-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            statusCode = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            error = err instanceof Error ? err.message : String(err);
+        }
+
+        const attempt = { attemptedAt: new Date(startedAt), statusCode, error, durationMs: Date.now() - startedAt };
+        const attemptNumber = delivery.attempts.length + 1;
+
+        let update: mongoose.UpdateQuery<IWebhookDelivery>;
+        if (!error) {
+            update = { status: 'succeeded', deliveredAt: new Date(), nextAttemptAt: null };
+        } else if (attemptNumber >= MAX_DELIVERY_ATTEMPTS) {
+            update = { status: 'failed', nextAttemptAt: null };
+        } else {
+            update = { nextAttemptAt: new Date(Date.now() + nextRetryDelay(attemptNumber)) };
+        }
+
+        await WebhookDeliveryModel.updateOne(
+            { _id: delivery._id },
+            { $set: { ...update, lockedUntil: null }, $push: { attempts: attempt } }
+        );
+    }
+}
+
+const webhookService = new WebhookService();
+
+/**
+ * Polls the delivery queue every `intervalMs`.
+ * @returns Function that stops the worker, resolving once the batch in progress is done
+ */
+export function startWebhookWorker(intervalMs = 5000): () => Promise<void> {
+    return startWorker(() => webhookService.processDueDeliveries(), intervalMs, 'Error processing webhook deliveries:');
+}
+
+export default webhookService;
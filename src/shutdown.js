@@ -0,0 +1,59 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.isShuttingDown = isShuttingDown;
+exports.enableGracefulShutdown = enableGracefulShutdown;
+const config_1 = __importDefault(require("./config"));
+const database_1 = require("./database");
+let shuttingDown = false;
+// The readiness probe fails from the moment shutdown starts
+function isShuttingDown() {
+    return shuttingDown;
+}
+/**
+ * Shuts down gracefully on SIGTERM and SIGINT: stops accepting connections,
+ * runs `cleanups` (stopping the workers, closing streams...) while the requests
+ * in flight finish, then closes the MongoDB connection. Whatever is still open
+ * after SHUTDOWN_TIMEOUT_MS is dropped and the process exits with 1.
+ */
+function enableGracefulShutdown(server, cleanups) {
+    const shutdown = (signal) => __awaiter(this, void 0, void 0, function* () {
+        if (shuttingDown)
+            return;
+        shuttingDown = true;
+        console.log(`${signal} received, shutting down`);
+        setTimeout(() => {
+            console.error(`Shutdown took longer than ${config_1.default.shutdownTimeoutMs}ms, exiting anyway`);
+            server.closeAllConnections();
+            process.exit(1);
+        }, config_1.default.shutdownTimeoutMs).unref();
+        try {
+            // close() waits for the requests in flight, idle keep-alive connections are closed right away
+            const closed = new Promise((resolve, reject) => server.close((error) => (error ? reject(error) : resolve())));
+            const results = yield Promise.allSettled(cleanups.map((cleanup) => __awaiter(this, void 0, void 0, function* () { return cleanup(); })));
+            results
+                .filter((result) => result.status === 'rejected')
+                .forEach((result) => console.error('Error during shutdown:', result.reason));
+            yield closed;
+            yield (0, database_1.stopConnection)();
+            process.exit(0);
+        }
+        catch (error) {
+            console.error('Error during shutdown:', error);
+            process.exit(1);
+        }
+    });
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+}
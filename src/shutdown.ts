@@ -0,0 +1,53 @@
+import { Server } from 'http';
+import config from './config';
+import { stopConnection } from './database';
+
+export type Cleanup = () => unknown;
+
+let shuttingDown = false;
+
+// The readiness probe fails from the moment shutdown starts
+export function isShuttingDown(): boolean {
+    return shuttingDown;
+}
+
+/**
+ * Shuts down gracefully on SIGTERM and SIGINT: stops accepting connections,
+ * runs `cleanups` (stopping the workers, closing streams...) while the requests
+ * in flight finish, then closes the MongoDB connection. Whatever is still open
+ * after SHUTDOWN_TIMEOUT_MS is dropped and the process exits with 1.
+ */
+export function enableGracefulShutdown(server: Server, cleanups: Cleanup[]): void {
+    const shutdown = async (signal: NodeJS.Signals) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`${signal} received, shutting down`);
+
+        setTimeout(() => {
+            console.error(`Shutdown took longer than ${config.shutdownTimeoutMs}ms, exiting anyway`);
+            server.closeAllConnections();
+            process.exit(1);
+        }, config.shutdownTimeoutMs).unref();
+
+        try {
+            // close() waits for the requests in flight, idle keep-alive connections are closed right away
+            const closed = new Promise<void>((resolve, reject) =>
+                server.close((error) => (error ? reject(error) : resolve()))
+            );
+            const results = await Promise.allSettled(cleanups.map(async (cleanup) => cleanup()));
+            results
+                .filter((result): result is PromiseRejectedResult => result.status === 'rejected')
+                .forEach((result) => console.error('Error during shutdown:', result.reason));
+
+            await closed;
+            await stopConnection();
+            process.exit(0);
+        } catch (error) {
+            console.error('Error during shutdown:', error);
+            process.exit(1);
+        }
+    };
+
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+}
@@ -0,0 +1,14 @@
+import config from '../config';
+import { LocalDiskStorage } from './localDisk.storage';
+import { StorageBackend } from './storage';
+
+export * from './storage';
+
+function createStorage(): StorageBackend {
+    switch (config.storage.driver) {
+        case 'local':
+            return new LocalDiskStorage(config.storage.uploadsDir);
+    }
+}
+
+export default createStorage();
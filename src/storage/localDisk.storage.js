@@ -0,0 +1,59 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.LocalDiskStorage = void 0;
+const crypto_1 = __importDefault(require("crypto"));
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+const storage_1 = require("./storage");
+class LocalDiskStorage {
+    constructor(root) {
+        this.root = path_1.default.resolve(root);
+    }
+    save(data, options) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const key = path_1.default.posix.join(options.prefix, `${crypto_1.default.randomUUID()}.${options.extension}`);
+            const file = this.resolve(key);
+            yield fs_1.default.promises.mkdir(path_1.default.dirname(file), { recursive: true });
+            yield fs_1.default.promises.writeFile(file, data, { flag: 'wx' });
+            return key;
+        });
+    }
+    read(key) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const file = this.resolve(key);
+            try {
+                yield fs_1.default.promises.access(file, fs_1.default.constants.R_OK);
+            }
+            catch (_a) {
+                throw new storage_1.StoredFileNotFoundError(key);
+            }
+            return fs_1.default.createReadStream(file);
+        });
+    }
+    remove(key) {
+        return __awaiter(this, void 0, void 0, function* () {
+            yield fs_1.default.promises.rm(this.resolve(key), { force: true });
+        });
+    }
+    // Keys come from the database, but never let one point outside the root
+    resolve(key) {
+        const file = path_1.default.resolve(this.root, key);
+        if (!file.startsWith(this.root + path_1.default.sep)) {
+            throw new storage_1.StoredFileNotFoundError(key);
+        }
+        return file;
+    }
+}
+exports.LocalDiskStorage = LocalDiskStorage;
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { StorageBackend, StoredFileNotFoundError } from './storage';
+
+export class LocalDiskStorage implements StorageBackend {
+    private root: string;
+
+    constructor(root: string) {
+        this.root = path.resolve(root);
+    }
+
+    async save(data: Buffer, options: { prefix: string; extension: string }): Promise<string> {
+        const key = path.posix.join(options.prefix, `${crypto.randomUUID()}.${options.extension}`);
+        const file = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, data, { flag: 'wx' });
+        return key;
+    }
+
+    async read(key: string): Promise<Readable> {
+        const file = this.resolve(key);
+        try {
+            await fs.promises.access(file, fs.constants.R_OK);
+        } catch {
+            throw new StoredFileNotFoundError(key);
+        }
+        return fs.createReadStream(file);
+    }
+
+    async remove(key: string): Promise<void> {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+
+    // Keys come from the database, but never let one point outside the root
+    private resolve(key: string): string {
+        const file = path.resolve(this.root, key);
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new StoredFileNotFoundError(key);
+        }
+        return file;
+    }
+}
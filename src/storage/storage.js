@@ -0,0 +1,12 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.StoredFileNotFoundError = void 0;
+const errors_1 = require("../errors");
+class StoredFileNotFoundError extends errors_1.NotFoundError {
+    constructor(key) {
+        // The key is internal, clients only learn that the file is missing
+        super('storage.file_not_found');
+        this.key = key;
+    }
+}
+exports.StoredFileNotFoundError = StoredFileNotFoundError;
@@ -0,0 +1,19 @@
+import { Readable } from 'stream';
+import { NotFoundError } from '../errors';
+
+/**
+ * Where uploaded files live. Keys are opaque strings chosen by the backend;
+ * callers store them and hand them back to read or remove the file.
+ */
+export interface StorageBackend {
+    save(data: Buffer, options: { prefix: string; extension: string }): Promise<string>;
+    read(key: string): Promise<Readable>;
+    remove(key: string): Promise<void>;
+}
+
+export class StoredFileNotFoundError extends NotFoundError {
+    constructor(public key: string) {
+        // The key is internal, clients only learn that the file is missing
+        super('storage.file_not_found');
+    }
+}
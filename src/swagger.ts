@@ -1,6 +1,7 @@
 import swaggerJSDoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 import { Application } from 'express';
+import config from './config';
 
 const options = {
     definition: {
@@ -10,13 +11,97 @@ const options = {
             version: '1.0.0',
             description: 'API documentation for the CRUD application',
         },
-        servers: [
+        servers: config.swaggerServers.map((url) => ({ url })),
+        security: [
             {
-                url: 'http://localhost:4000',
+                bearerAuth: [],
             },
         ],
         components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                },
+            },
             schemas: {
+                ProblemDetails: {
+                    type: 'object',
+                    description: 'Body of every error response (RFC 9457), sent as application/problem+json. Validation failures (400) list the offending fields in `errors`; undeclared body and query fields are dropped silently instead. `detail` and the field messages are translated to the locale negotiated from Accept-Language (en, es, ca), echoed in Content-Language',
+                    properties: {
+                        type: {
+                            type: 'string',
+                            example: 'about:blank',
+                        },
+                        title: {
+                            type: 'string',
+                            example: 'Bad Request',
+                        },
+                        status: {
+                            type: 'integer',
+                            example: 400,
+                        },
+                        code: {
+                            type: 'string',
+                            description: 'Stable error code, the same in every locale',
+                            example: 'validation.failed',
+                        },
+                        detail: {
+                            type: 'string',
+                            example: 'Validation failed',
+                        },
+                        instance: {
+                            type: 'string',
+                            example: '/api/users',
+                        },
+                        requestId: {
+                            type: 'string',
+                            description: 'Same value as the X-Request-Id response header',
+                        },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: {
+                                        type: 'string',
+                                        example: 'email',
+                                    },
+                                    location: {
+                                        type: 'string',
+                                        enum: ['body', 'query', 'params'],
+                                    },
+                                    code: {
+                                        type: 'string',
+                                        example: 'validation.email',
+                                    },
+                                    message: {
+                                        type: 'string',
+                                        example: 'email must be a valid email address',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                AuthTokens: {
+                    type: 'object',
+                    properties: {
+                        accessToken: {
+                            type: 'string',
+                        },
+                        refreshToken: {
+                            type: 'string',
+                        },
+                        tokenType: {
+                            type: 'string',
+                        },
+                        expiresIn: {
+                            type: 'string',
+                        },
+                    },
+                },
                 Message: {
                     type: 'object',
                     required: ['content', 'sender', 'receiver', 'read', 'createdAt'],
@@ -33,15 +118,60 @@ const options = {
                         read: {
                             type: 'boolean',
                         },
+                        readAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
                         createdAt: {
                             type: 'string',
                             format: 'date-time',
                         },
                     },
                 },
+                Conversation: {
+                    type: 'object',
+                    properties: {
+                        user: {
+                            type: 'object',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                },
+                                name: {
+                                    type: 'string',
+                                },
+                                email: {
+                                    type: 'string',
+                                },
+                            },
+                        },
+                        lastMessage: {
+                            type: 'object',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                },
+                                content: {
+                                    type: 'string',
+                                },
+                                sender: {
+                                    type: 'string',
+                                },
+                                createdAt: {
+                                    type: 'string',
+                                    format: 'date-time',
+                                },
+                            },
+                        },
+                        unreadCount: {
+                            type: 'integer',
+                        },
+                    },
+                },
                 Packet: {
                     type: 'object',
-                    required: ['name', 'description', 'status'],
+                    required: ['name', 'description'],
                     properties: {
                         name: {
                             type: 'string',
@@ -51,12 +181,353 @@ const options = {
                         },
                         status: {
                             type: 'string',
+                            enum: ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned'],
+                        },
+                        note: {
+                            type: 'string',
+                            description: 'Note stored with the tracking event of a status change',
+                        },
+                        trackingCode: {
+                            type: 'string',
+                            readOnly: true,
+                        },
+                        estimatedDelivery: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        location: {
+                            $ref: '#/components/schemas/GeoPoint',
+                        },
+                        assignedTo: {
+                            type: 'string',
+                            nullable: true,
+                            readOnly: true,
+                            description: 'Courier currently in charge of the packet',
+                        },
+                        deletedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            readOnly: true,
+                            description: 'Set while the packet is in the trash',
+                        },
+                    },
+                },
+                GeoPoint: {
+                    type: 'object',
+                    properties: {
+                        type: {
+                            type: 'string',
+                            enum: ['Point'],
+                        },
+                        coordinates: {
+                            type: 'array',
+                            description: '[longitude, latitude]',
+                            items: {
+                                type: 'number',
+                            },
+                        },
+                    },
+                },
+                LocationUpdate: {
+                    type: 'object',
+                    properties: {
+                        location: {
+                            $ref: '#/components/schemas/GeoPoint',
+                        },
+                        courier: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        recordedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                    },
+                },
+                Proof: {
+                    type: 'object',
+                    properties: {
+                        _id: {
+                            type: 'string',
+                        },
+                        kind: {
+                            type: 'string',
+                            enum: ['photo', 'signature'],
+                        },
+                        originalName: {
+                            type: 'string',
+                        },
+                        mimeType: {
+                            type: 'string',
+                        },
+                        size: {
+                            type: 'integer',
+                        },
+                        uploadedBy: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        uploadedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                    },
+                },
+                AuditLog: {
+                    type: 'object',
+                    properties: {
+                        _id: {
+                            type: 'string',
+                        },
+                        actor: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'User who made the change, null for anonymous requests and background jobs',
+                            properties: {
+                                _id: {
+                                    type: 'string',
+                                },
+                                name: {
+                                    type: 'string',
+                                },
+                                email: {
+                                    type: 'string',
+                                },
+                                role: {
+                                    type: 'string',
+                                },
+                            },
+                        },
+                        action: {
+                            type: 'string',
+                            enum: ['create', 'update', 'delete', 'restore'],
+                        },
+                        targetType: {
+                            type: 'string',
+                            enum: ['users', 'packets', 'messages'],
+                        },
+                        targetId: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        changes: {
+                            type: 'object',
+                            description: 'Changed top-level fields as `{ field: { before, after } }`. Passwords are redacted',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    before: {},
+                                    after: {},
+                                },
+                            },
+                        },
+                        meta: {
+                            type: 'object',
+                            description: 'Extra details, e.g. the messages covered by a bulk update',
+                        },
+                        requestId: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Value of the X-Request-Id response header of the request',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                    },
+                },
+                Webhook: {
+                    type: 'object',
+                    required: ['url', 'events'],
+                    properties: {
+                        url: {
+                            type: 'string',
+                        },
+                        events: {
+                            type: 'array',
+                            items: {
+                                type: 'string',
+                                enum: ['packet.created', 'packet.status_changed', 'packet.deleted', 'message.sent'],
+                            },
+                        },
+                        description: {
+                            type: 'string',
+                        },
+                        active: {
+                            type: 'boolean',
+                        },
+                        secret: {
+                            type: 'string',
+                            readOnly: true,
+                            description: 'Only returned when the subscription is created',
+                        },
+                    },
+                },
+                NotificationPreferences: {
+                    type: 'object',
+                    properties: {
+                        mutedPacketStatuses: {
+                            type: 'array',
+                            description: 'Packet statuses that do not send an automatic inbox message',
+                            items: {
+                                type: 'string',
+                                enum: ['created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'returned'],
+                            },
+                        },
+                        channels: {
+                            type: 'object',
+                            description: 'Channels used for email and SMS notifications',
+                            properties: {
+                                email: {
+                                    type: 'boolean',
+                                    default: true,
+                                },
+                                sms: {
+                                    type: 'boolean',
+                                    default: false,
+                                },
+                            },
+                        },
+                        mutedTemplates: {
+                            type: 'array',
+                            description: 'Notifications that are not sent by email or SMS',
+                            items: {
+                                type: 'string',
+                                enum: ['packet.status_changed', 'message.received', 'account.created', 'account.password_changed'],
+                            },
+                        },
+                    },
+                },
+                Notification: {
+                    type: 'object',
+                    properties: {
+                        _id: {
+                            type: 'string',
+                        },
+                        channel: {
+                            type: 'string',
+                            enum: ['email', 'sms'],
+                        },
+                        template: {
+                            type: 'string',
+                            enum: ['packet.status_changed', 'message.received', 'account.created', 'account.password_changed'],
+                        },
+                        to: {
+                            type: 'string',
+                        },
+                        subject: {
+                            type: 'string',
+                        },
+                        body: {
+                            type: 'string',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['pending', 'sent', 'failed'],
+                        },
+                        attempts: {
+                            type: 'integer',
+                        },
+                        lastError: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        sentAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                    },
+                },
+                Health: {
+                    type: 'object',
+                    properties: {
+                        status: {
+                            type: 'string',
+                            enum: ['ok', 'unavailable'],
+                        },
+                        uptime: {
+                            type: 'integer',
+                            description: 'Seconds since the process started, liveness only',
+                        },
+                        checks: {
+                            type: 'object',
+                            description: 'Readiness only',
+                            properties: {
+                                mongodb: {
+                                    type: 'string',
+                                    enum: ['up', 'down'],
+                                },
+                                shuttingDown: {
+                                    type: 'boolean',
+                                },
+                            },
+                        },
+                    },
+                },
+                PublicTracking: {
+                    type: 'object',
+                    properties: {
+                        trackingCode: {
+                            type: 'string',
+                        },
+                        status: {
+                            type: 'string',
+                        },
+                        estimatedDelivery: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        events: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    status: {
+                                        type: 'string',
+                                    },
+                                    createdAt: {
+                                        type: 'string',
+                                        format: 'date-time',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                TrackingEvent: {
+                    type: 'object',
+                    properties: {
+                        from: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        status: {
+                            type: 'string',
+                        },
+                        actor: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        note: {
+                            type: 'string',
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time',
                         },
                     },
                 },
                 User: {
                     type: 'object',
-                    required: ['name', 'email', 'password', 'phone', 'available', 'packets'],
+                    required: ['name', 'email', 'password', 'phone'],
                     properties: {
                         name: {
                             type: 'string',
@@ -72,12 +543,32 @@ const options = {
                         },
                         available: {
                             type: 'boolean',
+                            description: 'Only admins can change it',
+                        },
+                        role: {
+                            type: 'string',
+                            enum: ['admin', 'courier', 'customer'],
+                            description: 'Only admins can change it',
+                        },
+                        locale: {
+                            type: 'string',
+                            enum: ['en', 'es', 'ca'],
+                            description: 'Language of the notifications. Defaults to the Accept-Language of the sign-up request',
                         },
                         packets: {
                             type: 'array',
                             items: {
                                 type: 'string',
                             },
+                            readOnly: true,
+                            description: 'Packets the user can follow, added by admins and couriers with POST /api/users/{name}/packets',
+                        },
+                        deletedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            readOnly: true,
+                            description: 'Set while the user is in the trash',
                         },
                     },
                 },
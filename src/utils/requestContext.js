@@ -0,0 +1,16 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.runWithContext = runWithContext;
+exports.getRequestContext = getRequestContext;
+const async_hooks_1 = require("async_hooks");
+const storage = new async_hooks_1.AsyncLocalStorage();
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+/**
+ * Context of the HTTP request being handled, or undefined outside of one
+ * (workers, scripts).
+ */
+function getRequestContext() {
+    return storage.getStore();
+}
@@ -0,0 +1,24 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { Locale } from '../i18n';
+
+export interface RequestContext {
+    requestId: string;
+    // Negotiated from Accept-Language, used for every message of the response
+    locale: Locale;
+    // Authenticated user id, set by the `authenticate` middleware
+    actor?: string;
+}
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+export function runWithContext<T>(context: RequestContext, fn: () => T): T {
+    return storage.run(context, fn);
+}
+
+/**
+ * Context of the HTTP request being handled, or undefined outside of one
+ * (workers, scripts).
+ */
+export function getRequestContext(): RequestContext | undefined {
+    return storage.getStore();
+}
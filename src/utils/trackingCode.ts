@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+
+// Crockford base32: no I, L, O or U, so codes are easy to read out and type
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PREFIX = 'TK';
+const BODY_LENGTH = 10;
+
+/**
+ * Luhn mod N check character over the Crockford alphabet. Catches every
+ * single-character typo and most swaps of adjacent characters.
+ */
+function checkCharacter(body: string): string {
+    const n = ALPHABET.length;
+    let sum = 0;
+    let factor = 2;
+
+    for (let i = body.length - 1; i >= 0; i--) {
+        let addend = factor * ALPHABET.indexOf(body[i]);
+        addend = Math.floor(addend / n) + (addend % n);
+        sum += addend;
+        factor = factor === 2 ? 1 : 2;
+    }
+
+    return ALPHABET[(n - (sum % n)) % n];
+}
+
+/**
+ * Generates a random tracking code such as `TKQXG60VHVPHT`.
+ */
+export function generateTrackingCode(): string {
+    const bytes = crypto.randomBytes(BODY_LENGTH);
+    const body = Array.from(bytes, (byte) => ALPHABET[byte % ALPHABET.length]).join('');
+    return PREFIX + body + checkCharacter(body);
+}
+
+/**
+ * Normalizes what a customer typed: upper case, no spaces or dashes, and the
+ * usual look-alikes (O → 0, I/L → 1).
+ */
+export function normalizeTrackingCode(code: string): string {
+    const compact = code.toUpperCase().replace(/[\s-]/g, '');
+    if (!compact.startsWith(PREFIX)) {
+        return compact;
+    }
+    return PREFIX + compact.slice(PREFIX.length).replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+/**
+ * Checks the prefix, length, alphabet and check character of a normalized code.
+ */
+export function isValidTrackingCode(code: string): boolean {
+    if (code.length !== PREFIX.length + BODY_LENGTH + 1 || !code.startsWith(PREFIX)) {
+        return false;
+    }
+
+    const body = code.slice(PREFIX.length, -1);
+    if ([...body].some((char) => !ALPHABET.includes(char))) {
+        return false;
+    }
+
+    return checkCharacter(body) === code[code.length - 1];
+}
@@ -0,0 +1,44 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.withTransaction = withTransaction;
+const mongoose_1 = __importDefault(require("mongoose"));
+let supported = null;
+// Transactions need a replica set or a sharded cluster; a standalone server rejects them
+function transactionsSupported() {
+    return __awaiter(this, void 0, void 0, function* () {
+        const hello = yield mongoose_1.default.connection.db.admin().command({ hello: 1 });
+        return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    });
+}
+/**
+ * Runs `fn` inside a transaction, retried by the driver on transient errors.
+ * On a standalone server (local development) `fn` runs without one and gets
+ * no session, so callers can always pass `{ session }` to their queries.
+ */
+function withTransaction(fn) {
+    return __awaiter(this, void 0, void 0, function* () {
+        // Not connected yet: queries would only be buffered, so do not cache an answer
+        if (!mongoose_1.default.connection.db) {
+            return yield fn(undefined);
+        }
+        if (!supported) {
+            supported = transactionsSupported().catch(() => false);
+        }
+        if (!(yield supported)) {
+            return yield fn(undefined);
+        }
+        return yield mongoose_1.default.connection.transaction((session) => fn(session));
+    });
+}
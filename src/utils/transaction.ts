@@ -0,0 +1,28 @@
+import mongoose, { ClientSession } from 'mongoose';
+
+let supported: Promise<boolean> | null = null;
+
+// Transactions need a replica set or a sharded cluster; a standalone server rejects them
+async function transactionsSupported(): Promise<boolean> {
+    const hello = await mongoose.connection.db!.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+/**
+ * Runs `fn` inside a transaction, retried by the driver on transient errors.
+ * On a standalone server (local development) `fn` runs without one and gets
+ * no session, so callers can always pass `{ session }` to their queries.
+ */
+export async function withTransaction<T>(fn: (session: ClientSession | undefined) => Promise<T>): Promise<T> {
+    // Not connected yet: queries would only be buffered, so do not cache an answer
+    if (!mongoose.connection.db) {
+        return await fn(undefined);
+    }
+    if (!supported) {
+        supported = transactionsSupported().catch(() => false);
+    }
+    if (!(await supported)) {
+        return await fn(undefined);
+    }
+    return await mongoose.connection.transaction((session) => fn(session));
+}
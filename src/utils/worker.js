@@ -0,0 +1,39 @@
+"use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.startWorker = startWorker;
+const mongoose_1 = __importDefault(require("mongoose"));
+/**
+ * Runs `task` every `intervalMs` while the database is connected. A tick is
+ * skipped instead of overlapping a slow run, and errors are logged with
+ * `errorMessage` so the next tick tries again.
+ * @returns Function that stops the worker, resolving once the run in progress is done
+ */
+function startWorker(task, intervalMs, errorMessage) {
+    let running = null;
+    const timer = setInterval(() => {
+        if (running || mongoose_1.default.connection.readyState !== 1)
+            return;
+        running = task()
+            .then(() => undefined, (error) => console.error(errorMessage, error))
+            .finally(() => {
+            running = null;
+        });
+    }, intervalMs);
+    timer.unref();
+    return () => __awaiter(this, void 0, void 0, function* () {
+        clearInterval(timer);
+        yield running;
+    });
+}
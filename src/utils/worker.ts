@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+/**
+ * Runs `task` every `intervalMs` while the database is connected. A tick is
+ * skipped instead of overlapping a slow run, and errors are logged with
+ * `errorMessage` so the next tick tries again.
+ * @returns Function that stops the worker, resolving once the run in progress is done
+ */
+export function startWorker(task: () => Promise<unknown>, intervalMs: number, errorMessage: string): () => Promise<void> {
+    let running: Promise<void> | null = null;
+    const timer = setInterval(() => {
+        if (running || mongoose.connection.readyState !== 1) return;
+        running = task()
+            .then(() => undefined, (error) => console.error(errorMessage, error))
+            .finally(() => {
+                running = null;
+            });
+    }, intervalMs);
+    timer.unref();
+
+    return async () => {
+        clearInterval(timer);
+        await running;
+    };
+}
@@ -0,0 +1,19 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.refreshTokenSchema = exports.loginSchema = void 0;
+const common_1 = require("./common");
+// Strings only: an object here would reach the queries as an operator ({"$ne": null})
+exports.loginSchema = {
+    email: (0, common_1.requiredString)('body', 'email', 254),
+    password: {
+        in: ['body'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'password' }), bail: true },
+        // Not trimmed, spaces are part of the password
+        isString: { errorMessage: (0, common_1.fieldMessage)('validation.string', { field: 'password' }), bail: true },
+        notEmpty: { errorMessage: (0, common_1.fieldMessage)('validation.not_empty', { field: 'password' }) },
+        isLength: { options: { max: 128 }, errorMessage: (0, common_1.fieldMessage)('validation.max_length', { field: 'password', max: 128 }) },
+    },
+};
+exports.refreshTokenSchema = {
+    refreshToken: (0, common_1.requiredString)('body', 'refreshToken', 200),
+};
@@ -0,0 +1,19 @@
+import { Schema } from 'express-validator';
+import { fieldMessage, requiredString } from './common';
+
+// Strings only: an object here would reach the queries as an operator ({"$ne": null})
+export const loginSchema: Schema = {
+    email: requiredString('body', 'email', 254),
+    password: {
+        in: ['body'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'password' }), bail: true },
+        // Not trimmed, spaces are part of the password
+        isString: { errorMessage: fieldMessage('validation.string', { field: 'password' }), bail: true },
+        notEmpty: { errorMessage: fieldMessage('validation.not_empty', { field: 'password' }) },
+        isLength: { options: { max: 128 }, errorMessage: fieldMessage('validation.max_length', { field: 'password', max: 128 }) },
+    },
+};
+
+export const refreshTokenSchema: Schema = {
+    refreshToken: requiredString('body', 'refreshToken', 200),
+};
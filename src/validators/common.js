@@ -0,0 +1,100 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.pagination = void 0;
+exports.fieldMessage = fieldMessage;
+exports.objectIdParam = objectIdParam;
+exports.optionalObjectId = optionalObjectId;
+exports.requiredString = requiredString;
+exports.optionalString = optionalString;
+exports.optionalDate = optionalDate;
+exports.optionalEnumList = optionalEnumList;
+function fieldMessage(code, params) {
+    return { code, params };
+}
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+function isIsoDate(value) {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+function objectIdParam(name = 'id') {
+    return {
+        in: ['params'],
+        isMongoId: { errorMessage: fieldMessage('validation.id', { field: name }) },
+    };
+}
+function optionalObjectId(location, name) {
+    return {
+        in: [location],
+        optional: true,
+        isMongoId: { errorMessage: fieldMessage('validation.id', { field: name }) },
+    };
+}
+function requiredString(location, name, max = 200) {
+    return {
+        in: [location],
+        exists: { errorMessage: fieldMessage('validation.required', { field: name }), bail: true },
+        isString: { errorMessage: fieldMessage('validation.string', { field: name }), bail: true },
+        trim: true,
+        notEmpty: { errorMessage: fieldMessage('validation.not_empty', { field: name }) },
+        isLength: { options: { max }, errorMessage: fieldMessage('validation.max_length', { field: name, max }) },
+    };
+}
+function optionalString(location, name, max = 200) {
+    return {
+        in: [location],
+        optional: true,
+        isString: { errorMessage: fieldMessage('validation.string', { field: name }), bail: true },
+        trim: true,
+        isLength: { options: { max }, errorMessage: fieldMessage('validation.max_length', { field: name, max }) },
+    };
+}
+function optionalDate(location, name, nullable = false) {
+    if (nullable) {
+        // `optional` would drop an explicit null, which is how clients clear the date
+        return {
+            in: [location],
+            optional: true,
+            custom: {
+                options: (value) => value === null || isIsoDate(value),
+                errorMessage: fieldMessage('validation.date_or_null', { field: name }),
+            },
+        };
+    }
+    return {
+        in: [location],
+        optional: true,
+        isISO8601: { errorMessage: fieldMessage('validation.date', { field: name }) },
+    };
+}
+function splitList(value) {
+    return [].concat(value)
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+// Values may be repeated (?status=a&status=b) or comma separated (?status=a,b); controllers get an array
+function optionalEnumList(location, name, values) {
+    return {
+        in: [location],
+        optional: true,
+        custom: {
+            options: (value) => splitList(value).every((item) => values.includes(item)),
+            errorMessage: fieldMessage('validation.one_of', { field: name, values: values.join(', ') }),
+        },
+        customSanitizer: { options: splitList },
+    };
+}
+const pagination = (maxLimit = 100) => ({
+    page: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1 }, errorMessage: fieldMessage('validation.positive_integer', { field: 'page' }) },
+        toInt: true,
+    },
+    limit: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1, max: maxLimit }, errorMessage: fieldMessage('validation.number_between', { field: 'limit', min: 1, max: maxLimit }) },
+        toInt: true,
+    },
+});
+exports.pagination = pagination;
@@ -0,0 +1,111 @@
+import { ParamSchema } from 'express-validator';
+import { MessageKey, MessageParams } from '../i18n';
+
+/**
+ * What validators put in `errorMessage`: the catalog key and its parameters.
+ * The validate middleware translates it to the locale of the request.
+ */
+export interface FieldMessage {
+    code: MessageKey;
+    params?: MessageParams;
+}
+
+export function fieldMessage(code: MessageKey, params?: MessageParams): FieldMessage {
+    return { code, params };
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isIsoDate(value: unknown): boolean {
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+export function objectIdParam(name = 'id'): ParamSchema {
+    return {
+        in: ['params'],
+        isMongoId: { errorMessage: fieldMessage('validation.id', { field: name }) },
+    };
+}
+
+export function optionalObjectId(location: 'body' | 'query', name: string): ParamSchema {
+    return {
+        in: [location],
+        optional: true,
+        isMongoId: { errorMessage: fieldMessage('validation.id', { field: name }) },
+    };
+}
+
+export function requiredString(location: 'body' | 'query' | 'params', name: string, max = 200): ParamSchema {
+    return {
+        in: [location],
+        exists: { errorMessage: fieldMessage('validation.required', { field: name }), bail: true },
+        isString: { errorMessage: fieldMessage('validation.string', { field: name }), bail: true },
+        trim: true,
+        notEmpty: { errorMessage: fieldMessage('validation.not_empty', { field: name }) },
+        isLength: { options: { max }, errorMessage: fieldMessage('validation.max_length', { field: name, max }) },
+    };
+}
+
+export function optionalString(location: 'body' | 'query', name: string, max = 200): ParamSchema {
+    return {
+        in: [location],
+        optional: true,
+        isString: { errorMessage: fieldMessage('validation.string', { field: name }), bail: true },
+        trim: true,
+        isLength: { options: { max }, errorMessage: fieldMessage('validation.max_length', { field: name, max }) },
+    };
+}
+
+export function optionalDate(location: 'body' | 'query', name: string, nullable = false): ParamSchema {
+    if (nullable) {
+        // `optional` would drop an explicit null, which is how clients clear the date
+        return {
+            in: [location],
+            optional: true,
+            custom: {
+                options: (value: unknown) => value === null || isIsoDate(value),
+                errorMessage: fieldMessage('validation.date_or_null', { field: name }),
+            },
+        };
+    }
+    return {
+        in: [location],
+        optional: true,
+        isISO8601: { errorMessage: fieldMessage('validation.date', { field: name }) },
+    };
+}
+
+function splitList(value: unknown): string[] {
+    return ([] as unknown[]).concat(value)
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+// Values may be repeated (?status=a&status=b) or comma separated (?status=a,b); controllers get an array
+export function optionalEnumList(location: 'query', name: string, values: readonly string[]): ParamSchema {
+    return {
+        in: [location],
+        optional: true,
+        custom: {
+            options: (value: unknown) => splitList(value).every((item) => values.includes(item)),
+            errorMessage: fieldMessage('validation.one_of', { field: name, values: values.join(', ') }),
+        },
+        customSanitizer: { options: splitList },
+    };
+}
+
+export const pagination = (maxLimit = 100): Record<'page' | 'limit', ParamSchema> => ({
+    page: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1 }, errorMessage: fieldMessage('validation.positive_integer', { field: 'page' }) },
+        toInt: true,
+    },
+    limit: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1, max: maxLimit }, errorMessage: fieldMessage('validation.number_between', { field: 'limit', min: 1, max: maxLimit }) },
+        toInt: true,
+    },
+});
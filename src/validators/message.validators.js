@@ -0,0 +1,44 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.messageIdSchema = exports.updateMessageSchema = exports.getMessagesSchema = exports.sendMessageSchema = exports.markConversationAsReadSchema = exports.conversationsSchema = exports.streamMessagesSchema = void 0;
+const common_1 = require("./common");
+const MAX_CONTENT_LENGTH = 2000;
+const content = {
+    in: ['body'],
+    exists: { errorMessage: (0, common_1.fieldMessage)('message.content_required'), bail: true },
+    isString: { errorMessage: (0, common_1.fieldMessage)('validation.string', { field: 'content' }), bail: true },
+    trim: true,
+    notEmpty: { errorMessage: (0, common_1.fieldMessage)('message.content_required') },
+    isLength: {
+        options: { max: MAX_CONTENT_LENGTH },
+        errorMessage: (0, common_1.fieldMessage)('validation.max_length', { field: 'content', max: MAX_CONTENT_LENGTH })
+    },
+};
+// Cursor: ID de mensaje o fecha ISO, el servicio decide cuál es
+const cursor = (name) => ({
+    in: ['query'],
+    optional: true,
+    custom: {
+        options: (value) => typeof value === 'string' && /^([0-9a-f]{24}|\d{4}-\d{2}-\d{2}.*)$/i.test(value),
+        errorMessage: (0, common_1.fieldMessage)('validation.cursor', { field: name }),
+    },
+});
+exports.streamMessagesSchema = {
+    // Ya se ha movido a la cabecera Authorization, se declara para que no se descarte como desconocido
+    access_token: { in: ['query'], optional: true, isString: true },
+    lastEventId: (0, common_1.optionalObjectId)('query', 'lastEventId'),
+};
+exports.conversationsSchema = (0, common_1.pagination)();
+exports.markConversationAsReadSchema = {
+    userId: (0, common_1.objectIdParam)('userId'),
+    upTo: (0, common_1.optionalObjectId)('body', 'upTo'),
+};
+exports.sendMessageSchema = { receiverId: (0, common_1.objectIdParam)('receiverId'), content };
+exports.getMessagesSchema = {
+    userId: (0, common_1.objectIdParam)('userId'),
+    before: cursor('before'),
+    after: cursor('after'),
+    limit: (0, common_1.pagination)().limit,
+};
+exports.updateMessageSchema = { messageId: (0, common_1.objectIdParam)('messageId'), content };
+exports.messageIdSchema = { messageId: (0, common_1.objectIdParam)('messageId') };
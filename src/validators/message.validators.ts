@@ -0,0 +1,52 @@
+import { ParamSchema, Schema } from 'express-validator';
+import { fieldMessage, objectIdParam, optionalObjectId, pagination } from './common';
+
+const MAX_CONTENT_LENGTH = 2000;
+
+const content: ParamSchema = {
+    in: ['body'],
+    exists: { errorMessage: fieldMessage('message.content_required'), bail: true },
+    isString: { errorMessage: fieldMessage('validation.string', { field: 'content' }), bail: true },
+    trim: true,
+    notEmpty: { errorMessage: fieldMessage('message.content_required') },
+    isLength: {
+        options: { max: MAX_CONTENT_LENGTH },
+        errorMessage: fieldMessage('validation.max_length', { field: 'content', max: MAX_CONTENT_LENGTH })
+    },
+};
+
+// Cursor: ID de mensaje o fecha ISO, el servicio decide cuál es
+const cursor = (name: string): ParamSchema => ({
+    in: ['query'],
+    optional: true,
+    custom: {
+        options: (value: unknown) => typeof value === 'string' && /^([0-9a-f]{24}|\d{4}-\d{2}-\d{2}.*)$/i.test(value),
+        errorMessage: fieldMessage('validation.cursor', { field: name }),
+    },
+});
+
+export const streamMessagesSchema: Schema = {
+    // Ya se ha movido a la cabecera Authorization, se declara para que no se descarte como desconocido
+    access_token: { in: ['query'], optional: true, isString: true },
+    lastEventId: optionalObjectId('query', 'lastEventId'),
+};
+
+export const conversationsSchema: Schema = pagination();
+
+export const markConversationAsReadSchema: Schema = {
+    userId: objectIdParam('userId'),
+    upTo: optionalObjectId('body', 'upTo'),
+};
+
+export const sendMessageSchema: Schema = { receiverId: objectIdParam('receiverId'), content };
+
+export const getMessagesSchema: Schema = {
+    userId: objectIdParam('userId'),
+    before: cursor('before'),
+    after: cursor('after'),
+    limit: pagination().limit,
+};
+
+export const updateMessageSchema: Schema = { messageId: objectIdParam('messageId'), content };
+
+export const messageIdSchema: Schema = { messageId: objectIdParam('messageId') };
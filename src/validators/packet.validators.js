@@ -0,0 +1,85 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.proofIdSchema = exports.addProofSchema = exports.assignPacketSchema = exports.updateLocationSchema = exports.updatePacketSchema = exports.packetIdSchema = exports.nearbyPacketsSchema = exports.listPacketsSchema = exports.postPacketSchema = void 0;
+const packet_1 = require("../models/packet");
+const common_1 = require("./common");
+// A field name with an optional '-' prefix, comma separated
+const SORT_PATTERN = /^-?\w+(,-?\w+)*$/;
+const noteField = (0, common_1.optionalString)('body', 'note', 500);
+exports.postPacketSchema = {
+    name: (0, common_1.requiredString)('body', 'name', 200),
+    description: (0, common_1.requiredString)('body', 'description', 2000),
+    estimatedDelivery: (0, common_1.optionalDate)('body', 'estimatedDelivery', true),
+    note: noteField,
+};
+exports.listPacketsSchema = Object.assign(Object.assign({}, (0, common_1.pagination)()), { status: (0, common_1.optionalEnumList)('query', 'status', packet_1.PACKET_STATUSES), owner: (0, common_1.optionalObjectId)('query', 'owner'), assignedTo: (0, common_1.optionalObjectId)('query', 'assignedTo'), createdFrom: (0, common_1.optionalDate)('query', 'createdFrom'), createdTo: (0, common_1.optionalDate)('query', 'createdTo'), search: (0, common_1.optionalString)('query', 'search', 200), sort: {
+        in: ['query'],
+        optional: true,
+        matches: { options: SORT_PATTERN, errorMessage: (0, common_1.fieldMessage)('validation.sort', { field: 'sort' }) },
+    } });
+exports.nearbyPacketsSchema = {
+    lng: {
+        in: ['query'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'lng' }), bail: true },
+        isFloat: { options: { min: -180, max: 180 }, errorMessage: (0, common_1.fieldMessage)('validation.number_between', { field: 'lng', min: -180, max: 180 }) },
+    },
+    lat: {
+        in: ['query'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'lat' }), bail: true },
+        isFloat: { options: { min: -90, max: 90 }, errorMessage: (0, common_1.fieldMessage)('validation.number_between', { field: 'lat', min: -90, max: 90 }) },
+    },
+    radiusKm: {
+        in: ['query'],
+        optional: true,
+        isFloat: { options: { gt: 0 }, errorMessage: (0, common_1.fieldMessage)('validation.positive_number', { field: 'radiusKm' }) },
+    },
+    limit: (0, common_1.pagination)().limit,
+    status: (0, common_1.optionalEnumList)('query', 'status', packet_1.PACKET_STATUSES),
+};
+exports.packetIdSchema = { id: (0, common_1.objectIdParam)() };
+exports.updatePacketSchema = {
+    id: (0, common_1.objectIdParam)(),
+    name: Object.assign(Object.assign({}, (0, common_1.requiredString)('body', 'name', 200)), { optional: true }),
+    description: Object.assign(Object.assign({}, (0, common_1.requiredString)('body', 'description', 2000)), { optional: true }),
+    status: {
+        in: ['body'],
+        optional: true,
+        isIn: { options: [packet_1.PACKET_STATUSES], errorMessage: (0, common_1.fieldMessage)('validation.one_of', { field: 'status', values: packet_1.PACKET_STATUSES.join(', ') }) },
+    },
+    estimatedDelivery: (0, common_1.optionalDate)('body', 'estimatedDelivery', true),
+    note: noteField,
+};
+exports.updateLocationSchema = {
+    id: (0, common_1.objectIdParam)(),
+    longitude: {
+        in: ['body'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'longitude' }), bail: true },
+        isFloat: { options: { min: -180, max: 180 }, errorMessage: (0, common_1.fieldMessage)('validation.number_between', { field: 'longitude', min: -180, max: 180 }) },
+        toFloat: true,
+    },
+    latitude: {
+        in: ['body'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'latitude' }), bail: true },
+        isFloat: { options: { min: -90, max: 90 }, errorMessage: (0, common_1.fieldMessage)('validation.number_between', { field: 'latitude', min: -90, max: 90 }) },
+        toFloat: true,
+    },
+    recordedAt: (0, common_1.optionalDate)('body', 'recordedAt'),
+};
+exports.assignPacketSchema = {
+    id: (0, common_1.objectIdParam)(),
+    courierId: {
+        in: ['body'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'courierId' }), bail: true },
+        isMongoId: { errorMessage: (0, common_1.fieldMessage)('validation.id', { field: 'courierId' }) },
+    },
+};
+// Runs after multer, which fills req.body from the multipart form
+exports.addProofSchema = {
+    id: (0, common_1.objectIdParam)(),
+    kind: {
+        in: ['body'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'kind' }), bail: true },
+        isIn: { options: [packet_1.PROOF_KINDS], errorMessage: (0, common_1.fieldMessage)('validation.one_of', { field: 'kind', values: packet_1.PROOF_KINDS.join(', ') }) },
+    },
+};
+exports.proofIdSchema = { id: (0, common_1.objectIdParam)(), proofId: (0, common_1.objectIdParam)('proofId') };
@@ -0,0 +1,112 @@
+import { ParamSchema, Schema } from 'express-validator';
+import { PACKET_STATUSES, PROOF_KINDS } from '../models/packet';
+import {
+    fieldMessage,
+    objectIdParam,
+    optionalDate,
+    optionalEnumList,
+    optionalObjectId,
+    optionalString,
+    pagination,
+    requiredString
+} from './common';
+
+// A field name with an optional '-' prefix, comma separated
+const SORT_PATTERN = /^-?\w+(,-?\w+)*$/;
+
+const noteField: ParamSchema = optionalString('body', 'note', 500);
+
+export const postPacketSchema: Schema = {
+    name: requiredString('body', 'name', 200),
+    description: requiredString('body', 'description', 2000),
+    estimatedDelivery: optionalDate('body', 'estimatedDelivery', true),
+    note: noteField,
+};
+
+export const listPacketsSchema: Schema = {
+    ...pagination(),
+    status: optionalEnumList('query', 'status', PACKET_STATUSES),
+    owner: optionalObjectId('query', 'owner'),
+    assignedTo: optionalObjectId('query', 'assignedTo'),
+    createdFrom: optionalDate('query', 'createdFrom'),
+    createdTo: optionalDate('query', 'createdTo'),
+    search: optionalString('query', 'search', 200),
+    sort: {
+        in: ['query'],
+        optional: true,
+        matches: { options: SORT_PATTERN, errorMessage: fieldMessage('validation.sort', { field: 'sort' }) },
+    },
+};
+
+export const nearbyPacketsSchema: Schema = {
+    lng: {
+        in: ['query'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'lng' }), bail: true },
+        isFloat: { options: { min: -180, max: 180 }, errorMessage: fieldMessage('validation.number_between', { field: 'lng', min: -180, max: 180 }) },
+    },
+    lat: {
+        in: ['query'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'lat' }), bail: true },
+        isFloat: { options: { min: -90, max: 90 }, errorMessage: fieldMessage('validation.number_between', { field: 'lat', min: -90, max: 90 }) },
+    },
+    radiusKm: {
+        in: ['query'],
+        optional: true,
+        isFloat: { options: { gt: 0 }, errorMessage: fieldMessage('validation.positive_number', { field: 'radiusKm' }) },
+    },
+    limit: pagination().limit,
+    status: optionalEnumList('query', 'status', PACKET_STATUSES),
+};
+
+export const packetIdSchema: Schema = { id: objectIdParam() };
+
+export const updatePacketSchema: Schema = {
+    id: objectIdParam(),
+    name: { ...requiredString('body', 'name', 200), optional: true },
+    description: { ...requiredString('body', 'description', 2000), optional: true },
+    status: {
+        in: ['body'],
+        optional: true,
+        isIn: { options: [PACKET_STATUSES], errorMessage: fieldMessage('validation.one_of', { field: 'status', values: PACKET_STATUSES.join(', ') }) },
+    },
+    estimatedDelivery: optionalDate('body', 'estimatedDelivery', true),
+    note: noteField,
+};
+
+export const updateLocationSchema: Schema = {
+    id: objectIdParam(),
+    longitude: {
+        in: ['body'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'longitude' }), bail: true },
+        isFloat: { options: { min: -180, max: 180 }, errorMessage: fieldMessage('validation.number_between', { field: 'longitude', min: -180, max: 180 }) },
+        toFloat: true,
+    },
+    latitude: {
+        in: ['body'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'latitude' }), bail: true },
+        isFloat: { options: { min: -90, max: 90 }, errorMessage: fieldMessage('validation.number_between', { field: 'latitude', min: -90, max: 90 }) },
+        toFloat: true,
+    },
+    recordedAt: optionalDate('body', 'recordedAt'),
+};
+
+export const assignPacketSchema: Schema = {
+    id: objectIdParam(),
+    courierId: {
+        in: ['body'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'courierId' }), bail: true },
+        isMongoId: { errorMessage: fieldMessage('validation.id', { field: 'courierId' }) },
+    },
+};
+
+// Runs after multer, which fills req.body from the multipart form
+export const addProofSchema: Schema = {
+    id: objectIdParam(),
+    kind: {
+        in: ['body'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'kind' }), bail: true },
+        isIn: { options: [PROOF_KINDS], errorMessage: fieldMessage('validation.one_of', { field: 'kind', values: PROOF_KINDS.join(', ') }) },
+    },
+};
+
+export const proofIdSchema: Schema = { id: objectIdParam(), proofId: objectIdParam('proofId') };
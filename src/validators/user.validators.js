@@ -0,0 +1,100 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.userNotificationsSchema = exports.updatePreferencesSchema = exports.addPacketToUserSchema = exports.updateUserSchema = exports.userNameSchema = exports.userIdSchema = exports.listUsersSchema = exports.postUserSchema = void 0;
+const packet_1 = require("../models/packet");
+const notification_1 = require("../models/notification");
+const user_1 = require("../models/user");
+const i18n_1 = require("../i18n");
+const common_1 = require("./common");
+const config_1 = __importDefault(require("../config"));
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+// Taken by the sender of automatic messages, which is looked up by it
+const SYSTEM_SENDER_EMAIL = config_1.default.systemSender.email.trim().toLowerCase();
+const userFields = (required) => {
+    // On updates every field is optional, but still validated when present
+    const presence = (name) => required
+        ? { exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: name }), bail: true } }
+        : { optional: true };
+    return {
+        name: Object.assign(Object.assign({ in: ['body'] }, presence('name')), { isString: { errorMessage: (0, common_1.fieldMessage)('validation.string', { field: 'name' }), bail: true }, trim: true, notEmpty: { errorMessage: (0, common_1.fieldMessage)('validation.not_empty', { field: 'name' }) }, isLength: { options: { max: 100 }, errorMessage: (0, common_1.fieldMessage)('validation.max_length', { field: 'name', max: 100 }) } }),
+        email: Object.assign(Object.assign({ in: ['body'] }, presence('email')), { isEmail: { errorMessage: (0, common_1.fieldMessage)('validation.email', { field: 'email' }), bail: true }, custom: {
+                options: (value) => String(value).trim().toLowerCase() !== SYSTEM_SENDER_EMAIL,
+                errorMessage: (0, common_1.fieldMessage)('validation.reserved_email', { field: 'email' }),
+            } }),
+        password: Object.assign(Object.assign({ in: ['body'] }, presence('password')), { isString: { errorMessage: (0, common_1.fieldMessage)('validation.string', { field: 'password' }), bail: true }, isLength: { options: { min: 8, max: 128 }, errorMessage: (0, common_1.fieldMessage)('validation.length_between', { field: 'password', min: 8, max: 128 }) } }),
+        phone: Object.assign(Object.assign({ in: ['body'] }, presence('phone')), { isString: { errorMessage: (0, common_1.fieldMessage)('validation.string', { field: 'phone' }), bail: true }, trim: true, matches: { options: PHONE_PATTERN, errorMessage: (0, common_1.fieldMessage)('validation.phone', { field: 'phone' }) } }),
+        available: {
+            in: ['body'],
+            optional: true,
+            isBoolean: { options: { strict: true }, errorMessage: (0, common_1.fieldMessage)('validation.boolean', { field: 'available' }) },
+        },
+        role: {
+            in: ['body'],
+            optional: true,
+            isIn: { options: [user_1.USER_ROLES], errorMessage: (0, common_1.fieldMessage)('validation.one_of', { field: 'role', values: user_1.USER_ROLES.join(', ') }) },
+        },
+        locale: {
+            in: ['body'],
+            optional: true,
+            isIn: { options: [i18n_1.SUPPORTED_LOCALES], errorMessage: (0, common_1.fieldMessage)('validation.one_of', { field: 'locale', values: i18n_1.SUPPORTED_LOCALES.join(', ') }) },
+        },
+        // No `packets`: they grant access to the packets, so only POST /api/users/{name}/packets adds them
+    };
+};
+exports.postUserSchema = userFields(true);
+exports.listUsersSchema = (0, common_1.pagination)();
+exports.userIdSchema = { id: (0, common_1.objectIdParam)() };
+exports.userNameSchema = { name: (0, common_1.requiredString)('params', 'name', 100) };
+exports.updateUserSchema = Object.assign({ id: (0, common_1.objectIdParam)() }, userFields(false));
+exports.addPacketToUserSchema = {
+    name: (0, common_1.requiredString)('params', 'name', 100),
+    packetId: {
+        in: ['body'],
+        exists: { errorMessage: (0, common_1.fieldMessage)('validation.required', { field: 'packetId' }), bail: true },
+        isMongoId: { errorMessage: (0, common_1.fieldMessage)('validation.id', { field: 'packetId' }) },
+    },
+};
+exports.updatePreferencesSchema = {
+    id: (0, common_1.objectIdParam)(),
+    mutedPacketStatuses: {
+        in: ['body'],
+        optional: true,
+        isArray: { errorMessage: (0, common_1.fieldMessage)('validation.array', { field: 'mutedPacketStatuses' }) },
+    },
+    'mutedPacketStatuses.*': {
+        in: ['body'],
+        isIn: { options: [packet_1.PACKET_STATUSES], errorMessage: (0, common_1.fieldMessage)('validation.one_of', { field: 'mutedPacketStatuses', values: packet_1.PACKET_STATUSES.join(', ') }) },
+    },
+    channels: {
+        in: ['body'],
+        optional: true,
+        isObject: { errorMessage: (0, common_1.fieldMessage)('validation.object', { field: 'channels' }), bail: true },
+        // Only the known channels, the flags are validated below
+        customSanitizer: {
+            options: (value) => ({ email: value.email, sms: value.sms }),
+        },
+    },
+    'channels.email': {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: (0, common_1.fieldMessage)('validation.boolean', { field: 'channels.email' }) },
+    },
+    'channels.sms': {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: (0, common_1.fieldMessage)('validation.boolean', { field: 'channels.sms' }) },
+    },
+    mutedTemplates: {
+        in: ['body'],
+        optional: true,
+        isArray: { errorMessage: (0, common_1.fieldMessage)('validation.array', { field: 'mutedTemplates' }) },
+    },
+    'mutedTemplates.*': {
+        in: ['body'],
+        isIn: { options: [notification_1.NOTIFICATION_TEMPLATES], errorMessage: (0, common_1.fieldMessage)('validation.one_of', { field: 'mutedTemplates', values: notification_1.NOTIFICATION_TEMPLATES.join(', ') }) },
+    },
+};
+exports.userNotificationsSchema = Object.assign({ id: (0, common_1.objectIdParam)() }, (0, common_1.pagination)());
@@ -0,0 +1,128 @@
+import { ParamSchema, Schema } from 'express-validator';
+import { PACKET_STATUSES } from '../models/packet';
+import { NOTIFICATION_TEMPLATES } from '../models/notification';
+import { USER_ROLES } from '../models/user';
+import { SUPPORTED_LOCALES } from '../i18n';
+import { fieldMessage, objectIdParam, pagination, requiredString } from './common';
+import config from '../config';
+
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+// Taken by the sender of automatic messages, which is looked up by it
+const SYSTEM_SENDER_EMAIL = config.systemSender.email.trim().toLowerCase();
+
+const userFields = (required: boolean): Record<string, ParamSchema> => {
+    // On updates every field is optional, but still validated when present
+    const presence = (name: string): ParamSchema => required
+        ? { exists: { errorMessage: fieldMessage('validation.required', { field: name }), bail: true } }
+        : { optional: true };
+    return {
+        name: {
+            in: ['body'],
+            ...presence('name'),
+            isString: { errorMessage: fieldMessage('validation.string', { field: 'name' }), bail: true },
+            trim: true,
+            notEmpty: { errorMessage: fieldMessage('validation.not_empty', { field: 'name' }) },
+            isLength: { options: { max: 100 }, errorMessage: fieldMessage('validation.max_length', { field: 'name', max: 100 }) },
+        },
+        email: {
+            in: ['body'],
+            ...presence('email'),
+            isEmail: { errorMessage: fieldMessage('validation.email', { field: 'email' }), bail: true },
+            custom: {
+                options: (value: unknown) => String(value).trim().toLowerCase() !== SYSTEM_SENDER_EMAIL,
+                errorMessage: fieldMessage('validation.reserved_email', { field: 'email' }),
+            },
+        },
+        password: {
+            in: ['body'],
+            ...presence('password'),
+            isString: { errorMessage: fieldMessage('validation.string', { field: 'password' }), bail: true },
+            isLength: { options: { min: 8, max: 128 }, errorMessage: fieldMessage('validation.length_between', { field: 'password', min: 8, max: 128 }) },
+        },
+        phone: {
+            in: ['body'],
+            ...presence('phone'),
+            isString: { errorMessage: fieldMessage('validation.string', { field: 'phone' }), bail: true },
+            trim: true,
+            matches: { options: PHONE_PATTERN, errorMessage: fieldMessage('validation.phone', { field: 'phone' }) },
+        },
+        available: {
+            in: ['body'],
+            optional: true,
+            isBoolean: { options: { strict: true }, errorMessage: fieldMessage('validation.boolean', { field: 'available' }) },
+        },
+        role: {
+            in: ['body'],
+            optional: true,
+            isIn: { options: [USER_ROLES], errorMessage: fieldMessage('validation.one_of', { field: 'role', values: USER_ROLES.join(', ') }) },
+        },
+        locale: {
+            in: ['body'],
+            optional: true,
+            isIn: { options: [SUPPORTED_LOCALES], errorMessage: fieldMessage('validation.one_of', { field: 'locale', values: SUPPORTED_LOCALES.join(', ') }) },
+        },
+        // No `packets`: they grant access to the packets, so only POST /api/users/{name}/packets adds them
+    };
+};
+
+export const postUserSchema: Schema = userFields(true);
+
+export const listUsersSchema: Schema = pagination();
+
+export const userIdSchema: Schema = { id: objectIdParam() };
+
+export const userNameSchema: Schema = { name: requiredString('params', 'name', 100) };
+
+export const updateUserSchema: Schema = { id: objectIdParam(), ...userFields(false) };
+
+export const addPacketToUserSchema: Schema = {
+    name: requiredString('params', 'name', 100),
+    packetId: {
+        in: ['body'],
+        exists: { errorMessage: fieldMessage('validation.required', { field: 'packetId' }), bail: true },
+        isMongoId: { errorMessage: fieldMessage('validation.id', { field: 'packetId' }) },
+    },
+};
+
+export const updatePreferencesSchema: Schema = {
+    id: objectIdParam(),
+    mutedPacketStatuses: {
+        in: ['body'],
+        optional: true,
+        isArray: { errorMessage: fieldMessage('validation.array', { field: 'mutedPacketStatuses' }) },
+    },
+    'mutedPacketStatuses.*': {
+        in: ['body'],
+        isIn: { options: [PACKET_STATUSES], errorMessage: fieldMessage('validation.one_of', { field: 'mutedPacketStatuses', values: PACKET_STATUSES.join(', ') }) },
+    },
+    channels: {
+        in: ['body'],
+        optional: true,
+        isObject: { errorMessage: fieldMessage('validation.object', { field: 'channels' }), bail: true },
+        // Only the known channels, the flags are validated below
+        customSanitizer: {
+            options: (value: Record<string, unknown>) => ({ email: value.email, sms: value.sms }),
+        },
+    },
+    'channels.email': {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: fieldMessage('validation.boolean', { field: 'channels.email' }) },
+    },
+    'channels.sms': {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: fieldMessage('validation.boolean', { field: 'channels.sms' }) },
+    },
+    mutedTemplates: {
+        in: ['body'],
+        optional: true,
+        isArray: { errorMessage: fieldMessage('validation.array', { field: 'mutedTemplates' }) },
+    },
+    'mutedTemplates.*': {
+        in: ['body'],
+        isIn: { options: [NOTIFICATION_TEMPLATES], errorMessage: fieldMessage('validation.one_of', { field: 'mutedTemplates', values: NOTIFICATION_TEMPLATES.join(', ') }) },
+    },
+};
+
+export const userNotificationsSchema: Schema = { id: objectIdParam(), ...pagination() };
@@ -0,0 +1,33 @@
+import express, { RequestHandler, Router } from 'express';
+import mongoose from 'mongoose';
+import { requestContext } from '../src/middlewares/requestContext';
+import { errorHandler, notFoundHandler } from '../src/middlewares/errorHandler';
+import jwt from 'jsonwebtoken';
+import config from '../src/config';
+import { UserModel } from '../src/models/user';
+
+/**
+ * The app with a single router mounted, without the database, workers or server of src/app.
+ */
+export function createApp(path: string, router: Router): express.Application {
+    const app = express();
+    app.use(requestContext);
+    app.use(express.json() as RequestHandler);
+    app.use(path, router);
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+}
+
+export function objectId(): string {
+    return new mongoose.Types.ObjectId().toString();
+}
+
+/**
+ * Makes `authenticate` accept the returned token as `userId`.
+ * @returns Value for the Authorization header
+ */
+export function loginAs(userId: string, role = 'customer'): string {
+    jest.spyOn(UserModel, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId(userId), role, packets: [] });
+    return `Bearer ${jwt.sign({}, config.auth.jwtSecret, { subject: userId, expiresIn: '5m' })}`;
+}
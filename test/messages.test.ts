@@ -0,0 +1,78 @@
+import request from 'supertest';
+import messageRoutes from '../src/routes/message.routes';
+import { MessageModel } from '../src/models/message';
+import { MessageService } from '../src/services/message.service';
+import { createApp, loginAs, objectId } from './app';
+
+const app = createApp('/api/messages', messageRoutes);
+
+// findById(...).select('sender') as the ownership check runs it
+function storedMessage(message: { sender: string } | null): void {
+    jest.spyOn(MessageModel, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue(message)
+    } as any);
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /api/messages/:receiverId', () => {
+    it('sends the message as the authenticated user', async () => {
+        const senderId = objectId();
+        const receiverId = objectId();
+        const sendMessage = jest.spyOn(MessageService.prototype, 'sendMessage')
+            .mockResolvedValue({ content: 'Hola' } as any);
+
+        const res = await request(app)
+            .post(`/api/messages/${receiverId}`)
+            .set('Authorization', loginAs(senderId))
+            // A sender in the body must not be trusted
+            .send({ content: 'Hola', sender: objectId() });
+
+        expect(res.status).toBe(201);
+        expect(sendMessage).toHaveBeenCalledWith(senderId, receiverId, 'Hola');
+    });
+
+    it('requires authentication', async () => {
+        const sendMessage = jest.spyOn(MessageService.prototype, 'sendMessage');
+
+        const res = await request(app).post(`/api/messages/${objectId()}`).send({ content: 'Hola' });
+
+        expect(res.status).toBe(401);
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+});
+
+describe.each([
+    ['PUT', 'message.edit_forbidden'],
+    ['DELETE', 'message.delete_forbidden'],
+])('%s /api/messages/:messageId', (method, forbiddenCode) => {
+    const send = (messageId: string, authorization: string) => {
+        const req = method === 'PUT'
+            ? request(app).put(`/api/messages/${messageId}`).send({ content: 'Editado' })
+            : request(app).delete(`/api/messages/${messageId}`);
+        return req.set('Authorization', authorization);
+    };
+
+    it("refuses someone else's message with 403", async () => {
+        const userId = objectId();
+        storedMessage({ sender: objectId() });
+        const update = jest.spyOn(MessageModel, 'findOneAndUpdate');
+
+        const res = await send(objectId(), loginAs(userId));
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe(forbiddenCode);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('answers 404 for a missing message', async () => {
+        storedMessage(null);
+
+        const res = await send(objectId(), loginAs(objectId()));
+
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('message.not_found');
+    });
+});
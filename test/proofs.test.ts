@@ -0,0 +1,30 @@
+import { PacketModel } from '../src/models/packet';
+import { ProofService } from '../src/services/proof.service';
+import { objectId } from './app';
+
+const proofService = new ProofService();
+
+function upload(bytes: string, mimetype: string) {
+    const buffer = Buffer.concat([Buffer.from(bytes, 'latin1'), Buffer.alloc(16)]);
+    return { buffer, mimetype, originalname: 'proof', size: buffer.length };
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('ProofService.addProof file type', () => {
+    it('refuses a RIFF file that is not a WebP image', async () => {
+        const wav = upload('RIFF\x24\x00\x00\x00WAVEfmt ', 'image/webp');
+
+        await expect(proofService.addProof(objectId(), 'photo', wav)).rejects.toMatchObject({ code: 'proof.invalid_type' });
+    });
+
+    it('accepts a WebP image', async () => {
+        // The packet lookup comes right after the type check
+        jest.spyOn(PacketModel, 'exists').mockResolvedValue(null);
+        const webp = upload('RIFF\x24\x00\x00\x00WEBPVP8 ', 'image/webp');
+
+        await expect(proofService.addProof(objectId(), 'photo', webp)).rejects.toMatchObject({ code: 'packet.not_found' });
+    });
+});
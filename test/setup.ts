@@ -0,0 +1,5 @@
+// Settings the config module requires; tests never connect to MongoDB
+process.env.MONGODB_URI = 'mongodb://localhost:27017/trackit-test';
+process.env.CORS_ORIGINS = 'http://localhost:4200';
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT = 'false';
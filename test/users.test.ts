@@ -0,0 +1,42 @@
+import request from 'supertest';
+import userRoutes from '../src/routes/user.routes';
+import { UserModel } from '../src/models/user';
+import config from '../src/config';
+import { createApp, loginAs, objectId } from './app';
+
+const app = createApp('/api/users', userRoutes);
+
+const RESERVED_EMAIL = config.systemSender.email;
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('the email of the system sender', () => {
+    it('cannot be used to register', async () => {
+        const save = jest.spyOn(UserModel.prototype, 'save');
+
+        const res = await request(app)
+            .post('/api/users')
+            .send({ name: 'Mallory', email: RESERVED_EMAIL.toUpperCase(), password: 'a-long-password', phone: '+34 600 000 000' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'email', code: 'validation.reserved_email' })]);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('cannot be taken by an existing user', async () => {
+        const userId = objectId();
+        const token = loginAs(userId);
+        const update = jest.spyOn(UserModel, 'findOneAndUpdate');
+
+        const res = await request(app)
+            .put(`/api/users/${userId}`)
+            .set('Authorization', token)
+            .send({ email: RESERVED_EMAIL });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'email', code: 'validation.reserved_email' })]);
+        expect(update).not.toHaveBeenCalled();
+    });
+});